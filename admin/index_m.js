@@ -11,6 +11,10 @@ let templatesById = {};
 let categories = [];
 let manufacturersByCategory = {}; // cat -> [manu]
 let templatesByCatManu = {}; // cat -> manu -> [template]
+let userTemplates = []; // native.userTemplates (e.g. generated by SunSpec discovery)
+let deviceDatapoints = []; // own datapoints of the edited generic.modbus device (register scanner)
+let scanResult = null; // last modbusScan response
+let devicePollClasses = {}; // dpId -> poll class chosen in the datapoint table
 let devices = [];
 let editIndex = -1;
 let onChangeGlobal = null;
@@ -244,8 +248,23 @@ function applyTemplateModbusSerialDefaultsToForm(tpl, protocol, conn) {
   refreshSelect($('#mb_parity'));
 }
 
+// Modbus TCP and the RTU gateway transports share the host/port form.
+function isModbusNetworkProtocol(protocol) {
+  return ['modbusTcp', 'modbusRtuOverTcp', 'modbusUdp'].includes((protocol || '').toString());
+}
+
+// Templates with modbusRtu can also be reached through an RS485 gateway (RTU frames over TCP/UDP).
+function templateProtocols(tpl) {
+  const out = [];
+  ((tpl && Array.isArray(tpl.protocols)) ? tpl.protocols : []).forEach((p) => {
+    out.push(p);
+    if (p === 'modbusRtu') out.push('modbusRtuOverTcp', 'modbusUdp');
+  });
+  return out;
+}
+
 function applyTemplateModbusTcpDefaultsToForm(tpl, protocol, conn) {
-  if ((protocol || '').toString() !== 'modbusTcp') return;
+  if (!isModbusNetworkProtocol(protocol)) return;
   const hints = tpl && tpl.driverHints && tpl.driverHints.modbus ? tpl.driverHints.modbus : null;
   if (!hints) return;
   const c = conn || {};
@@ -435,7 +454,7 @@ function getCurrentMqttFormValues() {
 
 function getCurrentConnectionFormValues(protocol) {
   const proto = String(protocol || '');
-  if (proto === 'modbusTcp') return getCurrentTcpFormValues();
+  if (isModbusNetworkProtocol(proto)) return getCurrentTcpFormValues();
   if (proto === 'mqtt') return getCurrentMqttFormValues();
   if (proto === 'modbusRtu' || proto === 'modbusAscii' || proto === 'kostalRs485' || proto === 'mbus') {
     return getCurrentSerialFormValues();
@@ -729,7 +748,11 @@ function loadTemplates() {
         manufacturersByCategory = {};
         templatesByCatManu = {};
 
-        const tpls = Array.isArray(templatesData.templates) ? templatesData.templates : [];
+        const tpls = (Array.isArray(templatesData.templates) ? templatesData.templates : []).slice();
+        const builtinIds = new Set(tpls.map((t) => t && t.id));
+        userTemplates.forEach((t) => {
+          if (t && t.id && !builtinIds.has(t.id)) tpls.push(t);
+        });
         tpls.forEach((t) => {
           if (!t || !t.id) return;
           templatesById[t.id] = t;
@@ -777,8 +800,10 @@ function summarizeConnection(d) {
   const c = d.connection || {};
   const hb = (d && d.heartbeatTimeoutMs !== undefined && d.heartbeatTimeoutMs !== null) ? Number(d.heartbeatTimeoutMs) : NaN;
   const hbTxt = (Number.isFinite(hb) && hb > 0) ? `, hb ${Math.trunc(hb)}ms` : '';
-  if (d.protocol === 'modbusTcp') {
-    return `${c.host || ''}:${c.port || 502} (unit ${c.unitId ?? 1}${hbTxt})`;
+  if (isModbusNetworkProtocol(d.protocol)) {
+    const prefix = d.protocol === 'modbusRtuOverTcp' ? 'rtu+tcp://' : (d.protocol === 'modbusUdp' ? 'rtu+udp://' : '');
+    const shared = (d.protocol === 'modbusTcp' && c.sharedConnection === true) ? ', geteilt' : '';
+    return `${prefix}${c.host || ''}:${c.port || 502} (unit ${c.unitId ?? 1}${shared}${hbTxt})`;
   }
   if (d.protocol === 'kostalTcp') {
     return `${c.host || ''}:${c.port || 81} (unit ${c.unitId ?? 1}${hbTxt})`;
@@ -787,7 +812,8 @@ function summarizeConnection(d) {
     return `${c.path || ''} @${c.baudRate || 19200} (addr ${c.unitId ?? 255}${hbTxt})`;
   }
   if (d.protocol === 'modbusRtu' || d.protocol === 'modbusAscii') {
-    return `${c.path || ''} @${c.baudRate || 9600} (unit ${c.unitId ?? 1}${hbTxt})`;
+    const listen = (d.protocol === 'modbusRtu' && c.listenOnly === true) ? ', nur mithören' : '';
+    return `${c.path || ''} @${c.baudRate || 9600} (unit ${c.unitId ?? 1}${listen}${hbTxt})`;
   }
   if (d.protocol === 'mbus') {
     return `${c.path || ''} @${c.baudRate || 2400} (addr ${c.unitId ?? 1}${hbTxt})`;
@@ -808,6 +834,12 @@ function summarizeConnection(d) {
   if (d.protocol === 'udp') {
     return `${c.host || ''}:${c.port || 7090}${hbTxt ? (' (' + hbTxt.slice(2) + ')') : ''}`;
   }
+  if (d.protocol === 'virtual') {
+    return `${Object.keys(c.formulas || {}).length} Formeln${c.requireAllInputs === false ? ', Teilsummen' : ''}`;
+  }
+  if (d.protocol === 'ocpp') {
+    return `${c.identity || ''} @:${c.port || 9000} (EVSE ${c.evseId ?? 1}/${c.connectorId ?? 1}${hbTxt})`;
+  }
   return '';
 }
 
@@ -877,7 +909,7 @@ function fillProtocolSelect(templateId, currentProtocol) {
   sel.empty();
 
   const tpl = templatesById[templateId];
-  const protos = (tpl && Array.isArray(tpl.protocols)) ? tpl.protocols : [];
+  const protos = templateProtocols(tpl);
 
   protos.forEach((p) => sel.append(`<option value="${escapeHtml(p)}">${escapeHtml(p)}</option>`));
   refreshSelect(sel);
@@ -892,7 +924,11 @@ function fillProtocolSelect(templateId, currentProtocol) {
 
 function showConnBlock(protocol) {
   $('.nexo-conn-block').hide();
-  if (protocol === 'modbusTcp') $('#conn_modbusTcp').show();
+  if (isModbusNetworkProtocol(protocol)) $('#conn_modbusTcp').show();
+  $('#mb_gatewayHint').toggle(protocol === 'modbusRtuOverTcp' || protocol === 'modbusUdp');
+  // RTU gateways always share their bus; the option only applies to Modbus TCP.
+  $('#mb_sharedConnectionRow').toggle(protocol === 'modbusTcp');
+  $('#mb_listenOnlyRow').toggle(protocol === 'modbusRtu');
   if (protocol === 'kostalTcp') $('#conn_kostalTcp').show();
   if (protocol === 'modbusRtu' || protocol === 'modbusAscii' || protocol === 'kostalRs485') $('#conn_modbusRtu').show();
   if (protocol === 'mbus') $('#conn_mbus').show();
@@ -903,6 +939,9 @@ function showConnBlock(protocol) {
   if (protocol === 'taCmi') $('#conn_taCmi').show();
   if (protocol === 'udp') $('#conn_udp').show();
   if (protocol === 'speedwire') $('#conn_speedwire').show();
+  if (protocol === 'ocpp') $('#conn_ocpp').show();
+  if (protocol === 'virtual') $('#conn_virtual').show();
+  $('#scan_modbus').toggle(['modbusTcp', 'modbusRtu', 'modbusAscii', 'modbusRtuOverTcp', 'modbusUdp'].includes(protocol));
 
   // Refresh serial ports list whenever a serial-based protocol is selected.
   if (protocol === 'modbusRtu' || protocol === 'modbusAscii' || protocol === 'kostalRs485' || protocol === 'mbus') {
@@ -955,6 +994,14 @@ function summarizeDatapoint(dp) {
     const wTxt = w.cmdTemplate ? ` set: ${w.cmdTemplate}` : (w.cmd ? ` set: ${w.cmd}` : '');
     return `${rTxt}${wTxt}`.trim();
   }
+  if (kind === 'virtual') {
+    const f = src.formula;
+    return f ? `formula: ${typeof f === 'string' ? f : `${f.op || ''}(${(f.inputs || []).join(', ')})`}` : 'formula: (Verbindung)';
+  }
+  if (kind === 'ocpp') {
+    if (src.command) return `command: ${src.command}${src.limitUnit ? (' (' + src.limitUnit + ')') : ''}`;
+    return `key: ${src.key || ''}`.trim();
+  }
   if (kind === 'speedwire') {
     if (src.field) return `field: ${src.field}`;
     if (src.computed) return `computed: ${src.computed}`;
@@ -969,6 +1016,13 @@ function summarizeDatapoint(dp) {
   return kind;
 }
 
+const POLL_CLASS_LABELS = {
+  fast: 'Schnell',
+  normal: 'Normal',
+  slow: 'Langsam',
+  once: 'Einmalig',
+};
+
 function renderDatapoints(templateId) {
   const tpl = templatesById[templateId];
   const tbody = $('#dpBody');
@@ -976,14 +1030,23 @@ function renderDatapoints(templateId) {
 
   if (!tpl || !Array.isArray(tpl.datapoints)) return;
 
-  tpl.datapoints.forEach((dp) => {
+  // Own datapoints of a generic Modbus device replace the example datapoints of the template.
+  const own = templateId === 'generic.modbus' && deviceDatapoints.length;
+  (own ? deviceDatapoints : tpl.datapoints).forEach((dp) => {
+    const remove = own ? ` <a href="javascript:void(0)" class="dp-remove" data-id="${escapeHtml(dp.id)}">Entfernen</a>` : '';
+    const pollClass = devicePollClasses[dp.id] || '';
+    const defaultLabel = `Standard (${POLL_CLASS_LABELS[dp.pollClass] || POLL_CLASS_LABELS.normal})`;
+    const pollOptions = [`<option value="">${escapeHtml(defaultLabel)}</option>`]
+      .concat(Object.keys(POLL_CLASS_LABELS).map((c) => `<option value="${c}"${c === pollClass ? ' selected' : ''}>${escapeHtml(POLL_CLASS_LABELS[c])}</option>`))
+      .join('');
     const row = $(`
       <tr>
         <td><code>${escapeHtml(dp.id)}</code></td>
         <td>${escapeHtml(dp.name || '')}</td>
         <td>${escapeHtml(dp.type || '')}</td>
         <td>${escapeHtml(dp.rw || 'ro')}</td>
-        <td>${escapeHtml(summarizeDatapoint(dp))}</td>
+        <td>${escapeHtml(summarizeDatapoint(dp))}${remove}</td>
+        <td><select class="browser-default dp-pollClass" data-id="${escapeHtml(dp.id)}">${pollOptions}</select></td>
       </tr>
     `);
     tbody.append(row);
@@ -992,6 +1055,16 @@ function renderDatapoints(templateId) {
 
 function openDeviceModal(device, idx) {
   editIndex = (typeof idx === 'number') ? idx : -1;
+  deviceDatapoints = Array.isArray(device.datapoints) ? device.datapoints.slice() : [];
+  const pollClasses = device.pollClasses || {};
+  devicePollClasses = Object.assign({}, pollClasses.datapoints || {});
+  $('#dev_pollFast').val(pollClasses.fastIntervalMs || '');
+  $('#dev_pollSlow').val(pollClasses.slowIntervalMs || '');
+  scanResult = null;
+  $('#scan_results').empty();
+  $('#scan_status').text('');
+  $('#ident_results').empty();
+  $('#ident_status').text('');
   $('#modalTitle').text(editIndex >= 0 ? 'Gerät bearbeiten' : 'Gerät hinzufügen');
 
   $('#dev_id').val(device.id || '');
@@ -999,6 +1072,11 @@ function openDeviceModal(device, idx) {
   $('#dev_enabled').prop('checked', device.enabled !== false);
   $('#dev_poll').val(device.pollIntervalMs || '');
   $('#dev_hbTimeout').val(device.heartbeatTimeoutMs || '');
+  $('#dev_signConvention').val(device.signConvention || '');
+  $('#dev_historyEnabled').prop('checked', device.historyEnabled === true);
+  $('#dev_historyRetentionHours').val(device.historyRetentionHours || '');
+  $('#dev_historyResolutionSec').val(device.historyResolutionSec || '');
+  $('#dev_historyDatapoints').val(device.historyDatapoints || '');
 
   // category/manufacturer/template
   const cat = device.category || categories[0] || 'GENERIC';
@@ -1065,6 +1143,7 @@ function openDeviceModal(device, idx) {
   $('#ko_timeout').val(c.timeoutMs ?? '');
   $('#mb_byteOrder').val(c.byteOrder || 'be');
   $('#mb_writePass').val(c.writePassword || '');
+  $('#mb_sharedConnection').prop('checked', c.sharedConnection === true);
   refreshSelect($('#mb_wordOrder'));
   refreshSelect($('#mb_byteOrder'));
   applyTemplateModbusTcpDefaultsToForm(tpl, proto, c);
@@ -1082,6 +1161,9 @@ function openDeviceModal(device, idx) {
   $('#mb_wordOrder_rtu').val(c.wordOrder || 'be');
   $('#mb_byteOrder_rtu').val(c.byteOrder || 'be');
   $('#mb_writePass_rtu').val(c.writePassword || '');
+  $('#mb_listenOnly').prop('checked', c.listenOnly === true);
+  $('#mb_sniffMaxAge').val(c.sniffMaxAgeMs ?? '');
+  $('#ident_onStart').prop('checked', c.readDeviceIdentification === true);
   refreshSelect($('#mb_parity'));
   refreshSelect($('#mb_wordOrder_rtu'));
   refreshSelect($('#mb_byteOrder_rtu'));
@@ -1179,6 +1261,41 @@ function openDeviceModal(device, idx) {
   // forwarding can be bursty (IGMP snooping/querier, WiFi multicast filtering, VMs).
   $('#sw_stale').val(c.staleTimeoutMs ?? 30000);
 
+  // OCPP (central system)
+  $('#ocpp_identity').val(c.identity || '');
+  $('#ocpp_host').val(c.host || '0.0.0.0');
+  $('#ocpp_port').val(c.port ?? 9000);
+  $('#ocpp_heartbeatInterval').val(c.heartbeatIntervalSec ?? 300);
+  $('#ocpp_evseId').val(c.evseId ?? 1);
+  $('#ocpp_connectorId').val(c.connectorId ?? 1);
+  $('#ocpp_protocols').val(Array.isArray(c.protocols) ? c.protocols.join(', ') : (c.protocols || ''));
+  $('#ocpp_callTimeout').val(c.callTimeoutSec ?? '');
+  $('#ocpp_profilePurpose').val(c.chargingProfilePurpose === 'ChargingStationMaxProfile' ? 'ChargingStationMaxProfile' : 'TxDefaultProfile');
+  $('#ocpp_phases').val(c.phases ?? 3);
+  $('#ocpp_limitInterval').val(c.chargingLimitMinIntervalSec ?? 10);
+  $('#ocpp_remoteIdTag').val(c.remoteIdTag || '');
+  $('#ocpp_authMode').val(c.authMode === 'acceptAll' || c.authMode === 'list' ? c.authMode : '');
+  $('#ocpp_authList').val(Array.isArray(c.authList)
+    ? c.authList.map(e => [e.idTag, e.expiryDate || '', e.groupId || '', e.blocked ? 1 : 0].join(';')).join('\n')
+    : (c.authList || ''));
+  $('#ocpp_configTable').html('');
+  $('#ocpp_configStatus').text('');
+  $('#ocpp_securityProfile').val(String(c.securityProfile === 1 || c.securityProfile === 2 ? c.securityProfile : 0));
+  $('#ocpp_authorizationKey').val(c.authorizationKey || '');
+  $('#ocpp_tlsCertPath').val(c.tlsCertPath || '');
+  $('#ocpp_tlsKeyPath').val(c.tlsKeyPath || '');
+  $('#ocpp_tlsCaPath').val(c.tlsCaPath || '');
+  $('#ocpp_fileServerPort').val(c.fileServerPort ?? '');
+  $('#ocpp_fileServerHost').val(c.fileServerHost || '');
+  $('#ocpp_fileServerBindHost').val(c.fileServerBindHost || '');
+  $('#ocpp_chargingNeedsSchedule').val(c.chargingNeedsSchedule === true ? 'on' : '');
+  $('#ocpp_siteLimitW').val(c.siteLimitW ?? '');
+
+  // Virtual (site aggregation)
+  $('#virt_formulasJson').val(c.formulas && typeof c.formulas === 'object' ? JSON.stringify(c.formulas, null, 2) : '');
+  $('#virt_requireAll').prop('checked', c.requireAllInputs !== false);
+  $('#virt_maxAge').val(c.maxInputAgeMs ?? '');
+
   // Populate serial port datalist from the host (supports hotplug).
   refreshSerialPorts(true);
 
@@ -1186,6 +1303,19 @@ function openDeviceModal(device, idx) {
   openModal();
 }
 
+// Device categories per sign-convention family (lib/signConvention.js).
+const SIGN_FAMILY_BY_CATEGORY = {
+  ESS: 'storage',
+  BATTERY: 'storage',
+  BATTERY_INVERTER: 'storage',
+  METER: 'meter',
+  PV_INVERTER: 'pvInverter',
+  CHARGER: 'pvInverter',
+  DC_CHARGER: 'pvInverter',
+  EVCS: 'evCharger',
+  EVSE: 'evCharger',
+};
+
 function collectDeviceFromModal() {
   const tplId = $('#dev_template').val();
   const tpl = templatesById[tplId];
@@ -1203,6 +1333,18 @@ function collectDeviceFromModal() {
     connection: {}
   };
 
+  const signConvention = $('#dev_signConvention').val();
+  if (signConvention) d.signConvention = signConvention;
+
+  // Optional value history (lib/valueHistory.js)
+  if ($('#dev_historyEnabled').is(':checked')) d.historyEnabled = true;
+  const historyRetentionHours = parseInt($('#dev_historyRetentionHours').val(), 10);
+  if (Number.isFinite(historyRetentionHours) && historyRetentionHours > 0) d.historyRetentionHours = historyRetentionHours;
+  const historyResolutionSec = parseInt($('#dev_historyResolutionSec').val(), 10);
+  if (Number.isFinite(historyResolutionSec) && historyResolutionSec > 0) d.historyResolutionSec = historyResolutionSec;
+  const historyDatapoints = ($('#dev_historyDatapoints').val() || '').trim();
+  if (historyDatapoints) d.historyDatapoints = historyDatapoints;
+
   // Normalize heartbeat timeout (optional)
   if (!Number.isFinite(Number(d.heartbeatTimeoutMs)) || Number(d.heartbeatTimeoutMs) <= 0) {
     delete d.heartbeatTimeoutMs;
@@ -1210,12 +1352,15 @@ function collectDeviceFromModal() {
     d.heartbeatTimeoutMs = Math.trunc(Number(d.heartbeatTimeoutMs));
   }
 
-  if (tpl && Array.isArray(tpl.protocols) && d.protocol && !tpl.protocols.includes(d.protocol)) {
+  if (tpl && Array.isArray(tpl.protocols) && d.protocol && !templateProtocols(tpl).includes(d.protocol)) {
     throw new Error('Protokoll wird vom Template nicht unterstützt');
   }
+  if (d.signConvention && SIGN_FAMILY_BY_CATEGORY[d.category] !== d.signConvention.split(' ')[0]) {
+    throw new Error('Die Vorzeichen-Konvention passt nicht zur Kategorie des Geräts');
+  }
 
   // Connection fields
-  if (d.protocol === 'modbusTcp') {
+  if (isModbusNetworkProtocol(d.protocol)) {
     d.connection.host = ($('#mb_host').val() || '').trim();
     d.connection.port = parseInt($('#mb_port').val(), 10) || 502;
     d.connection.unitId = parseInt($('#mb_unitId').val(), 10) || 1;
@@ -1229,6 +1374,8 @@ function collectDeviceFromModal() {
     d.connection.wordOrder = $('#mb_wordOrder').val() || 'be';
     d.connection.byteOrder = $('#mb_byteOrder').val() || 'be';
     d.connection.writePassword = ($('#mb_writePass').val() || '').trim() || undefined;
+    if (d.protocol === 'modbusTcp' && $('#mb_sharedConnection').is(':checked')) d.connection.sharedConnection = true;
+    if ($('#ident_onStart').is(':checked')) d.connection.readDeviceIdentification = true;
   } else if (d.protocol === 'kostalTcp') {
     d.connection.host = ($('#ko_host').val() || '').trim();
     d.connection.port = parseInt($('#ko_port').val(), 10) || 81;
@@ -1255,6 +1402,12 @@ function collectDeviceFromModal() {
     d.connection.wordOrder = $('#mb_wordOrder_rtu').val() || 'be';
     d.connection.byteOrder = $('#mb_byteOrder_rtu').val() || 'be';
     d.connection.writePassword = ($('#mb_writePass_rtu').val() || '').trim() || undefined;
+    if (d.protocol === 'modbusRtu' && $('#mb_listenOnly').is(':checked')) {
+      d.connection.listenOnly = true;
+      const age = parseInt($('#mb_sniffMaxAge').val(), 10);
+      if (!isNaN(age) && age >= 0) d.connection.sniffMaxAgeMs = age;
+    }
+    if (d.protocol !== 'kostalRs485' && $('#ident_onStart').is(':checked')) d.connection.readDeviceIdentification = true;
   } else if (d.protocol === 'mbus') {
     d.connection.path = ($('#mbus_path').val() || '').trim();
     d.connection.baudRate = parseInt($('#mbus_baud').val(), 10) || 2400;
@@ -1361,8 +1514,83 @@ function collectDeviceFromModal() {
 
     const st = parseInt($('#sw_stale').val(), 10);
     if (!isNaN(st)) d.connection.staleTimeoutMs = st;
+  } else if (d.protocol === 'virtual') {
+    const formulasRaw = ($('#virt_formulasJson').val() || '').trim();
+    if (formulasRaw) {
+      let parsed;
+      try { parsed = JSON.parse(formulasRaw); } catch (e) { throw new Error('Virtuelle Formeln sind kein gültiges JSON'); }
+      if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('Virtuelle Formeln müssen ein JSON-Objekt sein (Datenpunkt-ID → Formel)');
+      d.connection.formulas = parsed;
+    }
+    if (!$('#virt_requireAll').is(':checked')) d.connection.requireAllInputs = false;
+    const maxAge = parseInt($('#virt_maxAge').val(), 10);
+    if (!isNaN(maxAge) && maxAge > 0) d.connection.maxInputAgeMs = maxAge;
+  } else if (d.protocol === 'ocpp') {
+    d.connection.identity = ($('#ocpp_identity').val() || '').trim();
+    d.connection.host = ($('#ocpp_host').val() || '').trim() || '0.0.0.0';
+    d.connection.port = parseInt($('#ocpp_port').val(), 10) || 9000;
+    const hb = parseInt($('#ocpp_heartbeatInterval').val(), 10);
+    d.connection.heartbeatIntervalSec = (!isNaN(hb) && hb >= 10) ? hb : 300;
+    const evseId = parseInt($('#ocpp_evseId').val(), 10);
+    d.connection.evseId = (!isNaN(evseId) && evseId >= 0) ? evseId : 1;
+    const connectorId = parseInt($('#ocpp_connectorId').val(), 10);
+    d.connection.connectorId = (!isNaN(connectorId) && connectorId >= 0) ? connectorId : 1;
+    const protocols = ($('#ocpp_protocols').val() || '').split(/[;,\s]+/).map(p => p.trim()).filter(Boolean);
+    if (protocols.length) d.connection.protocols = protocols;
+    const ct = parseInt($('#ocpp_callTimeout').val(), 10);
+    if (!isNaN(ct) && ct > 0) d.connection.callTimeoutSec = ct;
+    d.connection.chargingProfilePurpose = $('#ocpp_profilePurpose').val() || 'TxDefaultProfile';
+    const phases = parseInt($('#ocpp_phases').val(), 10);
+    d.connection.phases = (phases === 1 || phases === 2 || phases === 3) ? phases : 3;
+    const li = parseInt($('#ocpp_limitInterval').val(), 10);
+    d.connection.chargingLimitMinIntervalSec = (!isNaN(li) && li >= 0) ? li : 10;
+    const remoteIdTag = ($('#ocpp_remoteIdTag').val() || '').trim();
+    if (remoteIdTag) d.connection.remoteIdTag = remoteIdTag;
+    const authMode = $('#ocpp_authMode').val();
+    if (authMode) d.connection.authMode = authMode;
+    const authList = ($('#ocpp_authList').val() || '').trim();
+    if (authList) d.connection.authList = authList;
+    const securityProfile = parseInt($('#ocpp_securityProfile').val(), 10);
+    if (securityProfile === 1 || securityProfile === 2) d.connection.securityProfile = securityProfile;
+    const authorizationKey = $('#ocpp_authorizationKey').val() || '';
+    if (authorizationKey) {
+      if (authorizationKey.length < 16 || authorizationKey.length > 40) throw new Error('OCPP-Passwort muss 16 bis 40 Zeichen lang sein');
+      d.connection.authorizationKey = authorizationKey;
+    }
+    for (const [field, key] of [['#ocpp_tlsCertPath', 'tlsCertPath'], ['#ocpp_tlsKeyPath', 'tlsKeyPath'], ['#ocpp_tlsCaPath', 'tlsCaPath']]) {
+      const value = ($(field).val() || '').trim();
+      if (value) d.connection[key] = value;
+    }
+    if (d.connection.securityProfile === 2 && !(d.connection.tlsCertPath && d.connection.tlsKeyPath)) {
+      throw new Error('Security Profile 2 benötigt TLS-Zertifikat und -Schlüssel');
+    }
+    const fileServerPort = parseInt($('#ocpp_fileServerPort').val(), 10);
+    if (!isNaN(fileServerPort) && fileServerPort > 0 && fileServerPort <= 65535) d.connection.fileServerPort = fileServerPort;
+    const fileServerHost = ($('#ocpp_fileServerHost').val() || '').trim();
+    if (fileServerHost) d.connection.fileServerHost = fileServerHost;
+    const fileServerBindHost = ($('#ocpp_fileServerBindHost').val() || '').trim();
+    if (fileServerBindHost) d.connection.fileServerBindHost = fileServerBindHost;
+    if ($('#ocpp_chargingNeedsSchedule').val() === 'on') d.connection.chargingNeedsSchedule = true;
+    const siteLimitW = parseFloat($('#ocpp_siteLimitW').val());
+    if (!isNaN(siteLimitW) && siteLimitW > 0) d.connection.siteLimitW = siteLimitW;
   }
 
+  if (d.templateId === 'generic.modbus' && deviceDatapoints.length) d.datapoints = deviceDatapoints.slice();
+
+  // Poll classes: only keep choices for datapoints of the selected template.
+  const pollClasses = {};
+  const shownDpIds = new Set($('.dp-pollClass').map(function () { return String($(this).data('id')); }).get());
+  const classDatapoints = {};
+  Object.keys(devicePollClasses).forEach((id) => {
+    if (shownDpIds.has(id) && POLL_CLASS_LABELS[devicePollClasses[id]]) classDatapoints[id] = devicePollClasses[id];
+  });
+  if (Object.keys(classDatapoints).length) pollClasses.datapoints = classDatapoints;
+  const pollFast = parseInt($('#dev_pollFast').val(), 10);
+  if (pollFast > 0) pollClasses.fastIntervalMs = Math.max(250, pollFast);
+  const pollSlow = parseInt($('#dev_pollSlow').val(), 10);
+  if (pollSlow > 0) pollClasses.slowIntervalMs = Math.max(250, pollSlow);
+  if (Object.keys(pollClasses).length) d.pollClasses = pollClasses;
+
   // minimal validation
   if (!d.id) throw new Error('Geräte-ID fehlt');
   if (!/^[a-zA-Z0-9_\-]+$/.test(d.id)) throw new Error('Ungültige Geräte-ID. Erlaubt: Buchstaben, Zahlen, _ und -');
@@ -1370,6 +1598,7 @@ function collectDeviceFromModal() {
   if (!d.protocol) throw new Error('Protokoll fehlt');
 
   if (d.protocol === 'modbusTcp' && !d.connection.host) throw new Error('Modbus TCP Host/IP fehlt');
+  if ((d.protocol === 'modbusRtuOverTcp' || d.protocol === 'modbusUdp') && !d.connection.host) throw new Error('Gateway Host/IP fehlt');
   if ((d.protocol === 'modbusRtu' || d.protocol === 'modbusAscii') && !d.connection.path) throw new Error('Modbus Serial-Port fehlt');
   if (d.protocol === 'kostalRs485' && !d.connection.path) throw new Error('RS485 Serial-Port fehlt');
   if (d.protocol === 'mbus' && !d.connection.path) throw new Error('M-Bus Serial-Port fehlt');
@@ -1393,6 +1622,11 @@ function collectDeviceFromModal() {
   if (d.protocol === 'taCmi' && !d.connection.username) throw new Error('TA CMI Experten-Benutzer fehlt');
 
   if (d.protocol === 'udp' && !d.connection.host) throw new Error('UDP Host/IP fehlt');
+  if (d.protocol === 'virtual' && !Object.keys(d.connection.formulas || {}).length) throw new Error('Virtuelles Gerät: keine Formeln angegeben');
+  if (d.protocol === 'ocpp' && !d.connection.identity) throw new Error('OCPP Charge-Point-ID fehlt');
+  if (d.protocol === 'ocpp' && (d.connection.protocols || []).some(p => !['ocpp1.6', 'ocpp2.0.1', 'ocpp2.1'].includes(p))) {
+    throw new Error('OCPP Versionen: erlaubt sind ocpp1.6, ocpp2.0.1 und ocpp2.1');
+  }
 
   // Speedwire has sensible defaults; filterHost is optional.
 
@@ -1405,10 +1639,239 @@ function updateJsonPreview() {
   $('#jsonPreview').text(jsonStr);
 }
 
+// OCPP configuration browser (running adapter instance required).
+function renderOcppConfiguration(entries) {
+  const rows = (entries || []).map((e) => {
+    const value = e.value === null || e.value === undefined ? '' : String(e.value);
+    const cell = e.writable
+      ? `<input type="text" class="ocpp-config-value" data-key="${escapeHtml(e.key)}" value="${escapeHtml(value)}" style="height: 1.8rem; margin: 0;" />`
+      : escapeHtml(value);
+    const action = e.writable ? `<a href="javascript:void(0)" class="ocpp-config-save" data-key="${escapeHtml(e.key)}">Speichern</a>` : '';
+    return `<tr><td>${escapeHtml(e.key.replace(/^config\./, ''))}</td><td>${cell}</td><td>${escapeHtml(e.unit || '')}</td><td>${action}</td></tr>`;
+  });
+  $('#ocpp_configTable').html(rows.length
+    ? `<table class="striped"><thead><tr><th>Schlüssel</th><th>Wert</th><th>Einheit</th><th></th></tr></thead><tbody>${rows.join('')}</tbody></table>`
+    : '');
+}
+
+function ocppConfigurationRequest(command, message, onDone) {
+  if (typeof sendTo !== 'function') {
+    toast('Adapter-Instanz läuft nicht');
+    return;
+  }
+  sendTo(null, command, message, (res) => {
+    if (!res || res.error) {
+      toast(res && res.error ? res.error : 'Keine Antwort vom Adapter');
+      return;
+    }
+    onDone(res);
+  });
+}
+
+function refreshOcppConfiguration(read) {
+  const deviceId = ($('#dev_id').val() || '').trim();
+  $('#ocpp_configStatus').text(read ? 'Lese …' : '');
+  ocppConfigurationRequest(read ? 'ocppReadConfiguration' : 'ocppGetConfiguration', { deviceId }, (res) => {
+    const count = Array.isArray(res.entries) ? res.entries.length : 0;
+    $('#ocpp_configStatus').text(res.status === 'Requested'
+      ? 'Bericht angefordert – die Werte erscheinen, sobald die Station NotifyReport sendet.'
+      : `${res.status ? `${res.status}: ` : ''}${count} Einträge`);
+    renderOcppConfiguration(res.entries);
+  });
+}
+
+// Modbus register scanner (running adapter instance required).
+const SCAN_WORDS = {
+  bool: 1, int16: 1, uint16: 1, string: 1,
+  int32: 2, uint32: 2, float32: 2, bcd_hhmmss: 2, ascii_lsw_first: 2, hex_lsw_first: 2,
+  int64: 4, uint64: 4, float64: 4, ipv4_u16: 4,
+};
+
+function scanBitFc() {
+  return scanResult && (scanResult.fc === 1 || scanResult.fc === 2);
+}
+
+function renderScanResults() {
+  if (!scanResult) return;
+  const dataType = $('#scan_dataType').val();
+  const order = SCAN_WORDS[dataType] > 1 ? $('#scan_order').val() : `be/${$('#scan_order').val().split('/')[1]}`;
+  const rows = (scanResult.rows || []).map((r) => {
+    let value;
+    if (r.error) value = r.exception ? `Exception ${r.exception}: ${r.error}` : r.error;
+    else if (scanBitFc()) value = String(r.value);
+    else {
+      const v = r.decoded && r.decoded[dataType] ? r.decoded[dataType][order] : undefined;
+      value = v === undefined ? '' : String(v);
+    }
+    const pick = r.error ? '' : `<label><input type="checkbox" class="filled-in scan-pick" data-address="${r.address}" /><span></span></label>`;
+    return `<tr><td>${pick}</td><td>${r.address}</td><td>${escapeHtml(r.hex || '')}</td><td>${escapeHtml(value)}</td></tr>`;
+  });
+  $('#scan_results').html(rows.length
+    ? `<table class="striped"><thead><tr><th></th><th>Adresse</th><th>Rohwert</th><th>Wert</th></tr></thead><tbody>${rows.join('')}</tbody></table>`
+    : '');
+}
+
+function runModbusScan() {
+  if (typeof sendTo !== 'function') {
+    toast('Adapter-Instanz läuft nicht');
+    return;
+  }
+  let device = null;
+  try { device = collectDeviceFromModal(); } catch (e) { /* running device is used */ }
+  const message = {
+    deviceId: ($('#dev_id').val() || '').trim(),
+    device,
+    fc: parseInt($('#scan_fc').val(), 10),
+    address: parseInt($('#scan_address').val(), 10) || 0,
+    count: parseInt($('#scan_count').val(), 10) || 1,
+  };
+  const unitId = parseInt($('#scan_unitId').val(), 10);
+  if (unitId > 0) message.unitId = unitId;
+  $('#scan_status').text('Lese …');
+  sendTo(null, 'modbusScan', message, (res) => {
+    if (!res || res.error) {
+      $('#scan_status').text(res && res.error ? res.error : 'Keine Antwort vom Adapter');
+      return;
+    }
+    scanResult = res;
+    const failed = (res.rows || []).filter((r) => r.error).length;
+    $('#scan_status').text(`${res.rows.length} Adressen gelesen, ${failed} mit Fehler${res.aborted ? ` (abgebrochen: ${res.aborted})` : ''}`);
+    renderScanResults();
+  });
+}
+
+function runModbusIdentify() {
+  if (typeof sendTo !== 'function') {
+    toast('Adapter-Instanz läuft nicht');
+    return;
+  }
+  let device = null;
+  try { device = collectDeviceFromModal(); } catch (e) { /* running device is used */ }
+  const message = { deviceId: ($('#dev_id').val() || '').trim(), device };
+  const unitId = parseInt($('#scan_unitId').val(), 10);
+  if (unitId > 0) message.unitId = unitId;
+  $('#ident_status').text('Lese …');
+  $('#ident_results').empty();
+  sendTo(null, 'modbusReadDeviceIdentification', message, (res) => {
+    if (!res || res.error || !res.identification) {
+      $('#ident_status').text(res && res.error ? res.error : 'Keine Antwort vom Adapter');
+      return;
+    }
+    const id = res.identification;
+    $('#ident_status').text([id.vendorName, id.productCode, id.revision].filter(Boolean).join(' / '));
+    const suggestions = Array.isArray(res.suggestions) ? res.suggestions : [];
+    const links = suggestions.map((t) => `<li><a href="javascript:void(0)" class="ident-apply" data-id="${escapeHtml(t.id)}">${escapeHtml(t.manufacturer)} – ${escapeHtml(t.name)}</a> <span class="nexo-muted">(${escapeHtml(t.category)})</span></li>`);
+    $('#ident_results').html(links.length
+      ? `<div>Passende Templates:</div><ul>${links.join('')}</ul>`
+      : '<div class="nexo-muted">Kein passendes Template gefunden</div>');
+  });
+}
+
+// Selects category, manufacturer and template of a suggestion; keeps the protocol when the template supports it.
+function applyTemplateSuggestion(tplId) {
+  const tpl = templatesById[tplId];
+  if (!tpl) return;
+  const proto = $('#dev_protocol').val();
+  $('#dev_category').val(tpl.category).trigger('change');
+  $('#dev_manufacturer').val(tpl.manufacturer).trigger('change');
+  $('#dev_template').val(tpl.id).trigger('change');
+  if (proto && proto !== $('#dev_protocol').val() && $(`#dev_protocol option[value="${proto}"]`).length) {
+    $('#dev_protocol').val(proto).trigger('change');
+  }
+}
+
+function adoptScanSelection() {
+  if ($('#dev_template').val() !== 'generic.modbus') {
+    toast('Datenpunkte können nur für das Template „Generic Modbus“ übernommen werden');
+    return;
+  }
+  if (!scanResult) return;
+  const fc = scanResult.fc;
+  const bits = scanBitFc();
+  const dataType = bits ? 'bool' : $('#scan_dataType').val();
+  const [wordOrder, byteOrder] = $('#scan_order').val().split('/');
+  const prefix = { 1: 'coil', 2: 'di', 3: 'hr', 4: 'ir' }[fc];
+  $('.scan-pick:checked').each(function () {
+    const address = Number($(this).data('address'));
+    const source = { kind: 'modbus', fc, address, length: bits ? 1 : SCAN_WORDS[dataType], dataType };
+    if (!bits) {
+      if (SCAN_WORDS[dataType] > 1) source.wordOrder = wordOrder;
+      source.byteOrder = byteOrder;
+    }
+    const isText = ['string', 'bcd_hhmmss', 'ascii_lsw_first', 'hex_lsw_first', 'ipv4_u16'].includes(dataType);
+    const dp = {
+      id: `${prefix}${address}`,
+      name: `FC${fc} ${address}`,
+      role: bits ? 'indicator' : (isText ? 'text' : 'value'),
+      type: dataType === 'bool' ? 'boolean' : (isText ? 'string' : 'number'),
+      rw: 'ro',
+      source,
+    };
+    deviceDatapoints = deviceDatapoints.filter((x) => x.id !== dp.id).concat([dp]);
+  });
+  renderDatapoints('generic.modbus');
+}
+
+// SunSpec model-chain discovery (running adapter instance required).
+function discoverSunSpecTemplate() {
+  const deviceId = ($('#dev_id').val() || '').trim();
+  if (typeof sendTo !== 'function') {
+    toast('Adapter-Instanz läuft nicht');
+    return;
+  }
+  $('#mb_sunspecStatus').text('Suche …');
+  sendTo(null, 'sunspecDiscover', { deviceId, save: true }, (res) => {
+    if (!res || res.error) {
+      $('#mb_sunspecStatus').text(res && res.error ? res.error : 'Keine Antwort vom Adapter');
+      return;
+    }
+    const tpl = res.template;
+    userTemplates = userTemplates.filter((t) => t && t.id !== tpl.id).concat([tpl]);
+    templatesData = null;
+    loadTemplates().then(() => fillCategorySelect()).catch(() => { /* ignore */ });
+    const models = (res.models || []).map((m) => m.id).join(', ');
+    $('#mb_sunspecStatus').text(`${tpl.id}: ${tpl.datapoints.length} Datenpunkte (Modelle ${models})`);
+  });
+}
+
 function initEventHandlers() {
   // Serial port refresh (hotplug)
   $(document).on('click', '.btnRefreshSerialPorts', () => refreshSerialPorts(true));
 
+  $('#mb_sunspecDiscover').on('click', () => discoverSunSpecTemplate());
+
+  // Modbus register scanner
+  $('#ident_run').on('click', () => runModbusIdentify());
+  $(document).on('click', '.ident-apply', function () {
+    applyTemplateSuggestion(String($(this).data('id')));
+  });
+  $('#scan_run').on('click', () => runModbusScan());
+  $('#scan_adopt').on('click', () => adoptScanSelection());
+  $('#scan_dataType, #scan_order').on('change', () => renderScanResults());
+  $(document).on('click', '.dp-remove', function () {
+    const id = String($(this).data('id'));
+    deviceDatapoints = deviceDatapoints.filter((dp) => dp.id !== id);
+    renderDatapoints($('#dev_template').val());
+  });
+  $(document).on('change', '.dp-pollClass', function () {
+    const id = String($(this).data('id'));
+    const value = String($(this).val() || '');
+    if (value) devicePollClasses[id] = value;
+    else delete devicePollClasses[id];
+  });
+
+  // OCPP configuration browser
+  $('#ocpp_readConfig').on('click', () => refreshOcppConfiguration(true));
+  $(document).on('click', '.ocpp-config-save', function () {
+    const key = $(this).data('key');
+    const input = $('.ocpp-config-value').filter(function () { return $(this).data('key') === key; });
+    const deviceId = ($('#dev_id').val() || '').trim();
+    ocppConfigurationRequest('ocppWriteConfiguration', { deviceId, key, value: input.val() }, (res) => {
+      toast(`${key.replace(/^config\./, '')}: ${res.status}`);
+      refreshOcppConfiguration(false);
+    });
+  });
+
   // MQTT transport helpers. The full connection URL remains the persisted
   // value for backward compatibility, while transport and port are explicit
   // controls in the dialog so TESVOLT port 1884/TLS cannot be confused with
@@ -1708,6 +2171,13 @@ function applySettingsToUI(settings) {
   $('#pollIntervalMs').val(settings.pollIntervalMs ?? 5000);
   $('#modbusTimeoutMs').val(settings.modbusTimeoutMs ?? 2000);
   $('#registerAddressOffset').val(settings.registerAddressOffset ?? 0);
+  $('#modbusServerEnabled').prop('checked', !!settings.modbusServerEnabled);
+  $('#modbusServerHost').val(settings.modbusServerHost || '0.0.0.0');
+  $('#modbusServerPort').val(settings.modbusServerPort ?? 1502);
+  $('#modbusServerUnitId').val(settings.modbusServerUnitId ?? 1);
+  $('#modbusServerBaseAddress').val(settings.modbusServerBaseAddress ?? 40000);
+  $('#modbusServerMapJson').val(settings.modbusServerMapJson || '');
+  $('#modbusServerAllowWrites').prop('checked', settings.modbusServerAllowWrites === true);
 
   const parsed = Array.isArray(settings.devices) ? settings.devices : safeJsonParse(settings.devicesJson || '[]', []);
   devices = Array.isArray(parsed) ? parsed : [];
@@ -1721,6 +2191,7 @@ function applySettingsToUI(settings) {
 function load(settings, onChange) {
   onChangeGlobal = onChange;
   if (!settings) settings = {};
+  userTemplates = Array.isArray(settings.userTemplates) ? settings.userTemplates : [];
 
   loadTemplates()
     .then(() => {
@@ -1744,6 +2215,15 @@ function save(callback) {
   obj.pollIntervalMs = parseInt($('#pollIntervalMs').val(), 10) || 5000;
   obj.modbusTimeoutMs = parseInt($('#modbusTimeoutMs').val(), 10) || 2000;
   obj.registerAddressOffset = parseInt($('#registerAddressOffset').val(), 10) || 0;
+  obj.modbusServerEnabled = $('#modbusServerEnabled').is(':checked');
+  obj.modbusServerHost = ($('#modbusServerHost').val() || '').trim() || '0.0.0.0';
+  obj.modbusServerPort = parseInt($('#modbusServerPort').val(), 10) || 1502;
+  obj.modbusServerUnitId = parseInt($('#modbusServerUnitId').val(), 10) || 1;
+  const modbusServerBase = parseInt($('#modbusServerBaseAddress').val(), 10);
+  obj.modbusServerBaseAddress = Number.isFinite(modbusServerBase) ? modbusServerBase : 40000;
+  obj.modbusServerMapJson = ($('#modbusServerMapJson').val() || '').trim();
+  obj.modbusServerAllowWrites = $('#modbusServerAllowWrites').is(':checked');
+  obj.userTemplates = userTemplates;
   obj.devices = devices || [];
   obj.devicesJson = JSON.stringify(devices || [], null, 2);
 
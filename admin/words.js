@@ -29,6 +29,36 @@ systemDictionary['Gerät hinzufügen'] = { 'en': 'Add device', 'de': 'Gerät hin
 systemDictionary['Gerät bearbeiten'] = { 'en': 'Edit device', 'de': 'Gerät bearbeiten' };
 systemDictionary['Speichern'] = { 'en': 'Save', 'de': 'Speichern' };
 systemDictionary['Abbrechen'] = { 'en': 'Cancel', 'de': 'Abbrechen' };
+systemDictionary['Modbus TCP Server (Alias-Export)'] = { 'en': 'Modbus TCP server (alias export)', 'de': 'Modbus TCP Server (Alias-Export)' };
+systemDictionary['Modbus TCP Server aktivieren'] = { 'en': 'Enable Modbus TCP server', 'de': 'Modbus TCP Server aktivieren' };
+systemDictionary['Listen-Adresse'] = { 'en': 'Listen address', 'de': 'Listen-Adresse' };
+systemDictionary['Startadresse (SunSpec-ähnliche Standardbelegung)'] = { 'en': 'Start address (SunSpec-like default map)', 'de': 'Startadresse (SunSpec-ähnliche Standardbelegung)' };
+systemDictionary['Eigene Registerbelegung (JSON, leer = Standardbelegung)'] = { 'en': 'Custom register map (JSON, empty = default map)', 'de': 'Eigene Registerbelegung (JSON, leer = Standardbelegung)' };
+systemDictionary['SunSpec-Modelle erkennen und als Template speichern'] = { 'en': 'Detect SunSpec models and save as template', 'de': 'SunSpec-Modelle erkennen und als Template speichern' };
+systemDictionary['Geräteidentifikation (FC43)'] = { 'en': 'Device identification (FC43)', 'de': 'Geräteidentifikation (FC43)' };
+systemDictionary['Gerät identifizieren'] = { 'en': 'Identify device', 'de': 'Gerät identifizieren' };
+systemDictionary['Identifikation beim Start lesen (info.vendorName/productCode/revision)'] = { 'en': 'Read identification on start (info.vendorName/productCode/revision)', 'de': 'Identifikation beim Start lesen (info.vendorName/productCode/revision)' };
+systemDictionary['Virtuelles Gerät (Standort-Aggregation)'] = { 'en': 'Virtual device (site aggregation)', 'de': 'Virtuelles Gerät (Standort-Aggregation)' };
+systemDictionary['Formeln je Datenpunkt (JSON)'] = { 'en': 'Formulas per datapoint (JSON)', 'de': 'Formeln je Datenpunkt (JSON)' };
+systemDictionary['Alle Eingänge erforderlich'] = { 'en': 'All inputs required', 'de': 'Alle Eingänge erforderlich' };
+systemDictionary['Max. Eingangsalter (ms, 0 = aus)'] = { 'en': 'Max. input age (ms, 0 = off)', 'de': 'Max. Eingangsalter (ms, 0 = aus)' };
+systemDictionary['Vorzeichen des Geräts'] = { 'en': 'Device sign convention', 'de': 'Vorzeichen des Geräts' };
+systemDictionary['Nur setzen, wenn r.power trotz Template mit vertauschtem Vorzeichen ankommt. Der Adapter dreht dann r.power, tauscht Laden/Entladen bzw. Bezug/Einspeisung und schreibt Leistungs-Sollwerte mit dem Vorzeichen des Geräts.'] = { 'en': 'Only set this if r.power arrives with an inverted sign despite the template. The adapter then negates r.power, swaps charge/discharge or import/export and writes power setpoints with the device sign.', 'de': 'Nur setzen, wenn r.power trotz Template mit vertauschtem Vorzeichen ankommt. Der Adapter dreht dann r.power, tauscht Laden/Entladen bzw. Bezug/Einspeisung und schreibt Leistungs-Sollwerte mit dem Vorzeichen des Geräts.' };
+systemDictionary['Aus'] = { 'en': 'Off', 'de': 'Aus' };
+systemDictionary['Werteverlauf'] = { 'en': 'Value history', 'de': 'Werteverlauf' };
+systemDictionary['Verlauf Dauer (h, Standard 24)'] = { 'en': 'History duration (h, default 24)', 'de': 'Verlauf Dauer (h, Standard 24)' };
+systemDictionary['Verlauf Auflösung (s, Standard 60)'] = { 'en': 'History resolution (s, default 60)', 'de': 'Verlauf Auflösung (s, Standard 60)' };
+systemDictionary['Verlauf Datenpunkte (kommagetrennt, optional)'] = { 'en': 'History datapoints (comma-separated, optional)', 'de': 'Verlauf Datenpunkte (kommagetrennt, optional)' };
+systemDictionary['Speichert einen rollierenden Verlauf im Adapter und veröffentlicht 1-, 15- und 60-Minuten-Werte (Mittel/Min/Max, Zählerdelta) unter history. Ohne Angabe werden alle numerischen Datenpunkte der aliases.v1 aufgezeichnet.'] = { 'en': 'Keeps a rolling history inside the adapter and publishes 1, 15 and 60 minute values (avg/min/max, counter delta) below history. Without a list all numeric datapoints behind aliases.v1 are recorded.', 'de': 'Speichert einen rollierenden Verlauf im Adapter und veröffentlicht 1-, 15- und 60-Minuten-Werte (Mittel/Min/Max, Zählerdelta) unter history. Ohne Angabe werden alle numerischen Datenpunkte der aliases.v1 aufgezeichnet.' };
+systemDictionary['Registerscanner'] = { 'en': 'Register scanner', 'de': 'Registerscanner' };
+systemDictionary['Funktion'] = { 'en': 'Function', 'de': 'Funktion' };
+systemDictionary['Startadresse'] = { 'en': 'Start address', 'de': 'Startadresse' };
+systemDictionary['Anzahl'] = { 'en': 'Count', 'de': 'Anzahl' };
+systemDictionary['Unit-ID (optional)'] = { 'en': 'Unit ID (optional)', 'de': 'Unit-ID (optional)' };
+systemDictionary['Datentyp'] = { 'en': 'Data type', 'de': 'Datentyp' };
+systemDictionary['Word/Byte Order'] = { 'en': 'Word/byte order', 'de': 'Word/Byte Order' };
+systemDictionary['Register lesen'] = { 'en': 'Read registers', 'de': 'Register lesen' };
+systemDictionary['Ausgewählte als Datenpunkte übernehmen'] = { 'en': 'Add selected as datapoints', 'de': 'Ausgewählte als Datenpunkte übernehmen' };
 
 systemDictionary['Ports aktualisieren'] = {
   'en': 'Refresh ports',
@@ -81,3 +111,35 @@ systemDictionary['Benutzername und Passwort authentifizieren den Client; nur mqt
   'en': 'Username and password authenticate the client; only mqtts:// or wss:// encrypt the transport.',
   'de': 'Benutzername und Passwort authentifizieren den Client; nur mqtts:// oder wss:// verschlüsseln den Transport.',
 };
+systemDictionary['RTU-Frames werden unverändert über ein RS485-Gateway übertragen (transparenter Modus). Geräte am selben Gateway-Port werden nacheinander abgefragt.'] = {
+  'en': 'RTU frames are passed unchanged through an RS485 gateway (transparent mode). Devices on the same gateway port are polled one after another.',
+  'de': 'RTU-Frames werden unverändert über ein RS485-Gateway übertragen (transparenter Modus). Geräte am selben Gateway-Port werden nacheinander abgefragt.',
+};
+systemDictionary['Verbindung mit anderen Geräten am selben Host:Port teilen (Gateway mit mehreren Unit-IDs)'] = {
+  'en': 'Share the connection with other devices on the same host:port (gateway with several unit IDs)',
+  'de': 'Verbindung mit anderen Geräten am selben Host:Port teilen (Gateway mit mehreren Unit-IDs)',
+};
+systemDictionary['Nur mithören (ein anderer Master fragt das Gerät ab)'] = {
+  'en': 'Listen only (another master polls the device)',
+  'de': 'Nur mithören (ein anderer Master fragt das Gerät ab)',
+};
+systemDictionary['Max. Alter mitgehörter Werte (ms)'] = {
+  'en': 'Max. age of observed values (ms)',
+  'de': 'Max. Alter mitgehörter Werte (ms)',
+};
+systemDictionary['Poll-Klasse'] = {
+  'en': 'Poll class',
+  'de': 'Poll-Klasse',
+};
+systemDictionary['Intervall Schnell (ms, Standard 1000)'] = {
+  'en': 'Fast interval (ms, default 1000)',
+  'de': 'Intervall Schnell (ms, Standard 1000)',
+};
+systemDictionary['Intervall Langsam (ms, Standard 3600000)'] = {
+  'en': 'Slow interval (ms, default 3600000)',
+  'de': 'Intervall Langsam (ms, Standard 3600000)',
+};
+systemDictionary['Normal nutzt das Polling-Intervall des Geräts, Einmalig wird nur nach Start und Reconnect gelesen.'] = {
+  'en': 'Normal uses the device poll interval, once is only read after start and reconnect.',
+  'de': 'Normal nutzt das Polling-Intervall des Geräts, Einmalig wird nur nach Start und Reconnect gelesen.',
+};
@@ -0,0 +1,252 @@
+'use strict';
+
+/**
+ * Alias Contract conformance report.
+ *
+ * Builds the aliases.v1 tree of a template (or takes the one of a running device) and lists
+ * per entry:
+ * - missingRequired: required contract paths the tree does not provide,
+ * - unbackedRequired: required paths that only exist as computed alias and stay empty even
+ *   when every template datapoint delivers a value (e.g. storage r.powerCharge without any
+ *   power datapoint),
+ * - unitMismatches: aliases whose source unit differs from the canonical unit
+ *   (`converted: true` = same dimension, the runtime converts; false = not convertible),
+ * - signConventions: sign-relevant aliases with the contract convention and the sign
+ *   transforms (invert, invertIfSetting, ...) of the source datapoint,
+ * - nativeSignConvention: the declared native convention (lib/signConvention.js), if any.
+ *
+ * Used by the onMessage command `aliasConformanceReport` and scripts/alias-conformance.cjs.
+ */
+
+const {
+  contract,
+  SCHEMA_VERSION,
+  STANDARD_NAMESPACE,
+  getDeviceClass,
+  legacyAliasPath,
+  unitDimension,
+} = require('./aliasContract');
+
+const SIGN_TRANSFORMS = ['invert', 'invertIfSetting', 'keepPositive', 'keepNegativeAndInvert'];
+
+// signConventions keys use the short "storage" prefix for the storageSystem class.
+const SIGN_CONVENTION_PREFIX = { storageSystem: 'storage' };
+
+function signConventionFor(deviceClass, aliasPath) {
+  const conventions = contract.signConventions || {};
+  const prefix = SIGN_CONVENTION_PREFIX[deviceClass] || deviceClass;
+  return conventions[`${prefix}.${aliasPath}`] || null;
+}
+
+function requiredPaths(deviceClass) {
+  const common = contract.common && contract.common.required ? Object.keys(contract.common.required) : [];
+  const classDef = contract.deviceClasses && contract.deviceClasses[deviceClass];
+  return common.concat(classDef && classDef.required ? Object.keys(classDef.required) : []);
+}
+
+// One plausible value per datapoint; used to find computed aliases without any source.
+function sampleValues(datapoints) {
+  const values = {};
+  for (const dp of datapoints || []) {
+    if (!dp || !dp.id) continue;
+    values[dp.id] = dp.type === 'boolean' ? true : (dp.type === 'string' ? '1' : 1);
+  }
+  return values;
+}
+
+function signTransformsOf(dp) {
+  const src = (dp && dp.source) || {};
+  const out = [];
+  for (const part of [src, src.read]) {
+    if (!part || typeof part !== 'object') continue;
+    for (const key of SIGN_TRANSFORMS) {
+      const v = part[key];
+      if (v === undefined || v === null || v === false) continue;
+      const label = (key === 'invertIfSetting' && typeof v === 'string') ? `${key}:${v}` : key;
+      if (!out.includes(label)) out.push(label);
+    }
+  }
+  return out;
+}
+
+/**
+ * Conformance of one alias tree.
+ *
+ * @param {object} info result of buildStandardAliasDefinitions() (runtime.aliasContractInfo)
+ * @param {(id: string) => object|null} [getDpById]
+ * @param {object} [values] sample poll values ({ dpId: value }) for the unbackedRequired check
+ * @returns {{ deviceClass: string, conformant: boolean, aliasCount: number, missingRequired: string[],
+ *   unbackedRequired: string[], unitMismatches: object[], signConventions: object[] }}
+ */
+function describeConformance(info, getDpById, values) {
+  const safeInfo = info || {};
+  const deviceClass = String(safeInfo.deviceClass || 'generic');
+  const definitions = Array.isArray(safeInfo.definitions) ? safeInfo.definitions : [];
+  const lookup = typeof getDpById === 'function' ? getDpById : () => null;
+  const prefix = `${STANDARD_NAMESPACE}.`;
+
+  const unitMismatches = [];
+  const signConventions = [];
+  const required = new Set(requiredPaths(deviceClass));
+  const backed = new Set();
+  const computedRequired = new Set();
+  for (const def of definitions) {
+    const fullPath = legacyAliasPath(def && def.relId);
+    const aliasPath = fullPath.startsWith(prefix) ? fullPath.slice(prefix.length) : fullPath;
+    if (!aliasPath) continue;
+
+    if (required.has(aliasPath)) {
+      if (def.kind !== 'computed' || !values) {
+        backed.add(aliasPath);
+      } else {
+        computedRequired.add(aliasPath);
+        let v;
+        try { v = def.get(values, { connected: true }); } catch (_) { v = undefined; }
+        if (v !== undefined && v !== null) backed.add(aliasPath);
+      }
+    }
+
+    const sourceUnit = def.aliasSourceUnit;
+    if (def.unit && sourceUnit && sourceUnit !== def.unit) {
+      const from = unitDimension(sourceUnit);
+      unitMismatches.push({
+        path: aliasPath,
+        dpId: def.dpId || null,
+        sourceUnit,
+        canonicalUnit: def.unit,
+        converted: !!from && from === unitDimension(def.unit),
+      });
+    }
+
+    const convention = signConventionFor(deviceClass, aliasPath);
+    if (convention) {
+      signConventions.push({
+        path: aliasPath,
+        convention,
+        dpId: def.dpId || null,
+        transforms: def.dpId ? signTransformsOf(lookup(def.dpId)) : [],
+      });
+    }
+  }
+
+  const missingRequired = Array.isArray(safeInfo.missingRequired) ? safeInfo.missingRequired.slice().sort() : [];
+  const unbackedRequired = Array.from(computedRequired).filter(p => !backed.has(p)).sort();
+  return {
+    deviceClass,
+    conformant: !missingRequired.length && !unbackedRequired.length && unitMismatches.every(m => m.converted),
+    aliasCount: definitions.length,
+    missingRequired,
+    unbackedRequired,
+    unitMismatches,
+    signConventions,
+  };
+}
+
+/**
+ * Builds the alias tree of a template with a detached DeviceRuntime (no adapter I/O) and
+ * describes its conformance.
+ */
+function templateConformance(template, DeviceRuntime) {
+  const tpl = template || {};
+  const entry = {
+    templateId: String(tpl.id || ''),
+    name: String(tpl.name || tpl.id || ''),
+    category: String(tpl.category || ''),
+    manufacturer: String(tpl.manufacturer || ''),
+  };
+  try {
+    const log = { debug() {}, info() {}, warn() {}, error() {} };
+    const runtime = new DeviceRuntime({ log }, {
+      id: 'conformance',
+      templateId: tpl.id,
+      category: tpl.category,
+      manufacturer: tpl.manufacturer,
+      connection: {},
+    }, tpl, {});
+    for (const dp of tpl.datapoints || []) {
+      runtime.dpById.set(dp.id, dp);
+      runtime.dpByStateRelId.set(runtime.relStateId(dp), dp);
+    }
+    runtime._buildAliasDefinitions();
+    return {
+      ...entry,
+      ...describeConformance(runtime.aliasContractInfo, (id) => runtime._getDpById(id), sampleValues(tpl.datapoints)),
+      nativeSignConvention: runtime.signConvention ? runtime.signConvention.declared : null,
+    };
+  } catch (e) {
+    return {
+      ...entry,
+      deviceClass: getDeviceClass(tpl),
+      conformant: false,
+      error: e && e.message ? e.message : String(e),
+    };
+  }
+}
+
+/**
+ * Conformance of a running device (uses the alias tree built at start).
+ */
+function deviceConformance(runtime) {
+  const rt = runtime || {};
+  const cfg = rt.cfg || {};
+  const getDpById = (id) => (typeof rt._getDpById === 'function' ? rt._getDpById(id) : null);
+  return {
+    deviceId: String(cfg.id || ''),
+    templateId: String(cfg.templateId || ''),
+    ...describeConformance(rt.aliasContractInfo, getDpById, sampleValues(rt.template && rt.template.datapoints)),
+    nativeSignConvention: rt.signConvention ? rt.signConvention.declared : null,
+  };
+}
+
+/**
+ * Machine-readable conformance matrix.
+ *
+ * @param {object} options
+ * @param {Array<object>} [options.templates]
+ * @param {Array<object>} [options.runtimes] running DeviceRuntime instances
+ * @param {Function} [options.DeviceRuntime] defaults to ./deviceRuntime
+ * @param {boolean} [options.issuesOnly] only list entries that are not conformant or have unit mismatches
+ */
+function buildConformanceReport(options) {
+  const opts = options || {};
+  const DeviceRuntime = opts.DeviceRuntime || require('./deviceRuntime').DeviceRuntime;
+  const hasIssues = e => !e.conformant || (Array.isArray(e.unitMismatches) && e.unitMismatches.length > 0);
+
+  const templates = (Array.isArray(opts.templates) ? opts.templates : [])
+    .filter(t => t && t.id)
+    .map(t => templateConformance(t, DeviceRuntime));
+  const devices = (Array.isArray(opts.runtimes) ? opts.runtimes : [])
+    .filter(rt => rt && rt.cfg && rt.aliasContractInfo)
+    .map(deviceConformance);
+
+  const summary = {
+    templates: templates.length,
+    conformant: templates.filter(e => e.conformant).length,
+    missingRequired: templates.filter(e => e.missingRequired && e.missingRequired.length).length,
+    unbackedRequired: templates.filter(e => e.unbackedRequired && e.unbackedRequired.length).length,
+    unitMismatches: templates.filter(e => e.unitMismatches && e.unitMismatches.some(m => !m.converted)).length,
+    unitConversions: templates.filter(e => e.unitMismatches && e.unitMismatches.some(m => m.converted)).length,
+    errors: templates.filter(e => e.error).length,
+    devices: devices.length,
+    devicesConformant: devices.filter(e => e.conformant).length,
+  };
+
+  return {
+    contractId: String(contract.contractId || ''),
+    schemaVersion: SCHEMA_VERSION,
+    namespace: STANDARD_NAMESPACE,
+    canonicalUnits: { ...(contract.canonicalUnits || {}) },
+    summary,
+    templates: opts.issuesOnly ? templates.filter(hasIssues) : templates,
+    devices: opts.issuesOnly ? devices.filter(hasIssues) : devices,
+  };
+}
+
+module.exports = {
+  SIGN_TRANSFORMS,
+  signConventionFor,
+  describeConformance,
+  templateConformance,
+  deviceConformance,
+  buildConformanceReport,
+};
@@ -1,10 +1,64 @@
 'use strict';
 
 const contract = require('./alias-contract-v1.json');
+const contractV2Extension = require('./alias-contract-v2.json');
 
 const STANDARD_NAMESPACE = String(contract.namespace || 'v1');
 const SCHEMA_VERSION = Number(contract.schemaVersion || 1);
 
+function mergeSpecScope(base, extension) {
+  const merged = {
+    required: { ...((base && base.required) || {}), ...((extension && extension.required) || {}) },
+    optional: { ...((base && base.optional) || {}), ...((extension && extension.optional) || {}) },
+  };
+  const patterns = [].concat((base && base.patterns) || [], (extension && extension.patterns) || []);
+  if (patterns.length) merged.patterns = patterns;
+  return merged;
+}
+
+// alias-contract-v2.json only lists what v2 adds ("extends": "v1"). The resolved document
+// contains every v1 path unchanged plus the additions; migration.addedPaths lists the
+// additions per device class.
+function resolveExtendedContract(base, extension) {
+  const resolved = { ...base, ...extension };
+  resolved.canonicalUnits = { ...(base.canonicalUnits || {}), ...(extension.canonicalUnits || {}) };
+  resolved.signConventions = { ...(base.signConventions || {}), ...(extension.signConventions || {}) };
+  resolved.categoryToDeviceClass = { ...(base.categoryToDeviceClass || {}), ...(extension.categoryToDeviceClass || {}) };
+  resolved.common = mergeSpecScope(base.common, extension.common);
+
+  const addedPaths = {};
+  resolved.deviceClasses = {};
+  const classNames = new Set(Object.keys(base.deviceClasses || {}).concat(Object.keys(extension.deviceClasses || {})));
+  for (const deviceClass of classNames) {
+    const ext = (extension.deviceClasses || {})[deviceClass];
+    resolved.deviceClasses[deviceClass] = mergeSpecScope((base.deviceClasses || {})[deviceClass], ext);
+    const added = Object.keys((ext && ext.required) || {}).concat(Object.keys((ext && ext.optional) || {}));
+    if (added.length) addedPaths[deviceClass] = added;
+  }
+
+  resolved.pathAliases = {};
+  for (const source of [base.pathAliases || {}, extension.pathAliases || {}]) {
+    for (const [deviceClass, aliases] of Object.entries(source)) {
+      resolved.pathAliases[deviceClass] = { ...(resolved.pathAliases[deviceClass] || {}), ...aliases };
+    }
+  }
+
+  resolved.migration = { ...(extension.migration || {}), addedPaths };
+  return resolved;
+}
+
+const contractV2 = resolveExtendedContract(contract, contractV2Extension);
+const V2_NAMESPACE = String(contractV2.namespace || 'v2');
+const V2_SCHEMA_VERSION = Number(contractV2.schemaVersion || 2);
+
+// Canonical namespaces published in parallel below devices.<id>.aliases.
+const STANDARD_NAMESPACES = [STANDARD_NAMESPACE, V2_NAMESPACE];
+const CONTRACTS = { [STANDARD_NAMESPACE]: contract, [V2_NAMESPACE]: contractV2 };
+
+function getContract(namespace) {
+  return CONTRACTS[String(namespace || STANDARD_NAMESPACE)] || null;
+}
+
 function normalizeCategory(value) {
   return String(value || '').trim().toUpperCase();
 }
@@ -17,10 +71,10 @@ function getDeviceClass(template, cfg) {
   return contract.categoryToDeviceClass[category] || 'generic';
 }
 
-function canonicalAliasPath(deviceClass, aliasPath) {
+function canonicalAliasPath(deviceClass, aliasPath, doc = contract) {
   const path = String(aliasPath || '');
   if (!path) return '';
-  const classAliases = contract.pathAliases && contract.pathAliases[deviceClass];
+  const classAliases = doc.pathAliases && doc.pathAliases[deviceClass];
   return (classAliases && classAliases[path]) ? String(classAliases[path]) : path;
 }
 
@@ -34,22 +88,22 @@ function extractAliasPath(relId) {
 
 function legacyAliasPath(relId) {
   const path = extractAliasPath(relId);
-  if (path.startsWith(`${STANDARD_NAMESPACE}.`)) {
-    return path.slice(STANDARD_NAMESPACE.length + 1);
+  for (const namespace of STANDARD_NAMESPACES) {
+    if (path.startsWith(`${namespace}.`)) return path.slice(namespace.length + 1);
   }
   return path;
 }
 
-function getAliasSpec(deviceClass, aliasPath) {
-  const path = canonicalAliasPath(deviceClass, aliasPath);
+function getAliasSpec(deviceClass, aliasPath, doc = contract) {
+  const path = canonicalAliasPath(deviceClass, aliasPath, doc);
   if (!path || path.startsWith('meta.')) return null;
 
-  const commonRequired = contract.common && contract.common.required ? contract.common.required : {};
-  const commonOptional = contract.common && contract.common.optional ? contract.common.optional : {};
+  const commonRequired = doc.common && doc.common.required ? doc.common.required : {};
+  const commonOptional = doc.common && doc.common.optional ? doc.common.optional : {};
   if (commonRequired[path]) return { ...commonRequired[path], required: true, scope: 'common' };
   if (commonOptional[path]) return { ...commonOptional[path], required: false, scope: 'common' };
 
-  const classDef = contract.deviceClasses && contract.deviceClasses[deviceClass];
+  const classDef = doc.deviceClasses && doc.deviceClasses[deviceClass];
   if (!classDef) return null;
 
   if (classDef.required && classDef.required[path]) {
@@ -90,6 +144,8 @@ function unitDimension(unit) {
 
   const dimensions = {
     power: new Set(['mw', 'w', 'kw', 'mwatt', 'megawatt']),
+    reactivePower: new Set(['var', 'kvar']),
+    apparentPower: new Set(['va', 'kva']),
     energy: new Set(['0.1wh', '0.01wh', 'wh', 'kwh', 'mwh']),
     current: new Set(['ma', 'a', 'ka']),
     voltage: new Set(['mv', 'v', 'kv']),
@@ -120,6 +176,12 @@ function toBase(value, unit) {
     case 'mwatt':
     case 'megawatt': return n * 1000000;
 
+    // reactive power -> var, apparent power -> VA
+    case 'var':
+    case 'va': return n;
+    case 'kvar':
+    case 'kva': return n * 1000;
+
     // energy -> Wh
     case '0.01wh': return n * 0.01;
     case '0.1wh': return n * 0.1;
@@ -193,6 +255,12 @@ function fromBase(value, unit) {
     case 'mwatt':
     case 'megawatt': return n / 1000000;
 
+    // var / VA -> reactive / apparent power target
+    case 'var':
+    case 'va': return n;
+    case 'kvar':
+    case 'kva': return n / 1000;
+
     // Wh -> energy target
     case '0.01wh': return n / 0.01;
     case '0.1wh': return n / 0.1;
@@ -269,20 +337,22 @@ function cloneStandardDefinition(def, options) {
     baseId,
     deviceClass,
     getDpById,
-    standardNamespace = STANDARD_NAMESPACE,
+    contract: doc = contract,
+    standardNamespace = String(doc.namespace || STANDARD_NAMESPACE),
     canonicalPath,
   } = options || {};
 
   const sourcePath = canonicalAliasPath(
     deviceClass,
     canonicalPath || legacyAliasPath(def && def.relId),
+    doc,
   );
-  const spec = getAliasSpec(deviceClass, sourcePath);
+  const spec = getAliasSpec(deviceClass, sourcePath, doc);
   if (!def || !sourcePath || !spec) return null;
 
   const clone = { ...def };
   clone.relId = `${baseId}.aliases.${standardNamespace}.${sourcePath}`;
-  clone.aliasContractVersion = SCHEMA_VERSION;
+  clone.aliasContractVersion = Number(doc.schemaVersion || SCHEMA_VERSION);
   clone.aliasContractPath = sourcePath;
   clone.capability = spec.capability;
   clone.type = spec.type || clone.type;
@@ -302,6 +372,8 @@ function cloneStandardDefinition(def, options) {
 
   if (canonicalUnit) {
     clone.unit = canonicalUnit;
+    // Unit delivered by the device/template, kept for the conformance report.
+    clone.aliasSourceUnit = readUnit || null;
 
     if (clone.kind === 'computed' && typeof oldGet === 'function' && readUnit) {
       clone.get = (values, ctx) => convertUnitValue(oldGet(values, ctx), readUnit, canonicalUnit);
@@ -395,20 +467,23 @@ function buildStandardAliasDefinitions(options) {
     cfg,
     legacyDefs,
     getDpById,
+    contract: doc = contract,
   } = options || {};
 
+  const namespace = String(doc.namespace || STANDARD_NAMESPACE);
   const deviceClass = getDeviceClass(template, cfg);
   const standardDefs = [];
   const seen = new Set();
 
   for (const def of legacyDefs || []) {
-    const path = legacyAliasPath(def && def.relId);
-    if (!path || path.startsWith(`${STANDARD_NAMESPACE}.`) || path.startsWith('meta.')) continue;
+    const path = extractAliasPath(def && def.relId);
+    if (!path || STANDARD_NAMESPACES.some(ns => path.startsWith(`${ns}.`)) || path.startsWith('meta.')) continue;
     const normalized = cloneStandardDefinition(def, {
       baseId,
       deviceClass,
       getDpById,
-      standardNamespace: STANDARD_NAMESPACE,
+      contract: doc,
+      standardNamespace: namespace,
     });
     if (!normalized || seen.has(normalized.relId)) continue;
     seen.add(normalized.relId);
@@ -425,9 +500,9 @@ function buildStandardAliasDefinitions(options) {
   }
 
   const required = [];
-  const commonRequired = contract.common && contract.common.required ? Object.keys(contract.common.required) : [];
+  const commonRequired = doc.common && doc.common.required ? Object.keys(doc.common.required) : [];
   required.push(...commonRequired);
-  const classDef = contract.deviceClasses && contract.deviceClasses[deviceClass];
+  const classDef = doc.deviceClasses && doc.deviceClasses[deviceClass];
   if (classDef && classDef.required) required.push(...Object.keys(classDef.required));
 
   const presentPaths = new Set(standardDefs.map(def => legacyAliasPath(def.relId)));
@@ -437,8 +512,8 @@ function buildStandardAliasDefinitions(options) {
   const missingRequired = required.filter(path => !presentPaths.has(path));
 
   return {
-    schemaVersion: SCHEMA_VERSION,
-    namespace: STANDARD_NAMESPACE,
+    schemaVersion: Number(doc.schemaVersion || SCHEMA_VERSION),
+    namespace,
     deviceClass,
     definitions: standardDefs,
     capabilities: Array.from(capabilities).sort(),
@@ -448,11 +523,14 @@ function buildStandardAliasDefinitions(options) {
 
 function buildManifest(info, template, cfg) {
   const safeInfo = info || {};
-  return {
-    schemaVersion: SCHEMA_VERSION,
-    namespace: STANDARD_NAMESPACE,
-    standardPath: `aliases.${STANDARD_NAMESPACE}`,
-    deviceClass: safeInfo.deviceClass || getDeviceClass(template, cfg),
+  const namespace = String(safeInfo.namespace || STANDARD_NAMESPACE);
+  const doc = getContract(namespace) || contract;
+  const deviceClass = safeInfo.deviceClass || getDeviceClass(template, cfg);
+  const manifest = {
+    schemaVersion: Number(safeInfo.schemaVersion || doc.schemaVersion || SCHEMA_VERSION),
+    namespace,
+    standardPath: `aliases.${namespace}`,
+    deviceClass,
     templateId: String((cfg && cfg.templateId) || (template && template.id) || ''),
     category: String((template && template.category) || (cfg && cfg.category) || ''),
     manufacturer: String((template && template.manufacturer) || (cfg && cfg.manufacturer) || ''),
@@ -460,6 +538,28 @@ function buildManifest(info, template, cfg) {
     capabilities: Array.isArray(safeInfo.capabilities) ? safeInfo.capabilities.slice().sort() : [],
     missingRequired: Array.isArray(safeInfo.missingRequired) ? safeInfo.missingRequired.slice().sort() : [],
   };
+
+  // Migration hints for consumers of an older namespace (paths that are new, renamed or gone).
+  const migration = doc.migration;
+  if (migration && migration.from) {
+    const added = (migration.addedPaths && migration.addedPaths[deviceClass]) || [];
+    const capabilities = new Set(manifest.capabilities);
+    manifest.migration = {
+      from: String(migration.from),
+      parallelNamespaces: STANDARD_NAMESPACES.slice(),
+      publishedInParallel: migration.publishedInParallel === true,
+      previousNamespaceDeprecated: migration.previousNamespaceDeprecated === true,
+      addedPaths: added.slice(),
+      addedCapabilities: added
+        .map(path => (getAliasSpec(deviceClass, path, doc) || {}).capability)
+        .filter(capability => capability && capabilities.has(capability))
+        .sort(),
+      renamedPaths: { ...(migration.renamedPaths || {}) },
+      removedPaths: Array.isArray(migration.removedPaths) ? migration.removedPaths.slice() : [],
+      changedUnits: { ...(migration.changedUnits || {}) },
+    };
+  }
+  return manifest;
 }
 
 function mergeStandardDefinition(info, definition) {
@@ -484,8 +584,14 @@ function mergeStandardDefinition(info, definition) {
 
 module.exports = {
   contract,
+  contractV2,
   SCHEMA_VERSION,
   STANDARD_NAMESPACE,
+  V2_SCHEMA_VERSION,
+  V2_NAMESPACE,
+  STANDARD_NAMESPACES,
+  getContract,
+  resolveExtendedContract,
   getDeviceClass,
   canonicalAliasPath,
   getAliasSpec,
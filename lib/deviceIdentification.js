@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Modbus Read Device Identification (FC43 / MEI type 14).
+ *
+ * Why?
+ * - Many gateways (e.g. TA CMI) and meters answer FC43/14 with VendorName, ProductCode and
+ *   MajorMinorRevision. This identifies a device without knowing a single register address.
+ * - The admin uses the identity to suggest matching templates from templates.json when a
+ *   device is added.
+ */
+
+// Object ids of the basic (0x00..0x02) and regular (0x03..0x06) categories.
+const OBJECT_NAMES = {
+  0: 'vendorName',
+  1: 'productCode',
+  2: 'revision',
+  3: 'vendorUrl',
+  4: 'productName',
+  5: 'modelName',
+  6: 'userApplicationName',
+};
+
+function cleanText(value) {
+  if (value === undefined || value === null) return '';
+  const s = Buffer.isBuffer(value) ? value.toString('latin1') : String(value);
+  return [...s].filter(c => c.charCodeAt(0) >= 0x20 && c.charCodeAt(0) !== 0x7f).join('').trim();
+}
+
+/**
+ * Maps the raw object list ({ <objectId>: <string> }) to named fields.
+ * Unknown or extended objects (0x80..0xFF) are kept below `objects`.
+ *
+ * @param {object} data raw objects as returned by the Modbus client
+ * @param {number} [conformityLevel]
+ * @returns {{ vendorName: string, productCode: string, revision: string, objects: object } | null}
+ */
+function normalizeDeviceIdentification(data, conformityLevel) {
+  if (!data || typeof data !== 'object') return null;
+  const out = { vendorName: '', productCode: '', revision: '' };
+  const objects = {};
+  for (const [key, raw] of Object.entries(data)) {
+    const id = Number(key);
+    if (!Number.isInteger(id)) continue;
+    const text = cleanText(raw);
+    if (!text) continue;
+    objects[id] = text;
+    if (OBJECT_NAMES[id]) out[OBJECT_NAMES[id]] = text;
+  }
+  if (!Object.keys(objects).length) return null;
+  out.objects = objects;
+  if (Number.isFinite(Number(conformityLevel))) out.conformityLevel = Number(conformityLevel);
+  return out;
+}
+
+function compact(value) {
+  return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+function tokens(value) {
+  return String(value || '').toLowerCase().split(/[^a-z0-9]+/).filter((t) => t.length >= 3);
+}
+
+function vendorMatches(vendor, manufacturer) {
+  const v = compact(vendor);
+  const m = compact(manufacturer);
+  if (!v || !m) return false;
+  if (v === m || v.startsWith(m) || m.startsWith(v)) return true;
+  return tokens(vendor).some((t) => compact(t) === m) || tokens(manufacturer).some((t) => compact(t) === v);
+}
+
+/**
+ * Suggests templates for an identity, best match first.
+ * A matching vendor/manufacturer scores 10; every product code, product or model name token
+ * found in the template id, name or model adds 5. Without a vendor match at least two
+ * product hits are required.
+ *
+ * @param {object} identity result of normalizeDeviceIdentification()
+ * @param {Array<object>} templates templates.json entries
+ * @param {number} [limit]
+ * @returns {Array<{ id: string, name: string, manufacturer: string, category: string, score: number }>}
+ */
+function suggestTemplates(identity, templates, limit = 5) {
+  if (!identity || !Array.isArray(templates)) return [];
+  const vendor = identity.vendorName || '';
+  const productTokens = new Set([
+    ...tokens(identity.productCode),
+    ...tokens(identity.productName),
+    ...tokens(identity.modelName),
+  ]);
+  const productCompact = compact(identity.productCode);
+
+  const out = [];
+  for (const tpl of templates) {
+    if (!tpl || !tpl.id) continue;
+    const vendorMatch = vendorMatches(vendor, tpl.manufacturer);
+    let score = vendorMatch ? 10 : 0;
+    const haystack = compact(`${tpl.id} ${tpl.name || ''} ${tpl.model || ''}`);
+    for (const t of productTokens) {
+      if (haystack.includes(t)) score += 5;
+    }
+    if (productCompact.length >= 3 && compact(tpl.model).includes(productCompact)) score += 5;
+    // A single product token is not enough without the vendor ("meter" appears in many templates).
+    if (!vendorMatch && score < 10) continue;
+    out.push({
+      id: String(tpl.id),
+      name: String(tpl.name || tpl.id),
+      manufacturer: String(tpl.manufacturer || ''),
+      category: String(tpl.category || ''),
+      score,
+    });
+  }
+  out.sort((a, b) => (b.score - a.score) || a.id.localeCompare(b.id));
+  return out.slice(0, Math.max(0, Number(limit) || 0));
+}
+
+module.exports = {
+  OBJECT_NAMES,
+  normalizeDeviceIdentification,
+  suggestTemplates,
+};
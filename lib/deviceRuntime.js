@@ -5,6 +5,9 @@ const { roundTo, normalizeValueByUnit } = require('./utils');
 const {
   SCHEMA_VERSION: ALIAS_SCHEMA_VERSION,
   STANDARD_NAMESPACE: ALIAS_STANDARD_NAMESPACE,
+  contractV2: ALIAS_CONTRACT_V2,
+  V2_SCHEMA_VERSION: ALIAS_V2_SCHEMA_VERSION,
+  V2_NAMESPACE: ALIAS_V2_NAMESPACE,
   getDeviceClass: getAliasDeviceClass,
   canonicalAliasPath,
   legacyAliasPath,
@@ -12,6 +15,7 @@ const {
   buildStandardAliasDefinitions,
   buildManifest: buildAliasManifest,
   mergeStandardDefinition,
+  unitDimension,
 } = require('./aliasContract');
 const { ModbusDriver } = require('./drivers/modbus');
 const { MqttDriver } = require('./drivers/mqtt');
@@ -24,6 +28,21 @@ const { MbusDriver } = require('./drivers/mbus');
 const { KostalTcpDriver } = require('./drivers/kostalTcp');
 const { KostalRs485Driver } = require('./drivers/kostalRs485');
 const { TaCmiDriver } = require('./drivers/taCmi');
+const { OcppDriver } = require('./drivers/ocpp');
+const { VirtualDriver } = require('./drivers/virtual');
+const { activityTimeoutMs: ocppActivityTimeoutMs } = require('../ocpp/freshness');
+const { resolvePollClasses, PollClassScheduler } = require('./pollClasses');
+const { familyOf: signFamilyOf, parseSignConvention, applySignConvention, SignPlausibilityCheck } = require('./signConvention');
+const { ValueHistory } = require('./valueHistory');
+
+// Protocols served by ModbusDriver (serial RTU/ASCII, TCP and RTU frames via TCP/UDP gateways).
+const MODBUS_PROTOCOLS = ['modbusTcp', 'modbusRtu', 'modbusAscii', 'modbusRtuOverTcp', 'modbusUdp'];
+
+// Listen-only RTU devices never write, so write-side helpers (watchdogs, keepalives, restores) stay off.
+function isModbusListenOnly(cfg) {
+  const c = (cfg && cfg.connection) || {};
+  return cfg && cfg.protocol === 'modbusRtu' && (c.listenOnly === true || String(c.listenOnly).toLowerCase() === 'true');
+}
 
 const ABL_EMH1_LIVE_ALIAS_PATHS = new Set([
   'r.currentL1',
@@ -99,6 +118,14 @@ class DeviceRuntime {
       capabilities: [],
       missingRequired: [],
     };
+    // Alias Contract v2 (superset of v1) is published in parallel below aliases.v2.
+    this.aliasContractInfoV2 = {
+      schemaVersion: ALIAS_V2_SCHEMA_VERSION,
+      namespace: ALIAS_V2_NAMESPACE,
+      deviceClass: this.aliasDeviceClass,
+      capabilities: [],
+      missingRequired: [],
+    };
     this._aliasMetadataRefreshTimer = null;
 
     this.driver = null;
@@ -144,6 +171,18 @@ class DeviceRuntime {
     // has been quiet for a few seconds.
     this._postWriteRepeatTimersByDpId = new Map();
 
+    // Optional write verification (read-back after a write), see _scheduleWriteVerify().
+    this._writeVerifyTimersByDpId = new Map();
+    this._writeVerifyTokenByDpId = new Map();
+    this._writeStatusInfoReady = null;
+
+    // Modbus statistics states (info.modbus.*), see _updateModbusDiagnostics().
+    this._modbusDiagObjectsReady = false;
+    this._modbusDiagUpdatedAt = 0;
+
+    // Optional FC43/14 device identification after the first successful poll, see readDeviceIdentification().
+    this._deviceIdentificationRequested = false;
+
     // Optional Modbus setpoint restore (on start/reconnect): some devices reset their control setpoints
     // after a reboot or communication outage (e.g. PV export limit goes back to 100%).
     // Enabled per template via: template.driverHints.modbus.restoreSetpointsOnStart
@@ -541,6 +580,18 @@ class DeviceRuntime {
     return this._aliasRelId(`${ALIAS_STANDARD_NAMESPACE}.${aliasPath}`);
   }
 
+  /** Last published value of an aliases.v1 path (undefined when never written). Used by the Modbus server. */
+  getStandardAliasValue(aliasPath) {
+    const entry = this._stateCache.get(this._standardAliasRelId(aliasPath));
+    return entry ? entry.val : undefined;
+  }
+
+  /** True when the aliases.v1 path is backed by a writable device datapoint. */
+  isStandardAliasWritable(aliasPath) {
+    const def = this.aliasByStateRelId.get(this._standardAliasRelId(aliasPath));
+    return !!(def && (def.rw === 'rw' || def.rw === 'wo'));
+  }
+
   // --- Heartbeat alias helpers ---
   _hbRelId(name) {
     return this._aliasRelId(`r.${name}`);
@@ -550,6 +601,7 @@ class DeviceRuntime {
     return [
       this._hbRelId(name),
       this._standardAliasRelId(`r.${name}`),
+      this._aliasRelId(`${ALIAS_V2_NAMESPACE}.r.${name}`),
     ];
   }
 
@@ -773,15 +825,20 @@ class DeviceRuntime {
       }).catch(() => {});
     }
 
-    // Alias Contract v1 is additive and lives only below aliases.v1.*.
+    // Alias Contract v1/v2 are additive and live only below aliases.v1.* / aliases.v2.*.
     const standardDefs = [
       { name: 'heartbeat', displayName: 'Heartbeat counter', role: 'value', type: 'number', def: 0 },
       { name: 'lastSeenMs', displayName: 'Last seen (unix ms)', role: 'value.time', type: 'number', unit: 'ms', def: 0 },
       { name: 'online', displayName: 'Online (heartbeat)', role: 'indicator.connected', type: 'boolean', def: false },
     ];
 
-    for (const def of standardDefs) {
-      const relId = this._standardAliasRelId(`r.${def.name}`);
+    const targets = [
+      { namespace: ALIAS_STANDARD_NAMESPACE, version: ALIAS_SCHEMA_VERSION },
+      { namespace: ALIAS_V2_NAMESPACE, version: ALIAS_V2_SCHEMA_VERSION },
+    ].flatMap(ns => standardDefs.map(def => ({ ...ns, def })));
+
+    for (const { namespace, version, def } of targets) {
+      const relId = this._aliasRelId(`${namespace}.r.${def.name}`);
       await this._ensureAliasPathChannels(relId);
       const common = {
         name: def.displayName,
@@ -797,7 +854,7 @@ class DeviceRuntime {
         templateId: this.cfg.templateId,
         isAlias: true,
         aliasKind: 'heartbeat',
-        aliasContractVersion: ALIAS_SCHEMA_VERSION,
+        aliasContractVersion: version,
         aliasContractPath: `r.${def.name}`,
         capability: `read.${def.name}`,
         deviceClass: this.aliasDeviceClass,
@@ -821,6 +878,12 @@ class DeviceRuntime {
     const proto = String(this.cfg?.protocol || '').toLowerCase();
     const isSpeedwire = proto === 'speedwire';
 
+    // OCPP stations only report on change; the heartbeat interval announced in
+    // BootNotification is the only guaranteed sign of life.
+    if (proto === 'ocpp') {
+      return ocppActivityTimeoutMs(this.cfg?.connection?.heartbeatIntervalSec || 300);
+    }
+
     if (isEventDriven || proto === 'mqtt' || proto === 'canbus') {
       return 30000;
     }
@@ -860,15 +923,7 @@ class DeviceRuntime {
 
   _isAblEmh1LiveMeasurementAlias(relId) {
     if (!this._isAblEmh1EvccTemplate()) return false;
-    const text = String(relId || '');
-    const marker = '.aliases.';
-    const index = text.indexOf(marker);
-    if (index < 0) return false;
-    let path = text.slice(index + marker.length);
-    if (path.startsWith(`${ALIAS_STANDARD_NAMESPACE}.`)) {
-      path = path.slice(ALIAS_STANDARD_NAMESPACE.length + 1);
-    }
-    return ABL_EMH1_LIVE_ALIAS_PATHS.has(path);
+    return ABL_EMH1_LIVE_ALIAS_PATHS.has(legacyAliasPath(relId));
   }
 
   _shouldResetAblEmh1LiveMeasurements(values, ctx) {
@@ -1809,6 +1864,62 @@ class DeviceRuntime {
         });
       }
 
+      // --- Alias Contract v2: installed capacity and usable stored energy (canonical-only) ---
+      // Only capacity datapoints with an energy unit qualify; Ah capacities need the pack voltage.
+      const isEnergyDp = (dp) => !!dp && unitDimension(dp.unit) === 'energy';
+      const capacityDp = [
+        'bATTERY_CAPACITY_WH',
+        'bATTERY_CAPACITY',
+        'BatteryCapacityHighPrecision',
+        'BatteryCapacity',
+        'TotalBatteryRatedCapacity',
+      ].map(id => findById(id)).find(isEnergyDp) || null;
+      const usableEnergyDp = ['bATTERY_ENERGY_CONTENT', 'bATTERY_REMAINING_ENERGY']
+        .map(id => findById(id)).find(isEnergyDp) || null;
+
+      if (capacityDp) {
+        addStandardSource({
+          relId: this._aliasRelId('r.capacityWh'),
+          name: 'Installed capacity',
+          role: 'value.energy',
+          type: 'number',
+          unit: capacityDp.unit,
+          rw: 'ro',
+          kind: 'dp',
+          dpId: capacityDp.id,
+        });
+      }
+      if (usableEnergyDp) {
+        addStandardSource({
+          relId: this._aliasRelId('r.usableEnergyWh'),
+          name: 'Usable stored energy',
+          role: 'value.energy',
+          type: 'number',
+          unit: usableEnergyDp.unit,
+          rw: 'ro',
+          kind: 'dp',
+          dpId: usableEnergyDp.id,
+        });
+      } else if (capacityDp && socCandidateDps.length) {
+        // Without a direct reading: installed capacity x SoC.
+        const socDef = defs.find(d => d && d.relId === this._aliasRelId('r.soc'));
+        addStandardSource({
+          relId: this._aliasRelId('r.usableEnergyWh'),
+          name: 'Usable stored energy (capacity x SoC)',
+          role: 'value.energy',
+          type: 'number',
+          unit: capacityDp.unit,
+          rw: 'ro',
+          kind: 'computed',
+          get: (values) => {
+            const capacity = asNumber(values && values[capacityDp.id]);
+            const soc = socDef && typeof socDef.get === 'function' ? asNumber(socDef.get(values)) : undefined;
+            if (capacity === undefined || soc === undefined) return undefined;
+            return capacity * soc / 100;
+          },
+        });
+      }
+
       const sohDp =
         getAnyById('sOH') ||
         findByIdRe(/(^|_)soh($|_)/i) ||
@@ -2958,6 +3069,61 @@ class DeviceRuntime {
           dpId: freqDp.id,
         });
       }
+
+      // --- Alias Contract v2: per-phase active power, reactive/apparent power, per-phase energy ---
+      // Canonical-only sources: v1 has no spec for these paths, so they appear only below aliases.v2.
+      const phaseSource = (aliasPath, name, role, defaultUnit, dp) => {
+        if (!dp) return;
+        addStandardSource({
+          relId: this._aliasRelId(aliasPath),
+          name,
+          role,
+          type: 'number',
+          unit: dp.unit || defaultUnit,
+          rw: 'ro',
+          kind: 'dp',
+          dpId: dp.id,
+        });
+      };
+
+      [['L1', pL1], ['L2', pL2], ['L3', pL3]].forEach(([phase, dp]) => {
+        if (dp) {
+          phaseSource(`r.power${phase}`, `Active power ${phase}`, 'value.power', 'W', dp);
+          return;
+        }
+        // EM300-style meters report per-phase import (_POS) and export (_NEG) separately.
+        const pos = getAnyById(`aCTIVE_POWER_${phase}_POS`);
+        const neg = getAnyById(`aCTIVE_POWER_${phase}_NEG`);
+        if (!pos && !neg) return;
+        addStandardSource({
+          relId: this._aliasRelId(`r.power${phase}`),
+          name: `Active power ${phase}`,
+          role: 'value.power',
+          type: 'number',
+          unit: (pos && pos.unit) || (neg && neg.unit) || 'W',
+          rw: 'ro',
+          kind: 'computed',
+          get: (values) => {
+            const p = pos ? asNumber(values && values[pos.id]) : undefined;
+            const n = neg ? asNumber(values && values[neg.id]) : undefined;
+            if (p === undefined && n === undefined) return undefined;
+            return (p || 0) - (n || 0);
+          },
+        });
+      });
+
+      phaseSource('r.reactivePower', 'Reactive power', 'value.power.reactive', 'var', getAnyById('rEACTIVE_POWER'));
+      phaseSource('r.apparentPower', 'Apparent power', 'value.power', 'VA', getAnyById('aPPARENT_POWER', 'tOTAL_APPARENT_POWER', 'aPPARENT_POWER_SUM'));
+      [['L1', 'l1', 'S1_L1N'], ['L2', 'l2', 'S2_L2N'], ['L3', 'l3', 'S3_L3N']].forEach(([phase, lower, sPhase]) => {
+        phaseSource(`r.reactivePower${phase}`, `Reactive power ${phase}`, 'value.power.reactive', 'var', getAnyById(`rEACTIVE_POWER_${phase}`));
+        phaseSource(`r.apparentPower${phase}`, `Apparent power ${phase}`, 'value.power', 'VA',
+          getAnyById(`aPPARENT_POWER_${phase}`, `${lower}_APPARENT_POWER`, `aPPARENT_POWER_${sPhase}`));
+      });
+
+      [['L1', importEnergyL1, exportEnergyL1], ['L2', importEnergyL2, exportEnergyL2], ['L3', importEnergyL3, exportEnergyL3]].forEach(([phase, imp, exp]) => {
+        phaseSource(`r.energyImport${phase}`, `Import energy ${phase}`, 'value.energy', 'Wh', imp || getAnyById(`rEAL_ENERGY_${phase}_CONSUMED`));
+        phaseSource(`r.energyExport${phase}`, `Export energy ${phase}`, 'value.energy', 'Wh', exp || getAnyById(`rEAL_ENERGY_${phase}_DELIVERED`));
+      });
     }
 
     // --- Canonical-only solar / DC charger aliases (CHARGER / DC_CHARGER) ---
@@ -4737,6 +4903,181 @@ class DeviceRuntime {
         // Never break generic EVCS alias generation due to the OEM V10.03 mapping.
       }
 
+      // --- OCPP central system charge points ---
+      // cHARGE_POINT_STATE is derived by the central system from StatusNotification
+      // (1.6 ChargePointStatus, 2.x ConnectorStatus refined by TransactionEvent
+      // chargingState) using the numeric OCPP status convention 0..9.
+      try {
+        const isOcppChargePoint = String(this.cfg?.protocol || '') === 'ocpp' ||
+          String(this.template?.id || '').toLowerCase().startsWith('evcs.ocpp.');
+        const ocppStateDp = isOcppChargePoint ? getAnyById('cHARGE_POINT_STATE') : null;
+        if (ocppStateDp) {
+          const ocppState = (values) => {
+            const n = Number(values && values[ocppStateDp.id]);
+            return Number.isFinite(n) ? Math.trunc(n) : undefined;
+          };
+          const ocppStateFlag = (codes) => (values) => {
+            const state = ocppState(values);
+            return state === undefined ? undefined : codes.includes(state);
+          };
+
+          add({
+            relId: this._aliasRelId('r.statusText'),
+            name: 'Connector status',
+            role: 'text',
+            type: 'string',
+            rw: 'ro',
+            kind: 'computed',
+            replace: true,
+            get: (values) => {
+              const state = ocppState(values);
+              if (state === undefined) return '';
+              return ({
+                0: 'Undefined',
+                1: 'Available',
+                2: 'Preparing',
+                3: 'Charging',
+                4: 'SuspendedEVSE',
+                5: 'SuspendedEV',
+                6: 'Finishing',
+                7: 'Reserved',
+                8: 'Unavailable',
+                9: 'Faulted',
+              })[state] || `Unknown (${state})`;
+            },
+          });
+          add({
+            relId: this._aliasRelId('r.available'),
+            name: 'Connector available',
+            role: 'indicator.available',
+            type: 'boolean',
+            rw: 'ro',
+            kind: 'computed',
+            replace: true,
+            get: ocppStateFlag([1, 2, 3, 4, 5, 6]),
+          });
+          add({
+            relId: this._aliasRelId('r.vehicleConnected'),
+            name: 'Vehicle connected',
+            role: 'indicator.connected',
+            type: 'boolean',
+            rw: 'ro',
+            kind: 'computed',
+            replace: true,
+            get: ocppStateFlag([2, 3, 4, 5, 6]),
+          });
+          add({
+            relId: this._aliasRelId('r.charging'),
+            name: 'Charging active',
+            role: 'indicator',
+            type: 'boolean',
+            rw: 'ro',
+            kind: 'computed',
+            replace: true,
+            get: ocppStateFlag([3]),
+          });
+          add({
+            relId: this._aliasRelId('r.chargingReleased'),
+            name: 'Charging released by connector state',
+            role: 'indicator',
+            type: 'boolean',
+            rw: 'ro',
+            kind: 'computed',
+            replace: true,
+            get: ocppStateFlag([2, 3, 5]),
+          });
+          add({
+            relId: this._aliasRelId('alarm.fault'),
+            name: 'Connector fault',
+            role: 'indicator.alarm',
+            type: 'boolean',
+            rw: 'ro',
+            kind: 'computed',
+            replace: true,
+            get: (values) => ocppState(values) === 9,
+          });
+        }
+
+        // Remote start/stop: read back the transaction state, write the remote command.
+        const ocppTxActiveDp = isOcppChargePoint ? getAnyById('tRANSACTION_ACTIVE') : null;
+        const ocppRunDp = isOcppChargePoint ? getAnyById('rEMOTE_START_STOP') : null;
+        if (ocppTxActiveDp && ocppRunDp) {
+          add({
+            relId: this._aliasRelId('ctrl.run'),
+            name: 'Run (remote start / stop transaction)',
+            role: 'switch',
+            type: 'boolean',
+            rw: 'rw',
+            kind: 'dp',
+            dpId: ocppTxActiveDp.id,
+            writeDpId: ocppRunDp.id,
+            replace: true,
+            toDevice: (v) => v === true || v === 1 || v === 'true' || v === '1',
+            fromDevice: (v) => (typeof v === 'boolean' ? v : undefined),
+          });
+        }
+        const ocppUnlockDp = isOcppChargePoint ? getAnyById('sET_UNLOCK_PLUG') : null;
+        if (ocppUnlockDp) {
+          add({
+            relId: this._aliasRelId('ctrl.unlockPlug'),
+            name: 'Unlock plug (UnlockConnector)',
+            role: 'button',
+            type: 'boolean',
+            rw: 'rw',
+            kind: 'dp',
+            dpId: ocppUnlockDp.id,
+            writeDpId: ocppUnlockDp.id,
+            replace: true,
+            // Only the rising edge sends UnlockConnector.
+            toDevice: (v) => (v ? true : null),
+            fromDevice: (v) => (typeof v === 'boolean' ? v : undefined),
+          });
+        }
+
+        // SetChargingProfile / ClearChargingProfile answer of the station for the
+        // last ctrl.currentLimitA / ctrl.powerLimitW write.
+        const ocppAcceptedDp = isOcppChargePoint ? getAnyById('cONTROL_ACCEPTED') : null;
+        if (ocppAcceptedDp) {
+          add({
+            relId: this._aliasRelId('r.controlAccepted'),
+            name: 'Charging profile accepted by charge point',
+            role: 'indicator',
+            type: 'boolean',
+            rw: 'ro',
+            kind: 'dp',
+            dpId: ocppAcceptedDp.id,
+            replace: true,
+          });
+        }
+
+        // ISO 15118 charging needs of the connected EV (NotifyEVChargingNeeds, OCPP 2.0.1 / 2.1).
+        const ocppVehicleAliases = [
+          ['eV_DEPARTURE_TIME', 'r.evDepartureTime', 'EV departure time', 'date', 'string'],
+          ['eV_ENERGY_REQUEST', 'r.evEnergyRequest', 'Energy requested by the EV', 'value.energy', 'number'],
+          ['eV_MAX_CURRENT', 'r.evMaxCurrentA', 'EV maximum charging current', 'value.current', 'number'],
+          ['eV_MAX_POWER', 'r.evMaxPower', 'EV maximum charging power', 'value.power', 'number'],
+          ['eV_TARGET_SOC', 'r.evTargetSoc', 'EV target state of charge', 'value.battery', 'number'],
+          ['eV_BIDIRECTIONAL', 'r.evBidirectional', 'EV offers bidirectional power transfer', 'indicator', 'boolean'],
+          ['eV_MAX_DISCHARGE_POWER', 'r.evMaxDischargePower', 'EV maximum discharge power', 'value.power', 'number'],
+        ];
+        for (const [dpId, aliasPath, name, role, type] of ocppVehicleAliases) {
+          const dp = isOcppChargePoint ? getAnyById(dpId) : null;
+          if (!dp) continue;
+          add({
+            relId: this._aliasRelId(aliasPath),
+            name,
+            role,
+            type,
+            unit: dp.unit,
+            rw: 'ro',
+            kind: 'dp',
+            dpId: dp.id,
+          });
+        }
+      } catch (e) {
+        // Never break generic EVCS alias generation due to the OCPP mapping.
+      }
+
       // --- MENNEKES AMTRON 4You 500 / 4Business 700 special aliases ---
       // The charging-point-network EMS limit consists of three registers (L1/L2/L3).
       // Expose a single user-friendly alias that writes all three registers with one FC16 block.
@@ -6059,6 +6400,10 @@ class DeviceRuntime {
       }
     }
 
+    // A declared native sign convention is applied to the source definitions, so legacy
+    // aliases and aliases.v1 publish the same (contract) sign.
+    this._applyNativeSignConvention(defs.concat(standardOnlyDefs));
+
     // Build the strict, versioned Alias Contract v1 namespace. Unlike the historic aliases,
     // aliases.v1 has fixed paths, types, roles and SI-oriented units. The NexoWatt UI should
     // use this namespace for automatic discovery and mapping.
@@ -6073,11 +6418,139 @@ class DeviceRuntime {
     this.aliasDeviceClass = standard.deviceClass;
     for (const def of standard.definitions) add(def);
 
+    // Alias Contract v2 contains every v1 path plus per-phase/reactive/apparent power,
+    // per-phase energy and storage capacity. Published in parallel so consumers can migrate
+    // from aliases.v1 to aliases.v2 at their own pace.
+    const standardV2 = buildStandardAliasDefinitions({
+      baseId: this.baseId,
+      template: this.template,
+      cfg: this.cfg,
+      legacyDefs: defs.concat(standardOnlyDefs),
+      getDpById: (id) => this._getDpById(id),
+      contract: ALIAS_CONTRACT_V2,
+    });
+    this.aliasContractInfoV2 = standardV2;
+    for (const def of standardV2.definitions) add(def);
+
     return defs;
   }
 
+  // Native sign convention declared by the device (cfg.signConvention) or the template
+  // (aliasContract.signConvention), e.g. "storage positive=charge". See lib/signConvention.js.
+  _applyNativeSignConvention(defs) {
+    this.signConvention = null;
+    const declared = (this.cfg && this.cfg.signConvention) || (this.template && this.template.aliasContract && this.template.aliasContract.signConvention);
+    if (!declared) return;
+    try {
+      const convention = parseSignConvention(declared, getAliasDeviceClass(this.template, this.cfg));
+      if (!convention) return;
+      const applied = applySignConvention(defs, convention, (def) => legacyAliasPath(def.relId));
+      this.signConvention = { ...convention, ...applied };
+      if (convention.inverted) {
+        this.adapter.log.info(`[${this.cfg.id}] Native sign convention "${convention.declared}" normalized (${applied.negated.concat(applied.swapped).join(', ') || 'no matching aliases'})`);
+      }
+    } catch (e) {
+      this.adapter.log.warn(`[${this.cfg.id}] ${e && e.message ? e.message : e}`);
+    }
+  }
+
+  // Plausibility of the published (contract) sign, see SignPlausibilityCheck.
+  // Writes info.signPlausibility ('' = plausible) only when the verdict changes.
+  async _checkSignPlausibility() {
+    if (this._signPlausibility === undefined) {
+      const family = this.cfg && this.cfg.signPlausibility === false ? null : signFamilyOf(this.aliasDeviceClass);
+      this._signPlausibility = family ? new SignPlausibilityCheck(family) : null;
+    }
+    const check = this._signPlausibility;
+    if (!check) return;
+    const changed = check.update({
+      power: this.getStandardAliasValue('r.power'),
+      soc: this.getStandardAliasValue('r.soc'),
+    });
+    if (!changed) return;
+
+    const relId = `${this.baseId}.info.signPlausibility`;
+    if (!this._signPlausibilityObjectReady) {
+      await this.adapter.setObjectNotExistsAsync(relId, {
+        type: 'state',
+        common: { name: 'Sign plausibility (empty = plausible)', type: 'string', role: 'text', read: true, write: false },
+        native: {},
+      });
+      this._signPlausibilityObjectReady = true;
+    }
+    await this._setStateCached(relId, check.reason, true);
+    if (check.suspect) this.adapter.log.warn(`[${this.cfg.id}] ${check.reason}. Check the sign convention of the device.`);
+    else this.adapter.log.info(`[${this.cfg.id}] Sign plausibility OK again`);
+  }
+
+  // Datapoints recorded by the optional value history: cfg.historyDatapoints (comma list) or
+  // every numeric datapoint behind an aliases.v1 alias.
+  _valueHistoryDatapoints() {
+    const configured = this.cfg && this.cfg.historyDatapoints;
+    const list = Array.isArray(configured) ? configured : String(configured || '').split(',');
+    const ids = list.map(id => String(id || '').trim()).filter(Boolean);
+    if (!ids.length) {
+      const defs = (this.aliasContractInfo && this.aliasContractInfo.definitions) || [];
+      for (const def of defs) {
+        if (def && def.kind === 'dp' && def.dpId && !ids.includes(def.dpId)) ids.push(def.dpId);
+      }
+    }
+    return ids
+      .map(id => this._getDpById(id))
+      .filter(dp => dp && dp.type === 'number' && dp.rw !== 'wo')
+      .map(dp => ({ dp, counter: unitDimension(dp.unit) === 'energy' || /^value\.energy/.test(String(dp.role || '')) }));
+  }
+
+  // Optional rolling value history (cfg.historyEnabled), see lib/valueHistory.js.
+  // Publishes the 1-minute, 15-minute and hourly aggregates below devices.<id>.history.
+  async _recordValueHistory(values) {
+    if (this._valueHistory === undefined) {
+      this._valueHistory = null;
+      if (!this.cfg || this.cfg.historyEnabled !== true) return;
+      const tracked = this._valueHistoryDatapoints();
+      if (!tracked.length) return;
+      this._valueHistory = new ValueHistory({
+        deviceId: this.cfg.id,
+        dir: this.adapter.instanceDataDir ? path.join(this.adapter.instanceDataDir, 'value-history') : null,
+        log: this.adapter.log,
+        resolutionSec: this.cfg.historyResolutionSec,
+        retentionHours: this.cfg.historyRetentionHours,
+      });
+      this._valueHistoryTracked = tracked;
+      this._valueHistoryObjects = new Set();
+      const restored = await this._valueHistory.load().catch(() => 0);
+      this.adapter.log.debug(`[${this.cfg.id}] Value history for ${tracked.length} datapoints (${restored} buckets restored)`);
+    }
+    const history = this._valueHistory;
+    if (!history) return;
 
+    const ts = Date.now();
+    for (const { dp, counter } of this._valueHistoryTracked) {
+      const completed = history.add(dp.id, values[dp.id], { ts, counter });
+      for (const agg of completed) await this._publishValueHistoryAggregate(dp, agg, counter);
+    }
+    await history.saveIfDue(ts).catch((e) => {
+      this.adapter.log.warn(`[${this.cfg.id}] Value history not saved: ${e && e.message ? e.message : e}`);
+    });
+  }
 
+  async _publishValueHistoryAggregate(dp, agg, counter) {
+    const base = `${this.baseId}.history.${String(dp.id).replace(/[^A-Za-z0-9_-]/g, '_')}.${agg.key}`;
+    const fields = counter ? ['avg', 'min', 'max', 'delta'] : ['avg', 'min', 'max'];
+    if (!this._valueHistoryObjects.has(base)) {
+      await this.adapter.setObjectNotExistsAsync(`${this.baseId}.history`, { type: 'channel', common: { name: 'Value history' }, native: {} });
+      await this.adapter.setObjectNotExistsAsync(base, { type: 'channel', common: { name: `${dp.name || dp.id} (${agg.key})` }, native: { dpId: dp.id, windowMs: agg.to - agg.from } });
+      for (const field of fields) {
+        await this.adapter.setObjectNotExistsAsync(`${base}.${field}`, {
+          type: 'state',
+          common: { name: `${dp.id} ${agg.key} ${field}`, type: 'number', role: 'value', unit: dp.unit || '', read: true, write: false },
+          native: {},
+        });
+      }
+      this._valueHistoryObjects.add(base);
+    }
+    for (const field of fields) await this._setStateCached(`${base}.${field}`, agg[field], true);
+  }
 
   async registerDynamicAlias(def, options = {}) {
     if (!def || !def.relId) return null;
@@ -6119,25 +6592,28 @@ class DeviceRuntime {
     this.aliasDefs.push(def);
 
     if (def.aliasContractVersion) {
-      mergeStandardDefinition(this.aliasContractInfo, def);
+      const info = def.aliasContractVersion === ALIAS_V2_SCHEMA_VERSION ? this.aliasContractInfoV2 : this.aliasContractInfo;
+      mergeStandardDefinition(info, def);
       this._scheduleAliasContractMetadataRefresh();
     } else if (!options.skipStandardMirror) {
       const sourcePath = legacyAliasPath(relId);
       if (sourcePath && !sourcePath.startsWith('meta.')) {
-        const canonicalPath = canonicalAliasPath(this.aliasDeviceClass, sourcePath);
-        const sourceForStandard = {
-          ...def,
-          relId: this._aliasRelId(canonicalPath),
-        };
-        const standardDef = cloneStandardDefinition(sourceForStandard, {
-          baseId: this.baseId,
-          deviceClass: this.aliasDeviceClass,
-          getDpById: (id) => this._getDpById(id),
-          standardNamespace: ALIAS_STANDARD_NAMESPACE,
-          canonicalPath,
-        });
-        if (standardDef) {
-          await this.registerDynamicAlias(standardDef, { skipStandardMirror: true });
+        for (const contractDoc of [undefined, ALIAS_CONTRACT_V2]) {
+          const canonicalPath = canonicalAliasPath(this.aliasDeviceClass, sourcePath, contractDoc);
+          const sourceForStandard = {
+            ...def,
+            relId: this._aliasRelId(canonicalPath),
+          };
+          const standardDef = cloneStandardDefinition(sourceForStandard, {
+            baseId: this.baseId,
+            deviceClass: this.aliasDeviceClass,
+            getDpById: (id) => this._getDpById(id),
+            contract: contractDoc,
+            canonicalPath,
+          });
+          if (standardDef) {
+            await this.registerDynamicAlias(standardDef, { skipStandardMirror: true });
+          }
         }
       }
     }
@@ -6253,10 +6729,53 @@ class DeviceRuntime {
       await this._setStateCached(relId, state.value, true);
     }
 
+    // Alias Contract v2 metadata lives below aliases.meta.v2; the manifest carries the
+    // migration hints (added/renamed/removed paths relative to v1).
+    const infoV2 = this.aliasContractInfoV2 || {
+      schemaVersion: ALIAS_V2_SCHEMA_VERSION,
+      namespace: ALIAS_V2_NAMESPACE,
+      deviceClass: this.aliasDeviceClass,
+      capabilities: [],
+      missingRequired: [],
+    };
+    const manifestV2 = buildAliasManifest(infoV2, this.template, this.cfg);
+    const statesV2 = [
+      { path: 'schemaVersion', name: 'Alias schema version', type: 'number', role: 'value', value: ALIAS_V2_SCHEMA_VERSION },
+      { path: 'namespace', name: 'Canonical alias namespace', type: 'string', role: 'text', value: ALIAS_V2_NAMESPACE },
+      { path: 'capabilities', name: 'Capabilities (JSON)', type: 'string', role: 'json', value: JSON.stringify(manifestV2.capabilities || []) },
+      { path: 'capabilityCount', name: 'Capability count', type: 'number', role: 'value', value: manifestV2.capabilities.length },
+      { path: 'missingRequired', name: 'Missing required aliases (JSON)', type: 'string', role: 'json', value: JSON.stringify(manifestV2.missingRequired || []) },
+      { path: 'migration', name: 'Migration from v1 (JSON)', type: 'string', role: 'json', value: JSON.stringify(manifestV2.migration || {}) },
+      { path: 'manifest', name: 'Alias Contract v2 manifest (JSON)', type: 'string', role: 'json', value: JSON.stringify(manifestV2) },
+    ];
+
+    for (const state of statesV2) {
+      const relId = this._aliasRelId(`meta.${ALIAS_V2_NAMESPACE}.${state.path}`);
+      await this._ensureAliasPathChannels(relId);
+      const common = {
+        name: state.name,
+        type: state.type,
+        role: state.role,
+        read: true,
+        write: false,
+      };
+      const native = {
+        deviceId: this.cfg.id,
+        templateId: this.cfg.templateId,
+        isAliasMetadata: true,
+        aliasContractVersion: ALIAS_V2_SCHEMA_VERSION,
+        deviceClass: manifestV2.deviceClass,
+      };
+      await this.adapter.setObjectNotExistsAsync(relId, { type: 'state', common, native });
+      await this.adapter.extendObjectAsync(relId, { common, native }).catch(() => {});
+      await this._setStateCached(relId, state.value, true);
+    }
+
     const nativeContract = {
       aliasSchemaVersion: ALIAS_SCHEMA_VERSION,
       aliasNamespace: ALIAS_STANDARD_NAMESPACE,
       aliasStandardPath: `aliases.${ALIAS_STANDARD_NAMESPACE}`,
+      aliasNamespaces: [ALIAS_STANDARD_NAMESPACE, ALIAS_V2_NAMESPACE],
       deviceClass: manifest.deviceClass,
       capabilities: manifest.capabilities,
       missingRequiredAliases: manifest.missingRequired,
@@ -6267,6 +6786,17 @@ class DeviceRuntime {
       common: { name: `Alias Contract v${ALIAS_SCHEMA_VERSION}` },
       native: nativeContract,
     }).catch(() => {});
+    await this.adapter.extendObjectAsync(`${this.baseId}.aliases.${ALIAS_V2_NAMESPACE}`, {
+      common: { name: `Alias Contract v${ALIAS_V2_SCHEMA_VERSION}` },
+      native: {
+        aliasSchemaVersion: ALIAS_V2_SCHEMA_VERSION,
+        aliasNamespace: ALIAS_V2_NAMESPACE,
+        aliasStandardPath: `aliases.${ALIAS_V2_NAMESPACE}`,
+        deviceClass: manifestV2.deviceClass,
+        capabilities: manifestV2.capabilities,
+        missingRequiredAliases: manifestV2.missingRequired,
+      },
+    }).catch(() => {});
 
     if (manifest.missingRequired.length) {
       this.adapter.log.warn(
@@ -6365,6 +6895,9 @@ class DeviceRuntime {
         this._liveAliasRefreshOptions(def.relId, v, c),
       );
     }
+
+    if (!noValues) await this._checkSignPlausibility().catch(() => {});
+    if (!noValues) await this._recordValueHistory(v).catch(() => {});
   }
 
   async _handleMqttSnapshot(values, meta) {
@@ -6402,7 +6935,7 @@ class DeviceRuntime {
 
   _createDriver() {
     const proto = this.cfg.protocol;
-    if (proto === 'modbusTcp' || proto === 'modbusRtu' || proto === 'modbusAscii') {
+    if (MODBUS_PROTOCOLS.includes(proto)) {
       return new ModbusDriver(this.adapter, this.cfg, this.template, this.global);
     }
     if (proto === 'mbus') {
@@ -6453,9 +6986,28 @@ class DeviceRuntime {
     if (proto === 'taCmi') {
       return new TaCmiDriver(this.adapter, this.cfg, this.template, this.global, this);
     }
+    if (proto === 'ocpp') {
+      // OCPP charge points connect to the shared central system; the driver maps
+      // station values onto template datapoints like the MQTT driver does.
+      return new OcppDriver(
+        this.adapter,
+        this.cfg,
+        this.template,
+        this.global,
+        (dp) => this.relStateId(dp),
+        (dp) => this._getRoundingDecimals(dp),
+        () => { this._tickHeartbeatFromIncomingData().catch(() => {}); },
+        (values, meta) => this._handleMqttSnapshot(values, meta),
+        (connected, errorMessage) => this._handleMqttConnectionState(connected, errorMessage || 'OCPP charge point disconnected')
+      );
+    }
     if (proto === 'udp') {
       return new UdpDriver(this.adapter, this.cfg, this.template, this.global);
     }
+    if (proto === 'virtual') {
+      // Site-level aggregation over the aliases.v1 states of other devices.
+      return new VirtualDriver(this.adapter, this.cfg, this.template, this.global);
+    }
     throw new Error(`Unsupported protocol: ${proto}`);
   }
 
@@ -6482,7 +7034,7 @@ class DeviceRuntime {
     await this._resetAblEmh1LiveMeasurements();
 
     // Event-driven protocols (no polling)
-    if (this.cfg.protocol === 'mqtt' || this.cfg.protocol === 'canbus') {
+    if (this.cfg.protocol === 'mqtt' || this.cfg.protocol === 'canbus' || this.cfg.protocol === 'ocpp') {
       this._liveAliasRefreshMs = this._computeLiveAliasRefreshMs({ isEventDriven: true });
       try {
         await this.driver.connect(this.getDatapoints());
@@ -6494,8 +7046,8 @@ class DeviceRuntime {
       this._hbTimeoutMs = this._computeHeartbeatTimeoutMs({ isEventDriven: true });
       this._startHeartbeatChecker();
 
-      // MQTT is considered online only after a real message was received. CANbus
-      // keeps its historical transport-connected behaviour.
+      // MQTT and OCPP are considered online only after a real message was received.
+      // CANbus keeps its historical transport-connected behaviour.
       const initialConnected = this.cfg.protocol === 'canbus';
       await this._setStateCached(`${this.baseId}.info.connection`, initialConnected, true);
       await this._setStateCached(`${this.baseId}.info.lastError`, '', true);
@@ -6567,10 +7119,22 @@ class DeviceRuntime {
 
     fastIntervalMs = clampInterval(fastIntervalMs);
     if (useSplitPolling) slowIntervalMs = clampInterval(slowIntervalMs);
-    this._liveAliasRefreshMs = this._computeLiveAliasRefreshMs({ fastIntervalMs, isEventDriven: false });
+
+    // Optional per-datapoint poll classes (fast/normal/slow/once). They replace the fast/slow
+    // split: each cycle only reads the datapoints whose class is due.
+    const pollClasses = resolvePollClasses({ datapoints: allDps, template: this.template, cfg: this.cfg, normalIntervalMs: fastIntervalMs });
+    const pollClassScheduler = pollClasses ? new PollClassScheduler(allDps, pollClasses) : null;
+    if (pollClassScheduler) {
+      useSplitPolling = false;
+      const i = pollClasses.intervalsMs;
+      this.adapter.log.debug(`[${this.cfg.id}] poll classes: fast=${pollClassScheduler.datapointsByClass.get('fast').length}@${i.fast}ms normal=${pollClassScheduler.datapointsByClass.get('normal').length}@${i.normal}ms slow=${pollClassScheduler.datapointsByClass.get('slow').length}@${i.slow}ms once=${pollClassScheduler.datapointsByClass.get('once').length}`);
+    }
+    // Freshness is driven by the most frequently polled class.
+    const freshnessIntervalMs = pollClassScheduler ? pollClassScheduler.minIntervalMs : fastIntervalMs;
+    this._liveAliasRefreshMs = this._computeLiveAliasRefreshMs({ fastIntervalMs: freshnessIntervalMs, isEventDriven: false });
 
     // Heartbeat timeout derived from polling interval (unless overridden).
-    this._hbTimeoutMs = this._computeHeartbeatTimeoutMs({ fastIntervalMs, isEventDriven: false });
+    this._hbTimeoutMs = this._computeHeartbeatTimeoutMs({ fastIntervalMs: freshnessIntervalMs, isEventDriven: false });
     this._startHeartbeatChecker();
 
     // Optional write throttling & command cadence scheduling (template hinted).
@@ -6623,7 +7187,7 @@ class DeviceRuntime {
 
 
     const doPoll = async (dps) => {
-      if (!this.driver) return;
+      if (!this.driver) return false;
       const pollDps = Array.isArray(dps) ? dps : allDps;
       try {
         const wasOk = this._connOk;
@@ -6634,6 +7198,8 @@ class DeviceRuntime {
         // This helps if the device resets its setpoints after a reboot (e.g. PV export limit).
         if (!wasOk) {
           try { this._scheduleRestoreSetpoints('reconnect'); } catch (_) {}
+          // "once" datapoints (serial number, firmware) may have changed while the device was gone.
+          if (pollClassScheduler) pollClassScheduler.markDue('once');
         }
 
         await this._setStateCached(`${this.baseId}.info.connection`, true, true);
@@ -6641,9 +7207,12 @@ class DeviceRuntime {
 
         // Heartbeat tick: mark device alive only when we received real data.
         // Special case Speedwire: only tick when a NEW telegram arrived (driver.lastSeen changed).
+        // Virtual devices: only tick when one of their inputs delivered new data.
         try {
           const proto = String(this.cfg?.protocol || '').toLowerCase();
-          if (proto === 'speedwire') {
+          if (proto === 'virtual') {
+            await this._tickHeartbeatFromIncomingData(Number(this.driver?.lastSeen || 0));
+          } else if (proto === 'speedwire') {
             const stamp = Number(this.driver?.lastSeen || 0);
             const staleMs = Number(this.driver?.staleTimeoutMs || this.cfg?.connection?.staleTimeoutMs || 30000);
             const age = stamp > 0 ? (Date.now() - stamp) : Number.POSITIVE_INFINITY;
@@ -6681,22 +7250,46 @@ class DeviceRuntime {
         }
 
         await this._updateAliases(values, { connected: true, lastError: '' });
+        await this._updateModbusDiagnostics().catch(() => {});
+        if (!this._deviceIdentificationRequested && this._shouldReadDeviceIdentification()) {
+          this._deviceIdentificationRequested = true;
+          this.readDeviceIdentification().catch((e) => {
+            this.adapter.log.debug(`[${this.cfg.id}] Modbus device identification not available: ${e && e.message ? e.message : e}`);
+          });
+        }
+        return true;
       } catch (e) {
         await this._setError(e);
+        // A virtual device is offline as soon as one of its required inputs is.
+        if (e && e.code === 'E_VIRTUAL_INPUT_STALE') await this._setHeartbeatOnline(false, e.message).catch(() => {});
+        await this._updateModbusDiagnostics().catch(() => {});
+        return false;
       }
     };
 
+    // Poll-class cycle: reads the due classes only and schedules them again.
+    const doPollDueClasses = async (now, only = null) => {
+      const due = pollClassScheduler.due(now, only);
+      if (!due.classes.length) return;
+      const ok = await doPoll(due.datapoints);
+      pollClassScheduler.markPolled(due.classes, fixedFastCadence ? now : Date.now(), ok);
+    };
+
     // Initial poll: by default refresh the slow/full set once.
     // Some devices close the Modbus session on optional/unsupported registers; templates can
     // start with the fast set first so core data comes online immediately.
     const initialFastOnly = !!(tplPolling && (tplPolling.initialFastOnly === true || String(tplPolling.initialFastOnly).toLowerCase() === 'true'));
-    await doPoll(initialFastOnly ? fastDps : slowDps);
+    if (pollClassScheduler) {
+      await doPollDueClasses(Date.now(), initialFastOnly ? ['fast'] : null);
+    } else {
+      await doPoll(initialFastOnly ? fastDps : slowDps);
+    }
 
     // Self-scheduling poll loop (prevents overlaps/backlog and keeps cadence stable).
     this._pollLoopActive = true;
 
     const self = this;
-    let nextFastAt = Date.now() + fastIntervalMs;
+    let nextFastAt = pollClassScheduler ? pollClassScheduler.nextDueTime() : Date.now() + fastIntervalMs;
     let nextSlowAt = useSplitPolling ? (Date.now() + slowIntervalMs) : Number.POSITIVE_INFINITY;
 
     let loopFn = null;
@@ -6718,6 +7311,14 @@ class DeviceRuntime {
 
       const cycleStartedAt = Date.now();
       const now = cycleStartedAt;
+
+      if (pollClassScheduler) {
+        await doPollDueClasses(now);
+        if (!self._pollLoopActive || !self.driver) return;
+        scheduleNext(pollClassScheduler.nextDueTime() - Date.now());
+        return;
+      }
+
       const runSlow = useSplitPolling && now >= nextSlowAt;
 
       // Default profiles schedule from completion to avoid catch-up loops. Fast closed-loop
@@ -6762,6 +7363,8 @@ class DeviceRuntime {
           await self._flushWriteQueueOnce();
           if (!self._writeQueue || self._writeQueue.size === 0) break;
         }
+      } else if (pollClassScheduler) {
+        await doPollDueClasses(now);
       } else if (runSlow) {
         await doPoll(slowDps);
         const finishedAt = Date.now();
@@ -7035,6 +7638,15 @@ class DeviceRuntime {
       this._postWriteRepeatTimersByDpId.clear();
     }
 
+    // Stop pending write verifications
+    if (this._writeVerifyTimersByDpId && this._writeVerifyTimersByDpId.size) {
+      for (const timer of this._writeVerifyTimersByDpId.values()) {
+        try { clearTimeout(timer); } catch (_) {}
+      }
+      this._writeVerifyTimersByDpId.clear();
+    }
+    if (this._writeVerifyTokenByDpId) this._writeVerifyTokenByDpId.clear();
+
     // Stop optional setpoint restore scheduler
     if (this._restoreTimer) {
       try { clearTimeout(this._restoreTimer); } catch (_) {}
@@ -7052,6 +7664,11 @@ class DeviceRuntime {
       try { clearTimeout(this._aliasMetadataRefreshTimer); } catch (_) {}
       this._aliasMetadataRefreshTimer = null;
     }
+    if (this._valueHistory) {
+      await this._valueHistory.save().catch((e) => {
+        this.adapter.log.warn(`[${this.cfg.id}] Value history not saved: ${e && e.message ? e.message : e}`);
+      });
+    }
     // Mark offline on stop (fail-safe)
     for (const relId of this._hbRelIds('online')) {
       await this._setStateCached(relId, false, true);
@@ -7299,7 +7916,7 @@ class DeviceRuntime {
     }
 
     const key = String(dp.id);
-    const isAutomaticRefresh = !!(meta && (meta.isSetpointKeepalive === true || meta.isPostWriteRepeat === true || meta.isPreWrite === true));
+    const isAutomaticRefresh = !!(meta && (meta.isSetpointKeepalive === true || meta.isPostWriteRepeat === true || meta.isPreWrite === true || meta.isWriteVerifyRetry === true));
 
     // A new manual command in a mutually exclusive setpoint group invalidates older
     // queued/repeat commands from the other members of the group. This prevents a
@@ -7308,6 +7925,7 @@ class DeviceRuntime {
     if (!isAutomaticRefresh) {
       try { this._dropQueuedExclusiveSetpointPeers(key); } catch (_) {}
       try { this._cancelExclusiveSetpointPeerPostRepeats(key); } catch (_) {}
+      try { this._cancelExclusiveSetpointPeerWriteVerify(key); } catch (_) {}
     }
 
     // Treat user/script commands as the authoritative desired value immediately, even when
@@ -7333,7 +7951,7 @@ class DeviceRuntime {
       this._writeQueue.set(key, entry);
     } else {
       const existingMeta = entry.meta || {};
-      const existingAutomatic = !!(existingMeta.isSetpointKeepalive || existingMeta.isPostWriteRepeat || existingMeta.isPreWrite);
+      const existingAutomatic = !!(existingMeta.isSetpointKeepalive || existingMeta.isPostWriteRepeat || existingMeta.isPreWrite || existingMeta.isWriteVerifyRetry);
       const incomingAutomatic = !!isAutomaticRefresh;
       const incomingUserCommand = !!(meta && meta.isUserCommand === true);
       const existingUserCommand = !!(existingMeta && existingMeta.isUserCommand === true);
@@ -7351,6 +7969,11 @@ class DeviceRuntime {
       entry.meta = Object.assign({}, existingMeta, meta || {}, {
         isUserCommand: existingUserCommand || incomingUserCommand,
       });
+      // A fresh command replacing a queued verification retry starts its own verification.
+      if (!incomingAutomatic && existingMeta.isWriteVerifyRetry) {
+        delete entry.meta.isWriteVerifyRetry;
+        delete entry.meta.writeVerifyAttempt;
+      }
     }
 
     if (ackRelId) {
@@ -7395,6 +8018,11 @@ class DeviceRuntime {
       await this.driver.writeDatapoint(entry.dp, entry.deviceValue);
       this._recordWrite(entry.dp.id, { skipPostWriteRepeat: entry.meta?.skipPostWriteRepeat === true });
 
+      // User commands (and their verification retries) are read back when the template asks for it.
+      if (entry.meta?.isUserCommand === true || entry.meta?.isWriteVerifyRetry === true) {
+        this._scheduleWriteVerify(entry.dp, entry.deviceValue, Number(entry.meta.writeVerifyAttempt || 0));
+      }
+
       // Persist last setpoint for restore-on-start/reconnect (best-effort)
       await this._persistSetpointValueIfNeeded(entry.dp, entry.deviceValue).catch(() => {});
 
@@ -7418,6 +8046,7 @@ class DeviceRuntime {
       if (this._isSuppressedUnsupportedWriteError(e)) {
         if (picked) {
           const [key, entry] = picked;
+          if (entry && entry.meta && (entry.meta.isUserCommand === true || entry.meta.isWriteVerifyRetry === true)) await this._setWriteStatus(entry.dp, 'rejected');
           if (entry && entry.dp) this._handleSuppressedUnsupportedWrite(e, entry.dp.id);
           if (this._writeQueue) this._writeQueue.delete(key);
         }
@@ -7431,6 +8060,7 @@ class DeviceRuntime {
           const looksPermanent = /modbus\s+exception\s+(2|3)\b|illegal\s+data\s+(address|value)|register\s+not\s+supported|cannot\s+be\s+written/i.test(msg);
           if (this._isAlfenTemplate() && looksPermanent) {
             this._writeQueue.delete(key);
+            if (entry.meta && (entry.meta.isUserCommand === true || entry.meta.isWriteVerifyRetry === true)) await this._setWriteStatus(entry.dp, 'rejected');
             if (entry.dp && entry.dp.id) this._handleAlfenRejectedControlWrite(e, entry.dp.id);
             // Automatic validity refreshes remain quiet, but a manual command must leave
             // a visible diagnostic in info.lastError. Previously Alfen FC16 exception 2/3
@@ -7446,6 +8076,7 @@ class DeviceRuntime {
           const maxAttempts = looksPermanent ? permanentAttempts : 10;
           if (entry.attempts >= maxAttempts) {
             this._writeQueue.delete(key);
+            if (entry.meta && (entry.meta.isUserCommand === true || entry.meta.isWriteVerifyRetry === true)) await this._setWriteStatus(entry.dp, 'rejected');
             if (looksPermanent) {
               const cooldownMsRaw = Number(modHints.unsupportedWriteCooldownMs ?? 0);
               const cooldownMs = Number.isFinite(cooldownMsRaw) && cooldownMsRaw > 0 ? cooldownMsRaw : 0;
@@ -7543,6 +8174,7 @@ class DeviceRuntime {
 
         // For sensitive devices (e.g. SolaX), coalesce/throttle writes instead of sending them immediately.
         this._rememberCommandedValue(aliasTargetDp.id, toDev);
+        await this._setWriteStatus(aliasTargetDp, 'pending');
 
         if (this._isWriteQueueEnabled()) {
           this._enqueueWrite(relId, aliasTargetDp, toDev, state.val, { bypassUnsupportedCooldown: true, isUserCommand: true });
@@ -7559,6 +8191,7 @@ class DeviceRuntime {
 
         // Track that this datapoint was actively written (used for watchdog fail-safe).
         this._recordWrite(aliasTargetDp.id);
+        this._scheduleWriteVerify(aliasTargetDp, effectiveToDev);
 
         // Persist last setpoint for restore-on-start/reconnect (best-effort)
         await this._persistSetpointValueIfNeeded(aliasTargetDp, effectiveToDev).catch(() => {});
@@ -7581,6 +8214,7 @@ class DeviceRuntime {
 
         return;
       } catch (e) {
+        await this._setWriteStatus(aliasTargetDp, 'rejected');
         if (this._isSuppressedUnsupportedWriteError(e)) {
           this._handleSuppressedUnsupportedWrite(e, aliasTargetDp && aliasTargetDp.id ? aliasTargetDp.id : undefined);
           return;
@@ -7603,7 +8237,17 @@ class DeviceRuntime {
 
     // 2) regular datapoint write handling
     const dp = this.dpByStateRelId.get(relId);
-    if (!dp) return;
+    if (!dp) {
+      // 3) driver-owned writable states (e.g. the OCPP configuration tree below ocpp.config.*)
+      if (this.driver && typeof this.driver.handleStateWrite === 'function') {
+        try {
+          await this.driver.handleStateWrite(relId, state.val);
+        } catch (e) {
+          this.adapter.log.warn(`[${this.cfg.id}] Write to ${relId} failed: ${e && e.message ? e.message : e}`);
+        }
+      }
+      return;
+    }
     if (!(dp.rw === 'rw' || dp.rw === 'wo')) return;
     if (!this.driver || typeof this.driver.writeDatapoint !== 'function') return;
 
@@ -7611,6 +8255,7 @@ class DeviceRuntime {
       // Direct user/script writes must not be suppressed by a previous automatic
       // keepalive rejection. Let the actual device response decide.
       this._rememberCommandedValue(dp.id, state.val);
+      await this._setWriteStatus(dp, 'pending');
 
       // For sensitive devices (e.g. SolaX), coalesce/throttle writes instead of sending them immediately.
       if (this._isWriteQueueEnabled()) {
@@ -7628,6 +8273,7 @@ class DeviceRuntime {
 
       // Track that this datapoint was actively written (used for watchdog fail-safe).
       this._recordWrite(dp.id);
+      this._scheduleWriteVerify(dp, effectiveValue);
 
       // Persist last setpoint for restore-on-start/reconnect (best-effort)
       await this._persistSetpointValueIfNeeded(dp, effectiveValue).catch(() => {});
@@ -7635,6 +8281,7 @@ class DeviceRuntime {
       // ack the written value
       await this._setStateCached(relId, effectiveValue, true);
     } catch (e) {
+      await this._setWriteStatus(dp, 'rejected');
       if (this._isSuppressedUnsupportedWriteError(e)) {
         this._handleSuppressedUnsupportedWrite(e, dp && dp.id ? dp.id : undefined);
         return;
@@ -7746,7 +8393,7 @@ class DeviceRuntime {
   async _startAutoWatchdogs() {
     // Only applies to Modbus devices
     const proto = this.cfg?.protocol;
-    if (proto !== 'modbusTcp' && proto !== 'modbusRtu') return;
+    if (!MODBUS_PROTOCOLS.includes(proto) || proto === 'modbusAscii' || isModbusListenOnly(this.cfg)) return;
 
     const cfg = this._getAutoWatchdogConfig();
     if (!cfg) return;
@@ -7886,7 +8533,7 @@ class DeviceRuntime {
 
   _getRestoreSetpointsConfig() {
     const proto = this.cfg?.protocol;
-    if (proto !== 'modbusTcp' && proto !== 'modbusRtu' && proto !== 'modbusAscii') return null;
+    if (!MODBUS_PROTOCOLS.includes(proto) || isModbusListenOnly(this.cfg)) return null;
 
     const hints = this.template?.driverHints?.modbus;
     if (!hints) return null;
@@ -8164,6 +8811,20 @@ class DeviceRuntime {
     }
   }
 
+  _cancelExclusiveSetpointPeerWriteVerify(dpId) {
+    const peers = this._getExclusiveSetpointPeers(dpId);
+    if (!peers.length || !this._writeVerifyTimersByDpId) return;
+    for (const peer of peers) {
+      try {
+        const timer = this._writeVerifyTimersByDpId.get(peer);
+        if (timer) clearTimeout(timer);
+        this._writeVerifyTimersByDpId.delete(peer);
+        // Also stops a read-back that is already running; its retry would rewrite the old peer command.
+        this._writeVerifyTokenByDpId.delete(peer);
+      } catch (_) {}
+    }
+  }
+
   _dropQueuedExclusiveSetpointPeers(dpId) {
     const peers = this._getExclusiveSetpointPeers(dpId);
     if (!peers.length || !this._writeQueue) return;
@@ -8271,7 +8932,7 @@ class DeviceRuntime {
 
   _getPostWriteRepeatConfig() {
     const proto = this.cfg?.protocol;
-    if (proto !== 'modbusTcp' && proto !== 'modbusRtu' && proto !== 'modbusAscii') return null;
+    if (!MODBUS_PROTOCOLS.includes(proto) || isModbusListenOnly(this.cfg)) return null;
 
     const hints = this.template?.driverHints?.modbus;
     if (!hints) return null;
@@ -8393,9 +9054,295 @@ class DeviceRuntime {
     if (this._postWriteRepeatTimersByDpId) this._postWriteRepeatTimersByDpId.set(key, timer);
   }
 
+  // Modbus request statistics (ModbusDriver.getDiagnostics) below info.modbus.*, so a flaky
+  // RS485 segment or gateway shows up without debug logging. Updated at most every 10 s.
+  async _updateModbusDiagnostics(force = false) {
+    if (!this.driver || typeof this.driver.getDiagnostics !== 'function') return;
+    const now = Date.now();
+    if (!force && this._modbusDiagUpdatedAt && now - this._modbusDiagUpdatedAt < 10000) return;
+    this._modbusDiagUpdatedAt = now;
+
+    const d = this.driver.getDiagnostics();
+    const base = `${this.baseId}.info.modbus`;
+    const defs = [
+      ['requests', 'Requests', 'number', 'value', d.requests],
+      ['timeouts', 'Timeouts', 'number', 'value', d.timeouts],
+      ['transportErrors', 'Transport errors', 'number', 'value', d.transportErrors],
+      ['exceptionCount', 'Modbus exceptions', 'number', 'value', d.exceptionCount],
+      ['exceptions', 'Modbus exceptions by code (JSON)', 'string', 'json', JSON.stringify(d.exceptions)],
+      ['rttMinMs', 'Round-trip time min', 'number', 'value', d.rttMinMs],
+      ['rttAvgMs', 'Round-trip time avg', 'number', 'value', d.rttAvgMs],
+      ['rttMaxMs', 'Round-trip time max', 'number', 'value', d.rttMaxMs],
+      ['skippedGroups', 'Skipped read groups (JSON)', 'string', 'json', JSON.stringify(d.skippedGroups)],
+      ['splitGroups', 'Split read groups (JSON)', 'string', 'json', JSON.stringify(d.splitGroups)],
+    ];
+
+    if (!this._modbusDiagObjectsReady) {
+      await this.adapter.setObjectNotExistsAsync(base, {
+        type: 'channel',
+        common: { name: 'Modbus statistics' },
+        native: {},
+      });
+      for (const [id, name, type, role] of defs) {
+        const common = { name, type, role, read: true, write: false };
+        if (id.endsWith('Ms')) common.unit = 'ms';
+        await this.adapter.setObjectNotExistsAsync(`${base}.${id}`, { type: 'state', common, native: {} });
+      }
+      this._modbusDiagObjectsReady = true;
+    }
+
+    for (const [id, , , , val] of defs) {
+      await this._setStateCached(`${base}.${id}`, val === undefined ? null : val, true);
+    }
+  }
+
+  // Optional Modbus device identification (FC43/14) on start:
+  //   connection.readDeviceIdentification = true or driverHints.modbus.readDeviceIdentification = true
+  // Only asked once per adapter start; devices without FC43 answer with exception 1 and are left alone.
+  _shouldReadDeviceIdentification() {
+    if (!MODBUS_PROTOCOLS.includes(this.cfg?.protocol) || isModbusListenOnly(this.cfg)) return false;
+    const flag = this.cfg?.connection?.readDeviceIdentification ?? this.template?.driverHints?.modbus?.readDeviceIdentification;
+    return flag === true || String(flag).toLowerCase() === 'true';
+  }
+
+  /**
+   * Reads VendorName/ProductCode/Revision via FC43/14 and stores them below info.*.
+   * Used by the optional startup step and the admin (sendTo 'modbusReadDeviceIdentification').
+   */
+  async readDeviceIdentification() {
+    if (!this.driver || typeof this.driver.readDeviceIdentification !== 'function') {
+      throw new Error('Device identification is only supported for Modbus devices');
+    }
+    const identity = await this.driver.readDeviceIdentification();
+    const defs = [
+      ['vendorName', 'Vendor name', 'string', 'info.manufacturer', identity.vendorName],
+      ['productCode', 'Product code', 'string', 'info.model', identity.productCode],
+      ['revision', 'Revision', 'string', 'info.firmware', identity.revision],
+      ['deviceIdentification', 'Device identification (JSON)', 'string', 'json', JSON.stringify(identity)],
+    ];
+    for (const [id, name, type, role, val] of defs) {
+      await this.adapter.setObjectNotExistsAsync(`${this.baseId}.info.${id}`, {
+        type: 'state',
+        common: { name, type, role, read: true, write: false },
+        native: {},
+      });
+      await this._setStateCached(`${this.baseId}.info.${id}`, val, true);
+    }
+    this.adapter.log.info(`[${this.cfg.id}] Modbus device identification: ${[identity.vendorName, identity.productCode, identity.revision].filter(Boolean).join(' / ')}`);
+    return identity;
+  }
+
+  // Optional generic write verification (template hinted):
+  //   driverHints.modbus.writeVerify = true | { delayMs, retries, tolerance, targets: [{ dpId, readDpId, delayMs, retries, tolerance }] | dpIds: [...] }
+  // A successful FC5/6/15/16 response only means the device accepted the frame. Some devices
+  // silently clamp or ignore setpoints, so the register is read back after `delayMs` and
+  // compared. On a mismatch the value is written again up to `retries` times.
+  // The result is exposed per datapoint in info.writeStatus.<dpId>.
+  _getWriteVerifyConfig() {
+    const proto = this.cfg?.protocol;
+    if (!MODBUS_PROTOCOLS.includes(proto) || isModbusListenOnly(this.cfg)) return null;
+
+    const hints = this.template?.driverHints?.modbus;
+    if (!hints) return null;
+
+    let cfg = hints.writeVerify || hints.verifyWrites || null;
+    if (!cfg) return null;
+    if (cfg === true) cfg = {};
+    if (!cfg || typeof cfg !== 'object') return null;
+    if (cfg.enabled === false) return null;
+
+    const num = (v, fallback) => {
+      const n = Number(v);
+      return Number.isFinite(n) && n >= 0 ? n : fallback;
+    };
+    const defaults = {
+      delayMs: Math.max(100, num(cfg.delayMs, 1000)),
+      retries: Math.min(10, Math.trunc(num(cfg.retries, 2))),
+      tolerance: cfg.tolerance !== undefined ? num(cfg.tolerance, undefined) : undefined,
+    };
+
+    const rawTargets = Array.isArray(cfg.targets)
+      ? cfg.targets
+      : Array.isArray(cfg.dpIds)
+        ? cfg.dpIds
+        : [];
+
+    const targets = new Map();
+    for (const raw of rawTargets) {
+      const t = (raw && typeof raw === 'object') ? raw : { dpId: raw };
+      const dpId = String(t.dpId || '').trim();
+      if (!dpId) continue;
+      targets.set(dpId, {
+        dpId,
+        readDpId: t.readDpId ? String(t.readDpId) : '',
+        delayMs: Math.max(100, num(t.delayMs, defaults.delayMs)),
+        retries: Math.min(10, Math.trunc(num(t.retries, defaults.retries))),
+        tolerance: t.tolerance !== undefined ? num(t.tolerance, defaults.tolerance) : defaults.tolerance,
+      });
+    }
+
+    // Without an explicit list every writable datapoint is verified.
+    return { allWritable: rawTargets.length === 0, defaults, targets };
+  }
+
+  _getWriteVerifyTarget(dpId) {
+    const cfg = this._getWriteVerifyConfig();
+    if (!cfg) return null;
+    const key = String(dpId || '');
+    if (cfg.targets.has(key)) return cfg.targets.get(key);
+    if (!cfg.allWritable) return null;
+    const dp = this._getDpById(key);
+    if (!dp || !(dp.rw === 'rw' || dp.rw === 'wo')) return null;
+    return Object.assign({ dpId: key, readDpId: '' }, cfg.defaults);
+  }
+
+  // Datapoint used to read the written value back: an explicit readDpId, the datapoint itself
+  // when it has a read source, or its write register read via FC3 (FC1 for coils).
+  _getWriteVerifyReadDp(dp, target) {
+    if (target && target.readDpId) return this._getDpById(target.readDpId) || null;
+    const src = dp && dp.source;
+    if (!src || src.kind !== 'modbus') return null;
+    if (src.read) return dp;
+    const fc = Number(src.fc);
+    if ([1, 2, 3, 4].includes(fc)) return dp;
+    const readFc = (fc === 5 || fc === 15) ? 1 : (fc === 6 || fc === 16) ? 3 : 0;
+    if (!readFc) return null;
+    return Object.assign({}, dp, { source: Object.assign({}, src, src.write || {}, { fc: readFc, write: undefined }) });
+  }
+
+  _writeVerifyMatches(dp, target, expected, actual) {
+    if (actual === undefined || actual === null) return false;
+    if (dp.type === 'boolean' || typeof expected === 'boolean') return !!actual === !!expected;
+    const e = (typeof this._parseNumberWithUnits === 'function') ? this._parseNumberWithUnits(expected) : Number(expected);
+    const a = Number(actual);
+    if (!Number.isFinite(e) || !Number.isFinite(a)) return String(actual) === String(expected);
+
+    let tolerance = target.tolerance;
+    if (tolerance === undefined) {
+      // Default: half a register step, so scaled setpoints (e.g. 0.1 A) survive the integer round trip.
+      tolerance = 0;
+      try {
+        const src = Object.assign({}, dp.source || {}, (dp.source && dp.source.write) || {});
+        const sf = (this.driver && typeof this.driver._getScaleFactor === 'function') ? Number(this.driver._getScaleFactor(src)) : 0;
+        if (Number.isFinite(sf) && sf < 0) tolerance = Math.pow(10, sf) / 2;
+      } catch (_) {}
+    }
+    return Math.abs(a - e) <= tolerance + 1e-9;
+  }
+
+  _writeStatusRelId(dpId) {
+    return `${this.baseId}.info.writeStatus.${String(dpId)}`;
+  }
+
+  async _setWriteStatus(dp, status) {
+    if (!dp || !dp.id || !this._getWriteVerifyTarget(dp.id)) return;
+    try {
+      if (!this._writeStatusInfoReady) {
+        await this.adapter.setObjectNotExistsAsync(`${this.baseId}.info.writeStatus`, {
+          type: 'channel',
+          common: { name: 'Write status' },
+          native: {},
+        });
+        this._writeStatusInfoReady = new Set();
+      }
+      const id = this._writeStatusRelId(dp.id);
+      if (!this._writeStatusInfoReady.has(id)) {
+        await this.adapter.setObjectNotExistsAsync(id, {
+          type: 'state',
+          common: {
+            name: dp.name ? `Write status: ${dp.name}` : `Write status: ${dp.id}`,
+            type: 'string',
+            role: 'text',
+            read: true,
+            write: false,
+            states: { pending: 'pending', confirmed: 'confirmed', mismatch: 'mismatch', rejected: 'rejected' },
+          },
+          native: { dpId: dp.id },
+        });
+        this._writeStatusInfoReady.add(id);
+      }
+      await this._setStateCached(id, status, true);
+    } catch (e) {
+      this.adapter.log.debug(`[${this.cfg.id}] WriteVerify: cannot set status for ${dp.id}: ${e && e.message ? e.message : e}`);
+    }
+  }
+
+  _scheduleWriteVerify(dp, expected, attempt = 0) {
+    const target = dp && dp.id ? this._getWriteVerifyTarget(dp.id) : null;
+    if (!target) return;
+    const key = String(dp.id);
+    // A new command (attempt 0) supersedes the pending verification of its exclusive peers.
+    if (attempt === 0) {
+      try { this._cancelExclusiveSetpointPeerWriteVerify(key); } catch (_) {}
+    }
+
+    const previous = this._writeVerifyTimersByDpId.get(key);
+    if (previous) {
+      try { clearTimeout(previous); } catch (_) {}
+    }
+    const token = {};
+    this._writeVerifyTokenByDpId.set(key, token);
+
+    const timer = setTimeout(async () => {
+      this._writeVerifyTimersByDpId.delete(key);
+      if (this._writeVerifyTokenByDpId.get(key) !== token) return;
+      if (!this.driver || typeof this.driver.readDatapoints !== 'function') return;
+
+      const readDp = this._getWriteVerifyReadDp(dp, target);
+      if (!readDp) {
+        this.adapter.log.debug(`[${this.cfg.id}] WriteVerify: no read-back source for ${key}`);
+        return;
+      }
+
+      let actual;
+      try {
+        const values = await this.driver.readDatapoints([readDp]);
+        actual = values ? values[readDp.id] : undefined;
+      } catch (e) {
+        this.adapter.log.debug(`[${this.cfg.id}] WriteVerify: read-back of ${key} failed: ${e && e.message ? e.message : e}`);
+      }
+      // A newer write of the same datapoint owns the status now.
+      if (this._writeVerifyTokenByDpId.get(key) !== token) return;
+
+      if (this._writeVerifyMatches(dp, target, expected, actual)) {
+        this._writeVerifyTokenByDpId.delete(key);
+        await this._setWriteStatus(dp, 'confirmed');
+        return;
+      }
+
+      if (attempt >= target.retries) {
+        this._writeVerifyTokenByDpId.delete(key);
+        await this._setWriteStatus(dp, 'mismatch');
+        this.adapter.log.warn(`[${this.cfg.id}] WriteVerify: ${key} reads back ${actual} instead of ${expected} after ${attempt + 1} attempt(s)`);
+        return;
+      }
+
+      // Nothing read (e.g. the poll loop held the bus): only read again. Otherwise write again.
+      if (actual === undefined || actual === null) {
+        this._scheduleWriteVerify(dp, expected, attempt + 1);
+        return;
+      }
+      try {
+        if (this._isWriteQueueEnabled()) {
+          this._enqueueWrite(null, dp, expected, expected, { skipPostWriteRepeat: true, isWriteVerifyRetry: true, writeVerifyAttempt: attempt + 1 });
+          return;
+        }
+        await this.driver.writeDatapoint(dp, expected);
+        this._recordWrite(dp.id, { skipPostWriteRepeat: true });
+        this._scheduleWriteVerify(dp, expected, attempt + 1);
+      } catch (e) {
+        this._writeVerifyTokenByDpId.delete(key);
+        await this._setWriteStatus(dp, 'rejected');
+        this.adapter.log.debug(`[${this.cfg.id}] WriteVerify: retry of ${key} failed: ${e && e.message ? e.message : e}`);
+      }
+    }, target.delayMs);
+
+    this._writeVerifyTimersByDpId.set(key, timer);
+  }
+
   _getSetpointKeepaliveConfig() {
     const proto = this.cfg?.protocol;
-    if (proto !== 'modbusTcp' && proto !== 'modbusRtu' && proto !== 'modbusAscii') return null;
+    if (!MODBUS_PROTOCOLS.includes(proto) || isModbusListenOnly(this.cfg)) return null;
 
     const hints = this.template?.driverHints?.modbus;
     if (!hints) return null;
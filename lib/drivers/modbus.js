@@ -12,12 +12,19 @@
 const ModbusRTU = require('modbus-serial');
 const { acquireBus, releaseBus } = require('./modbusRtuBus');
 const { acquireBus: acquireAsciiBus, releaseBus: releaseAsciiBus } = require('./modbusAsciiBus');
+const { acquireBus: acquireTcpBus, releaseBus: releaseTcpBus } = require('./modbusTcpBus');
+const { acquireSniffer, releaseSniffer } = require('./modbusRtuSniffer');
 const { applyScale, removeScale, bigIntToNumberOrString } = require('../utils');
 const { decodeAsciiLswFirst, encodeAsciiLswFirst, decodeHexLswFirst, decodeIpv4U16 } = require('../weidmuellerCodec');
+const { decodeCommonModel } = require('../sunspecModels');
+const { normalizeDeviceIdentification } = require('../deviceIdentification');
 
 // Generic async sleep helper (used for Modbus pacing/backoff)
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Protocols using the shared RTU bus (lib/drivers/modbusRtuBus.js) -> bus transport.
+const RTU_TRANSPORTS = Object.freeze({ modbusRtu: 'serial', modbusRtuOverTcp: 'tcp', modbusUdp: 'udp' });
+
 
 function _errCode(err) {
   try { return (err && err.code) ? String(err.code) : ''; } catch (_) { return ''; }
@@ -343,6 +350,38 @@ function dataTypeWordLength(dataType) {
   return 1;
 }
 
+// Register scanner: every dataType bufferToValue() decodes, with the number of registers used.
+const SCAN_DATA_TYPES = Object.freeze([
+  ['bool', 1], ['int16', 1], ['uint16', 1], ['string', 1],
+  ['int32', 2], ['uint32', 2], ['float32', 2], ['bcd_hhmmss', 2], ['ascii_lsw_first', 2], ['hex_lsw_first', 2],
+  ['int64', 4], ['uint64', 4], ['float64', 4], ['ipv4_u16', 4],
+]);
+
+/**
+ * Decode the registers starting at `index` as every scan dataType and word/byte order.
+ * Returns { [dataType]: { 'be/be': v, 'be/le': v, 'le/be': v, 'le/le': v } } (wordOrder/byteOrder);
+ * single-register types only have the 'be/*' variants. Types running past the end of the
+ * block or into a failed register are omitted.
+ */
+function decodeScanVariants(words, index) {
+  const out = {};
+  for (const [dataType, len] of SCAN_DATA_TYPES) {
+    const slice = words.slice(index, index + len);
+    if (slice.length < len || slice.some(w => w === null || w === undefined)) continue;
+    const variants = {};
+    for (const wo of (len > 1 ? ['be', 'le'] : ['be'])) {
+      for (const bo of ['be', 'le']) {
+        let v = bufferToValue(regsToBuffer(slice, wo, bo), dataType);
+        if (typeof v === 'bigint') v = bigIntToNumberOrString(v);
+        if (typeof v === 'number' && !Number.isFinite(v)) v = String(v);
+        variants[`${wo}/${bo}`] = v;
+      }
+    }
+    out[dataType] = variants;
+  }
+  return out;
+}
+
 function parseNumericMaybeHex(x) {
   if (x === null || x === undefined) return undefined;
   if (typeof x === 'number') return Number.isFinite(x) ? x : undefined;
@@ -567,13 +606,20 @@ class ModbusDriver {
     this.rtuBusKey = null;
     this.asciiBus = null;
     this.asciiBusKey = null;
+    this.tcpBus = null; // shared TCP connection (connection.sharedConnection)
+    this.tcpBusKey = null;
+    this.sniffer = null; // passive RTU listener (connection.listenOnly)
+    this.snifferKey = null;
 
     if (deviceConfig.protocol === 'modbusTcp') {
       this.client = new ModbusRTU();
     }
+    // RTU framing through the shared bus: serial line or a transparent RS485 gateway over TCP/UDP.
+    this.rtuTransport = RTU_TRANSPORTS[deviceConfig.protocol] || null;
     this.connected = false;
     this.connecting = false;
     this._busy = false;
+    this._exclusive = null; // pending promise while runExclusive() holds the connection
 
     // Cache for dynamic scale factors (e.g. SunSpec *_SF registers)
     this._sfCache = new Map();
@@ -665,7 +711,7 @@ class ModbusDriver {
     // power update via WiNet-S/WiNet-S2/Logger1000.
     this._sungrowModeLastWriteAt = new Map();
 
-    this.protocol = deviceConfig.protocol; // modbusTcp or modbusRtu
+    this.protocol = deviceConfig.protocol; // modbusTcp, modbusRtu, modbusRtuOverTcp, modbusUdp or modbusAscii
     // Treat 0 or invalid values as "use default" (the UI often uses 0 to mean "not set").
     const cfgTimeout = Number(c.timeoutMs);
     const hintTimeout = Number(hints.timeoutMs);
@@ -773,6 +819,15 @@ class ModbusDriver {
     if (!Number.isFinite(this.maxReconnectBackoffMs) || this.maxReconnectBackoffMs < 0) this.maxReconnectBackoffMs = 30000;
     if (this.maxReconnectBackoffMs < this.reconnectBackoffMs) this.maxReconnectBackoffMs = this.reconnectBackoffMs;
 
+    // Gateways with many unit IDs (Victron GX, SMA Data Manager) limit the number of TCP connections.
+    // With sharedConnection all devices on the same host:port use one socket (lib/drivers/modbusTcpBus.js);
+    // a unit ID that stops answering is backed off for unitBackoffMs, doubling up to maxReconnectBackoffMs.
+    const rawSharedConnection = (c.sharedConnection ?? hints.sharedConnection ?? false);
+    this.sharedTcp = this.protocol === 'modbusTcp' && (rawSharedConnection === true || String(rawSharedConnection).toLowerCase() === 'true');
+    const rawUnitBackoff = (c.unitBackoffMs ?? hints.unitBackoffMs ?? 1000);
+    this.unitBackoffMs = Number(rawUnitBackoff);
+    if (!Number.isFinite(this.unitBackoffMs) || this.unitBackoffMs < 0) this.unitBackoffMs = 1000;
+
     // Maximum Modbus register span per read request (best-effort).
     // Conservative default: many embedded devices reject big reads or requests that
     // cross reserved register gaps. Templates/users can still raise this value.
@@ -819,6 +874,39 @@ class ModbusDriver {
 
     this._readGroupSkipUntil = new Map();
     this._readGroupWarnUntil = new Map();
+    // groupKey -> { uid, fc, start, end, dpIds, failures, lastError } for diagnostics
+    this._readGroupInfo = new Map();
+
+    // Request/timing statistics, exposed by DeviceRuntime below info.modbus.*
+    this.ioStats = {
+      requests: 0,
+      timeouts: 0,
+      transportErrors: 0,
+      exceptions: {}, // exception code -> count
+      rttCount: 0,
+      rttSumMs: 0,
+      rttMinMs: null,
+      rttMaxMs: null,
+      lastRttMs: null,
+    };
+
+    // Listen-only RTU: another master polls the line and we only see what it reads
+    // (lib/drivers/modbusRtuSniffer.js). Unobserved registers are expected, so every read
+    // group may fail on its own (split per datapoint, never skipped); the device only goes
+    // offline when nothing at all was observed within sniffMaxAgeMs.
+    const rawListenOnly = (c.listenOnly ?? false);
+    this.listenOnly = this.rtuTransport === 'serial' && (rawListenOnly === true || String(rawListenOnly).toLowerCase() === 'true');
+    const rawSniffMaxAge = (c.sniffMaxAgeMs ?? 60000);
+    this.sniffMaxAgeMs = Number(rawSniffMaxAge);
+    if (!Number.isFinite(this.sniffMaxAgeMs) || this.sniffMaxAgeMs < 0) this.sniffMaxAgeMs = 60000;
+    if (this.listenOnly) {
+      this.minCommandIntervalMs = 0; // reads come from memory, nothing is sent
+      this.continueOnReadError = true;
+      this.adaptiveReadSplit = true;
+      this.skipFailedReadGroupsMs = 0;
+      this.optionalReadErrorLogLevel = 'debug';
+      this.requiredReadDpIds = new Set();
+    }
 
     // Optional, per-write component identity checks. FENECON/OpenEMS write-access
     // blocks can move after an app update. A cached identity probe prevents a
@@ -892,7 +980,8 @@ class ModbusDriver {
 
 
   _isTcpOpen() {
-    if (this.protocol !== 'modbusTcp') return true;
+    // The shared bus reconnects on its own before the next request.
+    if (this.protocol !== 'modbusTcp' || this.sharedTcp) return true;
     const c = this.client;
     if (!c) return false;
 
@@ -1088,7 +1177,22 @@ class ModbusDriver {
 
     const c = this.device.connection || {};
     try {
-      if (this.protocol === 'modbusTcp') {
+      if (this.sharedTcp) {
+        if (!this.tcpBus) {
+          const { key, bus } = acquireTcpBus(this.adapter, {
+            host: c.host,
+            port: Number(c.port || 502),
+            connectTimeoutMs: this.connectTimeoutMs,
+            unitBackoffMs: this.unitBackoffMs,
+            maxUnitBackoffMs: this.maxReconnectBackoffMs,
+          });
+          this.tcpBusKey = key;
+          this.tcpBus = bus;
+        }
+        if (this.client) this._forceCloseTcpClient(this.client);
+        this.client = null;
+        await this.tcpBus.ensureConnected();
+      } else if (this.protocol === 'modbusTcp') {
         const host = c.host;
         const port = Number(c.port || 502);
 
@@ -1132,15 +1236,34 @@ class ModbusDriver {
         this.client.setID(this.unitId);
         this._tcpCurrentUnitId = this.unitId;
         this.client.setTimeout(this.timeoutMs);
-      } else if (this.protocol === 'modbusRtu') {
-        const serial = this._getSerialConnOpts();
+      } else if (this.listenOnly) {
+        if (!this.sniffer) {
+          const serial = this._getSerialConnOpts();
+          const { key, sniffer } = acquireSniffer(this.adapter, {
+            path: serial.path,
+            baudRate: serial.baudRate,
+            parity: serial.parity,
+            dataBits: serial.dataBits,
+            stopBits: serial.stopBits,
+          });
+          this.snifferKey = key;
+          this.sniffer = sniffer;
+        }
+        await this.sniffer.ensureConnected();
+      } else if (this.rtuTransport) {
         if (!this.rtuBus) {
-          const { key, bus } = acquireBus(this.adapter, {
+          const c = this.device.connection || {};
+          const serial = this.rtuTransport === 'serial' ? this._getSerialConnOpts() : {};
+          const { key, bus } = acquireBus(this.adapter, this.rtuTransport === 'serial' ? {
             path: serial.path,
             baudRate: serial.baudRate,
             parity: serial.parity,
             dataBits: serial.dataBits,
             stopBits: serial.stopBits,
+          } : {
+            transport: this.rtuTransport,
+            host: c.host,
+            port: Number(c.port || 502),
           });
           this.rtuBusKey = key;
           this.rtuBus = bus;
@@ -1193,12 +1316,20 @@ class ModbusDriver {
 
   async disconnect() {
     try {
-      if (this.protocol === 'modbusTcp') {
+      if (this.tcpBusKey) {
+        releaseTcpBus(this.tcpBusKey);
+        this.tcpBus = null;
+        this.tcpBusKey = null;
+      } else if (this.snifferKey) {
+        releaseSniffer(this.snifferKey);
+        this.sniffer = null;
+        this.snifferKey = null;
+      } else if (this.protocol === 'modbusTcp') {
         if (this.client) {
           this._forceCloseTcpClient(this.client);
           this.client = null;
         }
-      } else if (this.protocol === 'modbusRtu') {
+      } else if (this.rtuTransport) {
         if (this.rtuBusKey) {
           releaseBus(this.rtuBusKey);
         }
@@ -2039,6 +2170,7 @@ class ModbusDriver {
     const run = async () => {
       await this._waitForMinCommandInterval();
       this._lastCommandAt = Date.now();
+      const startedAt = this._lastCommandAt;
       try {
         const res = await this._withHardTimeout(
           Promise.resolve().then(fn),
@@ -2051,8 +2183,10 @@ class ModbusDriver {
         // On any successful Modbus operation we reset the failure streak/backoff
         this._failStreak = 0;
         this._nextConnectAt = 0;
+        this._noteIoResult(Date.now() - startedAt, null);
         return res;
       } catch (e) {
+        this._noteIoResult(Date.now() - startedAt, e);
         if (isTransportError(e)) this._markDisconnected(e);
         throw e;
       }
@@ -2068,6 +2202,82 @@ class ModbusDriver {
     return p;
   }
 
+  _noteIoResult(rttMs, err) {
+    // Listen-only reads come from the sniffer image; units in pool backoff were never asked.
+    if (this.listenOnly || (err && (err.code === 'E_MODBUS_LISTEN_ONLY' || err.code === 'E_MODBUS_UNIT_BACKOFF'))) return;
+    const st = this.ioStats;
+    st.requests += 1;
+    if (!err) {
+      st.rttCount += 1;
+      st.rttSumMs += rttMs;
+      st.lastRttMs = rttMs;
+      st.rttMinMs = st.rttMinMs === null ? rttMs : Math.min(st.rttMinMs, rttMs);
+      st.rttMaxMs = st.rttMaxMs === null ? rttMs : Math.max(st.rttMaxMs, rttMs);
+      return;
+    }
+    if (isModbusProtocolException(err)) {
+      const code = _modbusExceptionCode(err);
+      const key = code === undefined ? 'unknown' : String(code);
+      st.exceptions[key] = (st.exceptions[key] || 0) + 1;
+    } else if (err.name === 'TransactionTimedOutError' || /timed?\s*-?out/i.test(_errMsg(err)) || ['ETIMEDOUT', 'E_MODBUS_OPERATION_TIMEOUT'].includes(_errCode(err))) {
+      st.timeouts += 1;
+    } else {
+      st.transportErrors += 1;
+    }
+  }
+
+  _noteReadGroupFailure(key, fc, g, unitId, err) {
+    const prev = this._readGroupInfo.get(key);
+    this._readGroupInfo.set(key, {
+      uid: this._operationUnitId(unitId),
+      fc: Number(fc),
+      start: Number(g.start),
+      end: Number(g.end),
+      dpIds: (g.items || []).map(item => item && item.dp ? String(item.dp.id) : '').filter(Boolean),
+      failures: (prev ? prev.failures : 0) + 1,
+      lastError: err ? _errMsg(err) : (prev ? prev.lastError : ''),
+    });
+  }
+
+  /**
+   * Snapshot of the request statistics and of the read groups that are currently skipped
+   * (skipFailedReadGroupsMs) or split into per-datapoint reads (adaptiveReadSplit).
+   */
+  getDiagnostics() {
+    const st = this.ioStats;
+    const now = Date.now();
+    const listGroups = (untilByKey) => {
+      const out = [];
+      for (const [key, until] of untilByKey.entries()) {
+        if (!(until > now)) continue;
+        const info = this._readGroupInfo.get(key) || {};
+        out.push({
+          group: key,
+          dpIds: info.dpIds || [],
+          failures: info.failures || 0,
+          lastError: info.lastError || '',
+          remainingMs: until - now,
+        });
+      }
+      return out;
+    };
+    let exceptionCount = 0;
+    for (const n of Object.values(st.exceptions)) exceptionCount += n;
+    return {
+      requests: st.requests,
+      timeouts: st.timeouts,
+      transportErrors: st.transportErrors,
+      exceptions: Object.assign({}, st.exceptions),
+      exceptionCount,
+      rttMinMs: st.rttMinMs,
+      rttAvgMs: st.rttCount ? Math.round(st.rttSumMs / st.rttCount) : null,
+      rttMaxMs: st.rttMaxMs,
+      lastRttMs: st.lastRttMs,
+      skippedGroups: listGroups(this._readGroupSkipUntil),
+      splitGroups: listGroups(this._readGroupForceSplitUntil),
+    };
+  }
+
   _getWritePassword() {
     if (!this._writeUnlock) return null;
     const field = (this._writeUnlock.passwordField || 'writePassword').toString();
@@ -2407,11 +2617,217 @@ class ModbusDriver {
     return true;
   }
 
+  /**
+   * Walk the complete SunSpec model chain of the device (discovery mode, see lib/sunspecModels.js).
+   * Works for any Modbus template: when the template does not use autoSunSpec itself, the
+   * discovered unit id / offset / endianness are only used for the scan and restored afterwards.
+   * @returns {Promise<{found: boolean, baseAddress?: number, unitId?: number, fc?: number, byteOrder?: string, models?: Array<object>, common?: object}>}
+   */
+  async discoverSunSpecModelChain() {
+    const keep = !this._autoSunSpec ? {
+      autoAddressOffset: this.autoAddressOffset,
+      autoUnitId: this.autoUnitId,
+      wordOrder: this.wordOrder,
+      byteOrder: this.byteOrder,
+      unitId: this.unitId,
+      sunSpecTemplateBase: this._sunSpecTemplateBase,
+    } : null;
+    if (keep) {
+      this._autoSunSpec = true;
+      this._sunSpecDiscovered = false;
+      this._sunSpecModelsScanned = false;
+      // Scan relative to the plain register address; the template base is irrelevant here.
+      this._sunSpecTemplateBase = 40000;
+    }
+    try {
+      await this._maybeDiscoverSunSpec();
+      if (this._sunSpecFoundBase === null) return { found: false };
+      await this._maybeScanSunSpecModels();
+
+      const fc = (this._sunSpecFc === 4) ? 4 : 3;
+      const base = Number(this._sunSpecTemplateBase ?? 40000) + this.manualAddressOffset + this.autoAddressOffset;
+      const models = [];
+      for (const [id, entries] of this._sunSpecModelsById) {
+        for (const e of entries) models.push({ id, offset: e.offset, length: e.len });
+      }
+      models.sort((a, b) => a.offset - b.offset);
+
+      let common = {};
+      const m1 = models.find(m => m.id === 1);
+      if (m1) {
+        const len = Math.min(66, m1.length);
+        const addr = base + m1.offset + 2;
+        const regs = fc === 4
+          ? (await this._mbReadInputRegisters(addr, len)).data
+          : (await this._mbReadHoldingRegisters(addr, len)).data;
+        common = decodeCommonModel(regs || [], this.byteOrder);
+      }
+      return {
+        found: true,
+        baseAddress: this._sunSpecFoundBase,
+        unitId: this.autoUnitId ?? this.unitId,
+        fc,
+        wordOrder: this.wordOrder,
+        byteOrder: this.byteOrder,
+        models,
+        common,
+      };
+    } finally {
+      if (keep) {
+        this._autoSunSpec = false;
+        this._sunSpecDiscovered = false;
+        this._sunSpecModelsScanned = false;
+        this._sunSpecModelsById = new Map();
+        this._sunSpecFoundBase = null;
+        this._sunSpecFc = null;
+        this._sunSpecTemplateBase = keep.sunSpecTemplateBase;
+        this.autoAddressOffset = keep.autoAddressOffset;
+        this.autoUnitId = keep.autoUnitId;
+        this.wordOrder = keep.wordOrder;
+        this.byteOrder = keep.byteOrder;
+        this._setUnitId(keep.unitId);
+      }
+    }
+  }
+
+  /**
+   * Run `fn` on this driver's connection with the poll loop held off (e.g. SunSpec discovery,
+   * which changes unit id / offsets while it runs). Waits for a running poll, then lets
+   * readDatapoints() skip and writeDatapoint() wait until `fn` has settled.
+   * @param {() => Promise<any>} fn
+   * @param {number} [waitMs] how long to wait for the running poll
+   */
+  async runExclusive(fn, waitMs = Math.max(Number(this.operationTimeoutMs || 0) * 2, 10000)) {
+    const started = Date.now();
+    while (this._busy || this._exclusive) {
+      if (Date.now() - started > waitMs) throw this._makeTimeoutError('Modbus exclusive access wait', waitMs, 'E_MODBUS_BUSY');
+      await sleep(50);
+    }
+    let release = null;
+    this._exclusive = new Promise(resolve => { release = resolve; });
+    // _busySince = 0 keeps the stale-busy guard of readDatapoints() from breaking the lock.
+    this._busy = true;
+    this._busySince = 0;
+    try {
+      return await fn();
+    } finally {
+      this._busy = false;
+      this._exclusive = null;
+      release();
+    }
+  }
+
+  /**
+   * Read Device Identification (FC43 / MEI 14) for the admin template suggestion and the
+   * optional startup step. Asks for the regular category first and falls back to the basic
+   * one (VendorName/ProductCode/Revision) when the device rejects it.
+   * @param {{unitId?: number}} [opts]
+   * @returns {Promise<{vendorName: string, productCode: string, revision: string, objects: object}>}
+   */
+  async readDeviceIdentification(opts = {}) {
+    const unitId = Number(opts.unitId) > 0 ? Number(opts.unitId) : null;
+    await this.ensureConnected();
+    let res;
+    try {
+      res = await this._mbReadDeviceIdentification(2, unitId);
+    } catch (e) {
+      if (!isModbusProtocolException(e)) throw e;
+      res = await this._mbReadDeviceIdentification(1, unitId);
+    }
+    const identity = normalizeDeviceIdentification(res && res.data, res && res.conformityLevel);
+    if (!identity) throw new Error('Device identification response contains no objects');
+    return identity;
+  }
+
+  /**
+   * Register scanner for onboarding undocumented devices (admin UI, sendTo 'modbusScan').
+   * Reads `count` registers/bits from `address` (template addressing: the configured and
+   * discovered address offsets are applied) and reports each address with its raw word and
+   * all decodings, or with the Modbus exception code of that address.
+   * @param {{fc: number, address: number, count: number, unitId?: number}} opts
+   */
+  async scanRegisters(opts = {}) {
+    const fc = Number(opts.fc);
+    const start = Math.trunc(Number(opts.address));
+    const count = Math.trunc(Number(opts.count || 1));
+    if (![1, 2, 3, 4].includes(fc)) throw new Error(`Unsupported function code ${opts.fc}`);
+    if (!Number.isFinite(start) || start < 0 || start > 65535) throw new Error(`Invalid start address ${opts.address}`);
+    if (!Number.isFinite(count) || count < 1 || count > 500) throw new Error('Count must be between 1 and 500');
+    const unitId = Number(opts.unitId) > 0 ? Number(opts.unitId) : null;
+    const offset = this.manualAddressOffset + this.autoAddressOffset;
+    const bits = fc === 1 || fc === 2;
+
+    const read = async (addr, len) => {
+      const res = fc === 1 ? await this._mbReadCoils(addr + offset, len, unitId)
+        : fc === 2 ? await this._mbReadDiscreteInputs(addr + offset, len, unitId)
+          : fc === 3 ? await this._mbReadHoldingRegisters(addr + offset, len, unitId)
+            : await this._mbReadInputRegisters(addr + offset, len, unitId);
+      return Array.from((res && res.data) || []).slice(0, len);
+    };
+
+    await this.ensureConnected();
+    const values = new Array(count).fill(null);
+    const errors = new Array(count).fill(null);
+    const chunkSize = bits ? 256 : Math.max(1, Math.min(125, this.maxReadRegs));
+    let aborted = null;
+
+    for (let i = 0; i < count && !aborted; i += chunkSize) {
+      const len = Math.min(chunkSize, count - i);
+      try {
+        const data = await read(start + i, len);
+        data.forEach((v, j) => { values[i + j] = bits ? !!v : (Number(v) & 0xFFFF); });
+        continue;
+      } catch (e) {
+        if (!isModbusProtocolException(e)) {
+          aborted = _errMsg(e);
+          for (let j = 0; j < len; j++) errors[i + j] = { error: aborted };
+          break;
+        }
+      }
+      // A block with an exception: probe each address to report the code per address.
+      for (let j = 0; j < len; j++) {
+        try {
+          const [v] = await read(start + i + j, 1);
+          values[i + j] = bits ? !!v : (Number(v) & 0xFFFF);
+        } catch (e) {
+          if (!isModbusProtocolException(e)) {
+            aborted = _errMsg(e);
+            for (let k = j; k < len; k++) errors[i + k] = { error: aborted };
+            break;
+          }
+          errors[i + j] = { exception: _modbusExceptionCode(e), error: _errMsg(e) };
+        }
+      }
+    }
+
+    const rows = [];
+    for (let i = 0; i < count; i++) {
+      const row = { address: start + i, protocolAddress: start + i + offset };
+      if (errors[i]) Object.assign(row, errors[i]);
+      else if (bits) row.value = values[i];
+      else {
+        row.word = values[i];
+        row.hex = `0x${values[i].toString(16).toUpperCase().padStart(4, '0')}`;
+        row.decoded = decodeScanVariants(values, i);
+      }
+      rows.push(row);
+    }
+    return { fc, address: start, count, unitId: unitId ?? this.unitId, rows, ...(aborted ? { aborted } : {}) };
+  }
+
+  _listenOnlyWriteError(uid, addr) {
+    const err = new Error(`Modbus RTU listen-only: write UID${uid} @${addr} not sent (another master owns the bus)`);
+    err.code = 'E_MODBUS_LISTEN_ONLY';
+    return err;
+  }
+
   async _mbReadCoils(start, len, unitIdOverride = null) {
     return await this._withIoLock(async () => {
       const uid = this._operationUnitId(unitIdOverride);
-      if (this.protocol === 'modbusRtu') return await this.rtuBus.readCoils(uid, this.timeoutMs, start, len);
+      if (this.sniffer) return this.sniffer.read(uid, 1, start, len, this.sniffMaxAgeMs);
+      if (this.rtuTransport) return await this.rtuBus.readCoils(uid, this.timeoutMs, start, len);
       if (this.protocol === 'modbusAscii') return await this.asciiBus.readCoils(uid, this.timeoutMs, start, len);
+      if (this.tcpBus) return await this.tcpBus.readCoils(uid, this.timeoutMs, start, len);
       if (!this.client) {
         const err = new Error('Port Not Open');
         err.code = 'ERR_SOCKET_CLOSED';
@@ -2425,8 +2841,10 @@ class ModbusDriver {
   async _mbReadDiscreteInputs(start, len, unitIdOverride = null) {
     return await this._withIoLock(async () => {
       const uid = this._operationUnitId(unitIdOverride);
-      if (this.protocol === 'modbusRtu') return await this.rtuBus.readDiscreteInputs(uid, this.timeoutMs, start, len);
+      if (this.sniffer) return this.sniffer.read(uid, 2, start, len, this.sniffMaxAgeMs);
+      if (this.rtuTransport) return await this.rtuBus.readDiscreteInputs(uid, this.timeoutMs, start, len);
       if (this.protocol === 'modbusAscii') return await this.asciiBus.readDiscreteInputs(uid, this.timeoutMs, start, len);
+      if (this.tcpBus) return await this.tcpBus.readDiscreteInputs(uid, this.timeoutMs, start, len);
       if (!this.client) {
         const err = new Error('Port Not Open');
         err.code = 'ERR_SOCKET_CLOSED';
@@ -2440,8 +2858,10 @@ class ModbusDriver {
   async _mbReadHoldingRegisters(start, len, unitIdOverride = null) {
     return await this._withIoLock(async () => {
       const uid = this._operationUnitId(unitIdOverride);
-      if (this.protocol === 'modbusRtu') return await this.rtuBus.readHoldingRegisters(uid, this.timeoutMs, start, len);
+      if (this.sniffer) return this.sniffer.read(uid, 3, start, len, this.sniffMaxAgeMs);
+      if (this.rtuTransport) return await this.rtuBus.readHoldingRegisters(uid, this.timeoutMs, start, len);
       if (this.protocol === 'modbusAscii') return await this.asciiBus.readHoldingRegisters(uid, this.timeoutMs, start, len);
+      if (this.tcpBus) return await this.tcpBus.readHoldingRegisters(uid, this.timeoutMs, start, len);
       if (!this.client) {
         const err = new Error('Port Not Open');
         err.code = 'ERR_SOCKET_CLOSED';
@@ -2455,8 +2875,10 @@ class ModbusDriver {
   async _mbReadInputRegisters(start, len, unitIdOverride = null) {
     return await this._withIoLock(async () => {
       const uid = this._operationUnitId(unitIdOverride);
-      if (this.protocol === 'modbusRtu') return await this.rtuBus.readInputRegisters(uid, this.timeoutMs, start, len);
+      if (this.sniffer) return this.sniffer.read(uid, 4, start, len, this.sniffMaxAgeMs);
+      if (this.rtuTransport) return await this.rtuBus.readInputRegisters(uid, this.timeoutMs, start, len);
       if (this.protocol === 'modbusAscii') return await this.asciiBus.readInputRegisters(uid, this.timeoutMs, start, len);
+      if (this.tcpBus) return await this.tcpBus.readInputRegisters(uid, this.timeoutMs, start, len);
       if (!this.client) {
         const err = new Error('Port Not Open');
         err.code = 'ERR_SOCKET_CLOSED';
@@ -2467,11 +2889,34 @@ class ModbusDriver {
     });
   }
 
+  async _mbReadDeviceIdentification(deviceIdCode, unitIdOverride = null) {
+    return await this._withIoLock(async () => {
+      const uid = this._operationUnitId(unitIdOverride);
+      if (this.listenOnly) {
+        const err = new Error(`Modbus RTU listen-only: device identification of UID${uid} not requested (another master owns the bus)`);
+        err.code = 'E_MODBUS_LISTEN_ONLY';
+        throw err;
+      }
+      if (this.rtuTransport) return await this.rtuBus.readDeviceIdentification(uid, this.timeoutMs, deviceIdCode, 0);
+      if (this.protocol === 'modbusAscii') return await this.asciiBus.readDeviceIdentification(uid, this.timeoutMs, deviceIdCode, 0);
+      if (this.tcpBus) return await this.tcpBus.readDeviceIdentification(uid, this.timeoutMs, deviceIdCode, 0);
+      if (!this.client) {
+        const err = new Error('Port Not Open');
+        err.code = 'ERR_SOCKET_CLOSED';
+        throw err;
+      }
+      this._setTcpRequestUnitId(uid);
+      return await this.client.readDeviceIdentification(deviceIdCode, 0);
+    }, 'Modbus device identification');
+  }
+
   async _mbWriteCoil(addr, value, unitIdOverride = null) {
     return await this._withIoLock(async () => {
       const uid = this._operationUnitId(unitIdOverride);
-      if (this.protocol === 'modbusRtu') return await this.rtuBus.writeCoil(uid, this.timeoutMs, addr, value);
+      if (this.listenOnly) throw this._listenOnlyWriteError(uid, addr);
+      if (this.rtuTransport) return await this.rtuBus.writeCoil(uid, this.timeoutMs, addr, value);
       if (this.protocol === 'modbusAscii') return await this.asciiBus.writeCoil(uid, this.timeoutMs, addr, value);
+      if (this.tcpBus) return await this.tcpBus.writeCoil(uid, this.timeoutMs, addr, value);
       if (!this.client) {
         const err = new Error('Port Not Open');
         err.code = 'ERR_SOCKET_CLOSED';
@@ -2485,8 +2930,10 @@ class ModbusDriver {
   async _mbWriteCoils(addr, values, unitIdOverride = null) {
     return await this._withIoLock(async () => {
       const uid = this._operationUnitId(unitIdOverride);
-      if (this.protocol === 'modbusRtu') return await this.rtuBus.writeCoils(uid, this.timeoutMs, addr, values);
+      if (this.listenOnly) throw this._listenOnlyWriteError(uid, addr);
+      if (this.rtuTransport) return await this.rtuBus.writeCoils(uid, this.timeoutMs, addr, values);
       if (this.protocol === 'modbusAscii') return await this.asciiBus.writeCoils(uid, this.timeoutMs, addr, values);
+      if (this.tcpBus) return await this.tcpBus.writeCoils(uid, this.timeoutMs, addr, values);
       if (!this.client) {
         const err = new Error('Port Not Open');
         err.code = 'ERR_SOCKET_CLOSED';
@@ -2500,8 +2947,10 @@ class ModbusDriver {
   async _mbWriteRegister(addr, value, unitIdOverride = null) {
     return await this._withIoLock(async () => {
       const uid = this._operationUnitId(unitIdOverride);
-      if (this.protocol === 'modbusRtu') return await this.rtuBus.writeRegister(uid, this.timeoutMs, addr, value);
+      if (this.listenOnly) throw this._listenOnlyWriteError(uid, addr);
+      if (this.rtuTransport) return await this.rtuBus.writeRegister(uid, this.timeoutMs, addr, value);
       if (this.protocol === 'modbusAscii') return await this.asciiBus.writeRegister(uid, this.timeoutMs, addr, value);
+      if (this.tcpBus) return await this.tcpBus.writeRegister(uid, this.timeoutMs, addr, value);
       if (!this.client) {
         const err = new Error('Port Not Open');
         err.code = 'ERR_SOCKET_CLOSED';
@@ -2515,8 +2964,10 @@ class ModbusDriver {
   async _mbWriteRegisters(addr, values, unitIdOverride = null) {
     return await this._withIoLock(async () => {
       const uid = this._operationUnitId(unitIdOverride);
-      if (this.protocol === 'modbusRtu') return await this.rtuBus.writeRegisters(uid, this.timeoutMs, addr, values);
+      if (this.listenOnly) throw this._listenOnlyWriteError(uid, addr);
+      if (this.rtuTransport) return await this.rtuBus.writeRegisters(uid, this.timeoutMs, addr, values);
       if (this.protocol === 'modbusAscii') return await this.asciiBus.writeRegisters(uid, this.timeoutMs, addr, values);
+      if (this.tcpBus) return await this.tcpBus.writeRegisters(uid, this.timeoutMs, addr, values);
       if (!this.client) {
         const err = new Error('Port Not Open');
         err.code = 'ERR_SOCKET_CLOSED';
@@ -2804,6 +3255,7 @@ async readDatapoints(datapoints) {
     if (this.skipFailedReadGroupsMs > 0) {
       this._readGroupSkipUntil.set(groupKey(fc, g, unitId), Date.now() + this.skipFailedReadGroupsMs);
     }
+    this._noteReadGroupFailure(groupKey(fc, g, unitId), fc, g, unitId, e);
     warnOptionalGroupFailure(fc, g, e, unitId);
     return null;
   };
@@ -2815,6 +3267,7 @@ async readDatapoints(datapoints) {
     if (this.splitFailedReadGroupsMs > 0) {
       this._readGroupForceSplitUntil.set(key, now + this.splitFailedReadGroupsMs);
     }
+    this._noteReadGroupFailure(key, fc, g, unitId, reason ? { message: reason } : null);
     const nextWarnAt = this._readGroupSplitWarnUntil.get(key) || 0;
     if (now < nextWarnAt) return;
     this._readGroupSplitWarnUntil.set(key, now + 300000);
@@ -2905,6 +3358,7 @@ async readDatapoints(datapoints) {
         if (this.skipFailedReadGroupsMs > 0) {
           this._readGroupSkipUntil.set(groupKey(fc, ig, unitId), Date.now() + this.skipFailedReadGroupsMs);
         }
+        this._noteReadGroupFailure(groupKey(fc, ig, unitId), fc, ig, unitId, e);
         warnOptionalGroupFailure(fc, ig, e, unitId);
       }
     }
@@ -3602,6 +4056,8 @@ async readDatapoints(datapoints) {
     };
 
     const attempt = async () => {
+      // runExclusive(): the addressing may be switched for a scan right now.
+      while (this._exclusive) await this._exclusive;
       await this.ensureConnected();
 
       if (await this._maybeWriteSungrowSignedPowerControl(dp, value)) return;
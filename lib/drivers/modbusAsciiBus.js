@@ -458,6 +458,35 @@ class ModbusAsciiBus {
     });
   }
 
+  // FC43 / MEI 14. Follows "more follows" until the device has sent all objects.
+  async readDeviceIdentification(unitId, timeoutMs, deviceIdCode, objectId) {
+    const code = Number(deviceIdCode || 1) & 0xFF;
+    const data = {};
+    let conformityLevel;
+    let next = Number(objectId || 0) & 0xFF;
+    for (let i = 0; i < 32; i++) {
+      const res = await this._transact(unitId, timeoutMs, 0x2B, [0x0E, code, next], (bytes) => {
+        if (bytes.length < 8 || (bytes[2] & 0xFF) !== 0x0E) throw new Error('Modbus ASCII: invalid FC43 response');
+        const objects = {};
+        let pos = 8;
+        for (let n = 0; n < (bytes[7] & 0xFF); n++) {
+          const id = bytes[pos] & 0xFF;
+          const len = bytes[pos + 1] & 0xFF;
+          const value = bytes.slice(pos + 2, pos + 2 + len);
+          if (value.length !== len) throw new Error('Modbus ASCII: truncated FC43 payload');
+          objects[id] = Buffer.from(value).toString('latin1');
+          pos += 2 + len;
+        }
+        return { conformityLevel: bytes[4] & 0xFF, moreFollows: (bytes[5] & 0xFF) === 0xFF, nextObjectId: bytes[6] & 0xFF, objects };
+      });
+      Object.assign(data, res.objects);
+      conformityLevel = res.conformityLevel;
+      if (!res.moreFollows || code === 4) break;
+      next = res.nextObjectId;
+    }
+    return { data, conformityLevel };
+  }
+
   writeCoil(unitId, timeoutMs, addr, value) {
     const a = Number(addr || 0) & 0xFFFF;
     const v = value ? 0xFF00 : 0x0000;
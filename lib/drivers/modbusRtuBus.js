@@ -1,6 +1,7 @@
 'use strict';
 
 const ModbusRTU = require('modbus-serial');
+const { ModbusRtuUdpPort } = require('./modbusRtuUdpPort');
 
 /**
  * Shared Modbus RTU bus manager.
@@ -9,12 +10,24 @@ const ModbusRTU = require('modbus-serial');
  * - RS485 is a shared medium: multiple slaves on one /dev/tty... port.
  * - Opening the same serial port multiple times (one client per device) typically fails.
  * - This manager keeps ONE physical serial connection per port/settings and multiplexes requests.
+ *
+ * The same applies to transparent RS485-to-Ethernet gateways (USR, Waveshare): RTU frames are
+ * tunneled through one TCP connection (transport 'tcp') or as UDP datagrams (transport 'udp') and the
+ * gateway forwards them to the RS485 line, so all devices behind one gateway port share a bus.
  */
 
 const buses = new Map(); // key -> { bus, refs }
 
+function isNetworkTransport(transport) {
+  return transport === 'tcp' || transport === 'udp';
+}
+
 function makeKey(opts) {
   const o = opts || {};
+  if (isNetworkTransport(o.transport)) {
+    const host = (o.host || '').toString().trim();
+    return host ? `${o.transport}://${host}:${Number(o.port || 502)}` : '';
+  }
   const path = (o.path || '').toString().trim();
   const baudRate = Number(o.baudRate || 9600);
   const parity = (o.parity || 'none').toString();
@@ -27,6 +40,9 @@ class ModbusRtuBus {
   constructor(adapter, opts) {
     this.adapter = adapter;
     this.opts = {
+      transport: isNetworkTransport(opts.transport) ? opts.transport : 'serial',
+      host: (opts.host || '').toString().trim(),
+      port: Number(opts.port || 502),
       path: (opts.path || '').toString().trim(),
       baudRate: Number(opts.baudRate || 9600),
       parity: (opts.parity || 'none').toString(),
@@ -62,31 +78,52 @@ class ModbusRtuBus {
 
     return await this._enqueue(async () => {
       try {
-        if (this.connected) return true;
-        await new Promise((resolve, reject) => {
-          this.client.connectRTUBuffered(
-            this.opts.path,
-            {
-              baudRate: this.opts.baudRate,
-              parity: this.opts.parity,
-              dataBits: this.opts.dataBits,
-              stopBits: this.opts.stopBits,
-            },
-            (err) => (err ? reject(err) : resolve())
-          );
-        });
-        this.connected = true;
-        this.adapter.log.info(`[modbusRtuBus] connected ${this.opts.path} @${this.opts.baudRate} ${this.opts.parity} ${this.opts.dataBits}${this.opts.stopBits}`);
-        return true;
-      } catch (e) {
-        this.connected = false;
-        throw e;
+        return await this._connectNow();
       } finally {
         this.connecting = false;
       }
     });
   }
 
+  // Opens the port; must run inside the queue (ensureConnected or _exec).
+  async _connectNow() {
+    try {
+      if (this.connected) return true;
+      if (this.opts.transport !== 'serial') {
+        // Drop a socket left over from a failed session before opening a new one.
+        try { if (this.client.isOpen) this.client.close(() => {}); } catch (_) {}
+        if (this.opts.transport === 'udp') {
+          this.client._port = new ModbusRtuUdpPort(this.opts.host, { port: this.opts.port });
+          await new Promise((resolve, reject) => this.client.open((err) => (err ? reject(err) : resolve())));
+        } else {
+          // modbus-serial's "telnet" port is plain RTU framing over TCP (connectTcpRTUBuffered sends MBAP).
+          await this.client.connectTelnet(this.opts.host, { port: this.opts.port });
+        }
+        this.connected = true;
+        this.adapter.log.info(`[modbusRtuBus] connected RTU over ${this.opts.transport.toUpperCase()} ${this.opts.host}:${this.opts.port}`);
+        return true;
+      }
+      await new Promise((resolve, reject) => {
+        this.client.connectRTUBuffered(
+          this.opts.path,
+          {
+            baudRate: this.opts.baudRate,
+            parity: this.opts.parity,
+            dataBits: this.opts.dataBits,
+            stopBits: this.opts.stopBits,
+          },
+          (err) => (err ? reject(err) : resolve())
+        );
+      });
+      this.connected = true;
+      this.adapter.log.info(`[modbusRtuBus] connected ${this.opts.path} @${this.opts.baudRate} ${this.opts.parity} ${this.opts.dataBits}${this.opts.stopBits}`);
+      return true;
+    } catch (e) {
+      this.connected = false;
+      throw e;
+    }
+  }
+
   async close() {
     return await this._enqueue(async () => {
       try {
@@ -101,14 +138,16 @@ class ModbusRtuBus {
 
   async _exec(unitId, timeoutMs, fn) {
     return await this._enqueue(async () => {
-      await this.ensureConnected();
+      // Reconnect in place: ensureConnected() would enqueue behind this very job.
+      await this._connectNow();
       this.client.setID(Number(unitId || 1));
       this.client.setTimeout(Number(timeoutMs || 2000));
       try {
         return await fn(this.client);
       } catch (e) {
-        // Mark as disconnected so next operation tries to reconnect
-        this.connected = false;
+        // Mark as disconnected so next operation tries to reconnect. A Modbus exception from a
+        // device behind a network gateway proves the link works; keep the socket in that case.
+        if (!(this.opts.transport !== 'serial' && e && e.modbusCode !== undefined)) this.connected = false;
         throw e;
       }
     });
@@ -127,6 +166,9 @@ class ModbusRtuBus {
   readInputRegisters(unitId, timeoutMs, addr, len) {
     return this._exec(unitId, timeoutMs, (c) => c.readInputRegisters(addr, len));
   }
+  readDeviceIdentification(unitId, timeoutMs, deviceIdCode, objectId) {
+    return this._exec(unitId, timeoutMs, (c) => c.readDeviceIdentification(deviceIdCode, objectId));
+  }
 
   // Write helpers
   writeCoil(unitId, timeoutMs, addr, value) {
@@ -146,7 +188,7 @@ class ModbusRtuBus {
 function acquireBus(adapter, opts) {
   const key = makeKey(opts);
   if (!key || key.startsWith('|')) {
-    throw new Error('Invalid Modbus RTU path');
+    throw new Error(isNetworkTransport(opts && opts.transport) ? 'Modbus RTU gateway host missing' : 'Invalid Modbus RTU path');
   }
 
   const existing = buses.get(key);
@@ -0,0 +1,289 @@
+'use strict';
+
+const { SerialPort } = require('serialport');
+const crc16 = require('modbus-serial/utils/crc16');
+
+/**
+ * Passive (listen-only) Modbus RTU bus monitor.
+ *
+ * Why?
+ * - Some installations already have a bus master on the RS485 line, e.g. a Sungrow inverter
+ *   polling its Eastron SDM630 grid meter. A second master would collide with it.
+ * - Instead we only listen: request/response pairs of the existing master are parsed and the
+ *   register values are kept in an image per unit ID and function code.
+ * - ModbusDriver reads from that image (connection.listenOnly), so the regular template
+ *   datapoints, scaling and aliases work without sending a single byte.
+ *
+ * Frames are split by length and CRC. After a silence of `gapMs` an incomplete remainder is
+ * discarded, which resynchronizes the parser after line noise or when starting mid-frame.
+ */
+
+const sniffers = new Map(); // key -> { sniffer, refs }
+
+const BIT_FCS = [1, 2];
+const REGISTER_FCS = [3, 4];
+
+function makeKey(opts) {
+  const o = opts || {};
+  const path = (o.path || '').toString().trim();
+  const baudRate = Number(o.baudRate || 9600);
+  const parity = (o.parity || 'none').toString();
+  const dataBits = Number(o.dataBits || 8);
+  const stopBits = Number(o.stopBits || 1);
+  return `${path}|${baudRate}|${parity}|${dataBits}|${stopBits}`;
+}
+
+function crcOk(buf, len) {
+  return buf.length >= len && len >= 4 && crc16(buf.subarray(0, len - 2)) === buf.readUInt16LE(len - 2);
+}
+
+// Length of a request frame starting at buf[0], or null while the length is still unknown.
+function requestLength(buf) {
+  const fc = buf[1];
+  if (fc >= 1 && fc <= 6) return 8;
+  if (fc === 15 || fc === 16) return buf.length >= 7 ? 9 + buf[6] : null;
+  return 0;
+}
+
+// Length of the response to `req` starting at buf[0], or null while the length is still unknown.
+function responseLength(buf, req) {
+  if (!req || buf[0] !== req.unit || (buf[1] & 0x7F) !== req.fc) return 0;
+  if (buf[1] & 0x80) return 5;
+  if (req.fc <= 4) return buf.length >= 3 ? 5 + buf[2] : null;
+  return 8;
+}
+
+class ModbusRtuSniffer {
+  constructor(adapter, opts = {}) {
+    this.adapter = adapter;
+    this.opts = {
+      path: (opts.path || '').toString().trim(),
+      baudRate: Number(opts.baudRate || 9600),
+      parity: (opts.parity || 'none').toString(),
+      dataBits: Number(opts.dataBits || 8),
+      stopBits: Number(opts.stopBits || 1),
+      gapMs: Number(opts.gapMs) > 0 ? Number(opts.gapMs) : 50,
+    };
+    this.port = null;
+    this.connected = false;
+    this._opening = null;
+    this._rx = Buffer.alloc(0);
+    this._lastRxAt = 0;
+    this._request = null; // last request seen, waiting for its response
+    this._image = new Map(); // `${unit}:${fc}` -> Map(address -> { value, ts })
+    this.stats = { frames: 0, pairs: 0, exceptions: 0, droppedBytes: 0, lastFrameAt: 0 };
+  }
+
+  async ensureConnected() {
+    if (this.connected) return true;
+    if (!this._opening) {
+      this._opening = this._open().finally(() => { this._opening = null; });
+    }
+    return await this._opening;
+  }
+
+  async _open() {
+    if (!this.opts.path) throw new Error('Modbus RTU listen-only: missing serial path');
+    await this._closePort();
+    const port = new SerialPort({
+      path: this.opts.path,
+      baudRate: this.opts.baudRate,
+      parity: this.opts.parity,
+      dataBits: this.opts.dataBits,
+      stopBits: this.opts.stopBits,
+      autoOpen: false,
+    });
+    await new Promise((resolve, reject) => port.open((err) => (err ? reject(err) : resolve())));
+    this.port = port;
+    this.connected = true;
+    port.on('data', (d) => this.feed(d));
+    port.on('error', (err) => {
+      this.connected = false;
+      try { this.adapter.log.warn(`[modbusRtuSniffer] serial error ${this.opts.path}: ${err && err.message ? err.message : err}`); } catch (_) {}
+    });
+    port.on('close', () => {
+      this.connected = false;
+    });
+    this.adapter.log.info(`[modbusRtuSniffer] listening on ${this.opts.path} @${this.opts.baudRate} ${this.opts.parity} ${this.opts.dataBits}${this.opts.stopBits}`);
+    return true;
+  }
+
+  async _closePort() {
+    const p = this.port;
+    this.port = null;
+    this.connected = false;
+    if (!p) return;
+    try {
+      p.removeAllListeners('data');
+      p.removeAllListeners('error');
+      p.removeAllListeners('close');
+    } catch (_) {}
+    await new Promise((resolve) => {
+      try {
+        if (p.isOpen) p.close(() => resolve());
+        else resolve();
+      } catch (_) {
+        resolve();
+      }
+    });
+  }
+
+  async close() {
+    await this._closePort();
+  }
+
+  /**
+   * Feeds raw bytes from the line. Exposed for tests and for sources other than a serial port.
+   */
+  feed(chunk, now = Date.now()) {
+    if (!chunk || !chunk.length) return;
+    if (this._rx.length && now - this._lastRxAt > this.opts.gapMs) {
+      // Inter-frame silence: whatever is left cannot belong to the next frame.
+      this.stats.droppedBytes += this._rx.length;
+      this._rx = Buffer.alloc(0);
+    }
+    this._lastRxAt = now;
+    this._rx = Buffer.concat([this._rx, Buffer.from(chunk)]);
+
+    while (this._rx.length >= 4) {
+      const resLen = responseLength(this._rx, this._request);
+      const reqLen = requestLength(this._rx);
+      if (resLen === null || reqLen === null) {
+        if (this._rx.length > 256) this._dropByte();
+        else break;
+        continue;
+      }
+      if (resLen && crcOk(this._rx, resLen)) {
+        this._onResponse(this._rx.subarray(0, resLen), now);
+        this._rx = this._rx.subarray(resLen);
+        continue;
+      }
+      if (reqLen && crcOk(this._rx, reqLen)) {
+        this._onRequest(this._rx.subarray(0, reqLen));
+        this._rx = this._rx.subarray(reqLen);
+        continue;
+      }
+      // Not enough bytes yet for one of the candidates: wait for more.
+      if ((resLen && this._rx.length < resLen) || (reqLen && this._rx.length < reqLen)) break;
+      this._dropByte();
+    }
+  }
+
+  _dropByte() {
+    this._rx = this._rx.subarray(1);
+    this.stats.droppedBytes++;
+  }
+
+  _onRequest(frame) {
+    this.stats.frames++;
+    const fc = frame[1];
+    const req = { unit: frame[0], fc, address: frame.readUInt16BE(2) };
+    if (fc <= 4 || fc === 15 || fc === 16) req.quantity = frame.readUInt16BE(4);
+    if (fc === 5 || fc === 6) req.value = frame.readUInt16BE(4);
+    if (fc === 15 || fc === 16) req.payload = Buffer.from(frame.subarray(7, 7 + frame[6]));
+    // Broadcasts (unit 0) are never answered.
+    this._request = req.unit === 0 ? null : req;
+  }
+
+  _onResponse(frame, now) {
+    this.stats.frames++;
+    const req = this._request;
+    this._request = null;
+    if (frame[1] & 0x80) {
+      this.stats.exceptions++;
+      return;
+    }
+    const store = (fc, address, values) => {
+      const key = `${req.unit}:${fc}`;
+      let table = this._image.get(key);
+      if (!table) {
+        table = new Map();
+        this._image.set(key, table);
+      }
+      values.forEach((value, i) => table.set((address + i) & 0xFFFF, { value, ts: now }));
+    };
+
+    if (REGISTER_FCS.includes(req.fc)) {
+      if (frame[2] !== req.quantity * 2) return;
+      const words = [];
+      for (let i = 0; i < req.quantity; i++) words.push(frame.readUInt16BE(3 + 2 * i));
+      store(req.fc, req.address, words);
+    } else if (BIT_FCS.includes(req.fc)) {
+      if (frame[2] !== Math.ceil(req.quantity / 8)) return;
+      const bits = [];
+      for (let i = 0; i < req.quantity; i++) bits.push(((frame[3 + (i >> 3)] >> (i & 7)) & 1) === 1);
+      store(req.fc, req.address, bits);
+    } else if (req.fc === 6) {
+      // Register writes of the master are the current holding register value.
+      store(3, req.address, [req.value]);
+    } else if (req.fc === 16) {
+      const words = [];
+      for (let i = 0; i < req.quantity; i++) words.push(req.payload.readUInt16BE(2 * i));
+      store(3, req.address, words);
+    } else if (req.fc === 5) {
+      store(1, req.address, [req.value === 0xFF00]);
+    } else if (req.fc === 15) {
+      const bits = [];
+      for (let i = 0; i < req.quantity; i++) bits.push(((req.payload[i >> 3] >> (i & 7)) & 1) === 1);
+      store(1, req.address, bits);
+    }
+    this.stats.pairs++;
+    this.stats.lastFrameAt = now;
+  }
+
+  /**
+   * Returns the observed values of `len` addresses, shaped like a modbus-serial response.
+   * Throws E_MODBUS_NOT_OBSERVED when one of them was never seen or is older than maxAgeMs.
+   */
+  read(unitId, fc, address, len, maxAgeMs) {
+    const table = this._image.get(`${Number(unitId)}:${Number(fc)}`);
+    const now = Date.now();
+    const data = [];
+    for (let i = 0; i < len; i++) {
+      const entry = table ? table.get((address + i) & 0xFFFF) : null;
+      if (!entry || (maxAgeMs > 0 && now - entry.ts > maxAgeMs)) {
+        const err = new Error(`Modbus RTU listen-only: UID${unitId} FC${fc} ${address + i} not observed${entry ? ` for ${now - entry.ts} ms` : ''}`);
+        err.code = 'E_MODBUS_NOT_OBSERVED';
+        // Reported like "Illegal data address" so the driver splits the read group and keeps
+        // the datapoints that were observed.
+        err.modbusCode = 2;
+        throw err;
+      }
+      data.push(entry.value);
+    }
+    return { data };
+  }
+}
+
+function acquireSniffer(adapter, opts) {
+  const key = makeKey(opts);
+  if (!key || key.startsWith('|')) {
+    throw new Error('Invalid Modbus RTU path');
+  }
+
+  const existing = sniffers.get(key);
+  if (existing) {
+    existing.refs++;
+    return { key, sniffer: existing.sniffer };
+  }
+
+  const sniffer = new ModbusRtuSniffer(adapter, opts);
+  sniffers.set(key, { sniffer, refs: 1 });
+  return { key, sniffer };
+}
+
+function releaseSniffer(key) {
+  const entry = sniffers.get(key);
+  if (!entry) return;
+  entry.refs--;
+  if (entry.refs <= 0) {
+    sniffers.delete(key);
+    entry.sniffer.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  ModbusRtuSniffer,
+  acquireSniffer,
+  releaseSniffer,
+};
@@ -0,0 +1,90 @@
+'use strict';
+
+const EventEmitter = require('events');
+const dgram = require('dgram');
+
+/**
+ * modbus-serial port for transparent Modbus RTU over UDP.
+ *
+ * RS485-to-Ethernet gateways (USR, Waveshare) in "transparent" mode forward the raw RTU frame
+ * (unit id, PDU, CRC) as one UDP datagram and answer the same way. modbus-serial's own UDP port
+ * speaks Modbus/UDP with an MBAP header instead, so gateways in RTU mode ignore it.
+ *
+ * Used with `client._port = new ModbusRtuUdpPort(host, { port }); client.open(cb)`; the
+ * ModbusRTU client parses and CRC-checks the frames emitted as 'data'.
+ */
+class ModbusRtuUdpPort extends EventEmitter {
+  constructor(host, options = {}) {
+    super();
+    this.host = host;
+    this.port = Number(options.port || 502);
+    this.openFlag = false;
+    this._socket = null;
+  }
+
+  get isOpen() {
+    return this.openFlag;
+  }
+
+  open(callback) {
+    const socket = dgram.createSocket('udp4');
+    this._socket = socket;
+    let done = false;
+    const finish = (err) => {
+      if (done) return;
+      done = true;
+      if (callback) callback(err);
+    };
+    socket.on('message', (msg, rinfo) => {
+      // Only frames of our gateway; one datagram carries one complete RTU frame.
+      if (rinfo.port !== this.port) return;
+      this.emit('data', msg);
+    });
+    socket.on('error', (err) => {
+      this.openFlag = false;
+      if (!done) return finish(err);
+      this.emit('error', err);
+    });
+    socket.on('close', () => {
+      if (!this.openFlag) return;
+      this.openFlag = false;
+      this.emit('close');
+    });
+    socket.connect(this.port, this.host, () => {
+      this.openFlag = true;
+      finish();
+    });
+  }
+
+  write(data) {
+    if (!this._socket || !this.openFlag) return;
+    this._socket.send(data, (err) => {
+      if (err) this.emit('error', err);
+    });
+  }
+
+  close(callback) {
+    const socket = this._socket;
+    this._socket = null;
+    if (!socket) {
+      if (callback) callback();
+      return;
+    }
+    try {
+      // The 'close' listener above signals the close to the client.
+      socket.close(() => {
+        this.openFlag = false;
+        if (callback) callback();
+      });
+    } catch (_) {
+      this.openFlag = false;
+      if (callback) callback();
+    }
+  }
+
+  destroy(callback) {
+    this.close(callback);
+  }
+}
+
+module.exports = { ModbusRtuUdpPort };
@@ -0,0 +1,266 @@
+'use strict';
+
+const ModbusRTU = require('modbus-serial');
+
+/**
+ * Shared Modbus TCP connection pool.
+ *
+ * Why?
+ * - Gateways such as the Victron GX or the SMA Data Manager expose many devices through
+ *   different unit IDs on one host:port and only accept a few TCP connections.
+ * - Devices with `connection.sharedConnection` use ONE socket per host:port. Requests of all
+ *   devices are serialized through a queue, like ModbusRtuBus does for a serial line.
+ * - A unit ID that stops answering (timeout, gateway exceptions 0x0A/0x0B) is put into an
+ *   exponential backoff so it does not stall the other units on the same gateway.
+ * - Socket errors close the shared socket; the next request of any device reconnects.
+ */
+
+const buses = new Map(); // key -> { bus, refs }
+
+// Consecutive timeouts (any unit) after which the socket itself is considered dead.
+const MAX_TIMEOUT_STREAK = 3;
+
+function makeKey(opts) {
+  const o = opts || {};
+  const host = (o.host || '').toString().trim();
+  return host ? `${host}:${Number(o.port || 502)}` : '';
+}
+
+function isTimeout(err) {
+  if (!err) return false;
+  return err.name === 'TransactionTimedOutError' || err.errno === 'ETIMEDOUT' || err.code === 'ETIMEDOUT' || err.code === 'E_MODBUS_OPERATION_TIMEOUT';
+}
+
+// 0x0A Gateway path unavailable, 0x0B Gateway target device failed to respond
+function isGatewayUnreachable(err) {
+  return !!err && (err.modbusCode === 0x0A || err.modbusCode === 0x0B);
+}
+
+class ModbusTcpBus {
+  constructor(adapter, opts) {
+    this.adapter = adapter;
+    this.opts = {
+      host: (opts.host || '').toString().trim(),
+      port: Number(opts.port || 502),
+      connectTimeoutMs: Number(opts.connectTimeoutMs) > 0 ? Number(opts.connectTimeoutMs) : 5000,
+      unitBackoffMs: Number(opts.unitBackoffMs) >= 0 ? Number(opts.unitBackoffMs) : 1000,
+      maxUnitBackoffMs: Number(opts.maxUnitBackoffMs) > 0 ? Number(opts.maxUnitBackoffMs) : 30000,
+    };
+    this.client = null;
+    this.connected = false;
+    this._queue = Promise.resolve();
+    this._timeoutStreak = 0;
+    this._unitBackoff = new Map(); // unitId -> { streak, until }
+  }
+
+  get label() {
+    return `${this.opts.host}:${this.opts.port}`;
+  }
+
+  async _enqueue(fn) {
+    const run = async () => fn();
+    const p = this._queue.then(run, run);
+    // keep queue alive even if p rejects
+    this._queue = p.catch(() => {});
+    return p;
+  }
+
+  async ensureConnected() {
+    if (this.connected) return true;
+    return await this._enqueue(() => this._connectNow());
+  }
+
+  // Opens the socket; must run inside the queue (ensureConnected or _exec).
+  async _connectNow() {
+    if (this.connected && this.client && this.client.isOpen) return true;
+    this._closeClient();
+
+    const client = new ModbusRTU();
+    this.client = client;
+    let timer = null;
+    try {
+      await new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+          const err = new Error(`Modbus TCP connect ${this.label} hard-timeout after ${this.opts.connectTimeoutMs} ms`);
+          err.code = 'E_MODBUS_CONNECT_TIMEOUT';
+          reject(err);
+        }, this.opts.connectTimeoutMs);
+        client.connectTCP(this.opts.host, { port: this.opts.port }, (err) => (err ? reject(err) : resolve()));
+      });
+    } catch (e) {
+      if (this.client === client) this._closeClient();
+      throw e;
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+
+    // Best-effort: enable TCP keepalive on the underlying socket if accessible
+    try {
+      const p = client._port;
+      const sock = p && (p._client || p._socket || p.socket);
+      if (sock && typeof sock.setKeepAlive === 'function') sock.setKeepAlive(true, 10000);
+    } catch (_) {}
+
+    this.connected = true;
+    this._timeoutStreak = 0;
+    this.adapter.log.info(`[modbusTcpBus] connected ${this.label}`);
+    return true;
+  }
+
+  _closeClient() {
+    const client = this.client;
+    this.client = null;
+    this.connected = false;
+    if (!client) return;
+    try { client.close(() => {}); } catch (_) {}
+    try {
+      const p = client._port;
+      const sock = p && (p._client || p._socket || p.socket);
+      if (sock && typeof sock.destroy === 'function') sock.destroy();
+    } catch (_) {}
+  }
+
+  async close() {
+    return await this._enqueue(async () => this._closeClient());
+  }
+
+  /**
+   * Remaining backoff of a unit ID in ms (0 = may be polled).
+   */
+  unitBackoffRemainingMs(unitId) {
+    const entry = this._unitBackoff.get(Number(unitId));
+    return entry ? Math.max(0, entry.until - Date.now()) : 0;
+  }
+
+  _noteUnitFailure(unitId) {
+    const uid = Number(unitId);
+    const entry = this._unitBackoff.get(uid) || { streak: 0, until: 0 };
+    entry.streak = Math.min(entry.streak + 1, 10);
+    const delay = Math.min(this.opts.unitBackoffMs * Math.pow(2, entry.streak - 1), this.opts.maxUnitBackoffMs);
+    entry.until = Date.now() + delay;
+    this._unitBackoff.set(uid, entry);
+    if (entry.streak === 1 || delay >= this.opts.maxUnitBackoffMs) {
+      this.adapter.log.debug(`[modbusTcpBus] unit ${uid} on ${this.label} not responding; backoff ${delay} ms`);
+    }
+  }
+
+  async _exec(unitId, timeoutMs, fn) {
+    return await this._enqueue(async () => {
+      const uid = Number(unitId || 1);
+      const wait = this.unitBackoffRemainingMs(uid);
+      if (wait > 0) {
+        const err = new Error(`Modbus unit ${uid} on ${this.label} in backoff for ${wait} ms`);
+        err.code = 'E_MODBUS_UNIT_BACKOFF';
+        throw err;
+      }
+
+      await this._connectNow();
+      const client = this.client;
+      const ms = Number(timeoutMs || 2000);
+      client.setID(uid);
+      client.setTimeout(ms);
+
+      // modbus-serial times out on its own; the hard limit only guards a wedged socket so the
+      // queue of all devices on this gateway cannot hang.
+      let timer = null;
+      try {
+        const res = await Promise.race([
+          fn(client),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => {
+              const err = new Error(`Modbus TCP ${this.label} unit ${uid} hard-timeout after ${2 * ms} ms`);
+              err.code = 'E_MODBUS_OPERATION_TIMEOUT';
+              reject(err);
+            }, 2 * ms);
+          }),
+        ]);
+        this._timeoutStreak = 0;
+        this._unitBackoff.delete(uid);
+        return res;
+      } catch (e) {
+        if (e && e.modbusCode !== undefined) {
+          // The gateway answered, so the socket is fine. Unreachable targets still get a backoff.
+          this._timeoutStreak = 0;
+          if (isGatewayUnreachable(e)) this._noteUnitFailure(uid);
+          else this._unitBackoff.delete(uid);
+        } else if (isTimeout(e)) {
+          this._noteUnitFailure(uid);
+          this._timeoutStreak++;
+          if (e.code === 'E_MODBUS_OPERATION_TIMEOUT' || this._timeoutStreak >= MAX_TIMEOUT_STREAK) {
+            this.adapter.log.debug(`[modbusTcpBus] ${this.label}: ${this._timeoutStreak} timeouts in a row, reconnecting`);
+            if (this.client === client) this._closeClient();
+          }
+        } else if (this.client === client) {
+          // Socket error (ECONNRESET, Port Not Open, ...): the next request of any device reconnects.
+          this._closeClient();
+        }
+        throw e;
+      } finally {
+        if (timer) clearTimeout(timer);
+      }
+    });
+  }
+
+  // Read helpers
+  readCoils(unitId, timeoutMs, addr, len) {
+    return this._exec(unitId, timeoutMs, (c) => c.readCoils(addr, len));
+  }
+  readDiscreteInputs(unitId, timeoutMs, addr, len) {
+    return this._exec(unitId, timeoutMs, (c) => c.readDiscreteInputs(addr, len));
+  }
+  readHoldingRegisters(unitId, timeoutMs, addr, len) {
+    return this._exec(unitId, timeoutMs, (c) => c.readHoldingRegisters(addr, len));
+  }
+  readInputRegisters(unitId, timeoutMs, addr, len) {
+    return this._exec(unitId, timeoutMs, (c) => c.readInputRegisters(addr, len));
+  }
+  readDeviceIdentification(unitId, timeoutMs, deviceIdCode, objectId) {
+    return this._exec(unitId, timeoutMs, (c) => c.readDeviceIdentification(deviceIdCode, objectId));
+  }
+
+  // Write helpers
+  writeCoil(unitId, timeoutMs, addr, value) {
+    return this._exec(unitId, timeoutMs, (c) => c.writeCoil(addr, value));
+  }
+  writeRegister(unitId, timeoutMs, addr, value) {
+    return this._exec(unitId, timeoutMs, (c) => c.writeRegister(addr, value));
+  }
+  writeRegisters(unitId, timeoutMs, addr, values) {
+    return this._exec(unitId, timeoutMs, (c) => c.writeRegisters(addr, values));
+  }
+  writeCoils(unitId, timeoutMs, addr, values) {
+    return this._exec(unitId, timeoutMs, (c) => c.writeCoils(addr, values));
+  }
+}
+
+function acquireBus(adapter, opts) {
+  const key = makeKey(opts);
+  if (!key) {
+    throw new Error('Modbus TCP host missing');
+  }
+
+  const existing = buses.get(key);
+  if (existing) {
+    existing.refs++;
+    return { key, bus: existing.bus };
+  }
+
+  const bus = new ModbusTcpBus(adapter, opts);
+  buses.set(key, { bus, refs: 1 });
+  return { key, bus };
+}
+
+function releaseBus(key) {
+  const entry = buses.get(key);
+  if (!entry) return;
+  entry.refs--;
+  if (entry.refs <= 0) {
+    buses.delete(key);
+    entry.bus.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  acquireBus,
+  releaseBus,
+};
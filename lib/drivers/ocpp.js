@@ -0,0 +1,521 @@
+'use strict';
+
+const { acquireCentral, releaseCentral, DEFAULT_PORT } = require('./ocppCentral');
+const { OcppChargingLimiter } = require('./ocppSmartCharging');
+const { COMMANDS, executeRemoteCommand } = require('./ocppCommands');
+const { normalizeAuthMode, normalizeAuthorizationList } = require('./ocppAuthorization');
+const { sanitizeStationIdentity } = require('../../ocpp/freshness');
+
+function hasOwn(object, key) {
+  return !!object && Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function positiveInt(value, fallback) {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+function inferCommon(key, value) {
+  const name = key.split('.').pop();
+  if (typeof value === 'boolean') return { name, type: 'boolean', role: 'indicator', read: true, write: false };
+  if (typeof value === 'number') return { name, type: 'number', role: 'value', read: true, write: false };
+  return { name, type: 'string', role: 'text', read: true, write: false };
+}
+
+/**
+ * OCPP central system driver (event-driven).
+ *
+ * One device = one charge point identity, optionally narrowed to one EVSE/connector.
+ * The WebSocket server itself is shared per host:port (see ocppCentral.js); this driver
+ * only binds to its identity, mirrors the station tree below devices.<id>.ocpp.* and
+ * maps template datapoints (source.kind = 'ocpp') onto the station values.
+ * Writable datapoints with source.command = 'chargingLimit' drive SetChargingProfile
+ * (see ocppSmartCharging.js); run/unlock/reset/availability send remote commands
+ * (see ocppCommands.js); syncLocalList pushes the authorization list (see ocppAuthorization.js);
+ * authorizationKey/certificateSigned provision credentials (see ocppSecurity.js).
+ * The station configuration is mirrored below ocpp.config.*; writes to those states go
+ * back to the station (see ocppConfiguration.js). Completed charging sessions are kept in
+ * a durable journal per station (see ocppTransactionJournal.js). Firmware updates and log
+ * uploads run through a built-in HTTP endpoint (see ocppFileTransfer.js). ISO 15118 charging
+ * needs are published below ocpp.vehicle.* and, when enabled, answered with a TxProfile
+ * schedule (see ocppChargingNeeds.js).
+ */
+class OcppDriver {
+  constructor(
+    adapter,
+    deviceCfg,
+    template,
+    globalCfg,
+    relStateIdFn,
+    roundingDecimalsFn,
+    onAliveFn,
+    onValuesFn,
+    onConnectionFn,
+  ) {
+    this.adapter = adapter;
+    this.device = deviceCfg || {};
+    this.template = template || {};
+    this.global = globalCfg || {};
+    this.relStateId = relStateIdFn;
+    this.roundingDecimals = roundingDecimalsFn;
+
+    // Optional callbacks supplied by DeviceRuntime.
+    this.onAlive = (typeof onAliveFn === 'function') ? onAliveFn : null;
+    this.onValues = (typeof onValuesFn === 'function') ? onValuesFn : null;
+    this.onConnection = (typeof onConnectionFn === 'function') ? onConnectionFn : null;
+
+    const c = this.device.connection || {};
+    this.rawIdentity = String(c.identity || '').trim();
+    this.identity = this.rawIdentity ? sanitizeStationIdentity(this.rawIdentity) : '';
+    this.evseId = positiveInt(c.evseId, 1);
+    this.connectorId = positiveInt(c.connectorId, 1);
+
+    this.centralKey = null;
+    this.central = null;
+    this.connected = false;
+
+    this.baseId = `devices.${this.device.id}`;
+    this.mirrorBaseId = `${this.baseId}.ocpp`;
+    this._mirrorObjects = new Set();
+    this._stateQueue = Promise.resolve(); // serializes onStationState (arrival order)
+
+    this.dpsByKey = new Map(); // station key -> [dp]
+    this.valueCache = Object.create(null);
+    this.limiter = null;
+    this.authList = normalizeAuthorizationList(c.authList);
+    this.vehicleEvseId = undefined; // EVSE of the last NotifyEVChargingNeeds (ocpp.vehicle.*)
+  }
+
+  _resolveKey(key) {
+    return String(key || '')
+      .replace(/\{evseId\}/g, String(this.evseId))
+      .replace(/\{connectorId\}/g, String(this.connectorId));
+  }
+
+  _indexDatapoints(datapoints) {
+    this.dpsByKey.clear();
+    const list = Array.isArray(datapoints) ? datapoints : (this.template.datapoints || []);
+    for (const dp of list) {
+      const source = (dp && dp.source) || {};
+      if (source.kind !== 'ocpp' || !source.key) continue;
+      const key = this._resolveKey(source.key);
+      if (!this.dpsByKey.has(key)) this.dpsByKey.set(key, []);
+      this.dpsByKey.get(key).push(dp);
+    }
+  }
+
+  /** Only station-wide values and the values of the bound connector belong to this device. */
+  _isOwnKey(key) {
+    // vehicle.* describes the EV of the last NotifyEVChargingNeeds, i.e. one EVSE.
+    if (/^vehicle\./.test(key) && key !== 'vehicle.evseId') {
+      return this.vehicleEvseId === undefined || this.vehicleEvseId === this.evseId;
+    }
+    const m = String(key).match(/^connectors\.(\d+)_(\d+)\./);
+    if (!m) return true;
+    const evseId = Number(m[1]);
+    const connectorId = Number(m[2]);
+    return evseId === this.evseId && (connectorId === this.connectorId || connectorId === 0);
+  }
+
+  async connect(datapoints) {
+    if (!this.identity) throw new Error('Missing OCPP charge point identity');
+    const c = this.device.connection || {};
+
+    this._indexDatapoints(datapoints);
+
+    const { key, central } = acquireCentral(this.adapter, {
+      host: c.host || '0.0.0.0',
+      port: c.port || DEFAULT_PORT,
+      protocols: c.protocols,
+      heartbeatIntervalSec: c.heartbeatIntervalSec,
+      callTimeoutSec: c.callTimeoutSec,
+      captureRawMessages: c.captureRawMessages,
+      tlsCertPath: c.tlsCertPath,
+      tlsKeyPath: c.tlsKeyPath,
+      tlsCaPath: c.tlsCaPath,
+      tlsPassphrase: c.tlsPassphrase,
+      fileServerPort: c.fileServerPort,
+      fileServerHost: c.fileServerHost,
+      fileServerBindHost: c.fileServerBindHost,
+    });
+    this.centralKey = key;
+    this.central = central;
+    central.bind(this.rawIdentity, this);
+    this.limiter = this._createLimiter(central, c);
+
+    this.adapter.log.info(
+      `[${this.device.id}] OCPP waiting for charge point "${this.rawIdentity}" ` +
+      `(EVSE ${this.evseId}, connector ${this.connectorId}) on ${key.replace('|', ':')}`,
+    );
+
+    await central.start();
+
+    // Another device may already have received data for this station (shared identity).
+    const station = central.getStation(this.rawIdentity);
+    if (station) {
+      for (const [stationKey, entry] of station.values.entries()) {
+        await this.onStationState(stationKey, entry.val, { common: station.commons.get(stationKey) });
+      }
+      if (station.connected) this.onStationConnection(true, station);
+    }
+  }
+
+  async disconnect() {
+    if (this.limiter) {
+      this.limiter.stop();
+      this.limiter = null;
+    }
+    if (this.central) {
+      this.central.unbind(this.rawIdentity, this);
+      this.central = null;
+    }
+    if (this.centralKey) {
+      releaseCentral(this.centralKey);
+      this.centralKey = null;
+    }
+    if (this.connected) {
+      this.connected = false;
+      this._notifyConnection(false, 'OCPP central system stopped');
+    }
+  }
+
+  // ---- callbacks from the central system ----
+
+  /** Security settings of this device; the central system merges them per station. */
+  securityConfig() {
+    const c = this.device.connection || {};
+    return {
+      securityProfile: c.securityProfile,
+      authorizationKey: c.authorizationKey,
+      authorizationKeyEncoding: c.authorizationKeyEncoding,
+      provisionAuthorizationKey: c.provisionAuthorizationKey,
+    };
+  }
+
+  /** Authorization settings of this device; the central system merges them per station. */
+  authorizationConfig() {
+    const c = this.device.connection || {};
+    return {
+      // Without an explicit mode a configured list means "reject unknown cards".
+      mode: c.authMode ? normalizeAuthMode(c.authMode) : (this.authList.length ? 'list' : 'acceptAll'),
+      list: this.authList,
+      remoteIdTag: c.remoteIdTag,
+      localListSync: c.localListSync !== false,
+      checkIntervalSec: c.localListCheckSec,
+    };
+  }
+
+  /** Charging schedule settings of this device (ISO 15118 charging needs, see ocppChargingNeeds.js). */
+  schedulingConfig() {
+    const c = this.device.connection || {};
+    const limit = this.limiter ? (this.limiter.desired || this.limiter.applied) : null;
+    return {
+      enabled: c.chargingNeedsSchedule === true,
+      evseId: this.evseId,
+      siteLimitW: c.siteLimitW,
+      phases: c.phases,
+      nominalVoltageV: c.nominalVoltageV,
+      minimumChargingCurrentA: c.minimumChargingCurrentA,
+      stackLevel: c.chargingProfileStackLevel,
+      deviceLimit: limit && limit.action === 'set' ? { value: limit.effectiveLimit, unit: limit.rateUnit } : null,
+    };
+  }
+
+  onStationActivity(/* method */) {
+    if (this.onAlive) this.onAlive();
+  }
+
+  onStationConnection(connected) {
+    this.connected = !!connected;
+    this._notifyConnection(this.connected, this.connected ? '' : `OCPP charge point "${this.rawIdentity}" disconnected`);
+    if (this.connected && this.limiter) this.limiter.onReconnect();
+  }
+
+  onStationState(key, value, meta) {
+    if (key === 'vehicle.evseId') this.vehicleEvseId = Number(value);
+    if (!this._isOwnKey(key)) return Promise.resolve();
+    // The central system does not await this callback. Chaining the updates keeps state writes
+    // and onValues snapshots in arrival order during a burst of MeterValues/StatusNotifications.
+    const next = this._stateQueue.then(() => this._applyStationState(key, value, meta));
+    this._stateQueue = next.catch(() => {});
+    return next;
+  }
+
+  /** Wait until all queued station updates are written. */
+  async flush() {
+    let tail;
+    do {
+      tail = this._stateQueue;
+      await tail;
+    } while (tail !== this._stateQueue);
+  }
+
+  async _applyStationState(key, value, meta) {
+    await this._mirrorState(key, value, meta && meta.common);
+
+    const dps = this.dpsByKey.get(key);
+    if (!dps || !dps.length) return;
+    let changed = false;
+    for (const dp of dps) {
+      const mapped = this._convert(dp, value);
+      if (mapped === undefined) continue;
+      this.valueCache[dp.id] = mapped;
+      changed = true;
+      const stateId = this.relStateId ? this.relStateId(dp) : dp.id;
+      await this.adapter.setStateAsync(stateId, { val: mapped, ack: true }).catch(() => {});
+    }
+    if (changed && this.onValues) {
+      await this.onValues({ ...this.valueCache }, { connected: true });
+    }
+  }
+
+  _convert(dp, raw) {
+    const source = dp.source || {};
+    let value = raw;
+    if (source.valueMap && typeof source.valueMap === 'object') {
+      const k = String(value);
+      if (hasOwn(source.valueMap, k)) value = source.valueMap[k];
+    }
+    const type = String(dp.type || 'number').toLowerCase();
+    if (type === 'number') {
+      if (value === null || value === undefined || value === '') return undefined;
+      let n = typeof value === 'boolean' ? (value ? 1 : 0) : Number(value);
+      if (!Number.isFinite(n)) return undefined;
+      if (Number.isFinite(Number(source.scale))) n *= Number(source.scale);
+      const decimals = this.roundingDecimals ? this.roundingDecimals(dp) : null;
+      if (decimals !== null && decimals !== undefined) {
+        const factor = Math.pow(10, decimals);
+        n = Math.round(n * factor) / factor;
+      }
+      return n;
+    }
+    if (type === 'boolean') return value === true || value === 1 || value === 'true' || value === '1';
+    return value === null || value === undefined ? '' : String(value);
+  }
+
+  async _mirrorState(key, value, common) {
+    const relId = `${this.mirrorBaseId}.${key}`;
+    if (!this._mirrorObjects.has(relId)) {
+      const parts = relId.split('.');
+      const baseDepth = this.baseId.split('.').length;
+      for (let i = baseDepth; i < parts.length - 1; i++) {
+        const channelId = parts.slice(0, i + 1).join('.');
+        if (this._mirrorObjects.has(channelId)) continue;
+        await this.adapter.setObjectNotExistsAsync(channelId, {
+          type: 'channel',
+          common: { name: i === baseDepth ? 'OCPP' : parts[i] },
+          native: { deviceId: this.device.id, ocppIdentity: this.identity },
+        });
+        this._mirrorObjects.add(channelId);
+      }
+      await this.adapter.setObjectNotExistsAsync(relId, {
+        type: 'state',
+        common: Object.assign(inferCommon(key, value), common || {}),
+        native: { deviceId: this.device.id, ocppIdentity: this.identity, ocppKey: key },
+      });
+      this._mirrorObjects.add(relId);
+    }
+    await this.adapter.setStateAsync(relId, { val: value, ack: true }).catch(() => {});
+  }
+
+  _notifyConnection(connected, errorMessage) {
+    if (!this.onConnection) return;
+    try {
+      const result = this.onConnection(!!connected, errorMessage || '');
+      if (result && typeof result.catch === 'function') result.catch(() => {});
+    } catch (_) {
+      // Connection notifications must never break the OCPP session.
+    }
+  }
+
+  async readDatapoints(/* datapoints */) {
+    // OCPP is event-driven; the charge point pushes its values.
+    return {};
+  }
+
+  async writeDatapoint(dp, value) {
+    try {
+      return await this._writeDatapoint(dp, value);
+    } finally {
+      // Results the command published (status, command result, ...) are written before it resolves.
+      await this.flush();
+    }
+  }
+
+  async _writeDatapoint(dp, value) {
+    const source = (dp && dp.source) || {};
+    if (source.kind === 'ocpp' && source.command === 'chargingLimit') {
+      if (!this.limiter) throw new Error('OCPP driver is not connected');
+      const n = Number(value);
+      if (!Number.isFinite(n)) throw new Error(`Invalid OCPP charging limit for ${dp.id}: ${value}`);
+      const unit = String(source.limitUnit || dp.unit || 'A').toUpperCase() === 'W' ? 'W' : 'A';
+      return this.limiter.request(n, unit);
+    }
+    if (source.kind === 'ocpp' && source.command === 'syncLocalList') {
+      if (!value) return { effectiveValue: false };
+      if (!this.central) throw new Error('OCPP driver is not connected');
+      const result = await this.central.syncLocalList(this.rawIdentity, { force: true });
+      if (!['Accepted', 'InSync'].includes(result.status)) {
+        this.adapter.log.warn(`[${this.device.id}] OCPP local list sync for "${this.rawIdentity}": ${result.status}`);
+      }
+      return { effectiveValue: false };
+    }
+    if (source.kind === 'ocpp' && source.command === 'readConfiguration') {
+      if (!value) return { effectiveValue: false };
+      await this.readConfiguration();
+      return { effectiveValue: false };
+    }
+    if (source.kind === 'ocpp' && source.command === 'updateFirmware') {
+      if (!this.central) throw new Error('OCPP driver is not connected');
+      const result = await this.central.updateFirmware(this.rawIdentity, value);
+      return { effectiveValue: result.status === 'Accepted' ? String(value) : '' };
+    }
+    if (source.kind === 'ocpp' && source.command === 'uploadLog') {
+      if (!value) return { effectiveValue: false };
+      if (!this.central) throw new Error('OCPP driver is not connected');
+      await this.central.requestLogUpload(this.rawIdentity, { logType: source.logType });
+      return { effectiveValue: false };
+    }
+    if (source.kind === 'ocpp' && source.command === 'authorizationKey') {
+      if (!value) return { effectiveValue: false };
+      if (!this.central) throw new Error('OCPP driver is not connected');
+      await this.central.provisionAuthorizationKey(this.rawIdentity);
+      return { effectiveValue: false };
+    }
+    if (source.kind === 'ocpp' && source.command === 'certificateSigned') {
+      if (!this.central) throw new Error('OCPP driver is not connected');
+      const result = await this.central.sendCertificateSigned(this.rawIdentity, value);
+      return { effectiveValue: result.status === 'Accepted' ? String(value) : '' };
+    }
+    if (source.kind === 'ocpp' && COMMANDS.has(source.command)) {
+      return this._executeCommand(source.command, value);
+    }
+    throw new Error(`OCPP datapoint ${dp && dp.id} is read-only`);
+  }
+
+  // ---- configuration browser ----
+
+  async readConfiguration(options) {
+    if (!this.central) throw new Error('OCPP driver is not connected');
+    return this.central.readConfiguration(this.rawIdentity, options || {});
+  }
+
+  async writeConfiguration(key, value) {
+    if (!this.central) throw new Error('OCPP driver is not connected');
+    return this.central.writeConfiguration(this.rawIdentity, key, value);
+  }
+
+  listConfiguration() {
+    return this.central ? this.central.listConfiguration(this.rawIdentity) : [];
+  }
+
+  // ---- transaction journal ----
+
+  /** Charging sessions of this charge point (see OcppCentralSystem.exportTransactions). */
+  async exportTransactions(options) {
+    if (!this.central) throw new Error('OCPP driver is not connected');
+    const o = options || {};
+    return this.central.exportTransactions(this.rawIdentity, {
+      format: o.format,
+      from: o.from,
+      to: o.to,
+      idTag: o.idTag,
+      connectorId: o.connectorId,
+      includeOpen: o.includeOpen === true,
+      delimiter: o.delimiter,
+    });
+  }
+
+  /** Writes to driver-owned states; returns true when the state belongs to this driver. */
+  async handleStateWrite(relId, value) {
+    const prefix = `${this.mirrorBaseId}.config.`;
+    if (!String(relId).startsWith(prefix)) return false;
+    await this.writeConfiguration(`config.${relId.slice(prefix.length)}`, value);
+    return true;
+  }
+
+  async _executeCommand(command, value) {
+    const station = this.central ? this.central.getStation(this.rawIdentity) : null;
+    if (!station || !station.connected) throw new Error(`OCPP charge point "${this.rawIdentity}" is not connected`);
+
+    const base = `connectors.${this.evseId}_${this.connectorId}`;
+    const result = await executeRemoteCommand({
+      protocol: station.protocol,
+      command,
+      value,
+      target: {
+        evseId: this.evseId,
+        connectorId: this.connectorId,
+        idTag: (this.device.connection || {}).remoteIdTag,
+        transactionId: this._currentTransactionId(station),
+      },
+      call: (method, params) => this.central.call(this.rawIdentity, method, params),
+      publish: async ({ method, status, reason }) => {
+        const text = (name) => ({ name, type: 'string', role: 'text', read: true, write: false });
+        const publish = (key, val, common) => this.central.publishStationValue(this.rawIdentity, `${base}.${key}`, val, common, 'control');
+        await publish('lastCommand', method, text('Last remote command'));
+        await publish('lastCommandResult', status, text('Last remote command result'));
+        await publish('lastCommandReason', reason || '', text('Last remote command reason'));
+        await publish('lastCommandAt', new Date().toISOString(), text('Last remote command time'));
+      },
+    });
+
+    if (!result.accepted) {
+      this.adapter.log.warn(`[${this.device.id}] OCPP ${result.method} for "${this.rawIdentity}": ${result.status}${result.reason ? ` (${result.reason})` : ''}`);
+    }
+    // Acknowledge what the station actually does, not what was requested.
+    switch (command) {
+      case 'run':
+        return { effectiveValue: result.accepted ? !!value : !!this._currentTransactionId(station) };
+      case 'unlock':
+        return { effectiveValue: false };
+      case 'availability':
+        return { effectiveValue: result.accepted ? !!value : !value };
+      default:
+        return { effectiveValue: result.accepted ? value : '' };
+    }
+  }
+
+  _currentTransactionId(station) {
+    const connector = station.connectors.get(`${this.evseId}_${this.connectorId}`);
+    if (connector && connector.transaction && !connector.transaction.stoppedAt) return connector.transaction.txId;
+    // After an adapter restart only the mirrored station value is known.
+    const entry = station.values.get(`connectors.${this.evseId}_${this.connectorId}.transactionId`);
+    return entry ? entry.val : '';
+  }
+
+  _createLimiter(central, connection) {
+    const base = `connectors.${this.evseId}_${this.connectorId}`;
+    const common = (name, type, role) => ({ name, type, role, read: true, write: false });
+    return new OcppChargingLimiter({
+      identity: this.identity,
+      evseId: this.evseId,
+      connectorId: this.connectorId,
+      config: connection,
+      log: this.adapter.log,
+      getProtocol: () => {
+        const station = central.getStation(this.rawIdentity);
+        return station ? station.protocol : '';
+      },
+      isConnected: () => {
+        const station = central.getStation(this.rawIdentity);
+        return !!(station && station.connected && station.client);
+      },
+      call: (method, params) => central.call(this.rawIdentity, method, params),
+      publish: async ({ status, accepted, limit, reason }) => {
+        const publish = (key, value, c) => central.publishStationValue(this.rawIdentity, `${base}.${key}`, value, c, 'control');
+        await publish('chargingLimitStatus', status, common('Charging limit status', 'string', 'text'));
+        if (accepted !== undefined) await publish('chargingLimitAccepted', !!accepted, common('Charging limit accepted', 'boolean', 'indicator'));
+        if (limit && limit.effectiveLimit !== undefined) {
+          await publish('chargingLimit', limit.effectiveLimit, common('Effective charging limit', 'number', 'value'));
+          await publish('chargingLimitUnit', limit.rateUnit, common('Charging limit unit', 'string', 'text'));
+        }
+        await publish('chargingLimitReason', reason || '', common('Charging limit reason', 'string', 'text'));
+      },
+    });
+  }
+}
+
+module.exports = {
+  OcppDriver,
+};
@@ -0,0 +1,175 @@
+'use strict';
+
+const { deterministicInt } = require('../../ocpp/compact');
+
+/**
+ * OCPP authorization: idTag / idToken whitelist with expiry and group id.
+ *
+ * The list is configured per device (connection.authList) and merged per station,
+ * because several devices (connectors) share one charge point identity. With
+ * connection.authMode = 'list' unknown cards are rejected; the default 'acceptAll'
+ * keeps the previous behaviour.
+ *
+ * The same list is pushed into the charge point (SendLocalList, updateType Full) so
+ * cards also work offline. The list version is a hash of the list content: the
+ * central system can compare it with GetLocalListVersion after every reconnect and
+ * after a restart without keeping extra state.
+ */
+
+const AUTH_MODES = new Set(['acceptAll', 'list']);
+const ID_TOKEN_TYPES = new Set(['Central', 'eMAID', 'ISO14443', 'ISO15693', 'KeyCode', 'Local', 'MacAddress', 'NoAuthorization']);
+const MAX_ID_TAG_16 = 20;
+const MAX_ID_TOKEN_2X = 36;
+
+function isOcpp16(protocol) {
+  return String(protocol || '') === 'ocpp1.6';
+}
+
+function normalizeAuthMode(value) {
+  const mode = String(value || '').trim();
+  return AUTH_MODES.has(mode) ? mode : 'acceptAll';
+}
+
+function normalizeExpiry(value) {
+  if (value === undefined || value === null || value === '') return '';
+  const ts = Date.parse(String(value).trim());
+  return Number.isFinite(ts) ? new Date(ts).toISOString() : '';
+}
+
+function truthy(value) {
+  return value === true || ['1', 'true', 'yes', 'blocked'].includes(String(value || '').trim().toLowerCase());
+}
+
+/**
+ * Normalize an authorization list.
+ * Accepts an array of { idTag, expiryDate, groupId, blocked, type } or text with one
+ * entry per line: "idTag;expiry;groupId;blocked" (only idTag is required, '#' starts a comment).
+ */
+function normalizeAuthorizationList(raw) {
+  let items = [];
+  if (Array.isArray(raw)) {
+    items = raw;
+  } else if (typeof raw === 'string') {
+    items = raw.split(/\r?\n/)
+      .map(line => line.replace(/#.*$/, '').trim())
+      .filter(Boolean)
+      .map((line) => {
+        const [idTag, expiryDate, groupId, blocked] = line.split(/[;,\t]/).map(part => part.trim());
+        return { idTag, expiryDate, groupId, blocked };
+      });
+  }
+
+  const byKey = new Map();
+  for (const item of items) {
+    const entry = typeof item === 'string' ? { idTag: item } : (item || {});
+    const idTag = String(entry.idTag || entry.idToken || '').trim();
+    if (!idTag) continue;
+    const type = ID_TOKEN_TYPES.has(String(entry.type || '')) ? String(entry.type) : 'ISO14443';
+    byKey.set(idTag.toLowerCase(), {
+      idTag,
+      expiryDate: normalizeExpiry(entry.expiryDate || entry.expiry),
+      groupId: String(entry.groupId || entry.parentIdTag || '').trim(),
+      blocked: truthy(entry.blocked),
+      type,
+    });
+  }
+  return Array.from(byKey.values()).sort((a, b) => a.idTag.localeCompare(b.idTag));
+}
+
+/** Merge the lists of several devices; the first entry of an idTag wins. */
+function mergeAuthorizationLists(lists) {
+  const merged = new Map();
+  for (const list of lists || []) {
+    for (const entry of list || []) {
+      const key = entry.idTag.toLowerCase();
+      if (!merged.has(key)) merged.set(key, entry);
+    }
+  }
+  return Array.from(merged.values()).sort((a, b) => a.idTag.localeCompare(b.idTag));
+}
+
+/** Positive list version derived from the list content (0 = empty list). */
+function localListVersion(identity, list) {
+  if (!list || !list.length) return 0;
+  const content = list.map(e => [e.idTag, e.expiryDate, e.groupId, e.blocked ? 1 : 0, e.type].join('|')).join('\n');
+  return deterministicInt(identity, `local-list:${content}`);
+}
+
+/**
+ * Decide about one idTag.
+ * @returns {{status: string, entry: (object|null)}}
+ */
+function authorizeIdTag(list, idTag, protocol, options = {}) {
+  const token = String(idTag || '').trim();
+  const key = token.toLowerCase();
+  const entry = (list || []).find(e => e.idTag.toLowerCase() === key) || null;
+  const now = Number(options.now) || Date.now();
+  if (entry) {
+    if (entry.blocked) return { status: 'Blocked', entry };
+    if (entry.expiryDate && Date.parse(entry.expiryDate) <= now) return { status: 'Expired', entry };
+    return { status: 'Accepted', entry };
+  }
+  if (options.mode !== 'list') return { status: 'Accepted', entry: null };
+  if (options.alwaysAccept && options.alwaysAccept.some(tag => String(tag || '').toLowerCase() === key)) {
+    return { status: 'Accepted', entry: null };
+  }
+  return { status: isOcpp16(protocol) ? 'Invalid' : 'Unknown', entry: null };
+}
+
+/** IdTagInfo (1.6) or IdTokenInfo (2.x) for a decision. */
+function authorizationInfo(protocol, decision) {
+  const d = decision || { status: 'Accepted', entry: null };
+  const entry = d.entry;
+  if (isOcpp16(protocol)) {
+    const info = { status: d.status };
+    if (entry && entry.expiryDate) info.expiryDate = entry.expiryDate;
+    if (entry && entry.groupId) info.parentIdTag = entry.groupId.slice(0, MAX_ID_TAG_16);
+    return info;
+  }
+  const info = { status: d.status };
+  if (entry && entry.expiryDate) info.cacheExpiryDateTime = entry.expiryDate;
+  if (entry && entry.groupId) info.groupIdToken = { idToken: entry.groupId.slice(0, MAX_ID_TOKEN_2X), type: 'Central' };
+  return info;
+}
+
+/** SendLocalList payload replacing the whole list in the charge point. */
+function buildSendLocalListRequest(protocol, identity, list) {
+  const version = localListVersion(identity, list);
+  if (isOcpp16(protocol)) {
+    return {
+      listVersion: version,
+      updateType: 'Full',
+      localAuthorizationList: list
+        .filter(e => e.idTag.length <= MAX_ID_TAG_16)
+        .map(e => ({ idTag: e.idTag, idTagInfo: authorizationInfo(protocol, authorizeIdTag([e], e.idTag, protocol)) })),
+    };
+  }
+  return {
+    versionNumber: version,
+    updateType: 'Full',
+    localAuthorizationList: list
+      .filter(e => e.idTag.length <= MAX_ID_TOKEN_2X)
+      .map(e => ({
+        idToken: { idToken: e.idTag, type: e.type },
+        idTokenInfo: authorizationInfo(protocol, authorizeIdTag([e], e.idTag, protocol)),
+      })),
+  };
+}
+
+/** List version reported by GetLocalListVersion (-1: not supported by a 1.6 station). */
+function reportedListVersion(protocol, response) {
+  const raw = isOcpp16(protocol) ? response && response.listVersion : response && response.versionNumber;
+  const n = Number(raw);
+  return Number.isInteger(n) ? n : undefined;
+}
+
+module.exports = {
+  normalizeAuthMode,
+  normalizeAuthorizationList,
+  mergeAuthorizationLists,
+  localListVersion,
+  authorizeIdTag,
+  authorizationInfo,
+  buildSendLocalListRequest,
+  reportedListVersion,
+};
@@ -0,0 +1,1431 @@
+'use strict';
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  sanitizeStationIdentity,
+  statusImpliesZero,
+  chargingStateImpliesZero,
+  commandTimeoutMs,
+} = require('../../ocpp/freshness');
+const {
+  canonicalMeasurand,
+  canonicalPhase,
+  aggregatePhaseValues,
+  compactKeyFromLegacyAggregate,
+  measurementCommon,
+} = require('../../ocpp/compact');
+const {
+  mergeAuthorizationLists,
+  localListVersion,
+  authorizeIdTag,
+  authorizationInfo,
+  buildSendLocalListRequest,
+  reportedListVersion,
+} = require('./ocppAuthorization');
+const {
+  mergeSecurityConfigs,
+  verifyHandshake,
+  isValidAuthorizationKey,
+  buildAuthorizationKeyRequest,
+  authorizationKeyStatus,
+  isCertificateSigningRequest,
+  normalizeCertificateChain,
+  buildCertificateSignedRequest,
+  loadTlsOptions,
+} = require('./ocppSecurity');
+const {
+  WRITE_SUCCESS,
+  entriesFromGetConfiguration,
+  entriesFromReportData,
+  buildGetVariablesRequest,
+  entriesFromGetVariables,
+  coerceConfigValue,
+  buildConfigurationWrite,
+  configurationWriteStatus,
+} = require('./ocppConfiguration');
+const { OcppTransactionJournal, sessionsToCsv } = require('./ocppTransactionJournal');
+const {
+  OcppFileServer,
+  isRemoteLocation,
+  firmwareFilePath,
+  transferProgress,
+  buildUpdateFirmwareRequest,
+  buildLogRequest,
+  logRequestResult,
+} = require('./ocppFileTransfer');
+const {
+  normalizeChargingNeeds,
+  computeChargingSchedule,
+  buildTxProfileRequest,
+  noScheduleStatus,
+} = require('./ocppChargingNeeds');
+
+/**
+ * Shared OCPP central system manager.
+ *
+ * Why?
+ * - Charging stations connect to us (WebSocket client -> server), not the other way round.
+ * - Several configured devices usually share one listening port; every device is one
+ *   charge point identity (and optionally one connector) on that port.
+ * - This manager keeps ONE RPC server per host:port and routes each identity to the
+ *   drivers bound to it. The protocol handlers in ocpp/ only see the ctx facade below.
+ */
+
+const centrals = new Map(); // key -> { central, refs }
+
+const DEFAULT_PORT = 9000;
+const DEFAULT_PROTOCOLS = ['ocpp1.6', 'ocpp2.0.1', 'ocpp2.1'];
+const MAX_DEFERRED_PER_STATION = 200;
+// Local list sync and key provisioning wait for the BootNotification after a (re)connect.
+const LOCAL_LIST_SYNC_DELAY_MS = 5000;
+const AUTHORIZATION_KEY_DELAY_MS = 5000;
+const DEFAULT_LOCAL_LIST_CHECK_SEC = 3600;
+// Live flow values that must fall back to zero when a connector stops transferring energy.
+const ZERO_ON_IDLE_RE = /^(?:powerW|currentA)(?:L[123])?$/;
+
+// Numeric connector status code. Same convention as the OCPP status register of
+// MENNEKES AMTRON (cHARGE_POINT_STATE), so both families share one status vocabulary.
+const STATUS_CODES = Object.freeze({
+  undefined: 0,
+  available: 1,
+  preparing: 2,
+  charging: 3,
+  suspendedevse: 4,
+  suspendedev: 5,
+  finishing: 6,
+  reserved: 7,
+  unavailable: 8,
+  faulted: 9,
+});
+
+const authCommon = (name, type, role) => ({ name, type, role, read: true, write: false });
+const AUTH_COMMONS = Object.freeze({
+  lastIdTag: authCommon('Last authorized idTag', 'string', 'text'),
+  lastStatus: authCommon('Last authorization status', 'string', 'text'),
+  localListVersion: authCommon('Configured local list version', 'number', 'value'),
+  stationListVersion: authCommon('Local list version in the charge point', 'number', 'value'),
+  drift: authCommon('Local list differs from configuration', 'boolean', 'indicator'),
+  lastSyncResult: authCommon('Last local list sync result', 'string', 'text'),
+  lastSyncAt: authCommon('Last local list sync', 'string', 'date'),
+});
+const SECURITY_COMMONS = Object.freeze({
+  securityProfile: authCommon('Configured OCPP security profile', 'number', 'value'),
+  basicAuth: authCommon('Connected with Basic Auth password', 'boolean', 'indicator'),
+  tls: authCommon('Connected via TLS (wss)', 'boolean', 'indicator'),
+  authorizationKeyStatus: authCommon('Authorization key provisioning result', 'string', 'text'),
+  authorizationKeyAt: authCommon('Last authorization key provisioning', 'string', 'date'),
+  csr: authCommon('Pending certificate signing request (PEM)', 'string', 'text'),
+  csrCertificateType: authCommon('Requested certificate type', 'string', 'text'),
+  csrReceivedAt: authCommon('Certificate signing request received', 'string', 'date'),
+  csrPending: authCommon('Certificate signing request pending', 'boolean', 'indicator'),
+  certificateSignedStatus: authCommon('CertificateSigned result', 'string', 'text'),
+});
+const CONFIG_COMMONS = Object.freeze({
+  lastReadStatus: authCommon('Configuration read status', 'string', 'text'),
+  lastReadAt: authCommon('Last configuration read', 'string', 'date'),
+  keyCount: authCommon('Configuration entries', 'number', 'value'),
+  unknownKeys: authCommon('Keys unknown to the charge point', 'string', 'text'),
+  lastWriteKey: authCommon('Last written configuration entry', 'string', 'text'),
+  lastWriteStatus: authCommon('Last configuration write result', 'string', 'text'),
+  lastWriteAt: authCommon('Last configuration write', 'string', 'date'),
+});
+const MAINTENANCE_COMMONS = Object.freeze({
+  firmwareStatus: authCommon('Firmware update status', 'string', 'text'),
+  firmwareProgress: Object.assign(authCommon('Firmware update progress', 'number', 'value'), { unit: '%' }),
+  firmwareActive: authCommon('Firmware update running', 'boolean', 'indicator'),
+  firmwareRequestResult: authCommon('UpdateFirmware result', 'string', 'text'),
+  firmwareLocation: authCommon('Firmware download location', 'string', 'text'),
+  logStatus: authCommon('Log upload status', 'string', 'text'),
+  logProgress: Object.assign(authCommon('Log upload progress', 'number', 'value'), { unit: '%' }),
+  logActive: authCommon('Log upload running', 'boolean', 'indicator'),
+  logRequestResult: authCommon('GetDiagnostics / GetLog result', 'string', 'text'),
+  logFileName: authCommon('Log file name announced by the charge point', 'string', 'text'),
+  uploadFile: authCommon('Last received log file', 'string', 'text'),
+  uploadBytes: Object.assign(authCommon('Size of the last received log file', 'number', 'value'), { unit: 'B' }),
+  uploadAt: authCommon('Last log upload received', 'string', 'date'),
+});
+const SCHEDULE_COMMONS = Object.freeze({
+  chargingScheduleStatus: authCommon('Charging schedule status', 'string', 'text'),
+  chargingScheduleLimit: authCommon('Charging schedule limit (first period)', 'number', 'value'),
+  chargingScheduleUnit: authCommon('Charging schedule unit', 'string', 'text'),
+  chargingSchedule: authCommon('Charging schedule periods (JSON)', 'string', 'json'),
+  chargingScheduleAt: authCommon('Last charging schedule', 'string', 'date'),
+});
+const TRANSACTION_COMMONS = Object.freeze({
+  lastSession: authCommon('Last completed charging session (JSON)', 'string', 'json'),
+  lastSessionEnergyWh: Object.assign(authCommon('Energy of the last completed session', 'number', 'value.energy'), { unit: 'Wh' }),
+});
+
+// Seed for the requestIds of GetBaseReport / UpdateFirmware / GetLog (seconds, positive int32),
+// so ids of a restarted adapter do not repeat the ones a station still reports.
+function requestIdSeed() {
+  return Math.max(1, Math.floor(Date.now() / 1000) % 0x7fffffff);
+}
+
+function makeKey(opts) {
+  const o = opts || {};
+  const host = (o.host || '0.0.0.0').toString().trim();
+  const port = Number(o.port || DEFAULT_PORT);
+  return `${host}|${port}`;
+}
+
+function normalizeProtocols(value) {
+  const raw = Array.isArray(value) ? value : String(value || '').split(/[;,\s]+/);
+  const out = raw.map(p => String(p || '').trim()).filter(p => DEFAULT_PROTOCOLS.includes(p));
+  return out.length ? Array.from(new Set(out)) : DEFAULT_PROTOCOLS.slice();
+}
+
+/**
+ * Map an OCPP connector status (1.6 ChargePointStatus or 2.x ConnectorStatus) to the
+ * numeric status code. OCPP 2.x only reports "Occupied"; the transaction charging
+ * state refines it (Charging / SuspendedEV / SuspendedEVSE / EVConnected).
+ */
+function connectorStatusCode(status, chargingState) {
+  const s = String(status || '').toLowerCase();
+  if (s === 'occupied') {
+    const cs = String(chargingState || '').toLowerCase();
+    if (cs === 'charging') return STATUS_CODES.charging;
+    if (cs === 'suspendedev') return STATUS_CODES.suspendedev;
+    if (cs === 'suspendedevse') return STATUS_CODES.suspendedevse;
+    return STATUS_CODES.preparing;
+  }
+  return Object.prototype.hasOwnProperty.call(STATUS_CODES, s) ? STATUS_CODES[s] : STATUS_CODES.undefined;
+}
+
+function finiteOrUndefined(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+/** Short result label for a failed CALL (timeout, CALLERROR code or generic error). */
+function classifyCallError(error) {
+  const msg = error && error.message ? String(error.message) : String(error);
+  if (error && (error.name === 'TimeoutError' || /timed? ?out/i.test(msg))) return 'Timeout';
+  if (error && error.rpcErrorCode === 'NotImplemented') return 'NotImplemented';
+  if (error && error.rpcErrorCode === 'NotSupported') return 'NotSupported';
+  return 'Error';
+}
+
+class OcppCentralSystem {
+  constructor(adapter, opts) {
+    this.adapter = adapter;
+    this.log = adapter.log;
+    this.opts = {
+      host: (opts.host || '0.0.0.0').toString().trim(),
+      port: Number(opts.port || DEFAULT_PORT),
+      protocols: normalizeProtocols(opts.protocols),
+      tlsCertPath: opts.tlsCertPath,
+      tlsKeyPath: opts.tlsKeyPath,
+      tlsCaPath: opts.tlsCaPath,
+      tlsPassphrase: opts.tlsPassphrase,
+      fileServerPort: Number(opts.fileServerPort) || 0,
+      fileServerHost: String(opts.fileServerHost || '').trim(),
+      fileServerBindHost: String(opts.fileServerBindHost || '').trim(),
+    };
+
+    // ctx.config as consumed by ocpp/server.js, ocpp/v16.js and ocpp/v2base.js.
+    this.config = {
+      heartbeatIntervalSec: Number(opts.heartbeatIntervalSec) || 300,
+      callTimeoutSec: Number(opts.callTimeoutSec) || 20,
+      captureRawMessages: opts.captureRawMessages === true,
+      identityAllowlist: [],
+    };
+
+    this.stations = new Map(); // identity -> station record
+    this.bindings = new Map(); // identity -> Set(listener)
+    this.server = null;
+    this._listening = null;
+
+    this.runtime = this._createRuntimeFacade();
+    this.states = this._createStatesFacade();
+    this.dp = {
+      capture: async (identity, protocol, direction, method, params) => {
+        let payload;
+        try { payload = JSON.stringify({ protocol, direction, method, params }); } catch (_) { payload = String(method); }
+        await this.setStateFreshAsync(`${identity}.debug.lastMessage`, payload, true, 'status');
+      },
+    };
+    this.dm = {
+      ingestNotifyReport: async (identity, protocol, params) => {
+        const station = this._station(identity);
+        const p = params || {};
+        const entries = entriesFromReportData(p.reportData);
+        await this._publishConfigEntries(station, entries);
+        this.log.debug(`[ocpp] NotifyReport ${identity} (${protocol}) seq ${p.seqNo}: ${entries.length} item(s)`);
+        if (p.tbc !== true) {
+          await this._publishConfigStatus(identity, 'lastReadStatus', 'Completed');
+          await this._publishConfigStatus(identity, 'lastReadAt', new Date().toISOString());
+          await this._publishConfigStatus(identity, 'keyCount', station.configEntries.size);
+        }
+      },
+    };
+
+    this.auth = {
+      idTagInfo: (identity, protocol, idTag /* , tokenType */) => {
+        const cfg = this._authorizationFor(identity);
+        const decision = authorizeIdTag(cfg.list, idTag, protocol, { mode: cfg.mode, alwaysAccept: cfg.alwaysAccept });
+        this.defer(identity, 'Authorization', async () => {
+          await this.publishStationValue(identity, 'authorization.lastIdTag', String(idTag), AUTH_COMMONS.lastIdTag, 'status');
+          await this.publishStationValue(identity, 'authorization.lastStatus', decision.status, AUTH_COMMONS.lastStatus, 'status');
+        });
+        if (decision.status !== 'Accepted') this.log.info(`[ocpp] ${identity}: idTag "${idTag}" ${decision.status}`);
+        return authorizationInfo(protocol, decision);
+      },
+      // With a configured list a failed lookup must reject instead of accepting every card.
+      listActive: (identity) => {
+        const cfg = this._authorizationFor(identity);
+        return cfg.mode === 'list' || cfg.list.length > 0;
+      },
+    };
+    this.security = {
+      verify: (identity, password, secure) => verifyHandshake(this._securityFor(sanitizeStationIdentity(identity)), password, secure),
+      signCertificate: (identity, protocol, params) => this._onSignCertificate(identity, protocol, params),
+    };
+    this.scheduling = {
+      onChargingNeeds: (identity, protocol, params) => this._onChargingNeeds(identity, protocol, params),
+    };
+    this._timers = new Map(); // `${identity}|${task}` -> timeout
+    this.journal = new OcppTransactionJournal({
+      dir: adapter.instanceDataDir ? path.join(adapter.instanceDataDir, 'ocpp-transactions') : null,
+      log: this.log,
+    });
+    this.fileServer = null; // started on the first firmware update / log request
+    this._lastRequestId = 0;
+
+    // ctx.defer is called with `this` bound to the ctx object by the handlers.
+    this.defer = this.defer.bind(this);
+    this.setStateFreshAsync = this.setStateFreshAsync.bind(this);
+  }
+
+  // ---- lifecycle ----
+
+  async start() {
+    if (this._listening) return this._listening;
+    this._listening = (async () => {
+      // Lazy require: the RPC stack is only loaded when an OCPP device is configured.
+      const { OcppRpcServer } = require('../../ocpp/server');
+      this.server = new OcppRpcServer(this, {
+        host: this.opts.host,
+        port: this.opts.port,
+        protocols: this.opts.protocols,
+        tls: loadTlsOptions(this.opts),
+      });
+      await this.server.listen();
+    })();
+    try {
+      await this._listening;
+    } catch (e) {
+      this._listening = null;
+      this.server = null;
+      throw e;
+    }
+    return this._listening;
+  }
+
+  async close() {
+    for (const timer of this._timers.values()) clearTimeout(timer);
+    this._timers.clear();
+    const server = this.server;
+    this.server = null;
+    this._listening = null;
+    for (const station of this.stations.values()) {
+      if (station.client) {
+        try { await station.client.close({ code: 1001, reason: 'Adapter stopped' }); } catch (_) { /* ignore */ }
+      }
+    }
+    if (server) await server.close();
+    if (this.fileServer) {
+      const fileServer = this.fileServer;
+      this.fileServer = null;
+      await fileServer.close();
+    }
+    await this.journal.flush();
+  }
+
+  // ---- identity bindings ----
+
+  bind(rawIdentity, listener) {
+    const identity = sanitizeStationIdentity(rawIdentity);
+    if (!this.bindings.has(identity)) this.bindings.set(identity, new Set());
+    this.bindings.get(identity).add(listener);
+    this._refreshAllowlist(rawIdentity, true);
+    return identity;
+  }
+
+  unbind(rawIdentity, listener) {
+    const identity = sanitizeStationIdentity(rawIdentity);
+    const set = this.bindings.get(identity);
+    if (set) {
+      set.delete(listener);
+      if (!set.size) {
+        this.bindings.delete(identity);
+        this._refreshAllowlist(rawIdentity, false);
+      }
+    }
+    return this.bindings.size;
+  }
+
+  _refreshAllowlist(rawIdentity, add) {
+    const raw = String(rawIdentity || '').trim();
+    const list = this.config.identityAllowlist.filter(item => item !== raw);
+    if (add && raw) list.push(raw);
+    this.config.identityAllowlist = list;
+  }
+
+  _listeners(identity) {
+    const set = this.bindings.get(identity);
+    return set ? Array.from(set) : [];
+  }
+
+  _notify(identity, method, ...args) {
+    for (const listener of this._listeners(identity)) {
+      try {
+        const fn = listener && listener[method];
+        if (typeof fn !== 'function') continue;
+        const result = fn.apply(listener, args);
+        if (result && typeof result.catch === 'function') result.catch(() => {});
+      } catch (_) {
+        // A broken device must never affect the OCPP session of its station.
+      }
+    }
+  }
+
+  _station(identity) {
+    let station = this.stations.get(identity);
+    if (!station) {
+      station = {
+        identity,
+        rawIdentity: identity,
+        protocol: '',
+        client: null,
+        connected: false,
+        connectedAt: 0,
+        disconnectedAt: 0,
+        lastMessageAt: 0,
+        lastHeartbeatAt: 0,
+        lastMeterValueAt: 0,
+        lastSocAt: 0,
+        heartbeatIntervalSec: this.config.heartbeatIntervalSec,
+        values: new Map(), // key -> { val, category, updatedAt }
+        commons: new Map(), // key -> ioBroker common
+        connectors: new Map(), // `${evseId}_${connectorId}` -> { status, chargingState, transaction }
+        phaseMetrics: new Map(),
+        configEntries: new Map(), // config.* key -> { key } (1.6) | { component, variable } (2.x)
+        localAddress: '', // our address as seen by the station (firmware / log URLs)
+        chargingNeeds: new Map(), // evseId -> normalized NotifyEVChargingNeeds
+        queue: Promise.resolve(),
+        queued: 0,
+      };
+      this.stations.set(identity, station);
+    }
+    return station;
+  }
+
+  _connector(station, evseId, connectorId) {
+    const key = `${evseId}_${connectorId}`;
+    let connector = station.connectors.get(key);
+    if (!connector) {
+      connector = { evseId, connectorId, status: '', chargingState: '', transaction: null };
+      station.connectors.set(key, connector);
+    }
+    return connector;
+  }
+
+  getStation(rawIdentity) {
+    return this.stations.get(sanitizeStationIdentity(rawIdentity)) || null;
+  }
+
+  // ---- central system -> charge point ----
+
+  /**
+   * Send a CALL to a connected charge point.
+   * Rejects when the station is offline or does not answer within callTimeoutSec.
+   */
+  async call(rawIdentity, method, params) {
+    const station = this.getStation(rawIdentity);
+    if (!station || !station.connected || !station.client) {
+      throw new Error(`OCPP charge point "${rawIdentity}" is not connected`);
+    }
+    return station.client.call(method, params || {}, { callTimeoutMs: commandTimeoutMs(this.config.callTimeoutSec) });
+  }
+
+  /** Publish a value produced by the adapter itself (e.g. control status) into the station tree. */
+  async publishStationValue(rawIdentity, key, value, common, category) {
+    const identity = sanitizeStationIdentity(rawIdentity);
+    if (common) this._registerCommon(identity, key, common);
+    await this.setStateFreshAsync(`${identity}.${key}`, value, true, category || 'status');
+  }
+
+  // ---- authorization ----
+
+  /** Authorization settings of all devices bound to a station, merged. */
+  _authorizationFor(identity) {
+    const configs = this._listeners(identity)
+      .map(listener => (listener && typeof listener.authorizationConfig === 'function' ? listener.authorizationConfig() : null))
+      .filter(Boolean);
+    const list = mergeAuthorizationLists(configs.map(c => c.list));
+    const mode = configs.some(c => c.mode === 'list') ? 'list' : 'acceptAll';
+    const checkIntervals = configs.map(c => Number(c.checkIntervalSec)).filter(n => Number.isFinite(n) && n > 0);
+    return {
+      mode,
+      list,
+      alwaysAccept: configs.map(c => c.remoteIdTag).filter(Boolean),
+      sync: configs.some(c => c.localListSync !== false && (c.mode === 'list' || (c.list && c.list.length))),
+      checkIntervalSec: checkIntervals.length ? Math.min(...checkIntervals) : DEFAULT_LOCAL_LIST_CHECK_SEC,
+    };
+  }
+
+  /** Run a task for a connected station after delayMs (one pending timer per station and task). */
+  _scheduleStationTask(identity, task, delayMs, fn) {
+    const key = `${identity}|${task}`;
+    const previous = this._timers.get(key);
+    if (previous) clearTimeout(previous);
+    const timer = setTimeout(() => {
+      this._timers.delete(key);
+      const station = this.stations.get(identity);
+      if (!station || !station.connected) return;
+      Promise.resolve()
+        .then(() => fn(station))
+        .catch(e => this.log.warn(`[ocpp] ${task} failed (${identity}): ${e && e.message ? e.message : e}`));
+    }, Math.max(0, delayMs));
+    if (typeof timer.unref === 'function') timer.unref();
+    this._timers.set(key, timer);
+  }
+
+  _hasStationTask(identity, task) {
+    return this._timers.has(`${identity}|${task}`);
+  }
+
+  _cancelStationTasks(identity) {
+    for (const [key, timer] of this._timers.entries()) {
+      if (!key.startsWith(`${identity}|`)) continue;
+      clearTimeout(timer);
+      this._timers.delete(key);
+    }
+  }
+
+  _scheduleLocalListSync(identity, delayMs) {
+    this._scheduleStationTask(identity, 'Local list sync', delayMs, async (station) => {
+      try {
+        await this.syncLocalList(station.rawIdentity);
+      } finally {
+        const current = this.stations.get(identity);
+        if (current && current.connected && !this._hasStationTask(identity, 'Local list sync')) {
+          this._scheduleLocalListSync(identity, this._authorizationFor(identity).checkIntervalSec * 1000);
+        }
+      }
+    });
+  }
+
+  /**
+   * Compare the local list of the station (GetLocalListVersion) with the configured list
+   * and send the full list (SendLocalList) on drift or when forced.
+   * @returns {Promise<{status: string, expectedVersion: number, stationVersion: (number|undefined)}>}
+   */
+  async syncLocalList(rawIdentity, options = {}) {
+    const identity = sanitizeStationIdentity(rawIdentity);
+    const station = this.getStation(rawIdentity);
+    if (!station || !station.connected) throw new Error(`OCPP charge point "${rawIdentity}" is not connected`);
+    const cfg = this._authorizationFor(identity);
+    const expectedVersion = localListVersion(identity, cfg.list);
+    const publish = (key, value) => this.publishStationValue(identity, `authorization.${key}`, value, AUTH_COMMONS[key], 'status');
+    const finish = async (status, stationVersion) => {
+      await publish('lastSyncResult', status);
+      await publish('lastSyncAt', new Date().toISOString());
+      return { status, expectedVersion, stationVersion };
+    };
+
+    if (!cfg.sync && options.force !== true) return finish('Disabled');
+    await publish('localListVersion', expectedVersion);
+
+    let stationVersion;
+    try {
+      stationVersion = reportedListVersion(station.protocol, await this.call(rawIdentity, 'GetLocalListVersion', {}));
+    } catch (e) {
+      return finish(classifyCallError(e));
+    }
+    if (stationVersion === -1) return finish('NotSupported', stationVersion);
+    await publish('stationListVersion', stationVersion);
+    const drift = stationVersion !== expectedVersion;
+    await publish('drift', drift);
+    if (!drift && options.force !== true) return finish('InSync', stationVersion);
+    if (drift) this.log.info(`[ocpp] ${identity}: local list version ${stationVersion} differs from ${expectedVersion}, sending full list`);
+
+    let status;
+    try {
+      const response = await this.call(rawIdentity, 'SendLocalList', buildSendLocalListRequest(station.protocol, identity, cfg.list));
+      status = String((response && response.status) || 'Unknown');
+    } catch (e) {
+      status = classifyCallError(e);
+    }
+    if (status === 'Accepted') {
+      stationVersion = expectedVersion;
+      await publish('stationListVersion', stationVersion);
+      await publish('drift', false);
+    } else {
+      this.log.warn(`[ocpp] SendLocalList for "${identity}": ${status}`);
+    }
+    return finish(status, stationVersion);
+  }
+
+  // ---- security ----
+
+  /** Security settings of all devices bound to a station, merged. */
+  _securityFor(identity) {
+    return mergeSecurityConfigs(this._listeners(identity)
+      .map(listener => (listener && typeof listener.securityConfig === 'function' ? listener.securityConfig() : null)));
+  }
+
+  async _publishSecurity(identity, key, value) {
+    await this.publishStationValue(identity, `security.${key}`, value, SECURITY_COMMONS[key], 'status');
+  }
+
+  /**
+   * Send the configured Basic Auth password to the station (AuthorizationKey / BasicAuthPassword).
+   * @returns {Promise<{status: string}>}
+   */
+  async provisionAuthorizationKey(rawIdentity) {
+    const identity = sanitizeStationIdentity(rawIdentity);
+    const station = this.getStation(rawIdentity);
+    if (!station || !station.connected) throw new Error(`OCPP charge point "${rawIdentity}" is not connected`);
+    const cfg = this._securityFor(identity);
+    let status;
+    if (!cfg.authorizationKey) {
+      status = 'NoKeyConfigured';
+    } else if (!isValidAuthorizationKey(cfg.authorizationKey)) {
+      status = 'InvalidKeyLength';
+    } else {
+      const request = buildAuthorizationKeyRequest(station.protocol, cfg.authorizationKey, cfg.authorizationKeyEncoding);
+      try {
+        status = authorizationKeyStatus(station.protocol, await this.call(rawIdentity, request.method, request.params));
+      } catch (e) {
+        status = classifyCallError(e);
+      }
+    }
+    if (status === 'Accepted' || status === 'RebootRequired') {
+      this.log.info(`[ocpp] ${identity}: authorization key provisioned (${status}), the station can now use security profile 1/2`);
+    } else {
+      this.log.warn(`[ocpp] Authorization key for "${identity}": ${status}`);
+    }
+    await this._publishSecurity(identity, 'authorizationKeyStatus', status);
+    await this._publishSecurity(identity, 'authorizationKeyAt', new Date().toISOString());
+    return { status };
+  }
+
+  _onSignCertificate(identity, protocol, params) {
+    const p = params || {};
+    const accepted = isCertificateSigningRequest(p.csr);
+    this.defer(identity, 'SignCertificate', async () => {
+      if (!accepted) {
+        this.log.warn(`[ocpp] ${identity}: SignCertificate without a valid PEM CSR rejected`);
+        return;
+      }
+      this.log.info(`[ocpp] ${identity}: certificate signing request received, waiting for the signed chain (CertificateSigned)`);
+      await this._publishSecurity(identity, 'csr', String(p.csr));
+      await this._publishSecurity(identity, 'csrCertificateType', String(p.certificateType || 'ChargingStationCertificate'));
+      await this._publishSecurity(identity, 'csrReceivedAt', new Date().toISOString());
+      await this._publishSecurity(identity, 'csrPending', true);
+    });
+    return { status: accepted ? 'Accepted' : 'Rejected' };
+  }
+
+  /**
+   * Send a PEM certificate chain signed by the external CA to the station.
+   * @returns {Promise<{status: string}>}
+   */
+  async sendCertificateSigned(rawIdentity, chain) {
+    const identity = sanitizeStationIdentity(rawIdentity);
+    const station = this.getStation(rawIdentity);
+    if (!station || !station.connected) throw new Error(`OCPP charge point "${rawIdentity}" is not connected`);
+    let status;
+    if (!normalizeCertificateChain(chain)) {
+      status = 'InvalidCertificateChain';
+    } else {
+      const typeEntry = station.values.get('security.csrCertificateType');
+      const params = buildCertificateSignedRequest(station.protocol, chain, typeEntry ? typeEntry.val : undefined);
+      try {
+        const response = await this.call(rawIdentity, 'CertificateSigned', params);
+        status = String((response && response.status) || 'Unknown');
+      } catch (e) {
+        status = classifyCallError(e);
+      }
+    }
+    if (status !== 'Accepted') this.log.warn(`[ocpp] CertificateSigned for "${identity}": ${status}`);
+    await this._publishSecurity(identity, 'certificateSignedStatus', status);
+    if (status === 'Accepted') await this._publishSecurity(identity, 'csrPending', false);
+    return { status };
+  }
+
+  // ---- configuration browser ----
+
+  async _publishConfigStatus(identity, key, value) {
+    await this.publishStationValue(identity, `configuration.${key}`, value, CONFIG_COMMONS[key], 'status');
+  }
+
+  async _publishConfigEntries(station, entries) {
+    for (const entry of entries) {
+      const known = station.configEntries.get(entry.key);
+      const ref = Object.assign({}, known || {}, entry.ref || {});
+      if (entry.common) ref.common = entry.common;
+      station.configEntries.set(entry.key, ref);
+      await this.publishStationValue(station.identity, entry.key, entry.val, ref.common, 'static');
+    }
+  }
+
+  /**
+   * Read the station configuration into <identity>.config.*.
+   * 1.6: GetConfiguration (optionally only `keys`); 2.x: GetVariables for known `keys`,
+   * otherwise GetBaseReport FullInventory (the values arrive via NotifyReport).
+   * @returns {Promise<{status: string, keyCount: number}>}
+   */
+  async readConfiguration(rawIdentity, options = {}) {
+    const identity = sanitizeStationIdentity(rawIdentity);
+    const station = this.getStation(rawIdentity);
+    if (!station || !station.connected) throw new Error(`OCPP charge point "${rawIdentity}" is not connected`);
+    const keys = (Array.isArray(options.keys) ? options.keys : []).map(k => String(k || '').trim()).filter(Boolean);
+    let status;
+    try {
+      if (station.protocol === 'ocpp1.6') {
+        const response = await this.call(rawIdentity, 'GetConfiguration', keys.length ? { key: keys } : {});
+        await this._publishConfigEntries(station, entriesFromGetConfiguration(response));
+        const unknown = response && Array.isArray(response.unknownKey) ? response.unknownKey : [];
+        await this._publishConfigStatus(identity, 'unknownKeys', unknown.join(', '));
+        status = 'Completed';
+      } else if (keys.length) {
+        const refsByKey = new Map(keys
+          .map(k => (k.startsWith('config.') ? k : `config.${k}`))
+          .filter(k => station.configEntries.has(k) && station.configEntries.get(k).component)
+          .map(k => [k, station.configEntries.get(k)]));
+        if (!refsByKey.size) {
+          status = 'UnknownKeys';
+        } else {
+          const response = await this.call(rawIdentity, 'GetVariables', buildGetVariablesRequest(Array.from(refsByKey.values())));
+          await this._publishConfigEntries(station, entriesFromGetVariables(response, refsByKey));
+          status = 'Completed';
+        }
+      } else {
+        const requestId = this._nextRequestId();
+        const response = await this.call(rawIdentity, 'GetBaseReport', { requestId, reportBase: 'FullInventory' });
+        const answer = String((response && response.status) || 'Unknown');
+        // The report itself follows as NotifyReport messages and completes the read.
+        status = answer === 'Accepted' ? 'Requested' : answer;
+      }
+    } catch (e) {
+      status = classifyCallError(e);
+    }
+    if (status !== 'Completed' && status !== 'Requested') this.log.warn(`[ocpp] Configuration read for "${identity}": ${status}`);
+    await this._publishConfigStatus(identity, 'lastReadStatus', status);
+    await this._publishConfigStatus(identity, 'lastReadAt', new Date().toISOString());
+    await this._publishConfigStatus(identity, 'keyCount', station.configEntries.size);
+    return { status, keyCount: station.configEntries.size };
+  }
+
+  /** Known configuration entries of a station (admin browser). */
+  listConfiguration(rawIdentity) {
+    const station = this.getStation(rawIdentity);
+    if (!station) return [];
+    return Array.from(station.configEntries.entries())
+      .map(([key, ref]) => {
+        const entry = station.values.get(key);
+        return { key, value: entry ? entry.val : null, writable: !!(ref.common && ref.common.write), unit: (ref.common && ref.common.unit) || '' };
+      })
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Write one configuration entry via ChangeConfiguration (1.6) / SetVariables (2.x).
+   * The entry keeps its previous value unless the station accepted the change.
+   * @returns {Promise<{status: string}>}
+   */
+  async writeConfiguration(rawIdentity, key, value) {
+    const identity = sanitizeStationIdentity(rawIdentity);
+    const station = this.getStation(rawIdentity);
+    if (!station || !station.connected) throw new Error(`OCPP charge point "${rawIdentity}" is not connected`);
+    const stateKey = String(key || '').startsWith('config.') ? String(key) : `config.${key}`;
+    const ref = station.configEntries.get(stateKey);
+    if (!ref) throw new Error(`Unknown OCPP configuration entry "${stateKey}" (read the configuration first)`);
+    if (!ref.common || ref.common.write !== true) throw new Error(`OCPP configuration entry "${stateKey}" is read-only`);
+
+    let status;
+    const typed = coerceConfigValue(ref, value);
+    const request = buildConfigurationWrite(station.protocol, ref, typed);
+    try {
+      status = configurationWriteStatus(station.protocol, await this.call(rawIdentity, request.method, request.params));
+    } catch (e) {
+      status = classifyCallError(e);
+    }
+    const previous = station.values.get(stateKey);
+    if (WRITE_SUCCESS.has(status)) {
+      if (status === 'RebootRequired') this.log.info(`[ocpp] ${identity}: ${stateKey} takes effect after a reboot`);
+      await this.publishStationValue(identity, stateKey, typed, ref.common, 'static');
+    } else {
+      this.log.warn(`[ocpp] ${request.method} ${stateKey} for "${identity}": ${status}`);
+      await this.publishStationValue(identity, stateKey, previous ? previous.val : null, ref.common, 'static');
+    }
+    await this._publishConfigStatus(identity, 'lastWriteKey', stateKey);
+    await this._publishConfigStatus(identity, 'lastWriteStatus', status);
+    await this._publishConfigStatus(identity, 'lastWriteAt', new Date().toISOString());
+    return { status };
+  }
+
+  // ---- firmware update / log upload ----
+
+  async _publishMaintenance(identity, key, value) {
+    await this.publishStationValue(identity, `maintenance.${key}`, value, MAINTENANCE_COMMONS[key], 'status');
+  }
+
+  async _trackTransfer(identity, kind, status) {
+    const text = String(status || '');
+    const { progress, active } = transferProgress(kind, text);
+    await this._publishMaintenance(identity, `${kind}Status`, text);
+    if (progress !== undefined) await this._publishMaintenance(identity, `${kind}Progress`, progress);
+    await this._publishMaintenance(identity, `${kind}Active`, active);
+  }
+
+  _fileTransferDir(name) {
+    const dataDir = this.adapter.instanceDataDir || path.join(os.tmpdir(), 'nexowatt-devices');
+    return path.join(dataDir, name);
+  }
+
+  async _startFileServer() {
+    if (!this.fileServer) {
+      this.fileServer = new OcppFileServer({
+        host: this.opts.fileServerBindHost || this.opts.host,
+        port: this.opts.fileServerPort || this.opts.port + 1,
+        uploadDir: this._fileTransferDir('ocpp-uploads'),
+        log: this.log,
+      });
+    }
+    await this.fileServer.start();
+    return this.fileServer;
+  }
+
+  /** Next requestId; strictly increasing, so requests in the same second stay distinguishable. */
+  _nextRequestId() {
+    const next = Math.max(this._lastRequestId + 1, requestIdSeed());
+    this._lastRequestId = next > 0x7fffffff ? 1 : next;
+    return this._lastRequestId;
+  }
+
+  _connectedStation(rawIdentity) {
+    const station = this.getStation(rawIdentity);
+    if (!station || !station.connected) throw new Error(`OCPP charge point "${rawIdentity}" is not connected`);
+    return station;
+  }
+
+  /**
+   * Start a firmware update. `source` is a download URL (http/https/ftp) or the name of a
+   * file in <instance data dir>/ocpp-firmware that is served through the built-in HTTP
+   * endpoint. Problems are reported as status (NoFirmware, InvalidFileName, FileNotFound,
+   * EndpointUnavailable, Rejected, Timeout, ...).
+   * @returns {Promise<{status: string, location: string}>}
+   */
+  async updateFirmware(rawIdentity, source, options = {}) {
+    const identity = sanitizeStationIdentity(rawIdentity);
+    const station = this._connectedStation(rawIdentity);
+    const text = String(source || '').trim();
+    let location = text;
+    let status;
+    if (!text) {
+      status = 'NoFirmware';
+    } else if (!isRemoteLocation(text)) {
+      const filePath = firmwareFilePath(this._fileTransferDir('ocpp-firmware'), text);
+      const stat = filePath ? await fs.promises.stat(filePath).catch(() => null) : null;
+      if (!filePath) {
+        status = 'InvalidFileName';
+      } else if (!stat || !stat.isFile()) {
+        status = 'FileNotFound';
+      } else {
+        const fileServer = await this._startFileServer().catch((e) => {
+          this.log.warn(`[ocpp] File transfer endpoint unavailable: ${e && e.message ? e.message : e}`);
+          return null;
+        });
+        if (!fileServer) {
+          status = 'EndpointUnavailable';
+        } else {
+          const urlPath = fileServer.offerFile(identity, filePath, (event, details) => {
+            if (event === 'download') this.log.info(`[ocpp] ${identity} downloads firmware ${path.basename(filePath)} (${details.remoteAddress})`);
+          });
+          location = fileServer.url(urlPath, this.opts.fileServerHost || station.localAddress);
+        }
+      }
+    }
+
+    if (!status) {
+      try {
+        const params = buildUpdateFirmwareRequest(station.protocol, location, { requestId: this._nextRequestId(), retrieveAt: options.retrieveAt });
+        const response = await this.call(rawIdentity, 'UpdateFirmware', params);
+        // 1.6 answers with an empty object.
+        status = station.protocol === 'ocpp1.6' ? 'Accepted' : String((response && response.status) || 'Unknown');
+      } catch (e) {
+        status = classifyCallError(e);
+      }
+    }
+    if (status !== 'Accepted') this.log.warn(`[ocpp] UpdateFirmware for "${identity}" (${text}): ${status}`);
+    await this._publishMaintenance(identity, 'firmwareRequestResult', status);
+    await this._publishMaintenance(identity, 'firmwareLocation', location);
+    if (status === 'Accepted') {
+      await this._publishMaintenance(identity, 'firmwareStatus', 'Requested');
+      await this._publishMaintenance(identity, 'firmwareProgress', 0);
+      await this._publishMaintenance(identity, 'firmwareActive', true);
+    }
+    return { status, location };
+  }
+
+  /**
+   * Ask the station to upload its diagnostics (1.6 GetDiagnostics) or a log (2.x GetLog)
+   * to the built-in HTTP endpoint.
+   * @returns {Promise<{status: string, fileName: string, location: string}>}
+   */
+  async requestLogUpload(rawIdentity, options = {}) {
+    const identity = sanitizeStationIdentity(rawIdentity);
+    const station = this._connectedStation(rawIdentity);
+    let fileServer;
+    try {
+      fileServer = await this._startFileServer();
+    } catch (e) {
+      this.log.warn(`[ocpp] File transfer endpoint unavailable: ${e && e.message ? e.message : e}`);
+      await this._publishMaintenance(identity, 'logRequestResult', 'EndpointUnavailable');
+      return { status: 'EndpointUnavailable', fileName: '', location: '' };
+    }
+    const urlPath = fileServer.expectUpload(identity, async (event, details) => {
+      if (event !== 'upload') return;
+      this.log.info(`[ocpp] ${identity} uploaded ${details.bytes} bytes to ${details.file}`);
+      await this._publishMaintenance(identity, 'uploadFile', details.file);
+      await this._publishMaintenance(identity, 'uploadBytes', details.bytes);
+      await this._publishMaintenance(identity, 'uploadAt', new Date().toISOString());
+    });
+    const location = fileServer.url(urlPath, this.opts.fileServerHost || station.localAddress);
+
+    let result;
+    try {
+      const request = buildLogRequest(station.protocol, location, { requestId: this._nextRequestId(), logType: options.logType });
+      result = logRequestResult(station.protocol, await this.call(rawIdentity, request.method, request.params));
+    } catch (e) {
+      result = { status: classifyCallError(e), fileName: '' };
+    }
+    if (result.status !== 'Accepted') this.log.warn(`[ocpp] Log upload request for "${identity}": ${result.status}`);
+    await this._publishMaintenance(identity, 'logRequestResult', result.status);
+    await this._publishMaintenance(identity, 'logFileName', result.fileName);
+    if (result.status === 'Accepted') {
+      await this._publishMaintenance(identity, 'logStatus', 'Requested');
+      await this._publishMaintenance(identity, 'logProgress', 0);
+      await this._publishMaintenance(identity, 'logActive', true);
+    }
+    return { ...result, location };
+  }
+
+  // ---- ISO 15118 charging needs ----
+
+  /** Scheduling settings of the device bound to an EVSE, or null when scheduling is off. */
+  _schedulingFor(identity, evseId) {
+    for (const listener of this._listeners(identity)) {
+      const cfg = listener && typeof listener.schedulingConfig === 'function' ? listener.schedulingConfig() : null;
+      if (cfg && cfg.enabled && Number(cfg.evseId) === Number(evseId)) return cfg;
+    }
+    return null;
+  }
+
+  /** Connector of an EVSE with a running transaction (else the first known connector). */
+  _evseConnector(station, evseId) {
+    const connectors = Array.from(station.connectors.values()).filter(c => c.evseId === evseId && c.connectorId > 0);
+    return connectors.find(c => c.transaction && !c.transaction.stoppedAt) || connectors[0] || null;
+  }
+
+  async _publishSchedule(identity, evseId, connectorId, fields) {
+    const base = `connectors.${evseId}_${connectorId}`;
+    for (const [key, value] of Object.entries(fields)) {
+      await this.publishStationValue(identity, `${base}.${key}`, value, SCHEDULE_COMMONS[key], 'control');
+    }
+  }
+
+  /** ctx.scheduling: answer NotifyEVChargingNeeds, the TxProfile follows asynchronously. */
+  _onChargingNeeds(identity, protocol, params) {
+    const needs = normalizeChargingNeeds(params);
+    const cfg = this._schedulingFor(identity, needs.evseId);
+    if (!cfg) return { status: 'Accepted' };
+    const station = this._station(identity);
+    const preview = computeChargingSchedule(needs, { ...cfg, now: Date.now() });
+    if (preview.status !== 'Accepted') {
+      station.chargingNeeds.delete(needs.evseId);
+      const connector = this._evseConnector(station, needs.evseId);
+      this.defer(identity, 'Charging schedule', () => this._publishSchedule(identity, needs.evseId, connector ? connector.connectorId : 1, {
+        chargingScheduleStatus: preview.reason,
+        chargingScheduleAt: new Date().toISOString(),
+      }));
+      this.log.info(`[ocpp] ${identity}: no charging schedule for EVSE ${needs.evseId} (${preview.reason})`);
+      return { status: noScheduleStatus(protocol) };
+    }
+    station.chargingNeeds.set(needs.evseId, needs);
+    this._scheduleChargingSchedule(identity, needs.evseId, 0);
+    return { status: 'Accepted' };
+  }
+
+  _scheduleChargingSchedule(identity, evseId, delayMs) {
+    this._scheduleStationTask(identity, `Charging schedule ${evseId}`, delayMs,
+      station => this.applyChargingSchedule(station.rawIdentity, evseId));
+  }
+
+  /**
+   * Send the TxProfile for the stored charging needs of an EVSE. Waits for the transaction
+   * when the EV reported its needs before TransactionEvent Started.
+   * @returns {Promise<{status: string, limit: (number|undefined), rateUnit: (string|undefined)}>}
+   */
+  async applyChargingSchedule(rawIdentity, evseId) {
+    const identity = sanitizeStationIdentity(rawIdentity);
+    const station = this._connectedStation(rawIdentity);
+    const needs = station.chargingNeeds.get(evseId);
+    const cfg = this._schedulingFor(identity, evseId);
+    if (!needs || !cfg) return { status: 'NoChargingNeeds' };
+    const connector = this._evseConnector(station, evseId);
+    const connectorId = connector ? connector.connectorId : 1;
+    const tx = connector && connector.transaction && !connector.transaction.stoppedAt ? connector.transaction : null;
+    if (!tx || tx.txId === undefined || tx.txId === null) {
+      await this._publishSchedule(identity, evseId, connectorId, { chargingScheduleStatus: 'WaitingForTransaction' });
+      return { status: 'WaitingForTransaction' };
+    }
+
+    const now = Date.now();
+    const schedule = computeChargingSchedule(needs, { ...cfg, now });
+    let status = schedule.reason;
+    if (schedule.status === 'Accepted') {
+      const request = buildTxProfileRequest({
+        identity,
+        evseId,
+        transactionId: tx.txId,
+        stackLevel: cfg.stackLevel,
+      }, schedule, now);
+      try {
+        const response = await this.call(rawIdentity, 'SetChargingProfile', request);
+        status = String((response && response.status) || 'Unknown');
+      } catch (e) {
+        status = classifyCallError(e);
+      }
+      if (status !== 'Accepted') this.log.warn(`[ocpp] Charging schedule for "${identity}" EVSE ${evseId}: ${status}`);
+    }
+    await this._publishSchedule(identity, evseId, connectorId, {
+      chargingScheduleStatus: status,
+      chargingScheduleLimit: schedule.limit,
+      chargingScheduleUnit: schedule.rateUnit,
+      chargingSchedule: JSON.stringify(schedule.periods),
+      chargingScheduleAt: new Date(now).toISOString(),
+    });
+    return { status, limit: schedule.limit, rateUnit: schedule.rateUnit };
+  }
+
+  // ---- transaction journal ----
+
+  async _journalTransactionEvent(identity, event, connectorTx, meterStart, meterStop) {
+    const sameTx = connectorTx && (event.txId === undefined || event.txId === null || String(connectorTx.txId) === String(event.txId));
+    const tx = sameTx ? connectorTx : null;
+    // The register may only be known from MeterValues (2.x often omits it in TransactionEvent).
+    const closed = await this.journal.record(identity, {
+      ...event,
+      meterStart: tx && tx.meterStart !== undefined ? tx.meterStart : meterStart,
+      meterStop: meterStop !== undefined ? meterStop : (tx ? tx.lastMeterWh : undefined),
+    });
+    if (!closed) return;
+    const base = `connectors.${closed.evseId}_${closed.connectorId}`;
+    await this.publishStationValue(identity, 'transactions.lastSession', JSON.stringify(closed), TRANSACTION_COMMONS.lastSession, 'status');
+    if (closed.energyWh !== null) {
+      await this.publishStationValue(identity, `${base}.lastSessionEnergyWh`, closed.energyWh, TRANSACTION_COMMONS.lastSessionEnergyWh, 'status');
+    }
+  }
+
+  /**
+   * Export the charging sessions of a station.
+   * @param {string} rawIdentity
+   * @param {{format: (string|undefined), from: *, to: *, idTag: (string|undefined), connectorId: *, includeOpen: (boolean|undefined), delimiter: (string|undefined)}} [options]
+   * @returns {Promise<{format: string, count: number, data: (string|Array<object>)}>}
+   */
+  async exportTransactions(rawIdentity, options = {}) {
+    const identity = sanitizeStationIdentity(rawIdentity);
+    const sessions = await this.journal.sessions(identity, options);
+    if (String(options.format || 'json').toLowerCase() === 'csv') {
+      return { format: 'csv', count: sessions.length, data: sessionsToCsv(sessions, { delimiter: options.delimiter }) };
+    }
+    return { format: 'json', count: sessions.length, data: sessions };
+  }
+
+  // ---- ctx.defer / ctx.setStateFreshAsync ----
+
+  /**
+   * Serialize deferred state work per station so that handlers can return their
+   * CALLRESULT immediately while datapoints are still written in message order.
+   * Droppable work (telemetry) is skipped when a station floods the queue.
+   */
+  defer(identity, label, task, options = {}) {
+    const station = this._station(identity);
+    if (options.droppable === true && station.queued >= MAX_DEFERRED_PER_STATION) return false;
+    station.queued++;
+    const run = async () => {
+      try {
+        await task();
+      } catch (e) {
+        this.log.warn(`Deferred OCPP processing failed (${identity}, ${label}): ${e && e.message ? e.message : e}`);
+      } finally {
+        station.queued--;
+      }
+    };
+    station.queue = station.queue.then(run, run);
+    return true;
+  }
+
+  /** Wait until all deferred work of one station has been processed. */
+  async drain(rawIdentity) {
+    const identity = sanitizeStationIdentity(rawIdentity);
+    const station = this.stations.get(identity);
+    if (!station) return;
+    let tail;
+    do {
+      tail = station.queue;
+      await tail;
+    } while (tail !== station.queue);
+    // Bound devices chain their state updates as well (OcppDriver.onStationState).
+    for (const listener of this._listeners(identity)) {
+      if (listener && typeof listener.flush === 'function') await listener.flush();
+    }
+  }
+
+  async setStateFreshAsync(stateId, value, ack, category) {
+    const text = String(stateId || '');
+    const dot = text.indexOf('.');
+    if (dot <= 0) return;
+    const identity = text.slice(0, dot);
+    const key = text.slice(dot + 1);
+    const station = this._station(identity);
+    const updatedAt = Date.now();
+    station.values.set(key, { val: value, category: category || 'status', updatedAt });
+    this._notify(identity, 'onStationState', key, value, {
+      category: category || 'status',
+      updatedAt,
+      common: station.commons.get(key),
+    });
+    await this._deriveFromState(station, key, value);
+  }
+
+  _registerCommon(identity, key, common) {
+    const station = this._station(identity);
+    if (!station.commons.has(key)) station.commons.set(key, common);
+    return `${identity}.${key}`;
+  }
+
+  async _deriveFromState(station, key, value) {
+    if (key === 'info.firmwareStatus') return this._trackTransfer(station.identity, 'firmware', value);
+    if (key === 'info.diagnosticsStatus' || key === 'info.logStatus') return this._trackTransfer(station.identity, 'log', value);
+    // A new device charging limit also caps the running TxProfile.
+    const limit = key.match(/^connectors\.(\d+)_\d+\.chargingLimit$/);
+    if (limit && station.chargingNeeds.has(Number(limit[1]))) {
+      this._scheduleChargingSchedule(station.identity, Number(limit[1]), 0);
+      return undefined;
+    }
+    // Session energy: connector register minus the meter value at transaction start.
+    const m = key.match(/^connectors\.(\d+)_(\d+)\.energyWh$/);
+    if (!m) return;
+    const wh = finiteOrUndefined(value);
+    if (wh === undefined) return;
+    const connector = this._connector(station, Number(m[1]), Number(m[2]));
+    const tx = connector.transaction;
+    if (!tx || tx.stoppedAt) return;
+    tx.lastMeterWh = wh;
+    // OCPP 2.x may start a transaction without a register value; take the first one seen.
+    if (tx.meterStart === undefined) tx.meterStart = wh;
+    const sessionWh = Math.max(0, wh - tx.meterStart);
+    await this.setStateFreshAsync(`${station.identity}.connectors.${m[1]}_${m[2]}.sessionEnergyWh`, sessionWh, true, 'counter');
+  }
+
+  // ---- ctx.runtime ----
+
+  _createRuntimeFacade() {
+    return {
+      resolveIdentity: (rawIdentity) => sanitizeStationIdentity(rawIdentity),
+
+      indexClient: (identity, protocol, client, rawIdentity) => {
+        const station = this._station(identity);
+        const previous = station.client;
+        station.client = client;
+        station.rawIdentity = rawIdentity || identity;
+        station.protocol = protocol;
+        station.connected = true;
+        station.connectedAt = Date.now();
+        if (previous && previous !== client) {
+          // A reconnecting station replaces its half-open predecessor.
+          Promise.resolve()
+            .then(() => previous.close({ code: 1000, reason: 'Replaced by new connection' }))
+            .catch(() => {});
+        }
+      },
+
+      unindexClient: (identity, client) => {
+        const station = this.stations.get(identity);
+        if (!station || station.client !== client) return false;
+        station.client = null;
+        station.connected = false;
+        return true;
+      },
+
+      noteMessage: (identity, method) => {
+        const station = this._station(identity);
+        station.lastMessageAt = Date.now();
+        this._notify(identity, 'onStationActivity', method);
+      },
+
+      noteBoot: (identity, intervalSec) => {
+        const station = this._station(identity);
+        station.heartbeatIntervalSec = Number(intervalSec) || station.heartbeatIntervalSec;
+      },
+
+      noteHeartbeat: (identity, timestamp) => {
+        const station = this._station(identity);
+        station.lastHeartbeatAt = Date.now();
+        this.defer(identity, 'Heartbeat', () => this.setStateFreshAsync(`${identity}.info.lastHeartbeat`, timestamp, true, 'health'), { droppable: true });
+      },
+
+      noteStatus: async (identity, evseId, connectorId, status) => {
+        const station = this._station(identity);
+        const connector = this._connector(station, evseId, connectorId);
+        connector.status = String(status || '');
+        // A status that cannot transfer energy must not leave the last charging power behind.
+        if (statusImpliesZero(station.protocol, status) && connectorId > 0) {
+          await this._applySafeZero(station, evseId, connectorId);
+        }
+      },
+
+      noteMeterValue: async (identity /* , evseId, connectorId, timestamp, flags */) => {
+        this._station(identity).lastMeterValueAt = Date.now();
+      },
+
+      noteSoc: async (identity /* , timestamp */) => {
+        this._station(identity).lastSocAt = Date.now();
+      },
+
+      noteDisconnect: async (identity, client, details) => {
+        const station = this._station(identity);
+        if (station.client && station.client !== client) return;
+        station.disconnectedAt = Date.now();
+        const reason = details && details.reason ? String(details.reason) : '';
+        await this.setStateFreshAsync(`${identity}.info.lastDisconnect`, new Date(station.disconnectedAt).toISOString(), true, 'status');
+        if (reason) await this.setStateFreshAsync(`${identity}.info.lastDisconnectReason`, reason, true, 'status');
+      },
+
+      recordPhaseMetric: (identity, evseId, connectorId, measurand, phase, value, unit, ts) => {
+        const station = this._station(identity);
+        const key = `${evseId}|${connectorId}|${canonicalMeasurand(measurand)}`;
+        if (!station.phaseMetrics.has(key)) station.phaseMetrics.set(key, new Map());
+        station.phaseMetrics.get(key).set(canonicalPhase(phase), { value, unit, ts });
+      },
+
+      getPhaseMetricTotal: (identity, evseId, connectorId, measurand) => {
+        const station = this.stations.get(identity);
+        const samples = station && station.phaseMetrics.get(`${evseId}|${connectorId}|${canonicalMeasurand(measurand)}`);
+        if (!samples || !samples.size) return undefined;
+        const list = Array.from(samples.values());
+        return { value: aggregatePhaseValues(measurand, list.map(sample => sample.value)), unit: list[0].unit };
+      },
+    };
+  }
+
+  async _applySafeZero(station, evseId, connectorId) {
+    const prefix = `connectors.${evseId}_${connectorId}.`;
+    for (const [key, prev] of Array.from(station.values.entries())) {
+      if (!key.startsWith(prefix) || !ZERO_ON_IDLE_RE.test(key.slice(prefix.length))) continue;
+      if (Number(prev.val) !== 0) await this.setStateFreshAsync(`${station.identity}.${key}`, 0, true, 'safeZero');
+    }
+    // Station aggregates follow when no other connector is still charging.
+    const otherActive = Array.from(station.connectors.values()).some(c =>
+      !(c.evseId === evseId && c.connectorId === connectorId) &&
+      c.connectorId > 0 &&
+      connectorStatusCode(c.status, c.chargingState) === STATUS_CODES.charging);
+    if (otherActive) return;
+    for (const [key, prev] of Array.from(station.values.entries())) {
+      if (!key.startsWith('measurements.') || !ZERO_ON_IDLE_RE.test(key.slice('measurements.'.length))) continue;
+      if (Number(prev.val) !== 0) await this.setStateFreshAsync(`${station.identity}.${key}`, 0, true, 'safeZero');
+    }
+  }
+
+  // ---- ctx.states ----
+
+  _createStatesFacade() {
+    const connectorBase = (identity, evseId, connectorId) => `${identity}.connectors.${evseId}_${connectorId}`;
+
+    const writeConnectorStatus = async (identity, evseId, connectorId) => {
+      const station = this._station(identity);
+      const connector = this._connector(station, evseId, connectorId);
+      const code = connectorStatusCode(connector.status, connector.chargingState);
+      await this.setStateFreshAsync(`${connectorBase(identity, evseId, connectorId)}.statusCode`, code, true, 'status');
+    };
+
+    return {
+      connectorBase,
+
+      ensureStructure: async (identity, evseId, connectorId) => connectorBase(identity, evseId, connectorId),
+
+      ensureConnectorStructure: async (identity, evseId, connectorId) => connectorBase(identity, evseId, connectorId),
+
+      ensureMeasurementState: async (identity, key, unit, definition) => this._registerCommon(
+        identity,
+        `measurements.${key}`,
+        measurementCommon(key, unit, definition || {}),
+      ),
+
+      ensureTextMeasurementState: async (identity, key, name, role) => this._registerCommon(identity, `measurements.${key}`, {
+        name: name || key,
+        type: 'string',
+        role: role || 'text',
+        read: true,
+        write: false,
+      }),
+
+      ensureMetricState: async (identity, evseId, connectorId, key, unit, meta) => {
+        const definition = meta && meta.definition;
+        const compactKey = definition && definition.key ? definition.key : `extra_${key}`;
+        return this._registerCommon(
+          identity,
+          `connectors.${evseId}_${connectorId}.${compactKey}`,
+          measurementCommon(compactKey, unit, definition || {}),
+        );
+      },
+
+      ensureAggState: async (identity, key, unit) => {
+        const compactKey = compactKeyFromLegacyAggregate(key);
+        return this._registerCommon(identity, `measurements.${compactKey}`, measurementCommon(compactKey, unit));
+      },
+
+      upsertEvseState: async (identity, evseId, connectorId, fields) => {
+        const station = this._station(identity);
+        const connector = this._connector(station, evseId, connectorId);
+        const base = connectorBase(identity, evseId, connectorId);
+        const f = fields || {};
+        if (f.status !== undefined) connector.status = String(f.status || '');
+        for (const key of ['status', 'errorCode', 'info', 'timestamp', 'vendorErrorCode', 'vendorId']) {
+          if (f[key] === undefined || f[key] === null) continue;
+          await this.setStateFreshAsync(`${base}.${key}`, String(f[key]), true, 'status');
+        }
+        await writeConnectorStatus(identity, evseId, connectorId);
+      },
+
+      pushTransactionEvent: async (identity, event) => {
+        const e = event || {};
+        const station = this._station(identity);
+        const evseId = Math.max(0, Number(e.evseId) || 1);
+        const connectorId = Math.max(0, Number(e.connectorId) || 1);
+        const connector = this._connector(station, evseId, connectorId);
+        const base = connectorBase(identity, evseId, connectorId);
+        const meterStart = finiteOrUndefined(e.meterStart);
+        const meterStop = finiteOrUndefined(e.meterStop);
+
+        if (e.type === 'Start' || (e.type === 'Update' && !connector.transaction)) {
+          connector.transaction = { txId: e.txId, idTag: e.idTag, meterStart, startedAt: e.ts };
+          await this.setStateFreshAsync(`${base}.sessionEnergyWh`, 0, true, 'counter');
+          // Charging needs reported before the transaction started get their TxProfile now.
+          if (station.chargingNeeds.has(evseId)) this._scheduleChargingSchedule(identity, evseId, 0);
+        }
+        if (e.chargingState) connector.chargingState = String(e.chargingState);
+
+        const tx = connector.transaction;
+        if (e.type === 'Stop') station.chargingNeeds.delete(evseId);
+        if (tx && e.type === 'Stop') {
+          tx.stoppedAt = e.ts;
+          const startWh = tx.meterStart !== undefined ? tx.meterStart : meterStart;
+          if (meterStop !== undefined && startWh !== undefined) {
+            await this.setStateFreshAsync(`${base}.sessionEnergyWh`, Math.max(0, meterStop - startWh), true, 'counter');
+          }
+        }
+        if (chargingStateImpliesZero(e.chargingState)) await this._applySafeZero(station, evseId, connectorId);
+
+        const txId = e.txId === undefined || e.txId === null ? '' : String(e.txId);
+        await this.setStateFreshAsync(`${base}.transactionId`, e.type === 'Stop' ? '' : txId, true, 'status');
+        await this.setStateFreshAsync(`${base}.transactionActive`, e.type !== 'Stop', true, 'status');
+        if (e.idTag) await this.setStateFreshAsync(`${base}.idTag`, String(e.idTag), true, 'status');
+        if (e.chargingState) await this.setStateFreshAsync(`${base}.chargingState`, String(e.chargingState), true, 'status');
+        await this.setStateFreshAsync(`${identity}.transactions.lastEvent`, JSON.stringify({ ...e, evseId, connectorId }), true, 'status');
+        await writeConnectorStatus(identity, evseId, connectorId);
+        await this._journalTransactionEvent(identity, { ...e, evseId, connectorId }, tx, meterStart, meterStop);
+      },
+
+      upsertIdentityMeta: async (identity, meta) => {
+        for (const [key, value] of Object.entries(meta || {})) {
+          if (value === undefined || value === null || value === '') continue;
+          await this.setStateFreshAsync(`${identity}.info.${key}`, String(value), true, 'static');
+        }
+      },
+
+      setConnection: async (identity, connected, meta) => {
+        const station = this._station(identity);
+        const m = meta || {};
+        await this.setStateFreshAsync(`${identity}.info.connected`, !!connected, true, 'health');
+        if (m.protocol) await this.setStateFreshAsync(`${identity}.info.protocol`, String(m.protocol), true, 'static');
+        if (m.rawIdentity) await this.setStateFreshAsync(`${identity}.info.rawIdentity`, String(m.rawIdentity), true, 'static');
+        if (connected) {
+          if (m.localAddress) station.localAddress = String(m.localAddress);
+          const security = this._securityFor(identity);
+          await this._publishSecurity(identity, 'securityProfile', security.securityProfile);
+          await this._publishSecurity(identity, 'basicAuth', !!m.basicAuth);
+          await this._publishSecurity(identity, 'tls', !!m.secure);
+          // A station admitted without the configured password (profile 0) learns it now.
+          if (security.authorizationKey && !m.basicAuth && security.provisionAuthorizationKey) {
+            this._scheduleStationTask(identity, 'Authorization key provisioning', AUTHORIZATION_KEY_DELAY_MS,
+              station => this.provisionAuthorizationKey(station.rawIdentity));
+          }
+        }
+        this._notify(identity, 'onStationConnection', !!connected, station);
+        if (connected && this._authorizationFor(identity).sync) {
+          this._scheduleLocalListSync(identity, LOCAL_LIST_SYNC_DELAY_MS);
+        } else if (!connected) {
+          this._cancelStationTasks(identity);
+        }
+      },
+
+      setRfid: async (identity, idTag, tokenType) => {
+        await this.setStateFreshAsync(`${identity}.info.lastIdTag`, String(idTag), true, 'status');
+        if (tokenType) await this.setStateFreshAsync(`${identity}.info.lastIdTokenType`, String(tokenType), true, 'status');
+      },
+    };
+  }
+}
+
+function acquireCentral(adapter, opts) {
+  const key = makeKey(opts);
+  const port = Number((opts && opts.port) || DEFAULT_PORT);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error(`Invalid OCPP port: ${opts && opts.port}`);
+  }
+
+  const existing = centrals.get(key);
+  if (existing) {
+    if (!!(opts && opts.tlsCertPath) !== !!existing.central.opts.tlsCertPath) {
+      adapter.log.warn(`[ocpp] ${key.replace('|', ':')} is shared by devices with different TLS settings; the first device defines the listener`);
+    }
+    existing.refs++;
+    return { key, central: existing.central };
+  }
+
+  const central = new OcppCentralSystem(adapter, opts || {});
+  centrals.set(key, { central, refs: 1 });
+  return { key, central };
+}
+
+function releaseCentral(key) {
+  const entry = centrals.get(key);
+  if (!entry) return;
+  entry.refs--;
+  if (entry.refs <= 0) {
+    centrals.delete(key);
+    // Close asynchronously
+    entry.central.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  OcppCentralSystem,
+  acquireCentral,
+  releaseCentral,
+  connectorStatusCode,
+  classifyCallError,
+  normalizeProtocols,
+  STATUS_CODES,
+  DEFAULT_PORT,
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+const { deterministicChargingProfileIds } = require('../../ocpp/compact');
+
+/**
+ * ISO 15118 charging needs (NotifyEVChargingNeeds, OCPP 2.0.1 / 2.1) -> TxProfile.
+ *
+ * The EV announces its departure time, the requested energy and its current / power
+ * limits. The central system answers with one Absolute TxProfile for the running
+ * transaction: the lowest rate that still delivers the requested energy by the
+ * departure time, bounded by the EV limits, the configured site limit and the charging
+ * limit of the device (ctrl.currentLimitA / ctrl.powerLimitW). From the departure time on
+ * the full permitted rate applies. Without departure time or energy request the permitted
+ * maximum is scheduled right away.
+ */
+
+const DEFAULT_NOMINAL_VOLTAGE_V = 230;
+const DEFAULT_MINIMUM_CURRENT_A = 6;
+const PHASES_BY_MODE = Object.freeze({ AC_single_phase: 1, AC_two_phase: 2, AC_three_phase: 3 });
+
+function finiteOrUndefined(...values) {
+  for (const value of values) {
+    if (value === undefined || value === null || String(value).trim() === '') continue;
+    const n = Number(value);
+    if (Number.isFinite(n)) return n;
+  }
+  return undefined;
+}
+
+function isDcMode(mode) {
+  return /^DC/.test(String(mode || ''));
+}
+
+/** Scheduling-relevant part of a NotifyEVChargingNeedsRequest. */
+function normalizeChargingNeeds(params) {
+  const p = params || {};
+  const needs = p.chargingNeeds || {};
+  const dc = needs.dcChargingParameters || {};
+  const ac = needs.acChargingParameters || {};
+  const v2x = needs.v2xChargingParameters || {};
+  const departure = Date.parse(String(needs.departureTime || ''));
+  return {
+    evseId: Math.max(1, Number(p.evseId) || 1),
+    energyTransferMode: String(needs.requestedEnergyTransfer || ''),
+    departureAt: Number.isFinite(departure) ? departure : undefined,
+    energyRequestWh: finiteOrUndefined(dc.energyAmount, ac.energyAmount, v2x.evTargetEnergyRequest),
+    minCurrentA: finiteOrUndefined(ac.evMinCurrent, v2x.minChargeCurrent),
+    maxCurrentA: finiteOrUndefined(dc.evMaxCurrent, ac.evMaxCurrent, v2x.maxChargeCurrent),
+    maxPowerW: finiteOrUndefined(dc.evMaxPower, v2x.maxChargePower),
+    maxScheduleTuples: finiteOrUndefined(p.maxScheduleTuples),
+  };
+}
+
+function floorTo(value, step) {
+  return Math.floor(value / step + 1e-9) * step;
+}
+
+function ceilTo(value, step) {
+  return Math.ceil(value / step - 1e-9) * step;
+}
+
+/**
+ * Compute the schedule for one set of charging needs.
+ * @param {object} needs result of normalizeChargingNeeds()
+ * @param {object} options { now, siteLimitW, deviceLimit: {value, unit}, phases, nominalVoltageV, minimumChargingCurrentA }
+ * @returns {{status: string, reason: string, rateUnit: string, limit: number, maxLimit: number, phases: number, periods: Array<object>}}
+ */
+function computeChargingSchedule(needs, options = {}) {
+  const n = needs || {};
+  const now = Number(options.now) || Date.now();
+  const dc = isDcMode(n.energyTransferMode);
+  const rateUnit = dc ? 'W' : 'A';
+  const phases = dc ? 1 : (PHASES_BY_MODE[n.energyTransferMode] || Math.max(1, Math.min(3, Math.round(Number(options.phases) || 3))));
+  const voltage = Math.max(100, Number(options.nominalVoltageV) || DEFAULT_NOMINAL_VOLTAGE_V);
+  // W -> rate unit (AC: per-phase current).
+  const fromW = (w) => (dc ? w : w / (voltage * phases));
+
+  const caps = [];
+  if (dc) {
+    caps.push(n.maxPowerW);
+  } else {
+    caps.push(n.maxCurrentA);
+    if (n.maxPowerW !== undefined) caps.push(fromW(n.maxPowerW));
+  }
+  const siteLimitW = Number(options.siteLimitW);
+  if (Number.isFinite(siteLimitW) && siteLimitW > 0) caps.push(fromW(siteLimitW));
+  const device = options.deviceLimit;
+  if (device && Number.isFinite(Number(device.value))) {
+    const value = Number(device.value);
+    const unit = String(device.unit || 'A').toUpperCase();
+    if (unit === 'W') caps.push(fromW(value));
+    else caps.push(dc ? value * voltage * Math.max(1, Math.min(3, Number(options.phases) || 3)) : value);
+  }
+
+  const limits = caps.filter(value => Number.isFinite(value) && value >= 0);
+  const base = { rateUnit, phases, periods: [] };
+  if (!limits.length) return { ...base, status: 'Rejected', reason: 'no-ev-limit', limit: 0, maxLimit: 0 };
+
+  const step = dc ? 1 : 0.1;
+  const maxLimit = floorTo(Math.min(...limits), step);
+  const minLimit = dc ? 0 : Math.max(
+    Number(n.minCurrentA) || 0,
+    Math.max(1, Number(options.minimumChargingCurrentA) || DEFAULT_MINIMUM_CURRENT_A),
+  );
+  if (maxLimit <= 0 || maxLimit < minLimit) {
+    return { ...base, status: 'Rejected', reason: 'limit-below-minimum', limit: 0, maxLimit };
+  }
+
+  let limit = maxLimit;
+  let reason = 'maximum';
+  const secondsLeft = n.departureAt !== undefined ? Math.floor((n.departureAt - now) / 1000) : undefined;
+  if (secondsLeft !== undefined && secondsLeft > 0 && Number(n.energyRequestWh) > 0) {
+    const neededW = (Number(n.energyRequestWh) * 3600) / secondsLeft;
+    limit = Math.min(maxLimit, Math.max(minLimit, ceilTo(fromW(neededW), step)));
+    reason = limit < maxLimit ? 'departure' : 'maximum';
+  }
+  // Avoid binary noise like 7.300000000000001 A in the payload.
+  const round = (value) => Number(value.toFixed(dc ? 0 : 1));
+  const period = (startPeriod, value) => (dc
+    ? { startPeriod, limit: round(value) }
+    : { startPeriod, limit: round(value), numberPhases: phases });
+
+  const periods = [period(0, limit)];
+  const tuples = Number(n.maxScheduleTuples);
+  if (limit < maxLimit && secondsLeft > 0 && !(Number.isFinite(tuples) && tuples > 0 && tuples < 2)) {
+    periods.push(period(secondsLeft, maxLimit));
+  }
+  return { ...base, status: 'Accepted', reason, limit: round(limit), maxLimit: round(maxLimit), periods };
+}
+
+/** SetChargingProfile (TxProfile) for the running transaction of an EVSE. */
+function buildTxProfileRequest(target, schedule, now) {
+  const t = target || {};
+  const ids = deterministicChargingProfileIds(t.identity, 'ev-charging-needs', `evse-${t.evseId}`);
+  const start = new Date(Number(now) || Date.now());
+  start.setUTCMilliseconds(0);
+  return {
+    evseId: t.evseId,
+    chargingProfile: {
+      id: ids.chargingProfileId,
+      stackLevel: Math.max(0, Math.trunc(Number(t.stackLevel) || 0)),
+      chargingProfilePurpose: 'TxProfile',
+      chargingProfileKind: 'Absolute',
+      transactionId: String(t.transactionId),
+      chargingSchedule: [{
+        id: ids.scheduleId,
+        startSchedule: start.toISOString().replace('.000Z', 'Z'),
+        chargingRateUnit: schedule.rateUnit,
+        chargingSchedulePeriod: schedule.periods,
+      }],
+    },
+  };
+}
+
+/** NotifyEVChargingNeeds answer when no schedule will follow (2.1 knows NoChargingProfile). */
+function noScheduleStatus(protocol) {
+  return String(protocol || '') === 'ocpp2.1' ? 'NoChargingProfile' : 'Rejected';
+}
+
+module.exports = {
+  normalizeChargingNeeds,
+  computeChargingSchedule,
+  buildTxProfileRequest,
+  noScheduleStatus,
+};
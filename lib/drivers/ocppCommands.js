@@ -0,0 +1,136 @@
+'use strict';
+
+const { classifyCallError } = require('./ocppCentral');
+
+/**
+ * Remote commands from ioBroker to an OCPP charge point.
+ *
+ * Template datapoints select the command with source.command:
+ * - run           true -> RemoteStartTransaction (1.6) / RequestStartTransaction (2.x)
+ *                 false -> RemoteStopTransaction (1.6) / RequestStopTransaction (2.x)
+ * - unlock        true -> UnlockConnector
+ * - reset         'Soft' | 'Hard' (2.x: OnIdle | Immediate)
+ * - availability  true -> Operative, false -> Inoperative
+ *
+ * Every call is answered with the station status (Accepted, Rejected, Unlocked, ...)
+ * or a call failure (Timeout after commandTimeoutMs, NotImplemented, ...).
+ */
+
+const COMMANDS = new Set(['run', 'unlock', 'reset', 'availability']);
+const SUCCESS_STATUSES = new Set(['Accepted', 'Scheduled', 'Unlocked']);
+const DEFAULT_REMOTE_ID_TAG = 'NexoWatt';
+
+function isOcpp16(protocol) {
+  return String(protocol || '') === 'ocpp1.6';
+}
+
+function toBool(value) {
+  if (typeof value === 'string') return ['1', 'true', 'on', 'start'].includes(value.trim().toLowerCase());
+  return !!value;
+}
+
+function normalizeResetType(protocol, value) {
+  const v = String(value === true ? 'Soft' : value || 'Soft').trim().toLowerCase();
+  const hard = v === 'hard' || v === 'immediate' || v === '2';
+  if (isOcpp16(protocol)) return hard ? 'Hard' : 'Soft';
+  return hard ? 'Immediate' : 'OnIdle';
+}
+
+// remoteStartId must be a positive integer; seconds since epoch are unique enough per station.
+function remoteStartId(now) {
+  return Math.max(1, Math.floor((Number(now) || Date.now()) / 1000) % 0x7fffffff);
+}
+
+/**
+ * Build the OCPP call for a command.
+ * @param {string} protocol negotiated protocol
+ * @param {string} command run | unlock | reset | availability
+ * @param {*} value written state value
+ * @param {object} target { evseId, connectorId, idTag, transactionId }
+ * @returns {{method: string, params: object}|{skip: string}|null}
+ */
+function buildRemoteCommand(protocol, command, value, target, now) {
+  const t = target || {};
+  const v16 = isOcpp16(protocol);
+  switch (command) {
+    case 'run': {
+      if (toBool(value)) {
+        const idTag = String(t.idTag || DEFAULT_REMOTE_ID_TAG).slice(0, v16 ? 20 : 36);
+        if (v16) return { method: 'RemoteStartTransaction', params: { connectorId: t.connectorId, idTag } };
+        return {
+          method: 'RequestStartTransaction',
+          params: { evseId: t.evseId, remoteStartId: remoteStartId(now), idToken: { idToken: idTag, type: 'Central' } },
+        };
+      }
+      const txId = t.transactionId === undefined || t.transactionId === null ? '' : String(t.transactionId).trim();
+      if (!txId) return { skip: 'NoTransaction' };
+      if (v16) {
+        const n = Number(txId);
+        if (!Number.isInteger(n)) return { skip: 'NoTransaction' };
+        return { method: 'RemoteStopTransaction', params: { transactionId: n } };
+      }
+      return { method: 'RequestStopTransaction', params: { transactionId: txId } };
+    }
+    case 'unlock':
+      if (!toBool(value)) return { skip: 'Ignored' };
+      if (v16) return { method: 'UnlockConnector', params: { connectorId: t.connectorId } };
+      return { method: 'UnlockConnector', params: { evseId: t.evseId, connectorId: t.connectorId } };
+    case 'reset':
+      return { method: 'Reset', params: { type: normalizeResetType(protocol, value) } };
+    case 'availability': {
+      const status = toBool(value) ? 'Operative' : 'Inoperative';
+      if (v16) return { method: 'ChangeAvailability', params: { connectorId: t.connectorId, type: status } };
+      return {
+        method: 'ChangeAvailability',
+        params: { operationalStatus: status, evse: { id: t.evseId, connectorId: t.connectorId } },
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Execute a command and report the result.
+ * @param {object} opts { protocol, command, value, target, call, publish }
+ * @returns {Promise<{method: string, status: string, accepted: boolean, reason: string}>}
+ */
+async function executeRemoteCommand(opts) {
+  const o = opts || {};
+  const built = buildRemoteCommand(o.protocol, o.command, o.value, o.target);
+  if (!built) throw new Error(`Unknown OCPP command: ${o.command}`);
+
+  let result;
+  if (built.skip) {
+    result = { method: o.command, status: built.skip, accepted: built.skip === 'Ignored', reason: '' };
+  } else {
+    let status;
+    let reason = '';
+    try {
+      const response = await o.call(built.method, built.params);
+      status = String((response && response.status) || 'Unknown');
+      const info = response && response.statusInfo && response.statusInfo.reasonCode;
+      if (info) reason = String(info);
+    } catch (e) {
+      status = classifyCallError(e);
+      reason = e && e.message ? String(e.message) : String(e);
+    }
+    result = { method: built.method, status, accepted: SUCCESS_STATUSES.has(status), reason };
+  }
+
+  if (typeof o.publish === 'function') {
+    try {
+      await o.publish(result);
+    } catch (_) {
+      // Result reporting must never hide the command outcome.
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  COMMANDS,
+  buildRemoteCommand,
+  executeRemoteCommand,
+  normalizeResetType,
+};
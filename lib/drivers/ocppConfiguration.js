@@ -0,0 +1,177 @@
+'use strict';
+
+const { parseDeviceModelValue } = require('../../ocpp/freshness');
+
+/**
+ * OCPP configuration browser.
+ *
+ * OCPP 1.6 stations report flat configuration keys (GetConfiguration), OCPP 2.x stations
+ * report their device model per component/variable (GetBaseReport -> NotifyReport,
+ * GetVariables). Both end up as one state per entry below <identity>.config.*:
+ *
+ *   config.MeterValueSampleInterval                       (1.6)
+ *   config.SampledDataCtrlr.TxUpdatedInterval             (2.x)
+ *   config.EVSE.1.AvailabilityState                       (2.x, component with EVSE)
+ *
+ * Entries the station reports as writable get write: true; writes go back via
+ * ChangeConfiguration (1.6) or SetVariables (2.x).
+ */
+
+const WRITE_SUCCESS = new Set(['Accepted', 'RebootRequired']);
+
+function isOcpp16(protocol) {
+  return String(protocol || '') === 'ocpp1.6';
+}
+
+function segment(value) {
+  return String(value).trim().replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+/** State key of a 1.6 configuration key. */
+function configKey16(key) {
+  return `config.${segment(key)}`;
+}
+
+/** State key of a 2.x component/variable pair. */
+function deviceModelKey(component, variable) {
+  const c = component || {};
+  const v = variable || {};
+  const parts = [c.name, c.instance];
+  if (c.evse && c.evse.id !== undefined) parts.push(c.evse.id, c.evse.connectorId);
+  parts.push(v.name, v.instance);
+  return `config.${parts.filter(p => p !== undefined && p !== null && p !== '').map(segment).join('.')}`;
+}
+
+/** Type a 1.6 value (always a string on the wire) for the state tree. */
+function inferValue(raw) {
+  const text = raw === undefined || raw === null ? '' : String(raw).trim();
+  if (/^(true|false)$/i.test(text)) return { type: 'boolean', val: text.toLowerCase() === 'true' };
+  if (/^-?\d+(\.\d+)?$/.test(text) && text.length < 16) return { type: 'number', val: Number(text) };
+  return { type: 'string', val: text };
+}
+
+function entryCommon(name, type, writable, extra) {
+  const role = type === 'boolean' ? (writable ? 'switch' : 'indicator') : (type === 'number' ? (writable ? 'level' : 'value') : 'text');
+  return Object.assign({ name, type, role, read: true, write: !!writable }, extra || {});
+}
+
+/**
+ * Entries of a 1.6 GetConfiguration response.
+ * @returns {Array<{key: string, val: *, common: object, ref: object}>}
+ */
+function entriesFromGetConfiguration(response) {
+  const list = response && Array.isArray(response.configurationKey) ? response.configurationKey : [];
+  return list
+    .filter(item => item && item.key)
+    .map((item) => {
+      const parsed = inferValue(item.value);
+      return {
+        key: configKey16(item.key),
+        val: parsed.val,
+        common: entryCommon(item.key, parsed.type, item.readonly !== true),
+        ref: { key: String(item.key), type: parsed.type },
+      };
+    });
+}
+
+/** Entries of a 2.x NotifyReport (Actual attribute only; WriteOnly values are never reported). */
+function entriesFromReportData(reportData) {
+  const out = [];
+  for (const item of Array.isArray(reportData) ? reportData : []) {
+    if (!item || !item.component || !item.variable) continue;
+    const attributes = Array.isArray(item.variableAttribute) ? item.variableAttribute : [];
+    const actual = attributes.find(a => a && (a.type || 'Actual') === 'Actual');
+    if (!actual || actual.mutability === 'WriteOnly') continue;
+    const ch = item.variableCharacteristics || {};
+    const parsed = parseDeviceModelValue(actual.value, ch.dataType);
+    const extra = {};
+    if (ch.unit) extra.unit = String(ch.unit);
+    if (parsed.type === 'number' && Number.isFinite(ch.minLimit)) extra.min = ch.minLimit;
+    if (parsed.type === 'number' && Number.isFinite(ch.maxLimit)) extra.max = ch.maxLimit;
+    if (ch.dataType === 'OptionList' && ch.valuesList) {
+      extra.states = Object.fromEntries(String(ch.valuesList).split(',').map(v => v.trim()).filter(Boolean).map(v => [v, v]));
+    }
+    out.push({
+      key: deviceModelKey(item.component, item.variable),
+      val: parsed.val === undefined ? null : parsed.val,
+      common: entryCommon(`${item.component.name} ${item.variable.name}`, parsed.type, actual.mutability !== 'ReadOnly', extra),
+      ref: { component: item.component, variable: item.variable, type: parsed.type, dataType: ch.dataType },
+    });
+  }
+  return out;
+}
+
+/** GetVariables request for known entries. */
+function buildGetVariablesRequest(refs) {
+  return {
+    getVariableData: refs.map(ref => ({ component: ref.component, variable: ref.variable, attributeType: 'Actual' })),
+  };
+}
+
+/** Values of a GetVariables response, matched to the known refs by key. */
+function entriesFromGetVariables(response, refsByKey) {
+  const out = [];
+  const results = response && Array.isArray(response.getVariableResult) ? response.getVariableResult : [];
+  for (const result of results) {
+    if (!result || result.attributeStatus !== 'Accepted') continue;
+    const key = deviceModelKey(result.component, result.variable);
+    const ref = refsByKey.get(key) || { component: result.component, variable: result.variable };
+    const parsed = ref.dataType ? parseDeviceModelValue(result.attributeValue, ref.dataType) : inferValue(result.attributeValue);
+    out.push({ key, val: parsed.val === undefined ? null : parsed.val, ref });
+  }
+  return out;
+}
+
+function wireValue(value) {
+  if (typeof value === 'boolean') return value ? 'true' : 'false';
+  return value === undefined || value === null ? '' : String(value);
+}
+
+/** Value as stored in the state tree (admin writes arrive as text). */
+function coerceConfigValue(ref, value) {
+  const type = ref && ref.type;
+  if (type === 'number' && typeof value !== 'number') {
+    const n = Number(value);
+    return Number.isFinite(n) && String(value).trim() !== '' ? n : value;
+  }
+  if (type === 'boolean' && typeof value !== 'boolean') return /^(true|1|on)$/i.test(String(value).trim());
+  return value;
+}
+
+/** ChangeConfiguration (1.6) / SetVariables (2.x) for one entry. */
+function buildConfigurationWrite(protocol, ref, value) {
+  if (isOcpp16(protocol)) {
+    return { method: 'ChangeConfiguration', params: { key: ref.key, value: wireValue(value) } };
+  }
+  return {
+    method: 'SetVariables',
+    params: {
+      setVariableData: [{
+        attributeType: 'Actual',
+        attributeValue: wireValue(value),
+        component: ref.component,
+        variable: ref.variable,
+      }],
+    },
+  };
+}
+
+function configurationWriteStatus(protocol, response) {
+  if (isOcpp16(protocol)) return String((response && response.status) || 'Unknown');
+  const result = response && Array.isArray(response.setVariableResult) ? response.setVariableResult[0] : null;
+  return String((result && result.attributeStatus) || 'Unknown');
+}
+
+module.exports = {
+  WRITE_SUCCESS,
+  configKey16,
+  deviceModelKey,
+  inferValue,
+  entriesFromGetConfiguration,
+  entriesFromReportData,
+  buildGetVariablesRequest,
+  entriesFromGetVariables,
+  coerceConfigValue,
+  buildConfigurationWrite,
+  configurationWriteStatus,
+};
@@ -0,0 +1,455 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { Transform } = require('node:stream');
+const { pipeline } = require('node:stream/promises');
+
+/**
+ * OCPP firmware / diagnostics transfer.
+ *
+ * Stations on isolated site networks cannot reach a vendor portal, so the central system
+ * serves firmware files and receives log uploads itself through a small HTTP endpoint:
+ *
+ *   GET  /firmware/<token>/<file>   firmware download (UpdateFirmware location)
+ *   PUT  /upload/<token>/<file>     log upload (GetDiagnostics / GetLog location),
+ *   POST /upload/<token>/<file>     raw body or multipart/form-data
+ *
+ * Every URL carries a random token that expires after TOKEN_TTL_MS; unknown tokens get 404.
+ * An upload token is consumed by the first stored upload. Uploads are streamed to disk and aborted
+ * with 413 as soon as they exceed maxUploadBytes, so they never sit in memory.
+ * FirmwareStatusNotification / DiagnosticsStatusNotification / LogStatusNotification are
+ * mapped to a progress state per station (see transferProgress).
+ */
+
+const TOKEN_TTL_MS = 24 * 3600 * 1000;
+const DEFAULT_MAX_UPLOAD_BYTES = 100 * 1024 * 1024;
+const REMOTE_URL_RE = /^(?:https?|ftps?):\/\//i;
+
+// Progress in % per reported status; failures end the transfer without changing the progress.
+const FIRMWARE_PROGRESS = Object.freeze({
+  DownloadScheduled: 5,
+  Downloading: 20,
+  DownloadPaused: 20,
+  Downloaded: 40,
+  SignatureVerified: 50,
+  InstallScheduled: 55,
+  Installing: 70,
+  InstallRebooting: 85,
+  Installed: 100,
+});
+const FIRMWARE_FAILURES = new Set(['DownloadFailed', 'InstallationFailed', 'InstallVerificationFailed', 'InvalidSignature']);
+const LOG_PROGRESS = Object.freeze({ Uploading: 50, Uploaded: 100 });
+const LOG_FAILURES = new Set(['UploadFailed', 'UploadFailure', 'BadMessage', 'NotSupportedOperation', 'PermissionDenied']);
+
+function isOcpp16(protocol) {
+  return String(protocol || '') === 'ocpp1.6';
+}
+
+function isRemoteLocation(value) {
+  return REMOTE_URL_RE.test(String(value || '').trim());
+}
+
+/**
+ * Firmware files are only served from one directory: `name` must be a plain file name
+ * (no absolute path, no directory part, no `..`). Returns the full path or null.
+ */
+function firmwareFilePath(dir, name) {
+  const text = String(name || '').trim();
+  if (!text || text === '.' || text === '..' || /[\\/\0]/.test(text) || path.isAbsolute(text)) return null;
+  const base = path.resolve(dir);
+  const file = path.resolve(base, text);
+  return path.dirname(file) === base ? file : null;
+}
+
+function safeFileName(value, fallback) {
+  const base = path.basename(String(value || '')).replace(/[^A-Za-z0-9._-]/g, '_').replace(/^\.+/, '');
+  return base || fallback;
+}
+
+/**
+ * Progress of a reported transfer status.
+ * @param {'firmware'|'log'} kind
+ * @returns {{progress: (number|undefined), active: boolean, failed: boolean}}
+ */
+function transferProgress(kind, status) {
+  const s = String(status || '');
+  const table = kind === 'firmware' ? FIRMWARE_PROGRESS : LOG_PROGRESS;
+  const failures = kind === 'firmware' ? FIRMWARE_FAILURES : LOG_FAILURES;
+  if (failures.has(s)) return { progress: undefined, active: false, failed: true };
+  if (Object.prototype.hasOwnProperty.call(table, s)) return { progress: table[s], active: table[s] < 100, failed: false };
+  // Idle / AcceptedCanceled / unknown values: the station is not transferring.
+  return { progress: undefined, active: false, failed: false };
+}
+
+/** UpdateFirmware payload. */
+function buildUpdateFirmwareRequest(protocol, location, options = {}) {
+  const retrieveDate = new Date(Number(options.retrieveAt) || Date.now()).toISOString();
+  const retries = Number.isInteger(options.retries) ? { retries: options.retries } : {};
+  if (isOcpp16(protocol)) return { location, retrieveDate, ...retries };
+  return { requestId: options.requestId, firmware: { location, retrieveDateTime: retrieveDate }, ...retries };
+}
+
+/** GetDiagnostics (1.6) / GetLog (2.x) call for an upload location. */
+function buildLogRequest(protocol, location, options = {}) {
+  if (isOcpp16(protocol)) return { method: 'GetDiagnostics', params: { location } };
+  return {
+    method: 'GetLog',
+    params: {
+      logType: options.logType === 'SecurityLog' ? 'SecurityLog' : 'DiagnosticsLog',
+      requestId: options.requestId,
+      log: { remoteLocation: location },
+    },
+  };
+}
+
+/** Status of a GetDiagnostics / GetLog response; 1.6 without fileName means no log available. */
+function logRequestResult(protocol, response) {
+  const r = response || {};
+  if (isOcpp16(protocol)) return { status: r.fileName ? 'Accepted' : 'NoLog', fileName: r.fileName ? String(r.fileName) : '' };
+  return { status: String(r.status || 'Unknown'), fileName: r.filename ? String(r.filename) : '' };
+}
+
+const MAX_PART_HEADER_BYTES = 16 * 1024;
+
+function multipartBoundary(contentType) {
+  const m = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(String(contentType || ''));
+  return m ? (m[1] || m[2]).trim() : null;
+}
+
+/**
+ * Incremental parser for the first file part of a multipart/form-data body.
+ * push() returns the file bytes of a chunk; only the tail that may hold the next delimiter
+ * is buffered. `filename` is set once the part headers are read, `complete` at its end.
+ */
+class MultipartFileParser {
+  constructor(boundary) {
+    // A leading CRLF makes the first delimiter look like every following one.
+    this.delimiter = Buffer.from(`\r\n--${boundary}`);
+    this.buffer = Buffer.from('\r\n');
+    this.state = 'seek';
+    this.filename = null;
+    this.complete = false;
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const out = [];
+    for (;;) {
+      if (this.state === 'seek') {
+        const idx = this.buffer.indexOf(this.delimiter);
+        if (idx === -1) {
+          this.buffer = this.buffer.slice(Math.max(0, this.buffer.length - this.delimiter.length + 1));
+          return out;
+        }
+        this.buffer = this.buffer.slice(idx + this.delimiter.length);
+        this.state = 'headers';
+      } else if (this.state === 'headers') {
+        if (this.buffer.length >= 2 && this.buffer[0] === 0x2d && this.buffer[1] === 0x2d) {
+          this.state = 'done'; // closing delimiter without a file part
+          return out;
+        }
+        const end = this.buffer.indexOf('\r\n\r\n');
+        if (end === -1) {
+          if (this.buffer.length > MAX_PART_HEADER_BYTES) throw new Error('Multipart part headers too large');
+          return out;
+        }
+        const filename = /filename="([^"]*)"/i.exec(this.buffer.slice(0, end).toString('utf8'));
+        this.buffer = this.buffer.slice(end + 4);
+        if (filename) {
+          this.filename = filename[1];
+          this.state = 'data';
+        } else {
+          this.state = 'seek';
+        }
+      } else if (this.state === 'data') {
+        const idx = this.buffer.indexOf(this.delimiter);
+        if (idx === -1) {
+          const keep = this.delimiter.length - 1;
+          if (this.buffer.length > keep) {
+            out.push(this.buffer.slice(0, this.buffer.length - keep));
+            this.buffer = this.buffer.slice(this.buffer.length - keep);
+          }
+          return out;
+        }
+        out.push(this.buffer.slice(0, idx));
+        this.state = 'done';
+        this.complete = true;
+      } else {
+        this.buffer = Buffer.alloc(0);
+        return out;
+      }
+    }
+  }
+}
+
+/** First file part of a multipart/form-data body, or null. */
+function extractMultipartFile(body, contentType) {
+  const boundary = multipartBoundary(contentType);
+  if (!boundary) return null;
+  const parser = new MultipartFileParser(boundary);
+  const data = Buffer.concat(parser.push(body));
+  return parser.complete ? { filename: parser.filename, data } : null;
+}
+
+/** Stream stage that fails with code E_TOO_LARGE once more than maxBytes passed through. */
+function byteLimit(maxBytes) {
+  let bytes = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      bytes += chunk.length;
+      if (bytes > maxBytes) {
+        const error = new Error(`Upload larger than ${maxBytes} bytes`);
+        error.code = 'E_TOO_LARGE';
+        return callback(error);
+      }
+      return callback(null, chunk);
+    },
+  });
+}
+
+/** Stream stage that passes only the first file part of a multipart body. */
+function multipartFileStream(boundary) {
+  const parser = new MultipartFileParser(boundary);
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      try {
+        for (const part of parser.push(chunk)) this.push(part);
+        return callback();
+      } catch (e) {
+        return callback(e);
+      }
+    },
+    flush(callback) {
+      if (parser.complete) return callback();
+      const error = new Error('Multipart body without a complete file part');
+      error.code = 'E_BAD_MULTIPART';
+      return callback(error);
+    },
+  });
+  stream.parser = parser;
+  return stream;
+}
+
+/** Address for URLs handed to a station (IPv6 in brackets, IPv4-mapped addresses unwrapped). */
+function urlHost(address) {
+  const a = String(address || '').replace(/^::ffff:/i, '');
+  return a.includes(':') ? `[${a}]` : a;
+}
+
+function defaultHostAddress() {
+  for (const list of Object.values(os.networkInterfaces())) {
+    for (const entry of list || []) {
+      if (entry && entry.family === 'IPv4' && !entry.internal) return entry.address;
+    }
+  }
+  return '127.0.0.1';
+}
+
+class OcppFileServer {
+  /**
+   * @param {{host: string, port: number, uploadDir: string, log: object, maxUploadBytes: (number|undefined)}} opts
+   */
+  constructor(opts) {
+    this.host = opts.host || '0.0.0.0';
+    this.port = Number(opts.port);
+    this.uploadDir = opts.uploadDir;
+    this.log = opts.log;
+    this.maxUploadBytes = Number(opts.maxUploadBytes) > 0 ? Number(opts.maxUploadBytes) : DEFAULT_MAX_UPLOAD_BYTES;
+    this.tokens = new Map(); // token -> { kind, identity, filePath?, fileName?, expiresAt, onEvent }
+    this.server = null;
+    this._listening = null;
+  }
+
+  async start() {
+    if (this._listening) return this._listening;
+    this._listening = new Promise((resolve, reject) => {
+      const server = http.createServer((req, res) => {
+        this._handle(req, res).catch((e) => {
+          this.log.warn(`[ocpp] File transfer request ${req.method} ${req.url} failed: ${e && e.message ? e.message : e}`);
+          if (!res.headersSent) res.statusCode = 500;
+          res.end();
+        });
+      });
+      server.once('error', reject);
+      server.listen(this.port, this.host, () => {
+        server.off('error', reject);
+        this.server = server;
+        this.port = server.address().port; // port 0 = any free port
+        this.log.info(`[ocpp] File transfer endpoint listening on http://${this.host}:${this.port}`);
+        resolve();
+      });
+    });
+    try {
+      await this._listening;
+    } catch (e) {
+      this._listening = null;
+      throw e;
+    }
+    return this._listening;
+  }
+
+  async close() {
+    const server = this.server;
+    this.server = null;
+    this._listening = null;
+    this.tokens.clear();
+    if (!server) return;
+    if (typeof server.closeAllConnections === 'function') server.closeAllConnections();
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  _register(entry) {
+    const now = Date.now();
+    for (const [token, item] of this.tokens) {
+      if (item.expiresAt <= now) this.tokens.delete(token);
+    }
+    const token = crypto.randomBytes(16).toString('hex');
+    this.tokens.set(token, { ...entry, expiresAt: now + TOKEN_TTL_MS });
+    return token;
+  }
+
+  /** Offer a local file for download; returns the URL path. */
+  offerFile(identity, filePath, onEvent) {
+    const fileName = safeFileName(filePath, 'firmware.bin');
+    const token = this._register({ kind: 'download', identity, filePath, fileName, onEvent });
+    return `/firmware/${token}/${encodeURIComponent(fileName)}`;
+  }
+
+  /** Accept uploads for a station; returns the URL path (a directory, 1.6 stations append the file name). */
+  expectUpload(identity, onEvent) {
+    const token = this._register({ kind: 'upload', identity, onEvent });
+    return `/upload/${token}/`;
+  }
+
+  url(urlPath, advertisedHost) {
+    return `http://${urlHost(advertisedHost || defaultHostAddress())}:${this.port}${urlPath}`;
+  }
+
+  _lookup(kind, token) {
+    const entry = this.tokens.get(token);
+    if (!entry || entry.kind !== kind) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.tokens.delete(token);
+      return null;
+    }
+    return entry;
+  }
+
+  async _handle(req, res) {
+    const parts = String(req.url || '').split('?')[0].split('/').filter(Boolean);
+    const [area, token] = parts;
+    if (area === 'firmware' && (req.method === 'GET' || req.method === 'HEAD')) {
+      const entry = this._lookup('download', token);
+      if (!entry) return this._reply(res, 404);
+      const stat = await fs.promises.stat(entry.filePath).catch(() => null);
+      if (!stat || !stat.isFile()) return this._reply(res, 404);
+      res.writeHead(200, {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': stat.size,
+        'Content-Disposition': `attachment; filename="${entry.fileName}"`,
+      });
+      if (req.method === 'HEAD') return res.end();
+      this._emit(entry, 'download', { remoteAddress: req.socket.remoteAddress });
+      await new Promise((resolve, reject) => {
+        const stream = fs.createReadStream(entry.filePath);
+        stream.once('error', reject);
+        res.once('close', resolve);
+        stream.pipe(res);
+      });
+      return undefined;
+    }
+    if (area === 'upload' && (req.method === 'PUT' || req.method === 'POST')) {
+      const entry = this._lookup('upload', token);
+      if (!entry) return this._reply(res, 404);
+      let urlFileName;
+      try {
+        urlFileName = decodeURIComponent(parts.slice(2).join('_'));
+      } catch (_) {
+        return this._reply(res, 400, true);
+      }
+      // One upload at a time; a failed or aborted one leaves the token for the station's retries.
+      if (entry.receiving) return this._reply(res, 409, true);
+      entry.receiving = true;
+      try {
+        return await this._receiveUpload(req, res, token, entry, urlFileName);
+      } finally {
+        entry.receiving = false;
+      }
+    }
+    return this._reply(res, 404);
+  }
+
+  async _receiveUpload(req, res, token, entry, urlFileName) {
+    const declared = Number(req.headers['content-length']);
+    if (Number.isFinite(declared) && declared > this.maxUploadBytes) return this._reply(res, 413, true);
+
+    const contentType = String(req.headers['content-type'] || '');
+    const boundary = /multipart\/form-data/i.test(contentType) ? multipartBoundary(contentType) : null;
+    const dir = path.join(this.uploadDir, entry.identity);
+    await fs.promises.mkdir(dir, { recursive: true });
+    const tmp = path.join(dir, `.${crypto.randomBytes(8).toString('hex')}.part`);
+    const multipart = boundary ? multipartFileStream(boundary) : null;
+    const limiter = byteLimit(this.maxUploadBytes);
+    const stages = [limiter];
+    if (multipart) stages.push(multipart);
+    stages.push(fs.createWriteStream(tmp));
+    // req is piped instead of being part of the pipeline, so an oversized upload can still be
+    // answered with 413 before the connection is closed.
+    req.on('close', () => {
+      if (!req.complete) limiter.destroy(Object.assign(new Error('Upload aborted by the client'), { code: 'E_ABORTED' }));
+    });
+    req.pipe(limiter);
+    try {
+      await pipeline(stages);
+    } catch (e) {
+      req.unpipe(limiter);
+      await fs.promises.unlink(tmp).catch(() => {});
+      if (e && e.code === 'E_ABORTED') return undefined;
+      if (e && e.code === 'E_TOO_LARGE') return this._reply(res, 413, true);
+      if (e && (e.code === 'E_BAD_MULTIPART' || /^Multipart/.test(String(e.message)))) return this._reply(res, 400);
+      throw e;
+    }
+
+    const name = safeFileName(multipart ? multipart.parser.filename : urlFileName, 'upload.bin');
+    const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}_${name}`);
+    await fs.promises.rename(tmp, file);
+    this.tokens.delete(token); // single use: consumed by the first stored upload
+    const { size } = await fs.promises.stat(file);
+    this._emit(entry, 'upload', { file, bytes: size });
+    return this._reply(res, 200);
+  }
+
+  _emit(entry, event, details) {
+    if (typeof entry.onEvent !== 'function') return;
+    Promise.resolve()
+      .then(() => entry.onEvent(event, details))
+      .catch(e => this.log.warn(`[ocpp] File transfer event ${event} (${entry.identity}) failed: ${e && e.message ? e.message : e}`));
+  }
+
+  _reply(res, code, closeConnection) {
+    if (res.headersSent || res.writableEnded) return;
+    res.statusCode = code;
+    // After an aborted upload the rest of the request body is not read.
+    if (closeConnection) {
+      res.setHeader('Connection', 'close');
+      res.once('finish', () => res.socket && res.socket.destroy());
+    }
+    res.end();
+  }
+}
+
+module.exports = {
+  OcppFileServer,
+  isRemoteLocation,
+  firmwareFilePath,
+  transferProgress,
+  buildUpdateFirmwareRequest,
+  buildLogRequest,
+  logRequestResult,
+  extractMultipartFile,
+  urlHost,
+};
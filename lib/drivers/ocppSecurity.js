@@ -0,0 +1,168 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+
+/**
+ * OCPP security profiles for the central system.
+ *
+ * - Profile 0: no authentication (previous behaviour).
+ * - Profile 1: HTTP Basic Auth with a password per charge point identity (ws).
+ * - Profile 2: HTTP Basic Auth over TLS (wss) with the configured server certificate.
+ *
+ * The password is configured per device (connection.authorizationKey). A station that
+ * connects without it under profile 0 gets the key provisioned via ChangeConfiguration
+ * AuthorizationKey (1.6) / SetVariables SecurityCtrlr.BasicAuthPassword (2.x) and can
+ * then be switched to profile 1/2.
+ *
+ * CSRs from SignCertificate are stored for the external CA; the signed chain is sent back
+ * with CertificateSigned.
+ */
+
+const MIN_KEY_LENGTH = 16;
+const MAX_KEY_LENGTH = 40;
+const CSR_RE = /-----BEGIN (?:NEW )?CERTIFICATE REQUEST-----[\s\S]+-----END (?:NEW )?CERTIFICATE REQUEST-----/;
+const CERT_RE = /-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g;
+const CERTIFICATE_TYPES = new Set(['ChargingStationCertificate', 'V2GCertificate']);
+
+function isOcpp16(protocol) {
+  return String(protocol || '') === 'ocpp1.6';
+}
+
+function normalizeSecurityProfile(value) {
+  const n = Number(value);
+  return n === 1 || n === 2 ? n : 0;
+}
+
+function normalizeAuthorizationKey(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function isValidAuthorizationKey(key) {
+  const k = normalizeAuthorizationKey(key);
+  return k.length >= MIN_KEY_LENGTH && k.length <= MAX_KEY_LENGTH;
+}
+
+// Compare digests so the comparison time does not depend on the password length.
+function passwordMatches(expected, provided) {
+  if (!expected || provided === undefined || provided === null) return false;
+  const a = crypto.createHash('sha256').update(Buffer.from(String(expected), 'utf8')).digest();
+  const b = crypto.createHash('sha256').update(Buffer.isBuffer(provided) ? provided : Buffer.from(String(provided), 'utf8')).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+/** Merge the security settings of all devices bound to one station (strictest profile wins). */
+function mergeSecurityConfigs(configs) {
+  const list = (configs || []).filter(Boolean);
+  const key = list.map(c => normalizeAuthorizationKey(c.authorizationKey)).find(Boolean) || '';
+  return {
+    securityProfile: list.reduce((max, c) => Math.max(max, normalizeSecurityProfile(c.securityProfile)), 0),
+    authorizationKey: key,
+    authorizationKeyEncoding: (list.find(c => c.authorizationKeyEncoding) || {}).authorizationKeyEncoding === 'plain' ? 'plain' : 'hex',
+    provisionAuthorizationKey: list.every(c => c.provisionAuthorizationKey !== false),
+  };
+}
+
+/**
+ * Decide about a WebSocket handshake.
+ * @param {object} cfg merged security settings of the identity
+ * @param {Buffer|undefined} password HTTP Basic password from the handshake
+ * @param {boolean} secure connection uses TLS
+ * @returns {{ok: boolean, code: (number|undefined), message: (string|undefined), basicAuth: boolean}}
+ */
+function verifyHandshake(cfg, password, secure) {
+  const c = cfg || {};
+  const profile = normalizeSecurityProfile(c.securityProfile);
+  if (profile >= 2 && !secure) return { ok: false, code: 403, message: 'TLS required', basicAuth: false };
+  const hasPassword = password !== undefined && password !== null;
+  if (c.authorizationKey) {
+    if (hasPassword) {
+      return passwordMatches(c.authorizationKey, password)
+        ? { ok: true, basicAuth: true }
+        : { ok: false, code: 401, message: 'Invalid credentials', basicAuth: false };
+    }
+    // Profile 0 still admits stations that do not know the key yet (provisioning).
+    return profile === 0 ? { ok: true, basicAuth: false } : { ok: false, code: 401, message: 'Missing credentials', basicAuth: false };
+  }
+  if (profile >= 1) return { ok: false, code: 401, message: 'No password configured', basicAuth: false };
+  return { ok: true, basicAuth: false };
+}
+
+/** ChangeConfiguration (1.6) / SetVariables (2.x) call that provisions the Basic Auth password. */
+function buildAuthorizationKeyRequest(protocol, key, encoding) {
+  const k = normalizeAuthorizationKey(key);
+  if (isOcpp16(protocol)) {
+    // The 1.6 security whitepaper defines AuthorizationKey as the hex encoded password.
+    const value = encoding === 'plain' ? k : Buffer.from(k, 'utf8').toString('hex');
+    return { method: 'ChangeConfiguration', params: { key: 'AuthorizationKey', value } };
+  }
+  return {
+    method: 'SetVariables',
+    params: {
+      setVariableData: [{
+        attributeValue: k,
+        component: { name: 'SecurityCtrlr' },
+        variable: { name: 'BasicAuthPassword' },
+      }],
+    },
+  };
+}
+
+/** Status of a ChangeConfiguration / SetVariables response. */
+function authorizationKeyStatus(protocol, response) {
+  if (isOcpp16(protocol)) return String((response && response.status) || 'Unknown');
+  const result = response && Array.isArray(response.setVariableResult) ? response.setVariableResult[0] : null;
+  return String((result && result.attributeStatus) || 'Unknown');
+}
+
+function isCertificateSigningRequest(csr) {
+  return CSR_RE.test(String(csr || ''));
+}
+
+/** Normalize a PEM chain (one or more certificates); '' when no certificate is contained. */
+function normalizeCertificateChain(value) {
+  const certs = String(value || '').replace(/\r\n/g, '\n').match(CERT_RE);
+  return certs ? `${certs.join('\n')}\n` : '';
+}
+
+/** CertificateSigned call for a PEM chain. */
+function buildCertificateSignedRequest(protocol, chain, certificateType) {
+  const params = { certificateChain: normalizeCertificateChain(chain) };
+  if (!isOcpp16(protocol) && CERTIFICATE_TYPES.has(certificateType)) params.certificateType = certificateType;
+  return params;
+}
+
+/**
+ * Read the TLS listener files. Returns null when no certificate is configured.
+ * @param {object} opts { tlsCertPath, tlsKeyPath, tlsCaPath, tlsPassphrase }
+ */
+function loadTlsOptions(opts) {
+  const o = opts || {};
+  const certPath = String(o.tlsCertPath || '').trim();
+  const keyPath = String(o.tlsKeyPath || '').trim();
+  if (!certPath && !keyPath) return null;
+  if (!certPath || !keyPath) throw new Error('OCPP TLS needs both a certificate (tlsCertPath) and a private key (tlsKeyPath)');
+  const tls = {
+    cert: fs.readFileSync(certPath),
+    key: fs.readFileSync(keyPath),
+    minVersion: 'TLSv1.2',
+  };
+  const caPath = String(o.tlsCaPath || '').trim();
+  if (caPath) tls.ca = fs.readFileSync(caPath);
+  if (o.tlsPassphrase) tls.passphrase = String(o.tlsPassphrase);
+  return tls;
+}
+
+module.exports = {
+  normalizeSecurityProfile,
+  isValidAuthorizationKey,
+  passwordMatches,
+  mergeSecurityConfigs,
+  verifyHandshake,
+  buildAuthorizationKeyRequest,
+  authorizationKeyStatus,
+  isCertificateSigningRequest,
+  normalizeCertificateChain,
+  buildCertificateSignedRequest,
+  loadTlsOptions,
+};
@@ -0,0 +1,296 @@
+'use strict';
+
+const {
+  deterministicChargingProfileIds,
+  normalizeChargingLimit,
+  chargingLimitChanged,
+  resolveZeroLimitBehavior,
+} = require('../../ocpp/compact');
+const { classifyCallError } = require('./ocppCentral');
+
+/**
+ * OCPP smart charging for one device (charge point identity + EVSE/connector).
+ *
+ * Writes to ctrl.currentLimitA / ctrl.powerLimitW become one deterministic
+ * "eos-charge-limit" profile per target:
+ * - TxDefaultProfile on the bound connector (1.6) / EVSE (2.x), or
+ * - ChargePointMaxProfile (1.6) / ChargingStationMaxProfile (2.x) on connector/EVSE 0.
+ *
+ * Changes below the deadband are skipped, sends are rate-limited to one per
+ * minIntervalMs (the newest request wins) and the last limit is re-applied after
+ * the station reconnects.
+ */
+
+const DEFAULT_MIN_INTERVAL_SEC = 10;
+const DEFAULT_REAPPLY_DELAY_MS = 5000;
+// Absolute schedules start slightly in the past so a station clock that runs ahead
+// does not postpone the limit.
+const SCHEDULE_START_SKEW_MS = 60 * 1000;
+
+const STATION_MAX_PURPOSES = new Set(['chargingstationmaxprofile', 'chargepointmaxprofile', 'stationmax']);
+
+function isOcpp16(protocol) {
+  return String(protocol || '') === 'ocpp1.6';
+}
+
+function normalizePurpose(value) {
+  return STATION_MAX_PURPOSES.has(String(value || '').trim().toLowerCase()) ? 'stationMax' : 'txDefault';
+}
+
+function scheduleStart(now) {
+  const start = new Date((Number(now) || Date.now()) - SCHEDULE_START_SKEW_MS);
+  start.setUTCMilliseconds(0);
+  return start.toISOString().replace('.000Z', 'Z');
+}
+
+/**
+ * Build the SetChargingProfile payload for the negotiated protocol.
+ * @param {string} protocol ocpp1.6 | ocpp2.0.1 | ocpp2.1
+ * @param {object} target { identity, purpose, evseId, connectorId, stackLevel }
+ * @param {object} limit result of normalizeChargingLimit()
+ * @param {number} [now]
+ */
+function buildSetChargingProfileRequest(protocol, target, limit, now) {
+  const t = target || {};
+  const stationMax = normalizePurpose(t.purpose) === 'stationMax';
+  const ids = deterministicChargingProfileIds(t.identity, 'eos-charge-limit', profileScope(protocol, t));
+  const period = {
+    startPeriod: 0,
+    limit: Number(limit.effectiveLimit) || 0,
+    numberPhases: limit.phases,
+  };
+  const stackLevel = Math.max(0, Math.trunc(Number(t.stackLevel) || 0));
+
+  if (isOcpp16(protocol)) {
+    return {
+      connectorId: stationMax ? 0 : t.connectorId,
+      csChargingProfiles: {
+        chargingProfileId: ids.chargingProfileId,
+        stackLevel,
+        chargingProfilePurpose: stationMax ? 'ChargePointMaxProfile' : 'TxDefaultProfile',
+        chargingProfileKind: 'Absolute',
+        chargingSchedule: {
+          startSchedule: scheduleStart(now),
+          chargingRateUnit: limit.rateUnit,
+          chargingSchedulePeriod: [period],
+        },
+      },
+    };
+  }
+
+  return {
+    evseId: stationMax ? 0 : t.evseId,
+    chargingProfile: {
+      id: ids.chargingProfileId,
+      stackLevel,
+      chargingProfilePurpose: stationMax ? 'ChargingStationMaxProfile' : 'TxDefaultProfile',
+      chargingProfileKind: 'Absolute',
+      chargingSchedule: [{
+        id: ids.scheduleId,
+        startSchedule: scheduleStart(now),
+        chargingRateUnit: limit.rateUnit,
+        chargingSchedulePeriod: [period],
+      }],
+    },
+  };
+}
+
+/** Build the ClearChargingProfile payload that removes exactly our profile. */
+function buildClearChargingProfileRequest(protocol, target) {
+  const t = target || {};
+  const ids = deterministicChargingProfileIds(t.identity, 'eos-charge-limit', profileScope(protocol, t));
+  if (isOcpp16(protocol)) return { id: ids.chargingProfileId };
+  return { chargingProfileId: ids.chargingProfileId };
+}
+
+function profileScope(protocol, target) {
+  if (normalizePurpose(target.purpose) === 'stationMax') return 'station';
+  return isOcpp16(protocol) ? `connector-${target.connectorId}` : `evse-${target.evseId}`;
+}
+
+class OcppChargingLimiter {
+  /**
+   * @param {object} opts
+   * @param {string} opts.identity sanitized station identity (profile id seed)
+   * @param {number} opts.evseId
+   * @param {number} opts.connectorId
+   * @param {object} opts.config device connection settings
+   * @param {Function} opts.getProtocol () => negotiated protocol or ''
+   * @param {Function} opts.isConnected () => boolean
+   * @param {Function} opts.call (method, params) => Promise<response>
+   * @param {Function} opts.publish (fields) => Promise, reports the control status
+   * @param {object} [opts.log]
+   */
+  constructor(opts) {
+    const o = opts || {};
+    const c = o.config || {};
+    this.identity = o.identity;
+    this.evseId = o.evseId;
+    this.connectorId = o.connectorId;
+    this.config = c;
+    this.getProtocol = o.getProtocol;
+    this.isConnected = o.isConnected;
+    this.callStation = o.call;
+    this.publish = o.publish;
+    this.log = o.log || null;
+
+    this.purpose = normalizePurpose(c.chargingProfilePurpose);
+    this.phases = c.phases;
+    const minSec = Number(c.chargingLimitMinIntervalSec);
+    this.minIntervalMs = Math.round((Number.isFinite(minSec) && minSec >= 0 ? minSec : DEFAULT_MIN_INTERVAL_SEC) * 1000);
+    this.reapplyDelayMs = DEFAULT_REAPPLY_DELAY_MS;
+
+    this.desired = null; // newest normalized request
+    this.applied = null; // last limit the station accepted
+    this.lastSentAt = 0;
+    this._lastSent = null; // limit object of the last SetChargingProfile / ClearChargingProfile
+    this._timer = null;
+    this._sending = Promise.resolve(); // send queue, one call to the station at a time
+  }
+
+  _target() {
+    return {
+      identity: this.identity,
+      purpose: this.purpose,
+      evseId: this.evseId,
+      connectorId: this.connectorId,
+      stackLevel: this.config.chargingProfileStackLevel,
+    };
+  }
+
+  _normalize(value, unit) {
+    const c = this.config;
+    return normalizeChargingLimit(value, unit, this.phases, {
+      minimumChargingCurrentA: c.minimumChargingCurrentA,
+      nominalVoltageV: c.nominalVoltageV,
+      zeroLimitBehavior: resolveZeroLimitBehavior(value, c),
+    }, this.desired || this.applied);
+  }
+
+  /**
+   * Request a new limit. Resolves once the request was sent or scheduled.
+   * @returns {Promise<{effectiveValue: (number|undefined)}>}
+   */
+  async request(value, unit) {
+    const next = this._normalize(value, unit);
+    if (next.action === 'hold') {
+      // Zero is ignored on purpose (zeroLimitBehavior keepLast): keep the running limit.
+      return { effectiveValue: next.effectiveLimit };
+    }
+
+    this.desired = next;
+    const deadband = {
+      smartChargingDeadbandA: this.config.smartChargingDeadbandA,
+      smartChargingDeadbandW: this.config.smartChargingDeadbandW,
+    };
+    if (this.applied && !chargingLimitChanged(this.applied, next, deadband)) {
+      return { effectiveValue: next.effectiveLimit };
+    }
+
+    const waitMs = this.lastSentAt ? this.lastSentAt + this.minIntervalMs - Date.now() : 0;
+    if (waitMs > 0) {
+      this._schedule(waitMs);
+      await this._report({ status: 'Scheduled', limit: next });
+    } else {
+      await this.flush();
+    }
+    return { effectiveValue: next.effectiveLimit };
+  }
+
+  /** Station (re)connected: its limit state is unknown, send the last request again. */
+  onReconnect() {
+    if (!this.desired) return;
+    this.applied = null;
+    this._lastSent = null;
+    this._schedule(Math.max(this.reapplyDelayMs, this.lastSentAt + this.minIntervalMs - Date.now()));
+  }
+
+  _schedule(delayMs) {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.flush().catch(() => {});
+    }, Math.max(0, delayMs));
+    if (this._timer && typeof this._timer.unref === 'function') this._timer.unref();
+  }
+
+  /** Send the newest desired limit now (queued behind a running send). */
+  flush() {
+    const step = this._sending.then(() => this._sendOnce());
+    this._sending = step.catch(() => {});
+    return step;
+  }
+
+  /**
+   * One queued send step. The state is checked here and not in flush(): a step queued
+   * behind another send must not repeat that limit or undercut the minimum interval.
+   */
+  async _sendOnce() {
+    const limit = this.desired;
+    if (!limit || limit === this._lastSent) return;
+    if (!this.isConnected()) {
+      await this._report({ status: 'Pending', limit, reason: 'charge point offline, applied after reconnect' });
+      return;
+    }
+    const waitMs = this.lastSentAt ? this.lastSentAt + this.minIntervalMs - Date.now() : 0;
+    if (waitMs > 0) {
+      this._schedule(waitMs);
+      await this._report({ status: 'Scheduled', limit });
+      return;
+    }
+    await this._send(limit);
+  }
+
+  async _send(limit) {
+    const protocol = this.getProtocol();
+    const clear = limit.action === 'clear';
+    const method = clear ? 'ClearChargingProfile' : 'SetChargingProfile';
+    const params = clear
+      ? buildClearChargingProfileRequest(protocol, this._target())
+      : buildSetChargingProfileRequest(protocol, this._target(), limit);
+    this.lastSentAt = Date.now();
+    this._lastSent = limit;
+
+    let status;
+    let reason = limit.reason;
+    try {
+      const response = await this.callStation(method, params);
+      status = String((response && response.status) || 'Unknown');
+      // Clearing a profile the station no longer knows is still the requested end state.
+      if (clear && status === 'Unknown') status = 'Accepted';
+      const info = response && response.statusInfo && response.statusInfo.reasonCode;
+      if (info) reason = String(info);
+    } catch (e) {
+      status = classifyCallError(e);
+      reason = e && e.message ? String(e.message) : String(e);
+    }
+
+    const accepted = status === 'Accepted';
+    if (accepted && this.desired === limit) this.applied = limit;
+    if (!accepted && this.log) {
+      this.log.warn(`[ocpp] ${method} for "${this.identity}" (${limit.effectiveLimit} ${limit.rateUnit}): ${status}${reason ? ` (${reason})` : ''}`);
+    }
+    await this._report({ status, accepted, limit, reason });
+  }
+
+  async _report(fields) {
+    if (typeof this.publish !== 'function') return;
+    try {
+      await this.publish(fields);
+    } catch (_) {
+      // Status reporting must never break the control path.
+    }
+  }
+
+  stop() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+module.exports = {
+  OcppChargingLimiter,
+  buildSetChargingProfileRequest,
+  buildClearChargingProfileRequest,
+  normalizePurpose,
+};
@@ -0,0 +1,273 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * OCPP transaction journal: one billing record per charging session.
+ *
+ * Records are kept per station in <dir>/<identity>.json and rewritten atomically
+ * (tmp file + rename) on every change. A session is stored as soon as it starts, so a
+ * StopTransaction / TransactionEvent Ended after an adapter restart still finds its
+ * meterStart and idTag. Without a directory (tests, missing data dir) the journal
+ * only lives in memory.
+ */
+
+const FILE_VERSION = 1;
+const DEFAULT_MAX_SESSIONS = 5000;
+
+const CSV_COLUMNS = [
+  'identity', 'transactionId', 'evseId', 'connectorId', 'idTag', 'startedAt', 'stoppedAt',
+  'durationSec', 'meterStartWh', 'meterStopWh', 'energyWh', 'energyKWh', 'stopReason', 'status',
+];
+
+function finiteOrUndefined(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : undefined;
+}
+
+/** EVSE id of an event; 0 is a valid id (OCPP 2.x), only missing or invalid values become 1. */
+function evseIdOf(value) {
+  const n = finiteOrUndefined(value);
+  return n !== undefined && n >= 0 ? n : 1;
+}
+
+function txKey(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+function isoOrNull(value) {
+  const ts = Date.parse(String(value || ''));
+  return Number.isFinite(ts) ? new Date(ts).toISOString() : null;
+}
+
+/** Close a session record: energy and duration are derived from the stored values. */
+function finishSession(session) {
+  const s = session;
+  s.energyWh = s.meterStart !== undefined && s.meterStop !== undefined ? Math.max(0, s.meterStop - s.meterStart) : null;
+  const started = Date.parse(s.startedAt || '');
+  const stopped = Date.parse(s.stoppedAt || '');
+  s.durationSec = Number.isFinite(started) && Number.isFinite(stopped) ? Math.max(0, Math.round((stopped - started) / 1000)) : null;
+  s.status = 'closed';
+  return s;
+}
+
+/** Copy for callers; values the station never reported are null. */
+function publicSession(session) {
+  const out = { ...session };
+  for (const key of ['meterStart', 'meterStop', 'energyWh', 'durationSec']) {
+    if (out[key] === undefined) out[key] = null;
+  }
+  return out;
+}
+
+// Texts from the charge point (idTag, stopReason, ...) must not run as spreadsheet formulas.
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value, delimiter) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && CSV_FORMULA_START.test(text)) text = `'${text}`;
+  return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV export (header + one line per session).
+ * @param {Array<object>} sessions
+ * @param {{delimiter: (string|undefined)}} [options] default ';'
+ */
+function sessionsToCsv(sessions, options = {}) {
+  const delimiter = typeof options.delimiter === 'string' && options.delimiter.length === 1 ? options.delimiter : ';';
+  const lines = [CSV_COLUMNS.join(delimiter)];
+  for (const s of sessions || []) {
+    const row = {
+      identity: s.identity,
+      transactionId: s.transactionId,
+      evseId: s.evseId,
+      connectorId: s.connectorId,
+      idTag: s.idTag,
+      startedAt: s.startedAt,
+      stoppedAt: s.stoppedAt,
+      durationSec: s.durationSec,
+      meterStartWh: s.meterStart,
+      meterStopWh: s.meterStop,
+      energyWh: s.energyWh,
+      energyKWh: Number.isFinite(s.energyWh) ? (s.energyWh / 1000).toFixed(3) : '',
+      stopReason: s.stopReason,
+      status: s.status,
+    };
+    lines.push(CSV_COLUMNS.map(column => csvCell(row[column], delimiter)).join(delimiter));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Filter sessions by start time (from/to, ISO or ms), idTag and connector.
+ * Open sessions are only included with `includeOpen`.
+ */
+function filterSessions(sessions, filter = {}) {
+  const from = filter.from !== undefined && filter.from !== '' ? Date.parse(isoOrNull(filter.from) || '') : NaN;
+  const to = filter.to !== undefined && filter.to !== '' ? Date.parse(isoOrNull(filter.to) || '') : NaN;
+  const idTag = String(filter.idTag || '').trim().toLowerCase();
+  const connectorId = finiteOrUndefined(filter.connectorId);
+  return (sessions || []).filter((s) => {
+    if (s.status !== 'closed' && filter.includeOpen !== true) return false;
+    const started = Date.parse(s.startedAt || s.stoppedAt || '');
+    if (Number.isFinite(from) && !(started >= from)) return false;
+    if (Number.isFinite(to) && !(started < to)) return false;
+    if (idTag && String(s.idTag || '').toLowerCase() !== idTag) return false;
+    if (connectorId !== undefined && s.connectorId !== connectorId) return false;
+    return true;
+  });
+}
+
+class OcppTransactionJournal {
+  /**
+   * @param {{dir: (string|null), log: object, maxSessions: (number|undefined)}} opts
+   */
+  constructor(opts = {}) {
+    this.dir = opts.dir || null;
+    this.log = opts.log || { debug() {}, warn() {} };
+    this.maxSessions = Number.isInteger(opts.maxSessions) && opts.maxSessions > 0 ? opts.maxSessions : DEFAULT_MAX_SESSIONS;
+    this._journals = new Map(); // identity -> { sessions }
+    this._queues = new Map(); // identity -> Promise (serialized load/write)
+  }
+
+  _file(identity) {
+    return path.join(this.dir, `${identity}.json`);
+  }
+
+  _enqueue(identity, task) {
+    const previous = this._queues.get(identity) || Promise.resolve();
+    const next = previous.then(task, task);
+    this._queues.set(identity, next.catch(() => {}));
+    return next;
+  }
+
+  async _load(identity) {
+    if (this._journals.has(identity)) return this._journals.get(identity);
+    let sessions = [];
+    if (this.dir) {
+      try {
+        const doc = JSON.parse(await fs.promises.readFile(this._file(identity), 'utf8'));
+        if (doc && Array.isArray(doc.sessions)) sessions = doc.sessions;
+      } catch (e) {
+        if (!e || e.code !== 'ENOENT') this.log.warn(`[ocpp] Transaction journal of "${identity}" unreadable, starting empty: ${e && e.message ? e.message : e}`);
+      }
+    }
+    const journal = { sessions };
+    this._journals.set(identity, journal);
+    return journal;
+  }
+
+  async _save(identity, journal) {
+    if (!this.dir) return;
+    const file = this._file(identity);
+    const tmp = `${file}.tmp`;
+    const payload = JSON.stringify({ version: FILE_VERSION, identity, sessions: journal.sessions });
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(tmp, payload, 'utf8');
+    await fs.promises.rename(tmp, file);
+  }
+
+  _prune(journal) {
+    const excess = journal.sessions.length - this.maxSessions;
+    if (excess <= 0) return;
+    // Oldest closed sessions go first; open sessions are kept until they are stopped.
+    let remaining = excess;
+    journal.sessions = journal.sessions.filter((s) => {
+      if (remaining > 0 && s.status === 'closed') {
+        remaining--;
+        return false;
+      }
+      return true;
+    });
+  }
+
+  _openSession(journal, identity, e) {
+    const session = {
+      identity,
+      transactionId: txKey(e.txId),
+      evseId: evseIdOf(e.evseId),
+      connectorId: Math.max(0, Number(e.connectorId) || 1),
+      idTag: e.idTag ? String(e.idTag) : '',
+      startedAt: isoOrNull(e.ts),
+      stoppedAt: null,
+      meterStart: finiteOrUndefined(e.meterStart),
+      meterStop: undefined,
+      stopReason: '',
+      status: 'open',
+    };
+    journal.sessions.push(session);
+    return session;
+  }
+
+  /**
+   * Record a transaction event (Start / Update / Stop as emitted by pushTransactionEvent).
+   * @returns {Promise<object|null>} the closed session on Stop, otherwise null
+   */
+  record(identity, event) {
+    const e = event || {};
+    return this._enqueue(identity, async () => {
+      const journal = await this._load(identity);
+      const key = txKey(e.txId);
+      const connectorId = Math.max(0, Number(e.connectorId) || 1);
+      const evseId = evseIdOf(e.evseId);
+      let session = key ? journal.sessions.find(s => s.status === 'open' && s.transactionId === key) : undefined;
+      if (!session && e.type === 'Stop' && !key) {
+        session = journal.sessions.find(s => s.status === 'open' && s.evseId === evseId && s.connectorId === connectorId);
+      }
+
+      let closed = null;
+      if (e.type === 'Start' || e.type === 'Update') {
+        if (!session) {
+          session = this._openSession(journal, identity, e);
+        } else {
+          if (session.meterStart === undefined) session.meterStart = finiteOrUndefined(e.meterStart);
+          if (!session.idTag && e.idTag) session.idTag = String(e.idTag);
+          if (e.type === 'Update') return null; // nothing billing-relevant changed
+        }
+      } else if (e.type === 'Stop') {
+        // A stop without a recorded start (journal lost, transaction begun elsewhere) is kept as well.
+        if (!session) session = this._openSession(journal, identity, { ...e, ts: null });
+        if (session.meterStart === undefined) session.meterStart = finiteOrUndefined(e.meterStart);
+        if (!session.idTag && e.idTag) session.idTag = String(e.idTag);
+        session.meterStop = finiteOrUndefined(e.meterStop);
+        session.stoppedAt = isoOrNull(e.ts) || new Date().toISOString();
+        session.stopReason = e.reason ? String(e.reason) : '';
+        closed = finishSession(session);
+        this._prune(journal);
+      } else {
+        return null;
+      }
+
+      try {
+        await this._save(identity, journal);
+      } catch (err) {
+        this.log.warn(`[ocpp] Transaction journal of "${identity}" not saved: ${err && err.message ? err.message : err}`);
+      }
+      return closed ? publicSession(closed) : null;
+    });
+  }
+
+  /** Sessions of a station (oldest first), optionally filtered (see filterSessions). */
+  sessions(identity, filter) {
+    return this._enqueue(identity, async () => {
+      const journal = await this._load(identity);
+      return filterSessions(journal.sessions, filter).map(publicSession);
+    });
+  }
+
+  /** Wait for pending writes of all stations. */
+  async flush() {
+    await Promise.all(Array.from(this._queues.values()));
+  }
+}
+
+module.exports = {
+  OcppTransactionJournal,
+  CSV_COLUMNS,
+  sessionsToCsv,
+  filterSessions,
+};
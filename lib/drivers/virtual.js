@@ -0,0 +1,210 @@
+'use strict';
+
+/**
+ * Virtual (site-level) driver.
+ *
+ * Computes its datapoints from the aliases.v1 states of other devices of the same adapter
+ * instance, e.g. the PV power of three inverters or the net power of two grid meters.
+ * Together with the virtual templates (category METER / PV_INVERTER / ESS) the result is a
+ * normal alias tree that an EMS can consume like any physical device.
+ *
+ * Device connection config (device.connection):
+ * {
+ *   formulas: { <dpId>: { op: 'sum', inputs: ['pv1:r.power', 'pv2:r.power'] } | 'sum(pv1:r.power, pv2:r.power)' },
+ *   requireAllInputs?: true,   // false: compute from the fresh inputs, fail only when none is fresh
+ *   maxInputAgeMs?: 0          // optional: also treat inputs as stale when r.lastSeenMs is older
+ * }
+ *
+ * Datapoint source schema:
+ * {
+ *   kind: 'virtual',
+ *   formula?: <default formula, overridden by connection.formulas[dpId]>
+ * }
+ *
+ * Operators:
+ *   sum, diff (first minus the others, undefined unless every operand is present), min, max, avg,
+ *   phaseSum (like sum, every "L*" in an input path is expanded to L1, L2 and L3),
+ *   any / all (boolean inputs, result 1 or 0)
+ *
+ * Freshness: an input device counts as fresh while its r.online alias is true (and, with
+ * maxInputAgeMs, its r.lastSeenMs is recent enough). `lastSeen` is the newest r.lastSeenMs of
+ * the fresh inputs, so the runtime only ticks the heartbeat when an input delivered new data.
+ */
+
+const OPERATORS = ['sum', 'diff', 'min', 'max', 'avg', 'phaseSum', 'any', 'all'];
+
+function parseInputRef(ref) {
+  const s = String(ref === undefined || ref === null ? '' : ref).trim();
+  const idx = s.indexOf(':');
+  if (idx <= 0 || idx === s.length - 1) throw new Error(`Invalid virtual input "${s}" (expected "<deviceId>:<aliasPath>")`);
+  return { deviceId: s.slice(0, idx).trim(), path: s.slice(idx + 1).trim() };
+}
+
+/**
+ * Normalizes a formula given as object or as compact string "op(a, b, ...)".
+ * @returns {{ op: string, inputs: Array<{deviceId: string, path: string}> }}
+ */
+function parseFormula(formula) {
+  let op;
+  let inputs;
+  if (typeof formula === 'string') {
+    const m = formula.trim().match(/^([A-Za-z]+)\s*\((.*)\)$/);
+    if (!m) throw new Error(`Invalid virtual formula "${formula}"`);
+    op = m[1];
+    inputs = m[2].split(',').map((s) => s.trim()).filter(Boolean);
+  } else if (formula && typeof formula === 'object') {
+    op = formula.op;
+    inputs = Array.isArray(formula.inputs) ? formula.inputs : [];
+  } else {
+    throw new Error('Virtual formula missing');
+  }
+
+  const opName = OPERATORS.find((o) => o.toLowerCase() === String(op || '').toLowerCase());
+  if (!opName) throw new Error(`Unsupported virtual operator "${op}"`);
+  if (!inputs.length) throw new Error(`Virtual formula "${opName}" has no inputs`);
+
+  const refs = [];
+  for (const input of inputs) {
+    const ref = parseInputRef(input);
+    if (opName === 'phaseSum' && ref.path.includes('L*')) {
+      for (const phase of ['L1', 'L2', 'L3']) refs.push({ deviceId: ref.deviceId, path: ref.path.replace('L*', phase) });
+    } else {
+      refs.push(ref);
+    }
+  }
+  return { op: opName, inputs: refs };
+}
+
+function asNumber(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : undefined;
+  if (typeof v === 'boolean') return v ? 1 : 0;
+  return undefined;
+}
+
+/**
+ * Applies an operator to the operand values (missing operands are undefined).
+ * Returns undefined when no operand is available.
+ */
+function evaluate(op, operands) {
+  if (op === 'any' || op === 'all') {
+    const bools = operands.filter((v) => v !== undefined && v !== null).map((v) => !!asNumber(v));
+    if (!bools.length) return undefined;
+    return (op === 'any' ? bools.some(Boolean) : bools.every(Boolean)) ? 1 : 0;
+  }
+
+  if (op === 'diff') {
+    // A missing subtrahend would silently turn e.g. "grid - pv" into "grid", so every operand is
+    // required here (also with requireAllInputs: false).
+    const nums = operands.map(asNumber);
+    if (!nums.length || !nums.every((v) => Number.isFinite(v))) return undefined;
+    return nums.slice(1).reduce((acc, v) => acc - v, nums[0]);
+  }
+
+  const nums = operands.map(asNumber).filter((v) => v !== undefined);
+  if (!nums.length) return undefined;
+  if (op === 'min') return Math.min(...nums);
+  if (op === 'max') return Math.max(...nums);
+  const sum = nums.reduce((a, b) => a + b, 0);
+  return op === 'avg' ? sum / nums.length : sum;
+}
+
+class VirtualDriver {
+  constructor(adapter, deviceCfg, template, globalCfg) {
+    this.adapter = adapter;
+    this.cfg = deviceCfg;
+    this.template = template;
+    this.global = globalCfg || {};
+
+    const c = (this.cfg && this.cfg.connection) ? this.cfg.connection : {};
+    this.formulas = (c.formulas && typeof c.formulas === 'object') ? c.formulas : {};
+    this.requireAllInputs = c.requireAllInputs !== false && String(c.requireAllInputs).toLowerCase() !== 'false';
+    const age = Number(c.maxInputAgeMs);
+    this.maxInputAgeMs = Number.isFinite(age) && age > 0 ? age : 0;
+
+    this.lastSeen = 0;
+    this._parsed = new Map(); // dpId -> parsed formula | Error
+  }
+
+  async disconnect() {
+    // No connection; inputs are read from the runtimes of the other devices.
+  }
+
+  _formulaFor(dp) {
+    if (this._parsed.has(dp.id)) return this._parsed.get(dp.id);
+    const raw = Object.prototype.hasOwnProperty.call(this.formulas, dp.id) ? this.formulas[dp.id] : (dp.source && dp.source.formula);
+    let parsed = null;
+    if (raw !== undefined && raw !== null && raw !== '') {
+      try {
+        parsed = parseFormula(raw);
+      } catch (e) {
+        parsed = e;
+        this.adapter?.log?.warn?.(`[${this.cfg.id}] ${dp.id}: ${e.message}`);
+      }
+    }
+    this._parsed.set(dp.id, parsed);
+    return parsed;
+  }
+
+  _runtime(deviceId) {
+    const a = this.adapter || {};
+    if (a.deviceById && typeof a.deviceById.get === 'function') return a.deviceById.get(deviceId) || null;
+    return (Array.isArray(a.deviceRuntimes) ? a.deviceRuntimes : []).find((rt) => rt && rt.cfg && rt.cfg.id === deviceId) || null;
+  }
+
+  /** r.lastSeenMs of a fresh input device, 0 when the device is stale or unknown. */
+  _freshSince(deviceId, now) {
+    if (deviceId === this.cfg.id) return 0;
+    const rt = this._runtime(deviceId);
+    if (!rt || typeof rt.getStandardAliasValue !== 'function') return 0;
+    if (rt.getStandardAliasValue('r.online') !== true) return 0;
+    const lastSeen = Number(rt.getStandardAliasValue('r.lastSeenMs')) || 0;
+    if (this.maxInputAgeMs > 0 && (!lastSeen || now - lastSeen > this.maxInputAgeMs)) return 0;
+    return lastSeen || now;
+  }
+
+  async readDatapoints(datapoints) {
+    const dps = (datapoints || []).filter((dp) => dp && dp.source && dp.source.kind === 'virtual' && dp.rw !== 'wo');
+    const formulas = [];
+    const deviceIds = new Set();
+    for (const dp of dps) {
+      const f = this._formulaFor(dp);
+      if (!f || f instanceof Error) continue;
+      formulas.push([dp, f]);
+      for (const ref of f.inputs) deviceIds.add(ref.deviceId);
+    }
+    if (!formulas.length) throw new Error('Virtual device has no formulas (connection.formulas)');
+
+    const now = Date.now();
+    const fresh = new Map();
+    const stale = [];
+    for (const id of deviceIds) {
+      const since = this._freshSince(id, now);
+      if (since > 0) fresh.set(id, since);
+      else stale.push(id);
+    }
+    if (stale.length && (this.requireAllInputs || !fresh.size)) {
+      const err = new Error(`Virtual inputs offline or stale: ${stale.join(', ')}`);
+      err.code = 'E_VIRTUAL_INPUT_STALE';
+      throw err;
+    }
+
+    const result = {};
+    for (const [dp, f] of formulas) {
+      const operands = f.inputs.map((ref) => (fresh.has(ref.deviceId) ? this._runtime(ref.deviceId).getStandardAliasValue(ref.path) : undefined));
+      const val = evaluate(f.op, operands);
+      if (val !== undefined) result[dp.id] = val;
+    }
+    this.lastSeen = Math.max(0, ...fresh.values());
+    return result;
+  }
+
+  async writeDatapoint() {
+    throw new Error('Virtual datapoints are read-only');
+  }
+}
+
+module.exports = {
+  VirtualDriver,
+  parseFormula,
+  evaluate,
+};
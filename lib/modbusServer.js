@@ -0,0 +1,365 @@
+'use strict';
+
+const ModbusRTU = require('modbus-serial');
+const { contract, STANDARD_NAMESPACE } = require('./aliasContract');
+const { version: ADAPTER_VERSION } = require('../package.json');
+
+/**
+ * Adapter-level Modbus TCP server (slave) publishing the aliases.v1 tree of all devices
+ * for third-party EMS / PLCs.
+ *
+ * Default map (SunSpec-like, starting at baseAddress, default 40000):
+ *   'SunS' marker (2 registers)
+ *   per device: model id (64200 + index of the device class in the alias contract),
+ *               length, device id (16 registers ASCII), then every numeric/boolean alias of
+ *               the device class as float32 (2 registers, big endian, NaN = no value)
+ *   end model 0xFFFF / 0
+ *
+ * Custom map (modbusServerMapJson): [{ address, device, path, type, scale }] with
+ * type int16 | uint16 | int32 | uint32 | float32 and value = raw * scale.
+ *
+ * Holding register writes are off unless allowWrites is set (exception 01 otherwise). Then they
+ * are accepted only for writable ctrl.* aliases and are forwarded as ack=false state writes,
+ * i.e. exactly like a user/script write on the alias state.
+ * Multi-register values are applied once the last register of the field has been written.
+ */
+
+const SUNSPEC_MARKER = [0x5375, 0x6e53];
+const END_MODEL = [0xffff, 0x0000];
+const VENDOR_MODEL_BASE = 64200;
+const NAME_REGISTERS = 16;
+const DEFAULT_BASE_ADDRESS = 40000;
+// Unprivileged default (502 needs root or CAP_NET_BIND_SERVICE), like the TA CMI bridge.
+const DEFAULT_PORT = 1502;
+const DEVICE_CLASSES = Object.keys(contract.deviceClasses || {});
+
+const REGISTER_COUNT = Object.freeze({ int16: 1, uint16: 1, int32: 2, uint32: 2, float32: 2 });
+// SunSpec "not implemented" values for registers without a known alias value.
+const NO_VALUE = Object.freeze({ int16: [0x8000], uint16: [0xffff], int32: [0x8000, 0x0000], uint32: [0xffff, 0xffff], float32: [0x7fc0, 0x0000] });
+
+function modbusError(code, msg) {
+  return { modbusErrorCode: code, msg };
+}
+
+/** Numeric/boolean v1 aliases of a device class in contract order (common paths first). */
+function exportedAliasPaths(deviceClass) {
+  const classDef = (contract.deviceClasses && contract.deviceClasses[deviceClass]) || {};
+  const groups = [
+    contract.common && contract.common.required,
+    contract.common && contract.common.optional,
+    classDef.required,
+    classDef.optional,
+  ];
+  const out = [];
+  for (const group of groups) {
+    for (const [path, spec] of Object.entries(group || {})) {
+      if (!spec || (spec.type !== 'number' && spec.type !== 'boolean')) continue;
+      // Epoch timestamps do not survive float32.
+      if (spec.role === 'value.time' || out.includes(path)) continue;
+      out.push(path);
+    }
+  }
+  return out;
+}
+
+function vendorModelId(deviceClass) {
+  const index = DEVICE_CLASSES.indexOf(deviceClass);
+  return VENDOR_MODEL_BASE + (index >= 0 ? index : DEVICE_CLASSES.length);
+}
+
+function encodeAscii(text, registers) {
+  const buf = Buffer.alloc(registers * 2);
+  buf.write(String(text || '').slice(0, registers * 2), 'latin1');
+  const words = [];
+  for (let i = 0; i < registers; i++) words.push(buf.readUInt16BE(i * 2));
+  return words;
+}
+
+/** Alias value -> register words (big endian, high word first). */
+function encodeValue(type, value, scale = 1) {
+  const t = REGISTER_COUNT[type] ? type : 'float32';
+  let n = typeof value === 'boolean' ? (value ? 1 : 0) : Number(value);
+  if (value === null || value === undefined || value === '' || !Number.isFinite(n)) return NO_VALUE[t].slice();
+  const factor = Number(scale) || 1;
+  n /= factor;
+  const buf = Buffer.alloc(4);
+  switch (t) {
+    case 'int16': buf.writeInt16BE(Math.max(-0x7fff, Math.min(0x7fff, Math.round(n)))); return [buf.readUInt16BE(0)];
+    case 'uint16': return [Math.max(0, Math.min(0xfffe, Math.round(n)))];
+    case 'int32': buf.writeInt32BE(Math.max(-0x7fffffff, Math.min(0x7fffffff, Math.round(n)))); break;
+    case 'uint32': buf.writeUInt32BE(Math.max(0, Math.min(0xfffffffe, Math.round(n)))); break;
+    default: buf.writeFloatBE(n); break;
+  }
+  return [buf.readUInt16BE(0), buf.readUInt16BE(2)];
+}
+
+/** Register words -> engineering value (undefined for the "not implemented" pattern). */
+function decodeValue(type, words, scale = 1) {
+  const t = REGISTER_COUNT[type] ? type : 'float32';
+  const buf = Buffer.alloc(4);
+  buf.writeUInt16BE(Number(words[0]) & 0xffff, 0);
+  buf.writeUInt16BE(Number(words[1]) & 0xffff, 2);
+  let n;
+  switch (t) {
+    case 'int16': n = buf.readInt16BE(0); if (n === -0x8000) return undefined; break;
+    case 'uint16': n = buf.readUInt16BE(0); if (n === 0xffff) return undefined; break;
+    case 'int32': n = buf.readInt32BE(0); if (n === -0x80000000) return undefined; break;
+    case 'uint32': n = buf.readUInt32BE(0); if (n === 0xffffffff) return undefined; break;
+    default: n = buf.readFloatBE(0); if (!Number.isFinite(n)) return undefined; break;
+  }
+  const result = n * (Number(scale) || 1);
+  return type === 'float32' ? result : Number(result.toFixed(6));
+}
+
+class AliasModbusServer {
+  /**
+   * @param {object} adapter ioBroker adapter (namespace, log, setStateAsync)
+   * @param {Array<object>} runtimes DeviceRuntime instances
+   * @param {{host: string, port: number, unitId: number, baseAddress: number, map: (Array<object>|undefined),
+   *   allowWrites: (boolean|undefined)}} options
+   */
+  constructor(adapter, runtimes, options = {}) {
+    this.adapter = adapter;
+    this.runtimes = Array.isArray(runtimes) ? runtimes : [];
+    this.host = String(options.host || '0.0.0.0');
+    this.port = Number(options.port) || DEFAULT_PORT;
+    this.unitId = Math.max(1, Math.min(255, Number(options.unitId) || 1));
+    this.baseAddress = Number.isFinite(Number(options.baseAddress)) ? Number(options.baseAddress) : DEFAULT_BASE_ADDRESS;
+    this.customMap = Array.isArray(options.map) && options.map.length ? options.map : null;
+    this.allowWrites = options.allowWrites === true;
+    this.server = null;
+    this.listening = false;
+    this._registers = new Map(); // address -> { field, offset } | { word }
+    this._fields = [];
+    this._pendingWrites = new Map(); // address -> word of a partially written field
+  }
+
+  _log(level, msg) {
+    const log = this.adapter && this.adapter.log;
+    if (log && typeof log[level] === 'function') log[level](`Modbus server: ${msg}`);
+  }
+
+  _addStatic(address, words) {
+    words.forEach((word, i) => this._registers.set(address + i, { word }));
+    return address + words.length;
+  }
+
+  _addField(field) {
+    const count = REGISTER_COUNT[field.type];
+    for (let i = 0; i < count; i++) {
+      if (this._registers.has(field.address + i)) {
+        this._log('warn', `register ${field.address + i} is used twice, ${field.deviceId}.${field.path} skipped`);
+        return false;
+      }
+    }
+    for (let i = 0; i < count; i++) this._registers.set(field.address + i, { field, offset: i });
+    this._fields.push(field);
+    return true;
+  }
+
+  _makeField(runtime, path, address, type, scale) {
+    const writable = path.startsWith('ctrl.') && typeof runtime.isStandardAliasWritable === 'function' && runtime.isStandardAliasWritable(path);
+    const spec = this._aliasSpec(runtime, path);
+    return {
+      address,
+      type,
+      scale: Number(scale) || 1,
+      runtime,
+      deviceId: runtime.cfg.id,
+      path,
+      valueType: spec ? spec.type : 'number',
+      unit: spec && spec.unit ? spec.unit : '',
+      writable: !!writable,
+    };
+  }
+
+  _aliasSpec(runtime, path) {
+    const classDef = contract.deviceClasses && contract.deviceClasses[runtime.aliasDeviceClass];
+    for (const group of [contract.common && contract.common.required, contract.common && contract.common.optional, classDef && classDef.required, classDef && classDef.optional]) {
+      if (group && group[path]) return group[path];
+    }
+    return null;
+  }
+
+  /** (Re)build the register map from the runtimes and the configured map. */
+  buildMap() {
+    this._registers = new Map();
+    this._fields = [];
+    this._pendingWrites = new Map();
+    const runtimes = this.runtimes.filter(rt => rt && rt.cfg && rt.cfg.id && rt.cfg.enabled !== false);
+
+    if (this.customMap) {
+      const byId = new Map(runtimes.map(rt => [String(rt.cfg.id), rt]));
+      for (const entry of this.customMap) {
+        const rt = entry && byId.get(String(entry.device));
+        const type = String((entry && entry.type) || 'float32');
+        const address = Number(entry && entry.address);
+        if (!rt || !entry.path || !REGISTER_COUNT[type] || !Number.isInteger(address) || address < 0 || address > 0xffff) {
+          this._log('warn', `invalid map entry ${JSON.stringify(entry)} skipped`);
+          continue;
+        }
+        this._addField(this._makeField(rt, String(entry.path), address, type, entry.scale));
+      }
+      return this.describeMap();
+    }
+
+    let address = this._addStatic(this.baseAddress, SUNSPEC_MARKER);
+    for (const rt of runtimes) {
+      const paths = exportedAliasPaths(rt.aliasDeviceClass);
+      address = this._addStatic(address, [vendorModelId(rt.aliasDeviceClass), NAME_REGISTERS + paths.length * 2]);
+      address = this._addStatic(address, encodeAscii(rt.cfg.id, NAME_REGISTERS));
+      for (const path of paths) {
+        this._addField(this._makeField(rt, path, address, 'float32', 1));
+        address += 2;
+      }
+    }
+    this._addStatic(address, END_MODEL);
+    return this.describeMap();
+  }
+
+  /** Register layout for documentation / the admin UI. */
+  describeMap() {
+    return this._fields.map(f => ({
+      address: f.address,
+      registers: REGISTER_COUNT[f.type],
+      type: f.type,
+      scale: f.scale,
+      device: f.deviceId,
+      path: f.path,
+      unit: f.unit,
+      writable: f.writable,
+    }));
+  }
+
+  _fieldWords(field) {
+    const value = typeof field.runtime.getStandardAliasValue === 'function' ? field.runtime.getStandardAliasValue(field.path) : undefined;
+    return encodeValue(field.type, value, field.scale);
+  }
+
+  readRegisters(address, length) {
+    const out = [];
+    let mapped = false;
+    const cache = new Map();
+    for (let addr = address; addr < address + length; addr++) {
+      const reg = this._registers.get(addr);
+      if (!reg) { out.push(0); continue; }
+      mapped = true;
+      if (!reg.field) { out.push(reg.word); continue; }
+      if (!cache.has(reg.field)) cache.set(reg.field, this._fieldWords(reg.field));
+      out.push(cache.get(reg.field)[reg.offset]);
+    }
+    if (!mapped) throw modbusError(0x02, `no register mapped at ${address}..${address + length - 1}`);
+    return out;
+  }
+
+  async writeRegisters(address, values) {
+    if (!this.allowWrites) throw modbusError(0x01, 'writes are disabled (modbusServerAllowWrites)');
+    const words = Array.isArray(values) ? values : [values];
+    for (let i = 0; i < words.length; i++) {
+      const reg = this._registers.get(address + i);
+      if (!reg || !reg.field || !reg.field.writable) throw modbusError(0x02, `register ${address + i} is not writable`);
+    }
+    const complete = [];
+    for (let i = 0; i < words.length; i++) {
+      const reg = this._registers.get(address + i);
+      this._pendingWrites.set(address + i, Number(words[i]) & 0xffff);
+      if (reg.offset === REGISTER_COUNT[reg.field.type] - 1) complete.push(reg.field);
+    }
+    for (const field of complete) {
+      const current = this._fieldWords(field);
+      const raw = current.map((word, i) => {
+        const key = field.address + i;
+        const pending = this._pendingWrites.get(key);
+        this._pendingWrites.delete(key);
+        return pending !== undefined ? pending : word;
+      });
+      const value = decodeValue(field.type, raw, field.scale);
+      if (value === undefined) throw modbusError(0x03, `invalid value for ${field.deviceId}.${field.path}`);
+      const val = field.valueType === 'boolean' ? value !== 0 : value;
+      const relId = `${field.runtime.baseId}.aliases.${STANDARD_NAMESPACE}.${field.path}`;
+      this._log('debug', `write ${relId} = ${val}`);
+      try {
+        await this.adapter.setStateAsync(relId, { val, ack: false });
+      } catch (e) {
+        throw modbusError(0x04, e && e.message ? e.message : String(e));
+      }
+    }
+  }
+
+  async start() {
+    if (this.server) return;
+    const fields = this.buildMap();
+    const read = (addr) => this.readRegisters(addr, 1)[0];
+    const vector = {
+      getHoldingRegister: read,
+      getInputRegister: read,
+      getMultipleHoldingRegisters: (addr, length) => this.readRegisters(addr, length),
+      getMultipleInputRegisters: (addr, length) => this.readRegisters(addr, length),
+      setRegister: (addr, value) => this.writeRegisters(addr, [value]),
+      setRegisterArray: (addr, values) => this.writeRegisters(addr, values),
+      readDeviceIdentification: () => ({
+        0x00: 'NexoWatt',
+        0x01: 'ALIAS-MODBUS-SERVER',
+        0x02: ADAPTER_VERSION,
+        0x05: 'NexoWatt aliases.v1 Modbus TCP server',
+      }),
+    };
+
+    let server = null;
+    try {
+      server = new ModbusRTU.ServerTCP(vector, { host: this.host, port: this.port, debug: false, unitID: this.unitId });
+      this.server = server;
+      server.on('socketError', (error) => {
+        this._log('debug', `socket error: ${error && error.message ? error.message : error}`);
+      });
+      // The socket is bound asynchronously: bind errors (EADDRINUSE, EACCES) arrive as serverError.
+      await new Promise((resolve, reject) => {
+        const onInitialized = () => { server.off('serverError', onBindError); resolve(); };
+        const onBindError = (error) => { server.off('initialized', onInitialized); reject(error); };
+        server.once('initialized', onInitialized);
+        server.once('serverError', onBindError);
+      });
+      const onServerError = (error) => {
+        this.listening = false;
+        this._log('warn', `server error: ${error && error.message ? error.message : error}`);
+      };
+      server.on('serverError', onServerError);
+      server.on('error', onServerError);
+      this.listening = true;
+      this._log('info', `listening on ${this.host}:${this.port}, Unit-ID ${this.unitId}, ${fields.length} alias registers, writes ${this.allowWrites ? 'allowed' : 'disabled'}`);
+    } catch (error) {
+      if (this.server === server) this.server = null;
+      this.listening = false;
+      if (server) {
+        try { server.close(() => {}); } catch (_) { /* not listening */ }
+      }
+      this._log('warn', `could not start on ${this.host}:${this.port}: ${error && error.message ? error.message : error}`);
+    }
+  }
+
+  async stop() {
+    const server = this.server;
+    this.server = null;
+    this.listening = false;
+    if (!server || typeof server.close !== 'function') return;
+    await new Promise(resolve => {
+      let done = false;
+      const finish = () => { if (!done) { done = true; resolve(); } };
+      try {
+        server.close(finish);
+        setTimeout(finish, 1000).unref?.();
+      } catch (_) {
+        finish();
+      }
+    });
+  }
+}
+
+module.exports = {
+  AliasModbusServer,
+  DEFAULT_PORT,
+  exportedAliasPaths,
+  vendorModelId,
+  encodeValue,
+  decodeValue,
+};
@@ -0,0 +1,166 @@
+'use strict';
+
+/**
+ * Per-datapoint poll classes.
+ *
+ * Why?
+ * - One pollIntervalMs per device reads serial numbers and energy counters as often as live
+ *   power values. On shared RS485 lines this wastes most of the bus time.
+ * - Datapoints can be assigned to a class: fast (e.g. power, 1 s), normal (status, device
+ *   poll interval), slow (energy counters, 1 h) or once (serial number/firmware, only after
+ *   start and reconnect).
+ * - The runtime only passes the datapoints that are due to driver.readDatapoints(), so the
+ *   Modbus read groups are built for the due registers only.
+ *
+ * Sources (highest priority first):
+ * - device config: cfg.pollClasses = { fastIntervalMs, slowIntervalMs, datapoints: { <dpId>: <class> } }
+ * - datapoint: dp.pollClass
+ * - template: driverHints.polling.classes = { fastIntervalMs, slowIntervalMs, datapoints: { ... } }
+ */
+
+const POLL_CLASSES = ['fast', 'normal', 'slow', 'once'];
+const DEFAULT_FAST_INTERVAL_MS = 1000;
+const DEFAULT_SLOW_INTERVAL_MS = 3600000;
+const MIN_INTERVAL_MS = 250;
+
+function normalizePollClass(value) {
+  const s = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  return POLL_CLASSES.includes(s) ? s : '';
+}
+
+function positiveMs(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.max(MIN_INTERVAL_MS, Math.trunc(n)) : 0;
+}
+
+function classMap(value) {
+  const out = new Map();
+  if (!value || typeof value !== 'object') return out;
+  for (const [dpId, cls] of Object.entries(value)) {
+    const c = normalizePollClass(cls);
+    if (c) out.set(String(dpId), c);
+  }
+  return out;
+}
+
+/**
+ * Resolves the class of every datapoint and the class intervals.
+ * Returns null when no datapoint leaves the "normal" class, so the caller keeps its
+ * regular polling (including the template fast/slow split).
+ *
+ * @param {object} opts
+ * @param {Array<object>} opts.datapoints all datapoints of the device
+ * @param {object} [opts.template] device template
+ * @param {object} [opts.cfg] device config
+ * @param {number} opts.normalIntervalMs poll interval of the "normal" class (device poll interval)
+ * @returns {{ classById: Map<string, string>, intervalsMs: { fast: number, normal: number, slow: number } } | null}
+ */
+function resolvePollClasses({ datapoints, template, cfg, normalIntervalMs } = {}) {
+  const tplClasses = template && template.driverHints && template.driverHints.polling
+    ? (template.driverHints.polling.classes || {})
+    : {};
+  const cfgClasses = (cfg && cfg.pollClasses && typeof cfg.pollClasses === 'object') ? cfg.pollClasses : {};
+
+  const tplMap = classMap(tplClasses.datapoints);
+  const cfgMap = classMap(cfgClasses.datapoints);
+
+  const classById = new Map();
+  let used = false;
+  for (const dp of Array.isArray(datapoints) ? datapoints : []) {
+    if (!dp || dp.id === undefined || dp.id === null) continue;
+    const id = String(dp.id);
+    const cls = cfgMap.get(id) || normalizePollClass(dp.pollClass) || tplMap.get(id) || 'normal';
+    classById.set(id, cls);
+    if (cls !== 'normal') used = true;
+  }
+  if (!used) return null;
+
+  const normal = positiveMs(normalIntervalMs) || 5000;
+  return {
+    classById,
+    intervalsMs: {
+      fast: positiveMs(cfgClasses.fastIntervalMs) || positiveMs(tplClasses.fastIntervalMs) || Math.min(DEFAULT_FAST_INTERVAL_MS, normal),
+      normal,
+      slow: positiveMs(cfgClasses.slowIntervalMs) || positiveMs(tplClasses.slowIntervalMs) || Math.max(DEFAULT_SLOW_INTERVAL_MS, normal),
+    },
+  };
+}
+
+/**
+ * Keeps the next due time per class. All classes are due right after creation.
+ */
+class PollClassScheduler {
+  constructor(datapoints, resolved) {
+    this.intervalsMs = Object.assign({}, resolved.intervalsMs, { once: Number.POSITIVE_INFINITY });
+    this.datapointsByClass = new Map(POLL_CLASSES.map((c) => [c, []]));
+    for (const dp of Array.isArray(datapoints) ? datapoints : []) {
+      if (!dp || dp.id === undefined || dp.id === null) continue;
+      const cls = resolved.classById.get(String(dp.id)) || 'normal';
+      this.datapointsByClass.get(cls).push(dp);
+    }
+    this.nextDueAt = new Map(POLL_CLASSES.map((c) => [c, 0]));
+  }
+
+  get minIntervalMs() {
+    let min = Number.POSITIVE_INFINITY;
+    for (const cls of POLL_CLASSES) {
+      if (cls === 'once' || !this.datapointsByClass.get(cls).length) continue;
+      min = Math.min(min, this.intervalsMs[cls]);
+    }
+    return Number.isFinite(min) ? min : this.intervalsMs.normal;
+  }
+
+  /**
+   * Classes due at `now` (or the listed ones) and their datapoints, in class order.
+   */
+  due(now = Date.now(), only = null) {
+    const classes = [];
+    const datapoints = [];
+    for (const cls of POLL_CLASSES) {
+      const list = this.datapointsByClass.get(cls);
+      if (!list.length) continue;
+      if (only ? !only.includes(cls) : now < this.nextDueAt.get(cls)) continue;
+      classes.push(cls);
+      datapoints.push(...list);
+    }
+    return { classes, datapoints };
+  }
+
+  /**
+   * Schedules the polled classes. A failed poll retries slow classes after the normal interval.
+   */
+  markPolled(classes, at = Date.now(), ok = true) {
+    for (const cls of classes || []) {
+      const interval = this.intervalsMs[cls];
+      const retry = ok ? interval : Math.min(interval, this.intervalsMs.normal);
+      this.nextDueAt.set(cls, at + retry);
+    }
+  }
+
+  /**
+   * Makes a class due again, e.g. "once" after a reconnect.
+   */
+  markDue(cls) {
+    if (this.nextDueAt.has(cls)) this.nextDueAt.set(cls, 0);
+  }
+
+  /**
+   * Earliest due time of a class with datapoints. Without recurring classes the runtime
+   * still wakes up after the normal interval.
+   */
+  nextDueTime(now = Date.now()) {
+    let next = Number.POSITIVE_INFINITY;
+    for (const cls of POLL_CLASSES) {
+      if (!this.datapointsByClass.get(cls).length) continue;
+      next = Math.min(next, this.nextDueAt.get(cls));
+    }
+    return Number.isFinite(next) ? next : now + this.intervalsMs.normal;
+  }
+}
+
+module.exports = {
+  POLL_CLASSES,
+  normalizePollClass,
+  resolvePollClasses,
+  PollClassScheduler,
+};
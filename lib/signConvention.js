@@ -0,0 +1,238 @@
+'use strict';
+
+/**
+ * Native sign conventions and their normalization to the Alias Contract.
+ *
+ * Why?
+ * - alias-contract-v1.json fixes the sign of r.power per class (meter positive=import,
+ *   storage positive=discharge, ...). Templates reach this ad hoc via invert,
+ *   invertIfSetting, keepPositive and keepNegativeAndInvert on single datapoints.
+ * - A device whose aliases still come out inverted (CT mounted the other way round,
+ *   firmware with a different convention) can now declare its native convention once, e.g.
+ *   `signConvention: "storage positive=charge"`. The runtime then negates the signed power
+ *   aliases, swaps the charge/discharge (import/export) pair and negates every alias that
+ *   reads or writes the signed power setpoint.
+ * - SignPlausibilityCheck flags values that only make sense with the opposite sign, e.g. PV
+ *   power far below zero or a storage whose SoC rises while it reports discharging.
+ */
+
+const FAMILIES = {
+  storage: {
+    classes: ['storageSystem', 'battery', 'batteryInverter'],
+    contract: 'positive=discharge',
+    inverted: 'positive=charge',
+    negate: ['r.power', 'r.powerAc', 'r.powerBalance'],
+    swap: [['r.powerCharge', 'r.powerDischarge']],
+    signedSetpoints: ['ctrl.powerSetpointW', 'ctrl.powerSetpointL1', 'ctrl.powerSetpointL2', 'ctrl.powerSetpointL3'],
+  },
+  meter: {
+    classes: ['meter'],
+    contract: 'positive=import',
+    inverted: 'positive=export',
+    negate: ['r.power', 'r.powerL1', 'r.powerL2', 'r.powerL3'],
+    swap: [['r.powerImport', 'r.powerExport']],
+    signedSetpoints: [],
+  },
+  pvInverter: {
+    classes: ['pvInverter', 'solarCharger'],
+    contract: 'positive=generation',
+    inverted: 'negative=generation',
+    negate: ['r.power'],
+    swap: [],
+    signedSetpoints: [],
+  },
+  evCharger: {
+    classes: ['evCharger'],
+    contract: 'positive=charging',
+    inverted: 'negative=charging',
+    negate: ['r.power'],
+    swap: [],
+    signedSetpoints: [],
+  },
+};
+
+function familyOf(deviceClass) {
+  for (const [name, family] of Object.entries(FAMILIES)) {
+    if (family.classes.includes(String(deviceClass || ''))) return name;
+  }
+  return null;
+}
+
+/**
+ * Parses a declaration such as "positive=charge" or "storage positive=charge".
+ * Empty, "auto" and "contract" mean: the device already follows the contract.
+ *
+ * @returns {{ family: string, declared: string, inverted: boolean } | null}
+ * @throws {Error} for declarations that do not fit the device class
+ */
+function parseSignConvention(value, deviceClass) {
+  const raw = String(value === undefined || value === null ? '' : value).trim();
+  if (!raw || /^(auto|contract)$/i.test(raw)) return null;
+
+  const family = familyOf(deviceClass);
+  if (!family) throw new Error(`Sign convention "${raw}" is not supported for device class "${deviceClass}"`);
+
+  const parts = raw.split(/\s+/);
+  if (parts.length > 1 && parts[0].toLowerCase() !== family.toLowerCase()) {
+    throw new Error(`Sign convention "${raw}" does not match device class "${deviceClass}" (${family})`);
+  }
+  const declared = parts[parts.length - 1].replace(/\s+/g, '').toLowerCase();
+  const def = FAMILIES[family];
+  if (declared === def.contract) return { family, declared: def.contract, inverted: false };
+  if (declared === def.inverted) return { family, declared: def.inverted, inverted: true };
+  throw new Error(`Unknown sign convention "${raw}" (${family}: ${def.contract} or ${def.inverted})`);
+}
+
+function negate(value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return value;
+  return value === 0 ? 0 : -value;
+}
+
+/**
+ * Rewrites alias definitions in place so that a device with an inverted native convention
+ * publishes contract signs. Must run before the aliases.v1 definitions are cloned.
+ *
+ * @param {Array<object>} defs alias definitions (legacy and standard-only sources)
+ * @param {{ family: string, inverted: boolean }} convention result of parseSignConvention()
+ * @param {(def: object) => string} aliasPathOf alias path of a definition, e.g. "r.power"
+ * @returns {{ negated: string[], swapped: string[], setpointDpIds: string[] }}
+ */
+function applySignConvention(defs, convention, aliasPathOf) {
+  const summary = { negated: [], swapped: [], setpointDpIds: [] };
+  if (!convention || !convention.inverted || !FAMILIES[convention.family]) return summary;
+  const family = FAMILIES[convention.family];
+  const list = (defs || []).filter(d => d && d.relId);
+  const byPath = new Map();
+  for (const def of list) {
+    const p = aliasPathOf(def);
+    if (p && !byPath.has(p)) byPath.set(p, def);
+  }
+
+  for (const p of family.negate) {
+    const def = byPath.get(p);
+    if (!def) continue;
+    if (def.kind === 'computed' && typeof def.get === 'function') {
+      const get = def.get;
+      def.get = (values, ctx) => negate(get(values, ctx));
+    } else if (def.kind === 'dp') {
+      const from = def.fromDevice;
+      def.fromDevice = (raw) => negate(typeof from === 'function' ? from(raw) : raw);
+    }
+    if (def.rw === 'rw' || def.rw === 'wo') {
+      const to = def.toDevice;
+      def.toDevice = (v) => (typeof to === 'function' ? to(negate(v)) : negate(v));
+    }
+    summary.negated.push(p);
+  }
+
+  for (const [a, b] of family.swap) {
+    const defA = byPath.get(a);
+    const defB = byPath.get(b);
+    if (!defA || !defB) continue;
+    const readPart = d => ({ kind: d.kind, dpId: d.dpId, get: d.get, fromDevice: d.fromDevice });
+    const partA = readPart(defA);
+    const partB = readPart(defB);
+    Object.assign(defA, partB);
+    Object.assign(defB, partA);
+    summary.swapped.push(`${a}<->${b}`);
+  }
+
+  // Every alias on a signed setpoint datapoint (incl. split charge/discharge setpoints)
+  // talks to the device in its native sign.
+  const setpointDpIds = new Set();
+  for (const p of family.signedSetpoints) {
+    const def = byPath.get(p);
+    const dpId = def && (def.writeDpId || def.dpId);
+    if (dpId) setpointDpIds.add(String(dpId));
+  }
+  if (setpointDpIds.size) {
+    for (const def of list) {
+      const originalTo = def.toDevice;
+      if (def.kind === 'dp' && setpointDpIds.has(String(def.writeDpId || def.dpId || ''))) {
+        const from = def.fromDevice;
+        def.fromDevice = (raw) => (typeof from === 'function' ? from(negate(raw)) : negate(raw));
+        if (def.rw === 'rw' || def.rw === 'wo') {
+          def.toDevice = (v) => negate(typeof originalTo === 'function' ? originalTo(v) : v);
+        }
+      }
+      if (def.mirrorSignedDpId && setpointDpIds.has(String(def.mirrorSignedDpId))) {
+        const mirror = def.toMirrorDevice;
+        def.toMirrorDevice = (v) => negate(typeof mirror === 'function' ? mirror(v) : (typeof originalTo === 'function' ? originalTo(v) : v));
+      }
+    }
+    summary.setpointDpIds = Array.from(setpointDpIds);
+  }
+
+  return summary;
+}
+
+/**
+ * Flags readings that contradict the contract sign convention.
+ * - pvInverter: r.power below -minPowerW for `samples` updates in a row.
+ * - storage: `samples` SoC changes in the opposite direction of the reported power
+ *   (SoC rising while discharging or falling while charging).
+ * Meters and EV chargers (bidirectional charging) have no generic plausibility rule.
+ */
+class SignPlausibilityCheck {
+  constructor(family, options = {}) {
+    this.family = family;
+    this.minPowerW = Number(options.minPowerW) > 0 ? Number(options.minPowerW) : 100;
+    this.samples = Number(options.samples) > 0 ? Math.floor(Number(options.samples)) : (family === 'storage' ? 3 : 5);
+    this.count = 0;
+    this.lastSoc = undefined;
+    this.suspect = false;
+    this.reason = '';
+  }
+
+  /**
+   * @param {{ power?: number, soc?: number }} sample contract-signed power (W) and SoC (%)
+   * @returns {boolean} true when the verdict changed
+   */
+  update(sample) {
+    const s = sample || {};
+    const power = typeof s.power === 'number' && Number.isFinite(s.power) ? s.power : undefined;
+    let reason = '';
+
+    if (this.family === 'pvInverter') {
+      if (power === undefined) return false;
+      if (power < -this.minPowerW) this.count++;
+      else this.count = 0;
+      if (this.count >= this.samples) {
+        reason = `PV power negative (${Math.round(power)} W) for ${this.count} updates; sign probably inverted`;
+      }
+    } else if (this.family === 'storage') {
+      const soc = typeof s.soc === 'number' && Number.isFinite(s.soc) ? s.soc : undefined;
+      if (soc === undefined || power === undefined) return false;
+      const prev = this.lastSoc;
+      this.lastSoc = soc;
+      if (prev === undefined || soc === prev || Math.abs(power) < this.minPowerW) {
+        if (!this.suspect) return false;
+        reason = this.reason;
+      } else {
+        const contradicts = (power > 0 && soc > prev) || (power < 0 && soc < prev);
+        this.count = contradicts ? this.count + 1 : 0;
+        if (this.count >= this.samples) {
+          reason = power > 0
+            ? `SoC rising (${prev} -> ${soc} %) while r.power reports discharge (${Math.round(power)} W); sign probably inverted`
+            : `SoC falling (${prev} -> ${soc} %) while r.power reports charge (${Math.round(power)} W); sign probably inverted`;
+        }
+      }
+    } else {
+      return false;
+    }
+
+    const suspect = !!reason;
+    const changed = suspect !== this.suspect;
+    this.suspect = suspect;
+    this.reason = reason;
+    return changed;
+  }
+}
+
+module.exports = {
+  FAMILIES,
+  familyOf,
+  parseSignConvention,
+  applySignConvention,
+  SignPlausibilityCheck,
+};
@@ -0,0 +1,440 @@
+'use strict';
+
+/**
+ * SunSpec model definitions and template generation for the SunSpec auto-discovery.
+ *
+ * Points are listed in register order as [name, type, unit, scaleFactor, flags, label];
+ * offsets are computed from the type sizes. Offsets in generated datapoints follow the
+ * template convention `sunspecOffset` = offset from the model header (ID, L) start, i.e.
+ * the first point of a model has sunspecOffset 2.
+ *
+ * Models with a repeating block (160 MPPT, 714 DC ports) list the fixed points in `fixed`
+ * and one block in `repeat`; the number of blocks follows from the discovered length.
+ */
+
+const TYPE_SIZE = Object.freeze({
+  int16: 1, uint16: 1, acc16: 1, enum16: 1, bitfield16: 1, sunssf: 1, count: 1, pad: 1,
+  int32: 2, uint32: 2, acc32: 2, enum32: 2, bitfield32: 2, float32: 2,
+  int64: 4, uint64: 4, acc64: 4,
+});
+
+// SunSpec type -> dataType of the Modbus driver.
+const DRIVER_TYPE = Object.freeze({
+  int16: 'int16', uint16: 'uint16', acc16: 'uint16', enum16: 'uint16', bitfield16: 'uint16', sunssf: 'int16', count: 'uint16',
+  int32: 'int32', uint32: 'uint32', acc32: 'uint32', enum32: 'uint32', bitfield32: 'uint32', float32: 'float32',
+  int64: 'int64', uint64: 'uint64', acc64: 'uint64',
+});
+
+const RW = 'rw';
+
+function pointSize(type) {
+  const m = /^string(\d+)$/.exec(type);
+  if (m) return Number(m[1]);
+  return TYPE_SIZE[type] || 1;
+}
+
+function phases(names, type, unit, sf, flags) {
+  return names.map(name => [name, type, unit, sf, flags]);
+}
+
+const INVERTER_INT = [
+  ['A', 'uint16', 'A', 'A_SF', '', 'Amps'],
+  ...phases(['AphA', 'AphB', 'AphC'], 'uint16', 'A', 'A_SF'),
+  ['A_SF', 'sunssf'],
+  ...phases(['PPVphAB', 'PPVphBC', 'PPVphCA', 'PhVphA', 'PhVphB', 'PhVphC'], 'uint16', 'V', 'V_SF'),
+  ['V_SF', 'sunssf'],
+  ['W', 'int16', 'W', 'W_SF', '', 'Watts'], ['W_SF', 'sunssf'],
+  ['Hz', 'uint16', 'Hz', 'Hz_SF'], ['Hz_SF', 'sunssf'],
+  ['VA', 'int16', 'VA', 'VA_SF'], ['VA_SF', 'sunssf'],
+  ['VAr', 'int16', 'var', 'VAr_SF'], ['VAr_SF', 'sunssf'],
+  ['PF', 'int16', '%', 'PF_SF'], ['PF_SF', 'sunssf'],
+  ['WH', 'acc32', 'Wh', 'WH_SF', '', 'WattHours'], ['WH_SF', 'sunssf'],
+  ['DCA', 'uint16', 'A', 'DCA_SF'], ['DCA_SF', 'sunssf'],
+  ['DCV', 'uint16', 'V', 'DCV_SF'], ['DCV_SF', 'sunssf'],
+  ['DCW', 'int16', 'W', 'DCW_SF'], ['DCW_SF', 'sunssf'],
+  ...phases(['TmpCab', 'TmpSnk', 'TmpTrns', 'TmpOt'], 'int16', '°C', 'Tmp_SF'),
+  ['Tmp_SF', 'sunssf'],
+  ['St', 'enum16', '', '', '', 'Operating State'], ['StVnd', 'enum16'],
+  ...phases(['Evt1', 'Evt2', 'EvtVnd1', 'EvtVnd2', 'EvtVnd3', 'EvtVnd4'], 'bitfield32'),
+];
+
+const INVERTER_FLOAT = [
+  ...phases(['A', 'AphA', 'AphB', 'AphC'], 'float32', 'A'),
+  ...phases(['PPVphAB', 'PPVphBC', 'PPVphCA', 'PhVphA', 'PhVphB', 'PhVphC'], 'float32', 'V'),
+  ['W', 'float32', 'W'], ['Hz', 'float32', 'Hz'], ['VA', 'float32', 'VA'], ['VAr', 'float32', 'var'], ['PF', 'float32', '%'],
+  ['WH', 'float32', 'Wh'], ['DCA', 'float32', 'A'], ['DCV', 'float32', 'V'], ['DCW', 'float32', 'W'],
+  ...phases(['TmpCab', 'TmpSnk', 'TmpTrns', 'TmpOt'], 'float32', '°C'),
+  ['St', 'enum16', '', '', '', 'Operating State'], ['StVnd', 'enum16'],
+  ...phases(['Evt1', 'Evt2', 'EvtVnd1', 'EvtVnd2', 'EvtVnd3', 'EvtVnd4'], 'bitfield32'),
+];
+
+function meterEnergy(prefix, unit, sf, suffixes) {
+  const out = [];
+  for (const s of suffixes) {
+    out.push([`${prefix}${s}`, 'acc32', unit, sf]);
+    for (const ph of ['PhA', 'PhB', 'PhC']) out.push([`${prefix}${s}${ph}`, 'acc32', unit, sf]);
+  }
+  return out;
+}
+
+const METER_INT = [
+  ['A', 'int16', 'A', 'A_SF', '', 'Amps'], ...phases(['AphA', 'AphB', 'AphC'], 'int16', 'A', 'A_SF'), ['A_SF', 'sunssf'],
+  ...phases(['PhV', 'PhVphA', 'PhVphB', 'PhVphC', 'PPV', 'PPVphAB', 'PPVphBC', 'PPVphCA'], 'int16', 'V', 'V_SF'), ['V_SF', 'sunssf'],
+  ['Hz', 'int16', 'Hz', 'Hz_SF'], ['Hz_SF', 'sunssf'],
+  ['W', 'int16', 'W', 'W_SF', '', 'Watts'], ...phases(['WphA', 'WphB', 'WphC'], 'int16', 'W', 'W_SF'), ['W_SF', 'sunssf'],
+  ...phases(['VA', 'VAphA', 'VAphB', 'VAphC'], 'int16', 'VA', 'VA_SF'), ['VA_SF', 'sunssf'],
+  ...phases(['VAR', 'VARphA', 'VARphB', 'VARphC'], 'int16', 'var', 'VAR_SF'), ['VAR_SF', 'sunssf'],
+  ...phases(['PF', 'PFphA', 'PFphB', 'PFphC'], 'int16', '%', 'PF_SF'), ['PF_SF', 'sunssf'],
+  ...meterEnergy('TotWh', 'Wh', 'TotWh_SF', ['Exp', 'Imp']),
+  ['TotWh_SF', 'sunssf'],
+  ...meterEnergy('TotVAh', 'VAh', 'TotVAh_SF', ['Exp', 'Imp']), ['TotVAh_SF', 'sunssf'],
+  ...meterEnergy('TotVArh', 'varh', 'TotVArh_SF', ['ImpQ1', 'ImpQ2', 'ExpQ3', 'ExpQ4']), ['TotVArh_SF', 'sunssf'],
+  ['Evt', 'bitfield32'],
+];
+
+function derPhase(n, ll) {
+  return [
+    [`WL${n}`, 'int16', 'W', 'W_SF'], [`VAL${n}`, 'int16', 'VA', 'VA_SF'], [`VarL${n}`, 'int16', 'var', 'Var_SF'],
+    [`PFL${n}`, 'int16', 'cos()', 'PF_SF'], [`AL${n}`, 'int16', 'A', 'A_SF'],
+    [`V${ll}`, 'uint16', 'V', 'V_SF'], [`VL${n}`, 'uint16', 'V', 'V_SF'],
+    [`TotWhInjL${n}`, 'uint64', 'Wh', 'TotWh_SF'], [`TotWhAbsL${n}`, 'uint64', 'Wh', 'TotWh_SF'],
+    [`TotVarhInjL${n}`, 'uint64', 'varh', 'TotVarh_SF'], [`TotVarhAbsL${n}`, 'uint64', 'varh', 'TotVarh_SF'],
+  ];
+}
+
+const MODELS = {
+  1: {
+    name: 'Common',
+    fixed: [
+      ['Mn', 'string16', '', '', '', 'Manufacturer'], ['Md', 'string16', '', '', '', 'Model'],
+      ['Opt', 'string8', '', '', '', 'Options'], ['Vr', 'string8', '', '', '', 'Version'],
+      ['SN', 'string16', '', '', '', 'Serial Number'], ['DA', 'uint16', '', '', RW, 'Device Address'], ['Pad', 'pad'],
+    ],
+  },
+  101: { name: 'Inverter (Single Phase)', kind: 'inverter', fixed: INVERTER_INT },
+  102: { name: 'Inverter (Split Phase)', kind: 'inverter', fixed: INVERTER_INT },
+  103: { name: 'Inverter (Three Phase)', kind: 'inverter', fixed: INVERTER_INT },
+  111: { name: 'Inverter (Single Phase) FLOAT', kind: 'inverter', fixed: INVERTER_FLOAT },
+  112: { name: 'Inverter (Split Phase) FLOAT', kind: 'inverter', fixed: INVERTER_FLOAT },
+  113: { name: 'Inverter (Three Phase) FLOAT', kind: 'inverter', fixed: INVERTER_FLOAT },
+  120: {
+    name: 'Nameplate',
+    fixed: [
+      ['DERTyp', 'enum16'], ['WRtg', 'uint16', 'W', 'WRtg_SF'], ['WRtg_SF', 'sunssf'],
+      ['VARtg', 'uint16', 'VA', 'VARtg_SF'], ['VARtg_SF', 'sunssf'],
+      ...phases(['VArRtgQ1', 'VArRtgQ2', 'VArRtgQ3', 'VArRtgQ4'], 'int16', 'var', 'VArRtg_SF'), ['VArRtg_SF', 'sunssf'],
+      ['ARtg', 'uint16', 'A', 'ARtg_SF'], ['ARtg_SF', 'sunssf'],
+      ...phases(['PFRtgQ1', 'PFRtgQ2', 'PFRtgQ3', 'PFRtgQ4'], 'int16', 'cos()', 'PFRtg_SF'), ['PFRtg_SF', 'sunssf'],
+      ['WHRtg', 'uint16', 'Wh', 'WHRtg_SF'], ['WHRtg_SF', 'sunssf'],
+      ['AhrRtg', 'uint16', 'AH', 'AhrRtg_SF'], ['AhrRtg_SF', 'sunssf'],
+      ['MaxChaRte', 'uint16', 'W', 'MaxChaRte_SF'], ['MaxChaRte_SF', 'sunssf'],
+      ['MaxDisChaRte', 'uint16', 'W', 'MaxDisChaRte_SF'], ['MaxDisChaRte_SF', 'sunssf'],
+      ['Pad', 'pad'],
+    ],
+  },
+  121: {
+    name: 'Basic Settings',
+    fixed: [
+      ['WMax', 'uint16', 'W', 'WMax_SF', RW], ['VRef', 'uint16', 'V', 'VRef_SF', RW], ['VRefOfs', 'int16', 'V', 'VRefOfs_SF', RW],
+      ['VMax', 'uint16', 'V', 'VMinMax_SF', RW], ['VMin', 'uint16', 'V', 'VMinMax_SF', RW], ['VAMax', 'uint16', 'VA', 'VAMax_SF', RW],
+      ...phases(['VArMaxQ1', 'VArMaxQ2', 'VArMaxQ3', 'VArMaxQ4'], 'int16', 'var', 'VArMax_SF', RW),
+      ['WGra', 'uint16', '%', 'WGra_SF', RW],
+      ...phases(['PFMinQ1', 'PFMinQ2', 'PFMinQ3', 'PFMinQ4'], 'int16', 'cos()', 'PFMin_SF', RW),
+      ['VArAct', 'enum16', '', '', RW], ['ClcTotVA', 'enum16', '', '', RW],
+      ['MaxRmpRte', 'uint16', '%', 'MaxRmpRte_SF', RW], ['ECPNomHz', 'uint16', 'Hz', 'ECPNomHz_SF', RW], ['ConnPh', 'enum16', '', '', RW],
+      ...phases(['WMax_SF', 'VRef_SF', 'VRefOfs_SF', 'VMinMax_SF', 'VAMax_SF', 'VArMax_SF', 'WGra_SF', 'PFMin_SF', 'MaxRmpRte_SF', 'ECPNomHz_SF'], 'sunssf'),
+    ],
+  },
+  122: {
+    name: 'Measurements Status',
+    fixed: [
+      ['PVConn', 'bitfield16'], ['StorConn', 'bitfield16'], ['ECPConn', 'bitfield16'],
+      ['ActWh', 'acc64', 'Wh'], ['ActVAh', 'acc64', 'VAh'],
+      ...phases(['ActVArhQ1', 'ActVArhQ2', 'ActVArhQ3', 'ActVArhQ4'], 'acc64', 'varh'),
+      ['VArAval', 'int16', 'var', 'VArAval_SF'], ['VArAval_SF', 'sunssf'],
+      ['WAval', 'uint16', 'W', 'WAval_SF'], ['WAval_SF', 'sunssf'],
+      ['StSetLimMsk', 'bitfield32'], ['StActCtl', 'bitfield32'], ['TmSrc', 'string4'], ['Tms', 'uint32', 'Secs'],
+      ['RtSt', 'bitfield16'], ['Ris', 'uint16', 'ohms', 'Ris_SF'], ['Ris_SF', 'sunssf'],
+    ],
+  },
+  123: {
+    name: 'Immediate Controls',
+    fixed: [
+      ['Conn_WinTms', 'uint16', 'Secs', '', RW], ['Conn_RvrtTms', 'uint16', 'Secs', '', RW], ['Conn', 'enum16', '', '', RW],
+      ['WMaxLimPct', 'uint16', '% WMax', 'WMaxLimPct_SF', RW],
+      ...phases(['WMaxLimPct_WinTms', 'WMaxLimPct_RvrtTms', 'WMaxLimPct_RmpTms'], 'uint16', 'Secs', '', RW),
+      ['WMaxLim_Ena', 'enum16', '', '', RW],
+      ['OutPFSet', 'int16', 'cos()', 'OutPFSet_SF', RW],
+      ...phases(['OutPFSet_WinTms', 'OutPFSet_RvrtTms', 'OutPFSet_RmpTms'], 'uint16', 'Secs', '', RW),
+      ['OutPFSet_Ena', 'enum16', '', '', RW],
+      ['VArWMaxPct', 'int16', '% WMax', 'VArPct_SF', RW], ['VArMaxPct', 'int16', '% VArMax', 'VArPct_SF', RW],
+      ['VArAvalPct', 'int16', '% VArAval', 'VArPct_SF', RW],
+      ...phases(['VArPct_WinTms', 'VArPct_RvrtTms', 'VArPct_RmpTms'], 'uint16', 'Secs', '', RW),
+      ['VArPct_Mod', 'enum16', '', '', RW], ['VArPct_Ena', 'enum16', '', '', RW],
+      ...phases(['WMaxLimPct_SF', 'OutPFSet_SF', 'VArPct_SF'], 'sunssf'),
+    ],
+  },
+  124: {
+    name: 'Storage',
+    kind: 'storage',
+    fixed: [
+      ['WChaMax', 'uint16', 'W', 'WChaMax_SF', RW],
+      ['WChaGra', 'uint16', '% WChaMax/sec', 'WChaDisChaGra_SF', RW], ['WDisChaGra', 'uint16', '% WChaMax/sec', 'WChaDisChaGra_SF', RW],
+      ['StorCtl_Mod', 'bitfield16', '', '', RW], ['VAChaMax', 'uint16', 'VA', 'VAChaMax_SF', RW],
+      ['MinRsvPct', 'uint16', '% WChaMax', 'MinRsvPct_SF', RW],
+      ['ChaState', 'uint16', '% AhrRtg', 'ChaState_SF', '', 'State of charge'], ['StorAval', 'uint16', 'AH', 'StorAval_SF'],
+      ['InBatV', 'uint16', 'V', 'InBatV_SF'], ['ChaSt', 'enum16'],
+      ['OutWRte', 'int16', '% WDisChaMax', 'InOutWRte_SF', RW], ['InWRte', 'int16', '% WChaMax', 'InOutWRte_SF', RW],
+      ...phases(['InOutWRte_WinTms', 'InOutWRte_RvrtTms', 'InOutWRte_RmpTms'], 'uint16', 'Secs', '', RW),
+      ['ChaGriSet', 'enum16', '', '', RW],
+      ...phases(['WChaMax_SF', 'WChaDisChaGra_SF', 'VAChaMax_SF', 'MinRsvPct_SF', 'ChaState_SF', 'StorAval_SF', 'InBatV_SF', 'InOutWRte_SF'], 'sunssf'),
+    ],
+  },
+  160: {
+    name: 'Multiple MPPT Inverter Extension',
+    fixed: [
+      ...phases(['DCA_SF', 'DCV_SF', 'DCW_SF', 'DCWH_SF'], 'sunssf'), ['Evt', 'bitfield32'], ['N', 'count'], ['TmsPer', 'uint16'],
+    ],
+    repeat: {
+      prefix: 'MPPT',
+      points: [
+        ['ID', 'uint16'], ['IDStr', 'string8'], ['DCA', 'uint16', 'A', 'DCA_SF'], ['DCV', 'uint16', 'V', 'DCV_SF'],
+        ['DCW', 'uint16', 'W', 'DCW_SF'], ['DCWH', 'acc32', 'Wh', 'DCWH_SF'], ['Tms', 'uint32', 'Secs'],
+        ['Tmp', 'int16', '°C'], ['DCSt', 'enum16'], ['DCEvt', 'bitfield32'],
+      ],
+    },
+  },
+  201: { name: 'Meter (Single Phase)', kind: 'meter', fixed: METER_INT },
+  202: { name: 'Meter (Split Phase)', kind: 'meter', fixed: METER_INT },
+  203: { name: 'Meter (Wye, Three Phase)', kind: 'meter', fixed: METER_INT },
+  204: { name: 'Meter (Delta, Three Phase)', kind: 'meter', fixed: METER_INT },
+  701: {
+    name: 'DER AC Measurement',
+    kind: 'inverter',
+    fixed: [
+      ...phases(['ACType', 'St', 'InvSt', 'ConnSt'], 'enum16'), ['Alrm', 'bitfield32'], ['DERMode', 'bitfield32'],
+      ['W', 'int16', 'W', 'W_SF', '', 'Watts'], ['VA', 'int16', 'VA', 'VA_SF'], ['Var', 'int16', 'var', 'Var_SF'],
+      ['PF', 'int16', 'cos()', 'PF_SF'], ['A', 'int16', 'A', 'A_SF'],
+      ['LLV', 'uint16', 'V', 'V_SF'], ['LNV', 'uint16', 'V', 'V_SF'], ['Hz', 'uint32', 'Hz', 'Hz_SF'],
+      ['TotWhInj', 'uint64', 'Wh', 'TotWh_SF'], ['TotWhAbs', 'uint64', 'Wh', 'TotWh_SF'],
+      ['TotVarhInj', 'uint64', 'varh', 'TotVarh_SF'], ['TotVarhAbs', 'uint64', 'varh', 'TotVarh_SF'],
+      ...phases(['TmpAmb', 'TmpCab', 'TmpSnk', 'TmpTrns', 'TmpSw', 'TmpOt'], 'int16', '°C', 'Tmp_SF'),
+      ...derPhase(1, 'L1L2'), ...derPhase(2, 'L2L3'), ...derPhase(3, 'L3L1'),
+      ['ThrotPct', 'uint16', '%'], ['ThrotSrc', 'bitfield32'],
+      ...phases(['A_SF', 'V_SF', 'Hz_SF', 'W_SF', 'PF_SF', 'VA_SF', 'Var_SF', 'TotWh_SF', 'TotVarh_SF', 'Tmp_SF'], 'sunssf'),
+      ['MnAlrmInfo', 'string32'],
+    ],
+  },
+  713: {
+    name: 'DER Storage Capacity',
+    kind: 'storage',
+    fixed: [
+      ['WHRtg', 'uint16', 'Wh', 'WH_SF'], ['WHAvail', 'uint16', 'Wh', 'WH_SF'],
+      ['SoC', 'uint16', '%', 'Pct_SF', '', 'State of charge'], ['SoH', 'uint16', '%', 'Pct_SF'], ['Sta', 'enum16'],
+      ['WH_SF', 'sunssf'], ['Pct_SF', 'sunssf'],
+    ],
+  },
+  714: {
+    name: 'DER DC Measurement',
+    fixed: [
+      ['PrtAlrms', 'bitfield32'], ['NPrt', 'count'], ['DCA', 'int16', 'A', 'DCA_SF'], ['DCW', 'int16', 'W', 'DCW_SF'],
+      ['DCWhInj', 'uint64', 'Wh', 'DCWH_SF'], ['DCWhAbs', 'uint64', 'Wh', 'DCWH_SF'],
+      ...phases(['DCA_SF', 'DCV_SF', 'DCW_SF', 'DCWH_SF', 'Tmp_SF'], 'sunssf'),
+    ],
+    repeat: {
+      prefix: 'Prt',
+      points: [
+        ['PrtTyp', 'enum16'], ['ID', 'uint16'], ['IDStr', 'string8'], ['DCA', 'int16', 'A', 'DCA_SF'], ['DCV', 'uint16', 'V', 'DCV_SF'],
+        ['DCW', 'int16', 'W', 'DCW_SF'], ['DCWhInj', 'uint64', 'Wh', 'DCWH_SF'], ['DCWhAbs', 'uint64', 'Wh', 'DCWH_SF'],
+        ['Tmp', 'int16', '°C', 'Tmp_SF'], ['DCSta', 'enum16'], ['PrtAlrms', 'bitfield32'],
+      ],
+    },
+  },
+};
+
+function blockSize(points) {
+  return points.reduce((sum, p) => sum + pointSize(p[1]), 0);
+}
+
+/** Point list of a model with offsets relative to the first register after the header. */
+function modelPoints(modelId, length) {
+  const def = MODELS[modelId];
+  if (!def) return null;
+  const out = [];
+  let off = 0;
+  const push = (p, group) => {
+    const [name, type, unit, sf, flags, label] = p;
+    if (type !== 'pad') out.push({ name, type, size: pointSize(type), offset: off, unit: unit || '', sf: sf || '', rw: flags === RW, label: label || '', group });
+    off += pointSize(type);
+  };
+  for (const p of def.fixed) push(p);
+  if (def.repeat) {
+    const size = blockSize(def.repeat.points);
+    const count = Math.max(0, Math.floor((Number(length) - off) / size));
+    for (let i = 1; i <= count; i++) {
+      for (const p of def.repeat.points) push(p, `${def.repeat.prefix}${i}`);
+    }
+  }
+  return out;
+}
+
+function swapBytes(word) {
+  return ((word & 0xff) << 8) | ((word >> 8) & 0xff);
+}
+
+function registersToString(regs, byteOrder) {
+  const buf = Buffer.alloc(regs.length * 2);
+  regs.forEach((w, i) => buf.writeUInt16BE((byteOrder === 'le' ? swapBytes(Number(w)) : Number(w)) & 0xffff, i * 2));
+  const s = buf.toString('latin1');
+  const nul = s.indexOf('\0');
+  return (nul >= 0 ? s.slice(0, nul) : s).trim();
+}
+
+/** Decode the common model (model 1) payload registers (without ID / L). */
+function decodeCommonModel(regs, byteOrder) {
+  const r = Array.isArray(regs) ? regs : [];
+  const str = (off, len) => registersToString(r.slice(off, off + len), byteOrder);
+  const da = Number(r[64]);
+  return {
+    manufacturer: str(0, 16),
+    model: str(16, 16),
+    options: str(32, 8),
+    version: str(40, 8),
+    serialNumber: str(48, 16),
+    deviceAddress: Number.isFinite(da) && da !== 0xffff ? (byteOrder === 'le' ? swapBytes(da) : da) : undefined,
+  };
+}
+
+function roleFor(point) {
+  if (/^string/.test(point.type)) return 'text';
+  if (point.type === 'sunssf' || point.type === 'count') return 'value';
+  switch (point.unit) {
+    case 'A': return 'value.current';
+    case 'V': return 'value.voltage';
+    case 'W': case 'VA': case 'var': return 'value.power';
+    case 'Wh': case 'VAh': case 'varh': return 'value.energy';
+    case 'Hz': return 'value.frequency';
+    case '°C': return 'value.temperature';
+    default: return point.rw ? 'level' : 'value';
+  }
+}
+
+function templateCategory(modelIds) {
+  const has = (ids) => ids.some(id => modelIds.includes(id));
+  if (has([124, 713])) return 'ESS';
+  if (has([101, 102, 103, 111, 112, 113, 701])) return 'PV_INVERTER';
+  if (has([201, 202, 203, 204])) return 'METER';
+  return 'GENERIC';
+}
+
+const DEVICE_CLASS_BY_CATEGORY = Object.freeze({ ESS: 'storageSystem', PV_INVERTER: 'pvInverter', METER: 'meter', GENERIC: 'generic' });
+
+function slug(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'unknown';
+}
+
+/**
+ * Build a device template from a discovered model chain.
+ * @param {{baseAddress: number, unitId: number, fc: number, models: Array<{id: number, offset: number, length: number}>, common: object}} discovery
+ * @param {{id: (string|undefined), name: (string|undefined)}} options
+ */
+function buildSunSpecTemplate(discovery, options = {}) {
+  const d = discovery || {};
+  const common = d.common || {};
+  const fc = Number(d.fc) === 4 ? 4 : 3;
+  const models = Array.isArray(d.models) ? d.models : [];
+  const datapoints = [];
+  const usedIds = new Set();
+  const instances = new Map(); // modelId -> count
+  const summary = [];
+
+  for (const m of models) {
+    const modelId = Number(m.id);
+    const index = instances.get(modelId) || 0;
+    instances.set(modelId, index + 1);
+    const points = modelPoints(modelId, m.length);
+    summary.push({ id: modelId, offset: m.offset, length: m.length, name: MODELS[modelId] ? MODELS[modelId].name : '', decoded: !!points });
+    if (!points) continue;
+
+    // First model providing a point name keeps the plain SunSpec name, later ones get a prefix.
+    const prefix = `m${modelId}${index ? `_${index + 1}` : ''}_`;
+    const idOf = new Map();
+    const plainFree = points.every(p => !usedIds.has(p.group ? `${p.group}_${p.name}` : p.name));
+    for (const p of points) {
+      const base = p.group ? `${p.group}_${p.name}` : p.name;
+      const id = plainFree ? base : `${prefix}${base}`;
+      idOf.set(base, id);
+    }
+    for (const p of points) {
+      const base = p.group ? `${p.group}_${p.name}` : p.name;
+      const id = idOf.get(base);
+      usedIds.add(id);
+      const source = {
+        kind: 'modbus',
+        sunspecModel: modelId,
+        sunspecOffset: 2 + p.offset,
+        fc,
+        length: p.size,
+        dataType: /^string/.test(p.type) ? 'string' : DRIVER_TYPE[p.type],
+      };
+      if (index) source.sunspecIndex = index;
+      if (p.sf) source.scaleFactorRef = idOf.get(p.sf) || p.sf;
+      // SunSpec marks unsupported points with 0x8000 / 0xFFFF / NaN.
+      if (!/^string/.test(p.type) && p.type !== 'sunssf') source.nanToNull = true;
+      if (p.rw) source.write = { fc: p.size > 1 ? 16 : 6 };
+      const dp = {
+        id,
+        name: `${p.group ? `${p.group} ` : ''}${p.label || p.name}`,
+        role: roleFor(p),
+        type: /^string/.test(p.type) ? 'string' : 'number',
+        rw: p.rw ? 'rw' : 'ro',
+        source,
+      };
+      if (p.unit) dp.unit = p.unit;
+      datapoints.push(dp);
+    }
+  }
+
+  const modelIds = models.map(m => Number(m.id));
+  const category = templateCategory(modelIds);
+  const manufacturer = common.manufacturer || 'SunSpec';
+  const model = common.model || 'Unknown';
+  return {
+    id: options.id || `user.sunspec.${slug(manufacturer)}.${slug(model)}`,
+    category,
+    manufacturer,
+    model,
+    name: options.name || `${manufacturer} ${model} (SunSpec, erkannt)`,
+    protocols: ['modbusTcp', 'modbusRtu', 'modbusAscii'],
+    source: { type: 'user', generator: 'sunspecDiscovery', createdAt: new Date().toISOString() },
+    sunspec: {
+      baseAddress: d.baseAddress,
+      unitId: d.unitId,
+      fc,
+      common,
+      models: summary,
+    },
+    driverHints: {
+      modbus: {
+        autoSunSpec: true,
+        sunSpecTemplateBase: Number.isFinite(Number(d.baseAddress)) ? Number(d.baseAddress) : 40000,
+        ...(Number.isFinite(Number(d.unitId)) ? { sunSpecScanUnitIds: [Number(d.unitId)] } : {}),
+        sunSpecScanFunctionCodes: [fc],
+        strictContiguousReads: true,
+        continueOnReadError: true,
+        skipFailedReadGroupsMs: 300000,
+        maxReadRegs: 32,
+      },
+    },
+    aliasContract: { schemaVersion: 1, namespace: 'v1', deviceClass: DEVICE_CLASS_BY_CATEGORY[category] },
+    datapoints,
+  };
+}
+
+module.exports = {
+  MODELS,
+  modelPoints,
+  decodeCommonModel,
+  buildSunSpecTemplate,
+  templateCategory,
+};
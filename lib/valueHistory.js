@@ -0,0 +1,316 @@
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+/**
+ * Rolling value history per datapoint (commissioning aid, no history adapter required).
+ *
+ * Every sample is folded into a bucket of `resolutionSec` (default 60 s). Closed buckets go into
+ * a ring buffer per datapoint that keeps `retentionHours` (default 24 h). Per bucket the history
+ * keeps count, sum, min, max and last value; for counters (energy datapoints) additionally the
+ * delta, i.e. the sum of positive increments, so a counter reset does not produce a negative
+ * consumption.
+ *
+ * When a bucket closes, every aligned 1-minute, 15-minute and hourly window that ended with it
+ * is reported as aggregate (avg/min/max, delta for counters). DeviceRuntime publishes these below
+ * devices.<id>.history.*; the onMessage command `valueHistory` queries the raw buckets.
+ *
+ * The buffers are stored in <dir>/<deviceId>.json (tmp file + rename) every `saveIntervalSec`
+ * and on stop. Without a directory (tests, missing data dir) the history only lives in memory.
+ */
+
+const FILE_VERSION = 1;
+const DEFAULT_RESOLUTION_SEC = 60;
+const DEFAULT_RETENTION_HOURS = 24;
+const DEFAULT_SAVE_INTERVAL_SEC = 300;
+// Upper bound per datapoint (e.g. 7 days at 1-minute resolution).
+const MAX_SLOTS = 10080;
+
+const AGGREGATES = { m1: 60000, m15: 15 * 60000, h1: 60 * 60000 };
+
+// Bucket tuple: [start, count, sum, min, max, last, delta]
+const T = 0;
+const N = 1;
+const SUM = 2;
+const MIN = 3;
+const MAX = 4;
+const LAST = 5;
+const DELTA = 6;
+
+function clampInt(value, min, max, fallback) {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n) || n <= 0) return fallback;
+  return Math.min(max, Math.max(min, n));
+}
+
+function round(value) {
+  return Number.isFinite(value) ? Math.round(value * 1e6) / 1e6 : null;
+}
+
+/** Fixed-size ring of closed buckets, oldest first. */
+class RingBuffer {
+  constructor(capacity) {
+    this.capacity = capacity;
+    this.slots = new Array(capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+
+  push(item) {
+    if (this.size < this.capacity) {
+      this.slots[(this.start + this.size) % this.capacity] = item;
+      this.size++;
+    } else {
+      this.slots[this.start] = item;
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  shiftWhile(predicate) {
+    while (this.size && predicate(this.slots[this.start])) {
+      this.slots[this.start] = undefined;
+      this.start = (this.start + 1) % this.capacity;
+      this.size--;
+    }
+  }
+
+  toArray() {
+    const out = [];
+    for (let i = 0; i < this.size; i++) out.push(this.slots[(this.start + i) % this.capacity]);
+    return out;
+  }
+}
+
+/** Fold buckets into one aggregate ({ n, avg, min, max, last, delta }). */
+function combine(buckets, counter) {
+  let n = 0;
+  let sum = 0;
+  let min = Infinity;
+  let max = -Infinity;
+  let last = null;
+  let delta = 0;
+  for (const b of buckets) {
+    if (!b || !b[N]) continue;
+    n += b[N];
+    sum += b[SUM];
+    if (b[MIN] < min) min = b[MIN];
+    if (b[MAX] > max) max = b[MAX];
+    last = b[LAST];
+    delta += b[DELTA];
+  }
+  if (!n) return null;
+  return { n, avg: round(sum / n), min: round(min), max: round(max), last: round(last), delta: counter ? round(delta) : null };
+}
+
+class ValueHistory {
+  /**
+   * @param {{deviceId: string, dir: (string|null), log: object, resolutionSec: (number|undefined),
+   *   retentionHours: (number|undefined), saveIntervalSec: (number|undefined)}} opts
+   */
+  constructor(opts = {}) {
+    this.deviceId = String(opts.deviceId || '');
+    this.dir = opts.dir || null;
+    this.log = opts.log || { debug() {}, warn() {} };
+    this.resolutionMs = clampInt(opts.resolutionSec, 1, 3600, DEFAULT_RESOLUTION_SEC) * 1000;
+    const retentionMs = clampInt(opts.retentionHours, 1, 24 * 31, DEFAULT_RETENTION_HOURS) * 3600000;
+    this.capacity = Math.min(MAX_SLOTS, Math.max(1, Math.ceil(retentionMs / this.resolutionMs)));
+    this.retentionMs = this.capacity * this.resolutionMs;
+    this.saveIntervalMs = clampInt(opts.saveIntervalSec, 10, 86400, DEFAULT_SAVE_INTERVAL_SEC) * 1000;
+    this._series = new Map(); // dpId -> { counter, ring, current, lastValue }
+    this._queue = Promise.resolve();
+    this._lastSave = 0;
+  }
+
+  _file() {
+    return path.join(this.dir, `${this.deviceId}.json`);
+  }
+
+  _enqueue(task) {
+    const next = this._queue.then(task, task);
+    this._queue = next.catch(() => {});
+    return next;
+  }
+
+  _seriesFor(dpId, counter) {
+    let series = this._series.get(dpId);
+    if (!series) {
+      series = { counter: !!counter, ring: new RingBuffer(this.capacity), current: null, lastValue: undefined };
+      this._series.set(dpId, series);
+    }
+    return series;
+  }
+
+  /** Aggregates of all windows that are complete once `closed` is followed by a bucket at `nextStart`. */
+  _completedWindows(dpId, series, closed, nextStart) {
+    const out = [];
+    for (const [key, windowMs] of Object.entries(AGGREGATES)) {
+      if (windowMs < this.resolutionMs) continue;
+      const from = Math.floor(closed[T] / windowMs) * windowMs;
+      const to = from + windowMs;
+      if (nextStart < to) continue;
+      const buckets = series.ring.toArray().filter(b => b[T] >= from && b[T] < to);
+      const agg = combine(buckets, series.counter);
+      if (agg) out.push({ dpId, key, from, to, ...agg });
+    }
+    return out;
+  }
+
+  /**
+   * Add one sample.
+   * @param {string} dpId
+   * @param {number} value
+   * @param {{ts: (number|undefined), counter: (boolean|undefined)}} [options]
+   * @returns {Array<object>} aggregates of the windows completed by this sample
+   */
+  add(dpId, value, options = {}) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return [];
+    const ts = Number.isFinite(options.ts) ? options.ts : Date.now();
+    const series = this._seriesFor(String(dpId), options.counter);
+    const bucketStart = Math.floor(ts / this.resolutionMs) * this.resolutionMs;
+    let completed = [];
+
+    let bucket = series.current;
+    if (bucket && bucketStart < bucket[T]) return []; // clock went backwards
+    if (bucket && bucketStart > bucket[T]) {
+      series.ring.push(bucket);
+      completed = this._completedWindows(String(dpId), series, bucket, bucketStart);
+      bucket = null;
+    }
+    if (!bucket) {
+      bucket = [bucketStart, 0, 0, value, value, value, 0];
+      series.current = bucket;
+    }
+
+    bucket[N]++;
+    bucket[SUM] += value;
+    if (value < bucket[MIN]) bucket[MIN] = value;
+    if (value > bucket[MAX]) bucket[MAX] = value;
+    bucket[LAST] = value;
+    if (series.counter && series.lastValue !== undefined && value > series.lastValue) {
+      bucket[DELTA] += value - series.lastValue;
+    }
+    series.lastValue = value;
+
+    series.ring.shiftWhile(b => b[T] < ts - this.retentionMs);
+    return completed;
+  }
+
+  /** Tracked datapoints with their number of stored buckets and the covered time range. */
+  datapoints() {
+    const out = [];
+    for (const [dpId, series] of this._series) {
+      const buckets = this._buckets(series);
+      out.push({
+        dpId,
+        counter: series.counter,
+        buckets: buckets.length,
+        from: buckets.length ? buckets[0][T] : null,
+        to: buckets.length ? buckets[buckets.length - 1][T] + this.resolutionMs : null,
+      });
+    }
+    return out;
+  }
+
+  _buckets(series) {
+    const buckets = series.ring.toArray();
+    if (series.current) buckets.push(series.current);
+    return buckets;
+  }
+
+  /**
+   * Buckets of one datapoint, optionally re-aggregated to `intervalMs` (a multiple of the
+   * resolution, e.g. 900000 for 15 minutes). The open bucket is included.
+   *
+   * @param {string} dpId
+   * @param {{from: (number|undefined), to: (number|undefined), intervalMs: (number|undefined)}} [filter]
+   * @returns {Array<{ts: number, n: number, avg: number, min: number, max: number, last: number, delta: (number|null)}>|null}
+   */
+  query(dpId, filter = {}) {
+    const series = this._series.get(String(dpId));
+    if (!series) return null;
+    const from = Number.isFinite(filter.from) ? filter.from : -Infinity;
+    const to = Number.isFinite(filter.to) ? filter.to : Infinity;
+    const buckets = this._buckets(series).filter(b => b[T] >= from && b[T] < to);
+    const interval = Math.max(this.resolutionMs, Number(filter.intervalMs) || 0);
+
+    const groups = new Map();
+    for (const b of buckets) {
+      const key = Math.floor(b[T] / interval) * interval;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(b);
+    }
+    const out = [];
+    for (const [ts, group] of groups) {
+      const agg = combine(group, series.counter);
+      if (agg) out.push({ ts, ...agg });
+    }
+    return out;
+  }
+
+  /** Restore the stored buffers (same resolution only), dropping buckets older than the retention. */
+  load(now = Date.now()) {
+    return this._enqueue(async () => {
+      if (!this.dir) return 0;
+      let doc;
+      try {
+        doc = JSON.parse(await fs.promises.readFile(this._file(), 'utf8'));
+      } catch (e) {
+        if (!e || e.code !== 'ENOENT') this.log.warn(`[${this.deviceId}] Value history unreadable, starting empty: ${e && e.message ? e.message : e}`);
+        return 0;
+      }
+      if (!doc || doc.version !== FILE_VERSION || doc.resolutionMs !== this.resolutionMs || !doc.series) {
+        this.log.debug(`[${this.deviceId}] Stored value history has a different format or resolution, starting empty`);
+        return 0;
+      }
+      let restored = 0;
+      for (const [dpId, stored] of Object.entries(doc.series)) {
+        if (!stored || !Array.isArray(stored.buckets)) continue;
+        const series = this._seriesFor(dpId, stored.counter);
+        const buckets = stored.buckets.filter(b => Array.isArray(b) && b.length === 7 && b[T] >= now - this.retentionMs);
+        // The newest bucket stays open, so samples of the same interval after a restart are merged.
+        series.current = buckets.length ? buckets.pop() : null;
+        for (const b of buckets) series.ring.push(b);
+        restored += buckets.length + (series.current ? 1 : 0);
+        if (Number.isFinite(stored.lastValue)) series.lastValue = stored.lastValue;
+      }
+      return restored;
+    });
+  }
+
+  /** Write all buffers (incl. open buckets) atomically. */
+  save() {
+    return this._enqueue(async () => {
+      this._lastSave = Date.now();
+      if (!this.dir) return;
+      const series = {};
+      for (const [dpId, s] of this._series) {
+        series[dpId] = { counter: s.counter, lastValue: s.lastValue === undefined ? null : s.lastValue, buckets: this._buckets(s) };
+      }
+      const file = this._file();
+      const tmp = `${file}.tmp`;
+      const payload = JSON.stringify({ version: FILE_VERSION, deviceId: this.deviceId, resolutionMs: this.resolutionMs, savedAt: this._lastSave, series });
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      await fs.promises.writeFile(tmp, payload, 'utf8');
+      await fs.promises.rename(tmp, file);
+    });
+  }
+
+  /** save() when the last write is older than saveIntervalMs. */
+  saveIfDue(now = Date.now()) {
+    if (!this._lastSave) this._lastSave = now;
+    if (now - this._lastSave < this.saveIntervalMs) return Promise.resolve();
+    return this.save();
+  }
+
+  /** Wait for pending load/save operations. */
+  flush() {
+    return this._queue;
+  }
+}
+
+module.exports = {
+  AGGREGATES,
+  RingBuffer,
+  ValueHistory,
+};
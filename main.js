@@ -5,6 +5,11 @@ const path = require('path');
 const utils = require('@iobroker/adapter-core');
 
 const { DeviceRuntime } = require('./lib/deviceRuntime');
+const { AliasModbusServer, DEFAULT_PORT: MODBUS_SERVER_DEFAULT_PORT } = require('./lib/modbusServer');
+const { buildSunSpecTemplate } = require('./lib/sunspecModels');
+const { ModbusDriver } = require('./lib/drivers/modbus');
+const { suggestTemplates } = require('./lib/deviceIdentification');
+const { buildConformanceReport } = require('./lib/aliasConformance');
 
 async function listSerialPortsForAdmin(adapter) {
   // Returns a stable list of serial port paths that can be shown in Admin UI.
@@ -102,6 +107,19 @@ function readTemplates(adapter) {
     const templates = Array.isArray(data.templates) ? data.templates : [];
     const byId = {};
     for (const t of templates) byId[t.id] = t;
+
+    // Templates generated at runtime (e.g. SunSpec discovery) are stored in native.userTemplates.
+    const userTemplates = (adapter.config && Array.isArray(adapter.config.userTemplates)) ? adapter.config.userTemplates : [];
+    for (const t of userTemplates) {
+      if (!t || !t.id || !Array.isArray(t.datapoints)) continue;
+      if (byId[t.id] && !(byId[t.id].source && byId[t.id].source.type === 'user')) {
+        adapter.log.warn(`User template "${t.id}" ignored: id is used by a built-in template`);
+        continue;
+      }
+      if (!byId[t.id]) templates.push(t);
+      else templates[templates.indexOf(byId[t.id])] = t;
+      byId[t.id] = t;
+    }
     return { templates, byId };
   } catch (e) {
     adapter.log.error(`Failed to load templates.json: ${e.message || e}`);
@@ -109,6 +127,14 @@ function readTemplates(adapter) {
   }
 }
 
+// Generic Modbus devices carry their own datapoints (e.g. created with the register scanner);
+// they replace the example datapoints of the generic.modbus template.
+function templateForDevice(tpl, device) {
+  if (!tpl || tpl.id !== 'generic.modbus') return tpl;
+  const dps = device && Array.isArray(device.datapoints) ? device.datapoints.filter(dp => dp && dp.id && dp.source) : [];
+  return dps.length ? { ...tpl, datapoints: dps } : tpl;
+}
+
 function safeJsonParse(str, fallback) {
   try {
     return JSON.parse(str);
@@ -121,12 +147,27 @@ function isSerialLikeProtocol(protocol) {
   return ['modbusRtu', 'modbusAscii', 'kostalRs485', 'mbus'].includes((protocol || '').toString());
 }
 
+/**
+ * Every template that speaks Modbus RTU can also be reached through an RS485 gateway that forwards
+ * the RTU frames over TCP or UDP; offer those transports right after modbusRtu.
+ */
+function withRtuGatewayProtocols(protocols) {
+  const out = [];
+  for (const p of protocols) {
+    out.push(p);
+    if (p === 'modbusRtu') out.push('modbusRtuOverTcp', 'modbusUdp');
+  }
+  return out;
+}
+
 function normalizeSerialConnection(device) {
   const d = device || {};
   const c = d.connection || {};
   const proto = (d.protocol || '').toString();
+  // A listen-only device cannot share the port with a polling one (separate serial handles).
+  const listenOnly = proto === 'modbusRtu' && (c.listenOnly === true || String(c.listenOnly).toLowerCase() === 'true');
   return {
-    protocol: proto,
+    protocol: listenOnly ? 'modbusRtu (listenOnly)' : proto,
     path: (c.path || '').toString().trim(),
     baudRate: Number(c.baudRate || (proto === 'kostalRs485' ? 19200 : (proto === 'mbus' ? 2400 : 9600))),
     parity: (c.parity || (proto === 'mbus' ? 'even' : 'none')).toString(),
@@ -245,6 +286,7 @@ class NexowattDevicesAdapter extends utils.Adapter {
     this.templateRegistry = { templates: [], byId: {} };
     this.deviceRuntimes = [];
     this.deviceById = new Map();
+    this.modbusServer = null;
   }
 
   async onReady() {
@@ -274,15 +316,18 @@ class NexowattDevicesAdapter extends utils.Adapter {
 
     this.templateRegistry = readTemplates(this);
 
+    // Durable adapter data (e.g. the OCPP transaction journal) lives in the instance data directory.
+    try {
+      this.instanceDataDir = utils.getAbsoluteInstanceDataDir(this);
+    } catch (e) {
+      this.log.warn(`Instance data directory unavailable, OCPP transactions are not persisted: ${e && e.message ? e.message : e}`);
+    }
+
     // parse devices config (preferred: native.devices array, fallback: legacy devicesJson)
     const devicesCfg = Array.isArray(this.config.devices) ? this.config.devices : safeJsonParse(this.config.devicesJson || '[]', []);
     const devices = Array.isArray(devicesCfg) ? devicesCfg : [];
 
-    const globalConfig = {
-      pollIntervalMs: Number(this.config.pollIntervalMs || 5000),
-      modbusTimeoutMs: Number(this.config.modbusTimeoutMs || 2000),
-      registerAddressOffset: Number(this.config.registerAddressOffset || 0),
-    };
+    const globalConfig = this._globalConfig();
 
     if (!devices.length) {
       this.log.warn('No devices configured. Add devices in the admin UI.');
@@ -315,7 +360,7 @@ class NexowattDevicesAdapter extends utils.Adapter {
         if (!d.category) d.category = tpl.category;
         if (!d.manufacturer) d.manufacturer = tpl.manufacturer;
 
-        const rt = new DeviceRuntime(this, d, tpl, globalConfig);
+        const rt = new DeviceRuntime(this, d, templateForDevice(tpl, d), globalConfig);
         await rt.initObjects();
         await rt.start();
 
@@ -329,11 +374,44 @@ class NexowattDevicesAdapter extends utils.Adapter {
     // subscribe to all device states (writes)
     this.subscribeStates('devices.*');
 
+    await this._startModbusServer();
+
     // overall connection: true if at least one enabled device exists
     const anyEnabled = devices.some(d => d && d.enabled !== false);
     await this.setStateAsync('info.connection', { val: anyEnabled, ack: true });
   }
 
+  _globalConfig() {
+    return {
+      pollIntervalMs: Number(this.config.pollIntervalMs || 5000),
+      modbusTimeoutMs: Number(this.config.modbusTimeoutMs || 2000),
+      registerAddressOffset: Number(this.config.registerAddressOffset || 0),
+    };
+  }
+
+  /** Optional Modbus TCP server publishing aliases.v1 of all devices (lib/modbusServer.js). */
+  async _startModbusServer() {
+    if (!this.config.modbusServerEnabled) return;
+    let map;
+    const mapJson = String(this.config.modbusServerMapJson || '').trim();
+    if (mapJson) {
+      map = safeJsonParse(mapJson, null);
+      if (!Array.isArray(map)) {
+        this.log.warn('Modbus server: register map is not a JSON array, using the default map');
+        map = undefined;
+      }
+    }
+    this.modbusServer = new AliasModbusServer(this, this.deviceRuntimes, {
+      host: this.config.modbusServerHost || '0.0.0.0',
+      port: Number(this.config.modbusServerPort || MODBUS_SERVER_DEFAULT_PORT),
+      unitId: Number(this.config.modbusServerUnitId || 1),
+      baseAddress: Number(this.config.modbusServerBaseAddress ?? 40000),
+      map,
+      allowWrites: this.config.modbusServerAllowWrites === true,
+    });
+    await this.modbusServer.start();
+  }
+
   async onStateChange(id, state) {
     // Ignore acked states here. Otherwise every internal setState() from the poll loop
     // re-enters the dispatcher and creates avoidable event churn / RAM pressure.
@@ -386,6 +464,8 @@ class NexowattDevicesAdapter extends utils.Adapter {
       case 'modbusTcp': return 'Modbus TCP';
       case 'modbusRtu': return 'Modbus RTU';
       case 'modbusAscii': return 'Modbus ASCII';
+      case 'modbusRtuOverTcp': return 'Modbus RTU over TCP (gateway)';
+      case 'modbusUdp': return 'Modbus RTU over UDP (gateway)';
       case 'mqtt': return 'MQTT';
       case 'http': return 'HTTP/JSON';
       case 'taCmi': return 'TA CMI JSON + Modbus bridge';
@@ -394,6 +474,8 @@ class NexowattDevicesAdapter extends utils.Adapter {
       case 'mbus': return 'M-Bus';
       case 'onewire': return '1-Wire';
       case 'canbus': return 'CANbus';
+      case 'ocpp': return 'OCPP 1.6J / 2.0.1 / 2.1 (Central System)';
+      case 'virtual': return 'Virtual (site aggregation)';
       default: return s;
     }
   }
@@ -469,9 +551,9 @@ class NexowattDevicesAdapter extends utils.Adapter {
         const templateId = (msg.templateId || '').toString();
         const tpl = templateId ? byId[templateId] : null;
         const protos = (tpl && Array.isArray(tpl.protocols) && tpl.protocols.length) ? tpl.protocols : [
-          'modbusTcp', 'modbusRtu', 'modbusAscii', 'mqtt', 'http', 'taCmi', 'udp', 'speedwire', 'mbus', 'onewire', 'canbus'
+          'modbusTcp', 'modbusRtu', 'modbusAscii', 'mqtt', 'http', 'taCmi', 'udp', 'speedwire', 'mbus', 'onewire', 'canbus', 'ocpp', 'virtual'
         ];
-        const res = Array.from(new Set(protos.map(p => String(p)))).map(p => ({ value: p, label: this._protocolLabel(p) }));
+        const res = Array.from(new Set(withRtuGatewayProtocols(protos.map(p => String(p))))).map(p => ({ value: p, label: this._protocolLabel(p) }));
         return this.sendTo(obj.from, obj.command, res, obj.callback);
       }
 
@@ -480,6 +562,46 @@ class NexowattDevicesAdapter extends utils.Adapter {
         return this.sendTo(obj.from, obj.command, res, obj.callback);
       }
 
+      if (cmd === 'ocppReadConfiguration' || cmd === 'ocppGetConfiguration' || cmd === 'ocppWriteConfiguration') {
+        const res = await this._handleOcppConfigurationMessage(cmd, msg);
+        return this.sendTo(obj.from, obj.command, res, obj.callback);
+      }
+
+      if (cmd === 'ocppExportTransactions') {
+        const res = await this._handleOcppExportMessage(msg);
+        return this.sendTo(obj.from, obj.command, res, obj.callback);
+      }
+
+      if (cmd === 'modbusServerMap') {
+        const res = this.modbusServer ? { registers: this.modbusServer.describeMap() } : { error: 'Modbus server is not enabled' };
+        return this.sendTo(obj.from, obj.command, res, obj.callback);
+      }
+
+      if (cmd === 'modbusScan') {
+        const res = await this._handleModbusScanMessage(msg);
+        return this.sendTo(obj.from, obj.command, res, obj.callback);
+      }
+
+      if (cmd === 'modbusReadDeviceIdentification') {
+        const res = await this._handleModbusDeviceIdentificationMessage(msg);
+        return this.sendTo(obj.from, obj.command, res, obj.callback);
+      }
+
+      if (cmd === 'aliasConformanceReport') {
+        const res = this._handleAliasConformanceMessage(msg);
+        return this.sendTo(obj.from, obj.command, res, obj.callback);
+      }
+
+      if (cmd === 'valueHistory') {
+        const res = this._handleValueHistoryMessage(msg);
+        return this.sendTo(obj.from, obj.command, res, obj.callback);
+      }
+
+      if (cmd === 'sunspecDiscover') {
+        const res = await this._handleSunSpecDiscoverMessage(msg);
+        return this.sendTo(obj.from, obj.command, res, obj.callback);
+      }
+
       // Unknown command
       return this.sendTo(obj.from, obj.command, [], obj.callback);
     } catch (e) {
@@ -494,8 +616,202 @@ class NexowattDevicesAdapter extends utils.Adapter {
   }
 
 
+  /**
+   * OCPP configuration browser for the admin UI.
+   * ocppReadConfiguration { deviceId, keys? } -> GetConfiguration / GetBaseReport / GetVariables
+   * ocppGetConfiguration { deviceId }         -> known entries [{ key, value, writable, unit }]
+   * ocppWriteConfiguration { deviceId, key, value } -> ChangeConfiguration / SetVariables
+   */
+  async _handleOcppConfigurationMessage(cmd, msg) {
+    const deviceId = String((msg && msg.deviceId) || '');
+    const rt = this.deviceRuntimes.find(r => r && r.cfg && r.cfg.id === deviceId);
+    const driver = rt && rt.driver;
+    if (!driver || typeof driver.readConfiguration !== 'function') {
+      return { error: `OCPP device "${deviceId}" not found or not running` };
+    }
+    try {
+      if (cmd === 'ocppGetConfiguration') return { entries: driver.listConfiguration() };
+      if (cmd === 'ocppReadConfiguration') {
+        const result = await driver.readConfiguration({ keys: msg.keys });
+        return { ...result, entries: driver.listConfiguration() };
+      }
+      return await driver.writeConfiguration(msg.key, msg.value);
+    } catch (e) {
+      return { error: e && e.message ? e.message : String(e) };
+    }
+  }
+
+  /**
+   * OCPP transaction journal export (billing).
+   * ocppExportTransactions { deviceId, format: 'csv'|'json', from?, to?, idTag?, connectorId?, includeOpen?, delimiter? }
+   *   -> { format, count, data }
+   */
+  async _handleOcppExportMessage(msg) {
+    const deviceId = String((msg && msg.deviceId) || '');
+    const rt = this.deviceRuntimes.find(r => r && r.cfg && r.cfg.id === deviceId);
+    const driver = rt && rt.driver;
+    if (!driver || typeof driver.exportTransactions !== 'function') {
+      return { error: `OCPP device "${deviceId}" not found or not running` };
+    }
+    try {
+      return await driver.exportTransactions(msg);
+    } catch (e) {
+      return { error: e && e.message ? e.message : String(e) };
+    }
+  }
+
+  /**
+   * Modbus register scanner for the admin UI.
+   * modbusScan { deviceId?, device?, fc, address, count, unitId? } -> { fc, address, count, unitId, rows, aborted? }
+   * Uses the running device with deviceId; otherwise a temporary connection is opened with the
+   * (unsaved) device config from the dialog.
+   */
+  async _handleModbusScanMessage(msg) {
+    const deviceId = String((msg && msg.deviceId) || '');
+    const rt = this.deviceRuntimes.find(r => r && r.cfg && r.cfg.id === deviceId);
+    let driver = rt && rt.driver && typeof rt.driver.scanRegisters === 'function' ? rt.driver : null;
+    let temporary = false;
+    try {
+      if (!driver) {
+        const d = msg && msg.device;
+        if (!d || !['modbusTcp', 'modbusRtu', 'modbusAscii', 'modbusRtuOverTcp', 'modbusUdp'].includes(d.protocol)) {
+          return { error: `Modbus device "${deviceId}" not found or not running` };
+        }
+        const tpl = this.templateRegistry.byId[d.templateId] || this.templateRegistry.byId['generic.modbus'] || { datapoints: [] };
+        driver = new ModbusDriver(this, { ...d, id: d.id || 'scan' }, tpl, this._globalConfig());
+        temporary = true;
+      }
+      return await driver.scanRegisters(msg);
+    } catch (e) {
+      return { error: e && e.message ? e.message : String(e) };
+    } finally {
+      if (temporary) await driver.disconnect().catch(() => {});
+    }
+  }
+
+  /**
+   * Modbus device identification (FC43/14) with template suggestions for the admin UI.
+   * modbusReadDeviceIdentification { deviceId?, device?, unitId? } -> { identification, suggestions }
+   * A running device also stores the result below info.*; otherwise a temporary connection is
+   * opened with the (unsaved) device config from the dialog, like modbusScan.
+   */
+  async _handleModbusDeviceIdentificationMessage(msg) {
+    const deviceId = String((msg && msg.deviceId) || '');
+    const rt = this.deviceRuntimes.find(r => r && r.cfg && r.cfg.id === deviceId);
+    let driver = null;
+    let temporary = false;
+    try {
+      let identification;
+      if (rt && rt.driver && typeof rt.driver.readDeviceIdentification === 'function') {
+        identification = await rt.readDeviceIdentification();
+      } else {
+        const d = msg && msg.device;
+        if (!d || !['modbusTcp', 'modbusRtu', 'modbusAscii', 'modbusRtuOverTcp', 'modbusUdp'].includes(d.protocol)) {
+          return { error: `Modbus device "${deviceId}" not found or not running` };
+        }
+        const tpl = this.templateRegistry.byId[d.templateId] || this.templateRegistry.byId['generic.modbus'] || { datapoints: [] };
+        driver = new ModbusDriver(this, { ...d, id: d.id || 'identify' }, tpl, this._globalConfig());
+        temporary = true;
+        identification = await driver.readDeviceIdentification(msg);
+      }
+      return { identification, suggestions: suggestTemplates(identification, this.templateRegistry.templates) };
+    } catch (e) {
+      return { error: e && e.message ? e.message : String(e) };
+    } finally {
+      if (temporary) await driver.disconnect().catch(() => {});
+    }
+  }
+
+  /**
+   * Alias Contract conformance matrix (templates incl. user templates and running devices).
+   * aliasConformanceReport { templateId?, deviceId?, issuesOnly? } -> { summary, templates, devices, ... }
+   */
+  _handleAliasConformanceMessage(msg) {
+    const templateId = String((msg && msg.templateId) || '');
+    const deviceId = String((msg && msg.deviceId) || '');
+    try {
+      const all = (this.templateRegistry && this.templateRegistry.templates) || [];
+      const templates = templateId ? all.filter(t => t && t.id === templateId) : (deviceId ? [] : all);
+      const runtimes = this.deviceRuntimes.filter(rt => rt && rt.cfg && (!deviceId || rt.cfg.id === deviceId));
+      if (templateId && !templates.length) return { error: `Template "${templateId}" not found` };
+      if (deviceId && !runtimes.length) return { error: `Device "${deviceId}" not found or not running` };
+      return buildConformanceReport({ templates, runtimes: (templateId && !deviceId) ? [] : runtimes, DeviceRuntime, issuesOnly: !!(msg && msg.issuesOnly) });
+    } catch (e) {
+      return { error: e && e.message ? e.message : String(e) };
+    }
+  }
+
+  /**
+   * Rolling value history of a running device (device option "historyEnabled").
+   * valueHistory { deviceId, dpId?, from?, to?, intervalMs? } -> { deviceId, resolutionMs, datapoints } or { deviceId, dpId, samples }
+   * from/to accept ISO strings or ms timestamps; intervalMs re-aggregates the buckets (e.g. 900000).
+   */
+  _handleValueHistoryMessage(msg) {
+    const deviceId = String((msg && msg.deviceId) || '');
+    const rt = this.deviceRuntimes.find(r => r && r.cfg && r.cfg.id === deviceId);
+    if (!rt) return { error: `Device "${deviceId}" not found or not running` };
+    const history = rt._valueHistory;
+    if (!history) return { error: `Value history is not enabled for device "${deviceId}"` };
+
+    const toMs = (value) => {
+      if (value === undefined || value === null || value === '') return undefined;
+      const n = typeof value === 'number' ? value : Date.parse(String(value));
+      return Number.isFinite(n) ? n : undefined;
+    };
+    const dpId = String((msg && msg.dpId) || '');
+    if (!dpId) {
+      return { deviceId, resolutionMs: history.resolutionMs, retentionMs: history.retentionMs, datapoints: history.datapoints() };
+    }
+    const samples = history.query(dpId, { from: toMs(msg.from), to: toMs(msg.to), intervalMs: Number(msg.intervalMs) || undefined });
+    if (!samples) return { error: `Datapoint "${dpId}" is not recorded for device "${deviceId}"` };
+    return { deviceId, dpId, resolutionMs: history.resolutionMs, samples };
+  }
+
+  /**
+   * SunSpec model-chain discovery for a running Modbus device.
+   * sunspecDiscover { deviceId, save?, templateId?, name? } -> { template, models, common, saved }
+   * With save=true the generated template is stored in native.userTemplates (restarts the instance).
+   * Runs on the device's own connection (many inverters accept only one Modbus TCP client).
+   * The scan changes unit id, offset and word order while it runs, so the poll loop is held
+   * off via runExclusive() and picks up again with the restored addressing afterwards.
+   */
+  async _handleSunSpecDiscoverMessage(msg) {
+    const deviceId = String((msg && msg.deviceId) || '');
+    const rt = this.deviceRuntimes.find(r => r && r.cfg && r.cfg.id === deviceId);
+    if (!rt || !rt.driver || typeof rt.driver.discoverSunSpecModelChain !== 'function') {
+      return { error: `Modbus device "${deviceId}" not found or not running` };
+    }
+    const driver = rt.driver;
+    try {
+      const discovery = await driver.runExclusive(() => driver.discoverSunSpecModelChain());
+      if (!discovery.found) return { error: 'SunSpec signature "SunS" not found' };
+
+      const template = buildSunSpecTemplate(discovery, { id: msg.templateId, name: msg.name });
+      const models = template.sunspec.models;
+      if (!template.datapoints.length) return { error: 'No supported SunSpec model found', models, common: discovery.common };
+
+      let saved = false;
+      if (msg.save) {
+        const existing = this.templateRegistry && this.templateRegistry.byId[template.id];
+        if (existing && !(existing.source && existing.source.type === 'user')) return { error: `Template id "${template.id}" is used by a built-in template`, template, models };
+        const list = (Array.isArray(this.config.userTemplates) ? this.config.userTemplates : []).filter(t => t && t.id !== template.id);
+        list.push(template);
+        await this.extendForeignObjectAsync(`system.adapter.${this.namespace}`, { native: { userTemplates: list } });
+        saved = true;
+        this.log.info(`SunSpec template "${template.id}" saved (${template.datapoints.length} datapoints, models ${models.map(m => m.id).join(', ')})`);
+      }
+      return { template, models, common: discovery.common, saved };
+    } catch (e) {
+      return { error: e && e.message ? e.message : String(e) };
+    }
+  }
+
   async onUnload(callback) {
     try {
+      if (this.modbusServer) {
+        await this.modbusServer.stop().catch(() => {});
+        this.modbusServer = null;
+      }
       for (const rt of this.deviceRuntimes) {
         try { await rt.stop(); } catch (e) { /* ignore */ }
       }
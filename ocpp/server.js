@@ -1,5 +1,6 @@
 'use strict';
 
+const https = require('node:https');
 const { RPCServer } = require('ocpp-rpc');
 const { registerHandlers: register16 } = require('./v16');
 const { registerHandlers: register201 } = require('./v201');
@@ -24,7 +25,18 @@ class OcppRpcServer {
           const ok = this.ctx.config.identityAllowlist.includes(identity);
           if (!ok) return reject(403, 'Identity not allowed');
         }
-        accept({ session: { connectedAt: Date.now(), identity } });
+        const secure = !!(handshake.request && handshake.request.socket && handshake.request.socket.encrypted);
+        let basicAuth = false;
+        if (this.ctx.security && typeof this.ctx.security.verify === 'function') {
+          const verdict = this.ctx.security.verify(identity, handshake.password, secure);
+          if (!verdict.ok) {
+            this.ctx.log.warn(`OCPP connection of ${identity} from ${handshake.remoteAddress} rejected: ${verdict.message}`);
+            return reject(verdict.code || 401, verdict.message);
+          }
+          basicAuth = !!verdict.basicAuth;
+        }
+        const localAddress = handshake.request && handshake.request.socket ? handshake.request.socket.localAddress : undefined;
+        accept({ connectedAt: Date.now(), identity, basicAuth, secure, localAddress });
       } catch (e) {
         reject(500, 'auth error');
       }
@@ -35,12 +47,35 @@ class OcppRpcServer {
   }
 
   async listen() {
-    await this.server.listen(this.opts.port, this.opts.host || '0.0.0.0');
-    this.ctx.log.info(`NexoWatt OCPP listening on ${(this.opts.host || '0.0.0.0')}:${this.opts.port} for ${this.opts.protocols.join(', ')}`);
+    const host = this.opts.host || '0.0.0.0';
+    if (this.opts.tls) {
+      // Security profile 2: the RPC server only handles the upgrade of our TLS listener.
+      this.httpsServer = https.createServer({ ...this.opts.tls }, (req, res) => {
+        res.statusCode = 404;
+        res.end();
+      });
+      this.httpsServer.on('upgrade', this.server.handleUpgrade);
+      await new Promise((resolve, reject) => {
+        this.httpsServer.once('error', reject);
+        this.httpsServer.listen(this.opts.port, host, () => {
+          this.httpsServer.off('error', reject);
+          resolve();
+        });
+      });
+    } else {
+      await this.server.listen(this.opts.port, host);
+    }
+    this.ctx.log.info(`NexoWatt OCPP listening on ${this.opts.tls ? 'wss' : 'ws'}://${host}:${this.opts.port} for ${this.opts.protocols.join(', ')}`);
   }
 
   async close() {
     await this.server.close();
+    if (this.httpsServer) {
+      const server = this.httpsServer;
+      this.httpsServer = null;
+      if (typeof server.closeAllConnections === 'function') server.closeAllConnections();
+      await new Promise((resolve) => server.close(() => resolve()));
+    }
   }
 
   async onClient(client) {
@@ -71,7 +106,15 @@ class OcppRpcServer {
       this.ctx.log.info(`Charging station disconnected: ${rawIdentity}${details && details.reason ? ` (${details.reason})` : ''}`);
     });
 
-    await this.ctx.states.setConnection(stateIdentity, true, { socketConnected: true, rawIdentity, protocol: proto });
+    const session = client.session || {};
+    await this.ctx.states.setConnection(stateIdentity, true, {
+      socketConnected: true,
+      rawIdentity,
+      protocol: proto,
+      basicAuth: !!session.basicAuth,
+      secure: !!session.secure,
+      localAddress: session.localAddress,
+    });
   }
 }
 
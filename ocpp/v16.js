@@ -53,6 +53,27 @@ function registerHandlers(client, ctx) {
       return response;
     });
   };
+  // IdTagInfo from the central authorization list; without ctx.auth every idTag is accepted.
+  // While a list is active, a failing or empty lookup rejects the idTag (fail closed).
+  const authListActive = () => {
+    if (typeof ctx.auth.listActive !== 'function') return true;
+    try {
+      return ctx.auth.listActive(id) !== false;
+    } catch (_) {
+      return true;
+    }
+  };
+  const idTagInfo = (idTag) => {
+    if (!idTag || !ctx.auth || typeof ctx.auth.idTagInfo !== 'function') return { status: 'Accepted' };
+    let info = null;
+    try {
+      info = ctx.auth.idTagInfo(id, protocol, idTag);
+    } catch (error) {
+      logDeferredError('authorize', error);
+    }
+    if (info && info.status) return info;
+    return { status: authListActive() ? 'Invalid' : 'Accepted' };
+  };
   const connectorBase = (evseId, connectorId) => ctx.states && typeof ctx.states.connectorBase === 'function'
     ? ctx.states.connectorBase(id, evseId, connectorId)
     : `${id}.connectors.${evseId}_${connectorId}`;
@@ -83,7 +104,7 @@ function registerHandlers(client, ctx) {
   handle('Authorize', ({ params }) => {
     const idTag = params && params.idTag;
     if (idTag) defer('Authorize', () => ctx.states.setRfid(id, idTag, undefined));
-    return { idTagInfo: { status: 'Accepted' } };
+    return { idTagInfo: idTagInfo(idTag) };
   });
 
   handle('Heartbeat', () => {
@@ -160,7 +181,7 @@ function registerHandlers(client, ctx) {
         }
       }
     });
-    return { transactionId: txId, idTagInfo: { status: 'Accepted' } };
+    return { transactionId: txId, idTagInfo: idTagInfo(p.idTag) };
   });
 
   handle('StopTransaction', ({ params }) => {
@@ -183,7 +204,7 @@ function registerHandlers(client, ctx) {
         reason: p.reason, chargingState: 'Idle', ts,
       });
     });
-    return { idTagInfo: { status: 'Accepted' } };
+    return { idTagInfo: idTagInfo(p.idTag) };
   });
 
   handle('FirmwareStatusNotification', ({ params }) => {
@@ -196,6 +217,12 @@ function registerHandlers(client, ctx) {
     return {};
   });
 
+  // Security extension (1.6 security whitepaper): the CSR is kept for the external CA.
+  handle('SignCertificate', ({ params }) => {
+    if (!ctx.security || typeof ctx.security.signCertificate !== 'function') return { status: 'Rejected' };
+    return ctx.security.signCertificate(id, protocol, params);
+  });
+
   handle('DataTransfer', ({ params }) => {
     const p = params || {};
     const vin = findVinInPayload(p.data);
@@ -52,6 +52,27 @@ function registerV2Handlers(client, ctx, protocol) {
       return response;
     });
   };
+  // IdTokenInfo from the central authorization list; without ctx.auth every token is accepted.
+  // While a list is active, a failing or empty lookup rejects the token (fail closed).
+  const authListActive = () => {
+    if (typeof ctx.auth.listActive !== 'function') return true;
+    try {
+      return ctx.auth.listActive(id) !== false;
+    } catch (_) {
+      return true;
+    }
+  };
+  const idTokenInfo = (token, tokenType) => {
+    if (!token || !ctx.auth || typeof ctx.auth.idTagInfo !== 'function') return { status: 'Accepted' };
+    let info = null;
+    try {
+      info = ctx.auth.idTagInfo(id, protocol, token, tokenType);
+    } catch (error) {
+      logDeferredError('authorize', error);
+    }
+    if (info && info.status) return info;
+    return { status: authListActive() ? 'Unknown' : 'Accepted' };
+  };
 
   handle('BootNotification', ({ params }) => {
     const p = params || {};
@@ -88,7 +109,7 @@ function registerV2Handlers(client, ctx, protocol) {
     const token = p.idToken && p.idToken.idToken;
     const tokenType = p.idToken && p.idToken.type;
     if (token) defer('Authorize', () => ctx.states.setRfid(id, token, tokenType));
-    return { idTokenInfo: { status: 'Accepted' } };
+    return { idTokenInfo: idTokenInfo(token, tokenType) };
   });
 
   handle('StatusNotification', ({ params }) => {
@@ -141,7 +162,7 @@ function registerV2Handlers(client, ctx, protocol) {
         ts,
       });
     });
-    return p.idToken ? { idTokenInfo: { status: 'Accepted' } } : {};
+    return p.idToken ? { idTokenInfo: idTokenInfo(idTag, idTokenType) } : {};
   });
 
   handle('FirmwareStatusNotification', ({ params }) => {
@@ -187,12 +208,36 @@ function registerV2Handlers(client, ctx, protocol) {
       targetSocPercent: finite(v2x.targetSoC),
       fullSocPercent: finite(dc.fullSoC),
       bulkSocPercent: finite(dc.bulkSoC),
-      energyRequestWh: finite(dc.energyAmount, ac.energyAmount),
+      energyRequestWh: finite(dc.energyAmount, ac.energyAmount, v2x.evTargetEnergyRequest),
+      minCurrentA: finite(ac.evMinCurrent, v2x.minChargeCurrent),
       batteryCapacityWh: finite(dc.evEnergyCapacity),
       maxPowerW: finite(dc.evMaxPower, v2x.maxChargePower),
       maxCurrentA: finite(dc.evMaxCurrent, ac.evMaxCurrent, v2x.maxChargeCurrent),
       maxVoltageV: finite(dc.evMaxVoltage, ac.evMaxVoltage, v2x.maxVoltage),
       maxScheduleTuples: finite(p.maxScheduleTuples),
+      controlMode: needs.controlMode,
+      mobilityNeedsMode: needs.mobilityNeedsMode,
+      availableEnergyTransfer: Array.isArray(needs.availableEnergyTransfer) ? needs.availableEnergyTransfer.join(',') : undefined,
+    };
+    // OCPP 2.1 bidirectional (V2X) parameters; kept for later V2G control.
+    const modes = [needs.requestedEnergyTransfer].concat(Array.isArray(needs.availableEnergyTransfer) ? needs.availableEnergyTransfer : []);
+    const v2xFields = {
+      bidirectional: modes.some(mode => /BPT/.test(String(mode || ''))),
+      minChargePowerW: finite(v2x.minChargePower),
+      maxChargePowerW: finite(v2x.maxChargePower),
+      minDischargePowerW: finite(v2x.minDischargePower),
+      maxDischargePowerW: finite(v2x.maxDischargePower),
+      minChargeCurrentA: finite(v2x.minChargeCurrent),
+      maxChargeCurrentA: finite(v2x.maxChargeCurrent),
+      minDischargeCurrentA: finite(v2x.minDischargeCurrent),
+      maxDischargeCurrentA: finite(v2x.maxDischargeCurrent),
+      minVoltageV: finite(v2x.minVoltage),
+      maxVoltageV: finite(v2x.maxVoltage),
+      targetEnergyRequestWh: finite(v2x.evTargetEnergyRequest),
+      minEnergyRequestWh: finite(v2x.evMinEnergyRequest),
+      maxEnergyRequestWh: finite(v2x.evMaxEnergyRequest),
+      minV2XEnergyRequestWh: finite(v2x.evMinV2XEnergyRequest),
+      maxV2XEnergyRequestWh: finite(v2x.evMaxV2XEnergyRequest),
     };
 
     defer('NotifyEVChargingNeeds', async () => {
@@ -202,6 +247,10 @@ function registerV2Handlers(client, ctx, protocol) {
         const category = /socPercent$/i.test(key) ? 'soc' : 'status';
         await write(`${id}.vehicle.${key}`, value, category);
       }
+      for (const [key, value] of Object.entries(v2xFields)) {
+        if (value === undefined || value === null) continue;
+        await write(`${id}.vehicle.v2x.${key}`, value, 'status');
+      }
       if (soc !== undefined) {
         const socId = ctx.states && typeof ctx.states.ensureMeasurementState === 'function'
           ? await ctx.states.ensureMeasurementState(id, 'socPercent', '%', {
@@ -215,6 +264,14 @@ function registerV2Handlers(client, ctx, protocol) {
         }
       }
     });
+    // With ctx.scheduling the central system answers with a TxProfile (see ocppChargingNeeds.js).
+    if (ctx.scheduling && typeof ctx.scheduling.onChargingNeeds === 'function') {
+      try {
+        return ctx.scheduling.onChargingNeeds(id, protocol, p) || { status: 'Accepted' };
+      } catch (error) {
+        logDeferredError('scheduling', error);
+      }
+    }
     return { status: 'Accepted' };
   });
 
@@ -225,12 +282,16 @@ function registerV2Handlers(client, ctx, protocol) {
     return {};
   });
 
-  // Certificate/security workflows require a PKI backend. Fail explicitly until one is configured.
-  handle('SignCertificate', () => ({ status: 'Rejected' }));
+  // The CSR is kept for the external CA; the signed chain goes back via CertificateSigned
+  // (central system -> station). Without ctx.security there is nobody to sign it.
+  handle('SignCertificate', ({ params }) => {
+    if (!ctx.security || typeof ctx.security.signCertificate !== 'function') return { status: 'Rejected' };
+    return ctx.security.signCertificate(id, protocol, params);
+  });
+  // EV contract certificates and OCSP need a V2G PKI backend. Fail explicitly until one is configured.
   handle('Get15118EVCertificate', () => ({ status: 'Failed', exiResponse: '' }));
   handle('GetCertificateStatus', () => ({ status: 'Failed' }));
   handle('InstallCertificate', () => ({ status: 'Rejected' }));
-  handle('CertificateSigned', () => ({ status: 'Rejected' }));
 
   client.handle(async ({ method, params }) => {
     fireRuntime('noteMessage', id, method);
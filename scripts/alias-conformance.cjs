@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+'use strict';
+
+// Alias Contract conformance matrix for all built-in templates.
+//
+//   node scripts/alias-conformance.cjs [--out <datei>] [--issues] [--strict] [--template <id>]
+//
+// --issues    nur Templates mit fehlenden Pflicht-Aliasen oder Einheitenabweichungen
+// --strict    Exit-Code 1, wenn ein Template nicht konform ist
+// --template  nur dieses Template (mehrfach möglich)
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const root = path.resolve(__dirname, '..');
+const { buildConformanceReport } = require(path.join(root, 'lib/aliasConformance'));
+
+function parseArgs(argv) {
+  const args = { out: '', issues: false, strict: false, templateIds: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--out') args.out = argv[++i] || '';
+    else if (arg === '--issues') args.issues = true;
+    else if (arg === '--strict') args.strict = true;
+    else if (arg === '--template') args.templateIds.push(argv[++i] || '');
+    else {
+      console.error(`Unbekannte Option: ${arg}`);
+      process.exit(2);
+    }
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const { templates } = JSON.parse(fs.readFileSync(path.join(root, 'lib/templates.json'), 'utf8'));
+const selected = args.templateIds.length ? templates.filter(t => t && args.templateIds.includes(t.id)) : templates;
+if (args.templateIds.length && selected.length !== args.templateIds.length) {
+  const known = new Set(selected.map(t => t.id));
+  console.error(`Template nicht gefunden: ${args.templateIds.filter(id => !known.has(id)).join(', ')}`);
+  process.exit(2);
+}
+
+const report = buildConformanceReport({ templates: selected, issuesOnly: args.issues });
+const json = `${JSON.stringify(report, null, 2)}\n`;
+
+if (args.out) {
+  fs.writeFileSync(path.resolve(args.out), json, 'utf8');
+  const s = report.summary;
+  console.log(`Alias-Konformität: ${s.conformant}/${s.templates} Templates konform, ${s.missingRequired} mit fehlenden und ${s.unbackedRequired} mit leeren Pflicht-Aliasen, ${s.unitMismatches} mit nicht umrechenbaren Einheiten -> ${args.out}`);
+} else {
+  process.stdout.write(json);
+}
+
+if (args.strict && report.summary.conformant !== report.summary.templates) process.exit(1);
@@ -41,7 +41,7 @@ const managedRootFiles = [
   'README.md',
   'LICENSE',
 ];
-const managedDirectories = ['admin', 'lib', 'scripts', 'docs'];
+const managedDirectories = ['admin', 'lib', 'ocpp', 'scripts', 'docs'];
 
 const errors = [];
 const notices = [];
@@ -236,20 +236,23 @@ function verifyTemplateCopies() {
 }
 
 function verifyAliasContractCopies() {
-  const adminContract = path.join(root, 'admin', 'alias-contract-v1.json');
-  const runtimeContract = path.join(root, 'lib', 'alias-contract-v1.json');
+  for (const version of ['v1', 'v2']) {
+    const fileName = `alias-contract-${version}.json`;
+    const adminContract = path.join(root, 'admin', fileName);
+    const runtimeContract = path.join(root, 'lib', fileName);
 
-  if (!fs.existsSync(adminContract) || !fs.existsSync(runtimeContract)) {
-    errors.push('admin/alias-contract-v1.json oder lib/alias-contract-v1.json fehlt');
-    return;
-  }
+    if (!fs.existsSync(adminContract) || !fs.existsSync(runtimeContract)) {
+      errors.push(`admin/${fileName} oder lib/${fileName} fehlt`);
+      continue;
+    }
 
-  const adminHash = sha256(adminContract);
-  const runtimeHash = sha256(runtimeContract);
-  if (adminHash !== runtimeHash) {
-    errors.push(`Alias-Contract-Kopien unterscheiden sich: admin=${adminHash}, lib=${runtimeHash}`);
-  } else {
-    notices.push(`Alias Contract v1 identisch: ${adminHash.slice(0, 12)}…`);
+    const adminHash = sha256(adminContract);
+    const runtimeHash = sha256(runtimeContract);
+    if (adminHash !== runtimeHash) {
+      errors.push(`Alias-Contract-${version}-Kopien unterscheiden sich: admin=${adminHash}, lib=${runtimeHash}`);
+    } else {
+      notices.push(`Alias Contract ${version} identisch: ${adminHash.slice(0, 12)}…`);
+    }
   }
 }
 
@@ -353,6 +356,49 @@ function verifyAliasContract(parsed) {
 
   const counts = Object.fromEntries([...classCounts.entries()].sort());
   notices.push(`${templates.length} Templates mit Alias Contract v1 klassifiziert: ${JSON.stringify(counts)}`);
+
+  verifyAliasContractV2(parsed, contract, validateSpecMap, lookupSpec);
+}
+
+// Alias Contract v2 extends v1: it may only add paths, never redefine a v1 path.
+function verifyAliasContractV2(parsed, contractV1, validateSpecMap, lookupV1Spec) {
+  const file = 'lib/alias-contract-v2.json';
+  const contract = requireParsedJson(parsed, file);
+  if (!contract) return;
+
+  if (contract.contractId !== contractV1.contractId) {
+    errors.push(`${file}: contractId muss ${JSON.stringify(contractV1.contractId)} sein`);
+  }
+  if (contract.schemaVersion !== 2 || contract.namespace !== 'v2' || contract.extends !== 'v1') {
+    errors.push(`${file}: schemaVersion=2, namespace="v2" und extends="v1" sind erforderlich`);
+  }
+  if (contract.standardPath !== 'aliases.v2' || contract.metadataPath !== 'aliases.meta.v2') {
+    errors.push(`${file}: standardPath/metadataPath sind ungültig`);
+  }
+  if (contract.legacyAliasesPreserved !== true) {
+    errors.push(`${file}: legacyAliasesPreserved muss true sein`);
+  }
+  const migration = contract.migration || {};
+  if (migration.from !== 'v1' || migration.publishedInParallel !== true) {
+    errors.push(`${file}: migration.from="v1" und migration.publishedInParallel=true sind erforderlich`);
+  }
+
+  let added = 0;
+  for (const [deviceClass, classDef] of Object.entries(contract.deviceClasses || {})) {
+    if (!(contractV1.deviceClasses || {})[deviceClass]) {
+      errors.push(`${file}: unbekannte deviceClass ${deviceClass}`);
+      continue;
+    }
+    validateSpecMap(`v2.${deviceClass}.required`, classDef.required);
+    validateSpecMap(`v2.${deviceClass}.optional`, classDef.optional);
+    for (const aliasPath of Object.keys(classDef.required || {}).concat(Object.keys(classDef.optional || {}))) {
+      if (lookupV1Spec(deviceClass, aliasPath)) {
+        errors.push(`${file}: ${deviceClass}.${aliasPath} ist bereits in v1 definiert und darf nicht verändert werden`);
+      }
+      added++;
+    }
+  }
+  notices.push(`Alias Contract v2 erweitert v1 um ${added} Pfade`);
 }
 
 
@@ -506,8 +552,10 @@ function verifyRequiredFiles() {
     'bootstrap.js',
     'admin/templates.json',
     'admin/alias-contract-v1.json',
+    'admin/alias-contract-v2.json',
     'lib/templates.json',
     'lib/alias-contract-v1.json',
+    'lib/alias-contract-v2.json',
     'lib/aliasContract.js',
     'scripts/run-tests.cjs',
     'scripts/package-sanitize.cjs',
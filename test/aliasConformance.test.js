@@ -0,0 +1,84 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { buildConformanceReport, templateConformance, deviceConformance, signConventionFor } = require('../lib/aliasConformance');
+
+const root = path.resolve(__dirname, '..');
+const helper = require('./helpers/compatibilityHarness.cjs');
+const DeviceRuntime = helper.loadDeviceRuntime(path.join(root, 'lib/deviceRuntime.js'));
+const { templates } = require('../lib/templates.json');
+
+const byId = id => templates.find(t => t.id === id);
+
+test('the matrix covers every built-in template', () => {
+  const report = buildConformanceReport({ templates, DeviceRuntime });
+  assert.equal(report.schemaVersion, 1);
+  assert.equal(report.canonicalUnits.power, 'W');
+  assert.equal(report.templates.length, templates.length);
+  assert.equal(report.summary.templates, templates.length);
+  assert.equal(report.summary.errors, 0);
+  assert.equal(report.summary.missingRequired, 0);
+  for (const entry of report.templates) {
+    assert.ok(Array.isArray(entry.missingRequired) && Array.isArray(entry.unbackedRequired), entry.templateId);
+    assert.ok(Array.isArray(entry.unitMismatches) && Array.isArray(entry.signConventions), entry.templateId);
+  }
+
+  const issues = buildConformanceReport({ templates, DeviceRuntime, issuesOnly: true });
+  assert.ok(issues.templates.every(e => !e.conformant || e.unitMismatches.length));
+  assert.equal(issues.summary.templates, templates.length);
+});
+
+test('empty required aliases, unit conversions and sign conventions are listed', () => {
+  const meter = templateConformance(byId('meter.eastron.MeterEastronSdm630Impl'), DeviceRuntime);
+  assert.equal(meter.deviceClass, 'meter');
+  assert.equal(meter.conformant, true);
+  const power = meter.signConventions.find(s => s.path === 'r.power');
+  assert.match(power.convention, /positive=grid import/);
+
+  const bare = templateConformance({ id: 'test.ess', category: 'ESS', datapoints: [{ id: 'sOC', type: 'number', unit: '%', rw: 'ro', source: { kind: 'modbus' } }] }, DeviceRuntime);
+  assert.equal(bare.conformant, false);
+  assert.deepEqual(bare.missingRequired, []);
+  assert.deepEqual(bare.unbackedRequired, ['r.power', 'r.powerCharge', 'r.powerDischarge']);
+
+  const kw = templateConformance({
+    id: 'test.meter.kw',
+    category: 'METER',
+    datapoints: [{ id: 'aCTIVE_POWER', type: 'number', unit: 'kW', rw: 'ro', source: { kind: 'modbus', invert: true } }],
+  }, DeviceRuntime);
+  assert.deepEqual(kw.unitMismatches, [{ path: 'r.power', dpId: 'aCTIVE_POWER', sourceUnit: 'kW', canonicalUnit: 'W', converted: true }]);
+  assert.deepEqual(kw.signConventions.find(s => s.path === 'r.power').transforms, ['invert']);
+  assert.equal(kw.conformant, true);
+
+  assert.match(signConventionFor('storageSystem', 'r.power'), /positive=discharge/);
+  assert.equal(signConventionFor('io', 'r.power'), null);
+});
+
+test('running devices are reported with their device id', () => {
+  const tpl = byId('meter.eastron.MeterEastronSdm630Impl');
+  const runtime = new DeviceRuntime({ log: { debug() {}, info() {}, warn() {}, error() {} } }, { id: 'grid', templateId: tpl.id, category: tpl.category, connection: {} }, tpl, {});
+  for (const dp of tpl.datapoints) runtime.dpById.set(dp.id, dp);
+  runtime._buildAliasDefinitions();
+
+  const entry = deviceConformance(runtime);
+  assert.equal(entry.deviceId, 'grid');
+  assert.equal(entry.templateId, tpl.id);
+  assert.equal(entry.conformant, true);
+
+  const report = buildConformanceReport({ runtimes: [runtime, { cfg: { id: 'notStarted' } }], DeviceRuntime });
+  assert.equal(report.summary.devices, 1);
+  assert.equal(report.devices[0].deviceId, 'grid');
+});
+
+test('the script writes the matrix as JSON', () => {
+  const res = spawnSync(process.execPath, [path.join(root, 'scripts/alias-conformance.cjs'), '--template', 'meter.virtual.site'], { encoding: 'utf8', timeout: 60000 });
+  assert.equal(res.status, 0, res.stderr);
+  const report = JSON.parse(res.stdout);
+  assert.equal(report.templates.length, 1);
+  assert.equal(report.templates[0].templateId, 'meter.virtual.site');
+
+  const unknown = spawnSync(process.execPath, [path.join(root, 'scripts/alias-conformance.cjs'), '--template', 'nope'], { encoding: 'utf8', timeout: 60000 });
+  assert.equal(unknown.status, 2);
+});
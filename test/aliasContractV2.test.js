@@ -0,0 +1,176 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const {
+  contract,
+  contractV2,
+  getAliasSpec,
+  buildManifest,
+} = require('../lib/aliasContract');
+
+const root = path.resolve(__dirname, '..');
+const helper = require('./helpers/compatibilityHarness.cjs');
+const DeviceRuntime = helper.loadDeviceRuntime(path.join(root, 'lib/deviceRuntime.js'));
+const { templates } = require('../lib/templates.json');
+
+const log = { debug() {}, info() {}, warn() {}, error() {} };
+const byId = id => templates.find(t => t.id === id);
+
+function buildRuntime(template, cfg = {}, adapter = { log }) {
+  const runtime = new DeviceRuntime(adapter, {
+    id: 'dev',
+    templateId: template.id,
+    category: template.category,
+    connection: {},
+    ...cfg,
+  }, template, {});
+  for (const dp of template.datapoints || []) {
+    runtime.dpById.set(dp.id, dp);
+    runtime.dpByStateRelId.set(runtime.relStateId(dp), dp);
+  }
+  return runtime;
+}
+
+function aliasRuntime(template, cfg) {
+  const states = new Map();
+  const runtime = buildRuntime(template, cfg, {
+    namespace: 'nexowatt-devices.0',
+    log,
+    async setStateAsync(id, state) { states.set(id, state.val); },
+    async setObjectNotExistsAsync() {},
+  });
+  runtime.aliasDefs = runtime._buildAliasDefinitions();
+  for (const def of runtime.aliasDefs) runtime.aliasByStateRelId.set(def.relId, def);
+  const value = (namespace, p) => {
+    const entry = runtime._stateCache.get(`devices.dev.aliases.${namespace}.${p}`);
+    return entry ? entry.val : undefined;
+  };
+  return { runtime, value };
+}
+
+const meterTemplate = {
+  id: 'test.meter.v2',
+  category: 'METER',
+  datapoints: [
+    { id: 'aCTIVE_POWER', type: 'number', unit: 'kW', rw: 'ro', source: { kind: 'modbus' } },
+    { id: 'aCTIVE_POWER_L1', type: 'number', unit: 'kW', rw: 'ro', source: { kind: 'modbus' } },
+    { id: 'aCTIVE_POWER_L2', type: 'number', unit: 'kW', rw: 'ro', source: { kind: 'modbus' } },
+    { id: 'rEACTIVE_POWER', type: 'number', unit: 'kvar', rw: 'ro', source: { kind: 'modbus' } },
+    { id: 'aPPARENT_POWER_L3', type: 'number', unit: 'VA', rw: 'ro', source: { kind: 'modbus' } },
+    { id: 'aCTIVE_CONSUMPTION_ENERGY_L1', type: 'number', unit: 'kWh', rw: 'ro', source: { kind: 'modbus' } },
+    { id: 'vOLTAGE_L1', type: 'number', unit: 'V', rw: 'ro', source: { kind: 'modbus' } },
+  ],
+};
+
+test('v2 extends v1 without redefining any v1 path', () => {
+  assert.equal(
+    fs.readFileSync(path.join(root, 'lib/alias-contract-v2.json'), 'utf8'),
+    fs.readFileSync(path.join(root, 'admin/alias-contract-v2.json'), 'utf8'),
+  );
+  assert.equal(contractV2.schemaVersion, 2);
+  assert.equal(contractV2.namespace, 'v2');
+  assert.equal(contractV2.legacyAliasesPreserved, true);
+  assert.equal(contractV2.migration.from, 'v1');
+  assert.equal(contractV2.migration.publishedInParallel, true);
+
+  for (const [deviceClass, classDef] of Object.entries(contract.deviceClasses)) {
+    for (const p of Object.keys({ ...classDef.required, ...classDef.optional })) {
+      const { scope, ...v1 } = getAliasSpec(deviceClass, p);
+      const { scope: scopeV2, ...v2 } = getAliasSpec(deviceClass, p, contractV2);
+      assert.deepEqual(v2, v1, `${deviceClass}.${p}`);
+    }
+  }
+  assert.ok(contractV2.migration.addedPaths.meter.includes('r.powerL1'));
+  assert.deepEqual(contractV2.migration.addedPaths.storageSystem, ['r.capacityWh', 'r.usableEnergyWh']);
+  assert.equal(getAliasSpec('meter', 'r.powerL1'), null);
+  assert.equal(getAliasSpec('meter', 'r.reactivePower', contractV2).unit, 'var');
+});
+
+test('meters publish per-phase, reactive and apparent power only below aliases.v2', async () => {
+  const { runtime, value } = aliasRuntime(meterTemplate);
+  const paths = runtime.aliasDefs.map(d => d.relId.replace('devices.dev.aliases.', ''));
+  assert.ok(!paths.includes('r.powerL1'), 'legacy namespace stays unchanged');
+  assert.ok(!paths.includes('v1.r.powerL1'));
+  assert.ok(paths.includes('v2.r.powerL1'));
+  assert.ok(paths.includes('v2.r.voltageL1'));
+  assert.deepEqual(runtime.aliasContractInfoV2.missingRequired, []);
+
+  await runtime._updateAliases({
+    aCTIVE_POWER: 3.2,
+    aCTIVE_POWER_L1: 1.5,
+    aCTIVE_POWER_L2: 1.7,
+    rEACTIVE_POWER: 0.4,
+    aPPARENT_POWER_L3: 900,
+    aCTIVE_CONSUMPTION_ENERGY_L1: 12.5,
+    vOLTAGE_L1: 231,
+  });
+  assert.equal(value('v1', 'r.power'), 3200);
+  assert.equal(value('v2', 'r.power'), 3200);
+  assert.equal(value('v2', 'r.powerL1'), 1500);
+  assert.equal(value('v2', 'r.powerL2'), 1700);
+  assert.equal(value('v2', 'r.reactivePower'), 400);
+  assert.equal(value('v2', 'r.apparentPowerL3'), 900);
+  assert.equal(value('v2', 'r.energyImportL1'), 12500);
+  assert.equal(value('v2', 'r.voltageL1'), 231);
+
+  const { runtime: inverted, value: invertedValue } = aliasRuntime(meterTemplate, { signConvention: 'meter positive=export' });
+  await inverted._updateAliases({ aCTIVE_POWER: 3.2, aCTIVE_POWER_L1: 1.5 });
+  assert.equal(invertedValue('v1', 'r.power'), -3200);
+  assert.equal(invertedValue('v2', 'r.powerL1'), -1500);
+});
+
+test('storage systems publish installed capacity and usable energy in Wh', async () => {
+  const { runtime, value } = aliasRuntime(byId('ess.fenecon.FeneconHomeEssImpl'));
+  const capacity = runtime.aliasByStateRelId.get('devices.dev.aliases.v2.r.capacityWh');
+  assert.equal(capacity.dpId, 'bATTERY_CAPACITY');
+  assert.equal(capacity.unit, 'Wh');
+  await runtime._updateAliases({ bATTERY_CAPACITY: 10, sOC: 40 });
+  assert.equal(value('v2', 'r.capacityWh'), 10000);
+  assert.equal(value('v2', 'r.usableEnergyWh'), 4000);
+
+  const { runtime: tesvolt } = aliasRuntime(byId('ess.tesvolt.iotGateway.mqttV2'));
+  assert.equal(tesvolt.aliasByStateRelId.get('devices.dev.aliases.v2.r.usableEnergyWh').dpId, 'bATTERY_ENERGY_CONTENT');
+});
+
+test('device initialization publishes v2 objects, heartbeat and migration metadata', async () => {
+  const objects = new Map();
+  const states = new Map();
+  const adapter = {
+    log,
+    async setObjectNotExistsAsync(id, object) { if (!objects.has(id)) objects.set(id, structuredClone(object)); },
+    async extendObjectAsync(id, object) {
+      const base = objects.get(id) || {};
+      objects.set(id, { ...base, ...object, common: { ...base.common, ...object.common }, native: { ...base.native, ...object.native } });
+    },
+    async setStateAsync(id, state) { states.set(id, { ...state }); },
+    async getStateAsync(id) { return states.get(id) || null; },
+  };
+  const template = byId('meter.socomec.diris_a10');
+  const runtime = buildRuntime(template, { id: 'grid' }, adapter);
+  await runtime.initObjects();
+
+  const powerL1 = objects.get('devices.grid.aliases.v2.r.powerL1');
+  assert.equal(powerL1.common.unit, 'W');
+  assert.equal(powerL1.native.aliasContractVersion, 2);
+  assert.equal(powerL1.native.capability, 'read.powerL1');
+  assert.equal(objects.get('devices.grid.aliases.v2.r.online').native.aliasContractVersion, 2);
+  assert.equal(objects.get('devices.grid.aliases.v2').common.name, 'Alias Contract v2');
+  assert.deepEqual(objects.get('devices.grid.aliases').native.aliasNamespaces, ['v1', 'v2']);
+
+  // v1 metadata is unchanged, v2 has its own below aliases.meta.v2.
+  assert.equal(JSON.parse(states.get('devices.grid.aliases.meta.manifest').val).namespace, 'v1');
+  const manifest = JSON.parse(states.get('devices.grid.aliases.meta.v2.manifest').val);
+  assert.equal(manifest.schemaVersion, 2);
+  assert.equal(manifest.standardPath, 'aliases.v2');
+  assert.deepEqual(manifest.migration.parallelNamespaces, ['v1', 'v2']);
+  assert.ok(manifest.migration.addedPaths.includes('r.reactivePowerL1'));
+  assert.ok(manifest.migration.addedCapabilities.includes('read.powerL1'));
+  assert.deepEqual(manifest.migration.renamedPaths, {});
+  assert.deepEqual(JSON.parse(states.get('devices.grid.aliases.meta.v2.migration').val), manifest.migration);
+
+  const v1Manifest = buildManifest(runtime.aliasContractInfo, template, {});
+  assert.equal(v1Manifest.migration, undefined);
+});
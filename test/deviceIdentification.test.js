@@ -0,0 +1,98 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { normalizeDeviceIdentification, suggestTemplates } = require('../lib/deviceIdentification');
+const { ModbusDriver } = require('../lib/drivers/modbus');
+
+const root = path.resolve(__dirname, '..');
+const helper = require('./helpers/compatibilityHarness.cjs');
+const DeviceRuntime = helper.loadDeviceRuntime(path.join(root, 'lib/deviceRuntime.js'));
+const { templates } = require('../lib/templates.json');
+
+const adapter = { log: { debug() {}, info() {}, warn() {}, error() {} } };
+
+function createDriver(answers) {
+  const driver = new ModbusDriver(adapter, {
+    id: 'ident',
+    protocol: 'modbusTcp',
+    templateId: 'generic.modbus',
+    connection: { host: '127.0.0.1', unitId: 1 },
+  }, { id: 'generic.modbus', datapoints: [] }, {});
+  driver.ensureConnected = async () => true;
+  driver.requests = [];
+  driver.client = {
+    setID() {},
+    async readDeviceIdentification(code, objectId) {
+      driver.requests.push([code, objectId]);
+      const answer = answers[code];
+      if (answer instanceof Error) throw answer;
+      return answer;
+    },
+  };
+  return driver;
+}
+
+test('identification objects are mapped to named fields', () => {
+  const identity = normalizeDeviceIdentification({ 0: 'Eastron ', 1: 'SDM630\u0000', 2: 'V2.1\u007f', 0x80: 'custom' }, 1);
+  assert.deepEqual(identity, {
+    vendorName: 'Eastron',
+    productCode: 'SDM630',
+    revision: 'V2.1',
+    objects: { 0: 'Eastron', 1: 'SDM630', 2: 'V2.1', 128: 'custom' },
+    conformityLevel: 1,
+  });
+  assert.equal(normalizeDeviceIdentification({}), null);
+});
+
+test('templates are suggested by manufacturer and model', () => {
+  const sdm630 = suggestTemplates({ vendorName: 'EASTRON', productCode: 'SDM630' }, templates);
+  assert.equal(sdm630[0].id, 'meter.eastron.MeterEastronSdm630Impl');
+  assert.ok(sdm630[0].score > sdm630[1].score);
+
+  const cmi = suggestTemplates({ vendorName: 'Technische Alternative', productCode: 'CMI' }, templates);
+  assert.equal(cmi[0].id, 'heat.ta.cmi');
+  assert.equal(cmi[0].category, 'HEAT');
+
+  assert.deepEqual(suggestTemplates({ vendorName: 'ACME', productCode: 'X1' }, templates), []);
+  assert.ok(suggestTemplates({ vendorName: 'Eastron' }, templates, 1).length === 1);
+});
+
+test('the driver falls back to the basic category when regular is rejected', async () => {
+  const illegal = new Error('Modbus exception 3: Illegal data value');
+  illegal.modbusCode = 3;
+  const driver = createDriver({ 2: illegal, 1: { data: { 0: 'TA', 1: 'CMI', 2: '1.39' }, conformityLevel: 1 } });
+  const identity = await driver.readDeviceIdentification();
+  assert.deepEqual(driver.requests, [[2, 0], [1, 0]]);
+  assert.equal(identity.productCode, 'CMI');
+
+  const timeout = new Error('Timed out');
+  timeout.name = 'TransactionTimedOutError';
+  const silent = createDriver({ 2: timeout });
+  await assert.rejects(() => silent.readDeviceIdentification(), /Timed out/);
+  assert.deepEqual(silent.requests, [[2, 0]]);
+});
+
+test('the runtime stores the identification below info.*', async () => {
+  const states = new Map();
+  const objects = new Map();
+  const runtime = new DeviceRuntime({
+    namespace: 'nexowatt-devices.0',
+    log: adapter.log,
+    async setStateAsync(id, state) { states.set(id, state.val); },
+    async setObjectNotExistsAsync(id, obj) { if (!objects.has(id)) objects.set(id, obj); },
+  }, { id: 'id1', templateId: 'generic.modbus', protocol: 'modbusTcp', connection: { readDeviceIdentification: true } }, { id: 'generic.modbus', datapoints: [] }, {});
+  assert.equal(runtime._shouldReadDeviceIdentification(), true);
+  runtime.driver = createDriver({ 2: { data: { 0: 'Eastron', 1: 'SDM630', 2: '2.1', 5: 'SDM630-Modbus V2' }, conformityLevel: 2 } });
+
+  await runtime.readDeviceIdentification();
+  assert.equal(states.get('devices.id1.info.vendorName'), 'Eastron');
+  assert.equal(states.get('devices.id1.info.productCode'), 'SDM630');
+  assert.equal(states.get('devices.id1.info.revision'), '2.1');
+  assert.equal(JSON.parse(states.get('devices.id1.info.deviceIdentification')).modelName, 'SDM630-Modbus V2');
+  assert.equal(objects.get('devices.id1.info.revision').common.role, 'info.firmware');
+
+  const rtu = new DeviceRuntime(runtime.adapter, { id: 'id2', protocol: 'modbusRtu', connection: { listenOnly: true, readDeviceIdentification: true } }, { datapoints: [] }, {});
+  assert.equal(rtu._shouldReadDeviceIdentification(), false);
+});
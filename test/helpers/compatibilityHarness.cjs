@@ -102,7 +102,7 @@ function legacyAliasCompatibility(DeviceRuntime, template) {
   const definitions = runtime._buildAliasDefinitions()
     .filter((def) => {
       const path = extractLegacyPath(def && def.relId);
-      return path && !path.startsWith('v1.') && !path.startsWith('meta.');
+      return path && !path.startsWith('v1.') && !path.startsWith('v2.') && !path.startsWith('meta.');
     })
     .map(legacyAliasDescriptor)
     .sort((left, right) => left.path.localeCompare(right.path));
@@ -0,0 +1,167 @@
+'use strict';
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { RPCClient, createRPCError } = require('ocpp-rpc');
+
+/**
+ * Scripted OCPP charge point for offline integration tests.
+ *
+ * A scenario (test/fixtures/ocpp-simulator/*.json) lists the messages a station sends and
+ * the states the central system must derive from them:
+ *
+ *   { "protocol": "ocpp1.6", "identity": "SIM-16",
+ *     "responses": { "TriggerMessage": { "status": "Accepted" } },
+ *     "steps": [
+ *       { "call": "StartTransaction", "params": { ..., "timestamp": "${now-60}" },
+ *         "expect": { "idTagInfo": { "status": "Accepted" } }, "save": { "tx": "transactionId" } },
+ *       { "call": "StopTransaction", "params": { "transactionId": "${tx}", ... } },
+ *       { "states": { "measurements.powerW": 0 }, "categories": { "measurements.powerW": "safeZero" } },
+ *       { "health": { "afterSec": 0, "expect": { "online": true } } }
+ *     ] }
+ *
+ * "${now}" / "${now+S}" / "${now-S}" become ISO timestamps relative to the step, "${name}"
+ * a value stored by "save" (a string consisting only of the placeholder keeps the type).
+ * "expect" compares the response partially. Calls of the central system are answered from
+ * "responses" (else DEFAULT_RESPONSES) and recorded in `received`.
+ */
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'ocpp-simulator');
+
+const DEFAULT_RESPONSES = Object.freeze({
+  'ocpp1.6': {
+    TriggerMessage: { status: 'Accepted' },
+    ChangeConfiguration: { status: 'Accepted' },
+    GetConfiguration: { configurationKey: [], unknownKey: [] },
+    SetChargingProfile: { status: 'Accepted' },
+    ClearChargingProfile: { status: 'Accepted' },
+    RemoteStartTransaction: { status: 'Accepted' },
+    RemoteStopTransaction: { status: 'Accepted' },
+  },
+  'ocpp2.0.1': {
+    TriggerMessage: { status: 'Accepted' },
+    SetVariables: { setVariableResult: [] },
+    SetChargingProfile: { status: 'Accepted' },
+    ClearChargingProfile: { status: 'Accepted' },
+    RequestStartTransaction: { status: 'Accepted' },
+    RequestStopTransaction: { status: 'Accepted' },
+  },
+});
+
+function loadScenario(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `${name}.json`), 'utf8'));
+}
+
+function resolveTemplate(value, vars, now) {
+  if (Array.isArray(value)) return value.map(item => resolveTemplate(item, vars, now));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [key, item] of Object.entries(value)) out[key] = resolveTemplate(item, vars, now);
+    return out;
+  }
+  if (typeof value !== 'string') return value;
+  const single = /^\$\{([^}]+)\}$/.exec(value);
+  if (single && !/^now/.test(single[1])) return vars[single[1]];
+  return value.replace(/\$\{([^}]+)\}/g, (match, name) => {
+    const rel = /^now(?:([+-])(\d+))?$/.exec(name);
+    if (rel) return new Date(now + (rel[1] === '-' ? -1 : 1) * Number(rel[2] || 0) * 1000).toISOString();
+    return String(vars[name]);
+  });
+}
+
+/** Partial comparison: every key of `expected` must match, extra keys in `actual` are ignored. */
+function assertPartial(actual, expected, label) {
+  if (expected && typeof expected === 'object' && !Array.isArray(expected)) {
+    assert.ok(actual && typeof actual === 'object', `${label}: object expected, got ${JSON.stringify(actual)}`);
+    for (const [key, item] of Object.entries(expected)) assertPartial(actual[key], item, `${label}.${key}`);
+    return;
+  }
+  assert.deepEqual(actual, expected, label);
+}
+
+function pick(source, dottedPath) {
+  return String(dottedPath).split('.').reduce((obj, key) => (obj === undefined || obj === null ? undefined : obj[key]), source);
+}
+
+class OcppStationSimulator {
+  /**
+   * @param {{endpoint: string, identity: string, protocol: string, password: (string|undefined), responses: (object|undefined)}} opts
+   */
+  constructor(opts) {
+    this.identity = opts.identity;
+    this.protocol = opts.protocol;
+    this.responses = { ...(DEFAULT_RESPONSES[opts.protocol] || {}), ...(opts.responses || {}) };
+    this.received = [];
+    this.vars = {};
+    this.client = new RPCClient({
+      endpoint: opts.endpoint,
+      identity: opts.identity,
+      password: opts.password,
+      protocols: [opts.protocol],
+      strictMode: true,
+      reconnect: false,
+    });
+    this.client.handle(({ method, params }) => {
+      this.received.push({ method, params });
+      if (!Object.prototype.hasOwnProperty.call(this.responses, method)) {
+        throw createRPCError('NotImplemented', `Simulator has no response for ${method}`);
+      }
+      return this.responses[method];
+    });
+  }
+
+  async connect() {
+    await this.client.connect();
+  }
+
+  async close() {
+    await this.client.close({ force: true });
+  }
+
+  /** Send one station message with placeholders resolved. */
+  call(method, params) {
+    return this.client.call(method, resolveTemplate(params || {}, this.vars, Date.now()));
+  }
+
+  /**
+   * Play the steps of a scenario.
+   * @param {object} scenario
+   * @param {{settle: Function, state: Function, health: Function}} hooks
+   *   settle(): wait until the central system processed the messages,
+   *   state(key) -> {val, category} of a station value,
+   *   health(now) -> connection health of the station (deriveConnectionHealth)
+   */
+  async play(scenario, hooks = {}) {
+    for (const [index, step] of (scenario.steps || []).entries()) {
+      const label = `${scenario.identity || this.identity} step ${index + 1}${step.call ? ` (${step.call})` : ''}`;
+      if (step.call) {
+        const response = await this.call(step.call, step.params);
+        if (step.expect) assertPartial(response, step.expect, label);
+        for (const [name, from] of Object.entries(step.save || {})) this.vars[name] = pick(response, from);
+      }
+      if (step.states || step.categories) {
+        await hooks.settle();
+        for (const [key, expected] of Object.entries(step.states || {})) {
+          const entry = hooks.state(key);
+          assert.deepEqual(entry ? entry.val : undefined, resolveTemplate(expected, this.vars, Date.now()), `${label}: ${key}`);
+        }
+        for (const [key, expected] of Object.entries(step.categories || {})) {
+          const entry = hooks.state(key);
+          assert.equal(entry ? entry.category : undefined, expected, `${label}: category of ${key}`);
+        }
+      }
+      if (step.health) {
+        await hooks.settle();
+        const health = hooks.health(Date.now() + (Number(step.health.afterSec) || 0) * 1000);
+        assertPartial(health, step.health.expect, `${label}: health`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  OcppStationSimulator,
+  loadScenario,
+  resolveTemplate,
+};
@@ -0,0 +1,71 @@
+'use strict';
+
+const fs = require('node:fs');
+const net = require('node:net');
+const path = require('node:path');
+
+/**
+ * Shared stubs for the OCPP driver tests.
+ *
+ * `createAdapter()` records states, objects and warnings like the adapter instance would
+ * publish them. Central systems and file servers listen on ports the OS hands out for
+ * port 0 (`freePort()`), so test files running side by side never share a port.
+ */
+
+const root = path.resolve(__dirname, '..', '..');
+const templatesDoc = JSON.parse(fs.readFileSync(path.join(root, 'lib/templates.json'), 'utf8'));
+
+const TEMPLATE = templatesDoc.templates.find((entry) => entry && entry.id === 'evcs.ocpp.chargePoint');
+
+function dp(id) {
+  return TEMPLATE.datapoints.find((entry) => entry.id === id);
+}
+
+function createAdapter(instanceDataDir) {
+  const states = new Map();
+  const objects = new Map();
+  const warnings = [];
+  return {
+    states,
+    objects,
+    warnings,
+    instanceDataDir,
+    namespace: 'nexowatt-devices.0',
+    log: { debug() {}, info() {}, warn(msg) { warnings.push(msg); }, error() {} },
+    async setObjectNotExistsAsync(id, obj) {
+      if (!objects.has(String(id))) objects.set(String(id), obj);
+    },
+    async setStateAsync(id, state) {
+      states.set(String(id), state && state.val);
+    },
+  };
+}
+
+async function waitFor(predicate, timeoutMs = 3000) {
+  const started = Date.now();
+  while (!predicate()) {
+    if (Date.now() - started > timeoutMs) throw new Error('condition not reached');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/** A local TCP port assigned by the OS (listen on port 0, then release it). */
+function freePort(host = '127.0.0.1') {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.once('error', reject);
+    server.listen(0, host, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+module.exports = {
+  TEMPLATE,
+  createAdapter,
+  dp,
+  freePort,
+  waitFor,
+};
@@ -89,13 +89,13 @@ test('Alias Contract v1 does not rename, remove or alter any pre-existing aliase
   }
 });
 
-test('standard aliases are isolated below aliases.v1 and metadata below aliases.meta', () => {
+test('standard aliases are isolated below aliases.v1/v2 and metadata below aliases.meta', () => {
   for (const template of templatesDoc.templates) {
     const runtime = helper.buildRuntime(DeviceRuntime, template, 'isolation');
     const definitions = runtime._buildAliasDefinitions();
     const legacy = definitions.filter((def) => {
       const pathName = helper.extractLegacyPath(def && def.relId);
-      return pathName && !pathName.startsWith('v1.') && !pathName.startsWith('meta.');
+      return pathName && !pathName.startsWith('v1.') && !pathName.startsWith('v2.') && !pathName.startsWith('meta.');
     });
     assert.ok(legacy.every((def) => def.aliasContractVersion === undefined), `${template.id}: v1 metadata leaked into legacy alias definition`);
     assert.ok(legacy.every((def) => def.compatibilityAlias !== true), `${template.id}: alias migration created a new legacy compatibility state`);
@@ -119,7 +119,7 @@ test('CHARGER/DC_CHARGER keep their old aliases while only v1 classifies them as
     const definitions = runtime._buildAliasDefinitions();
     const legacyPaths = definitions
       .map((def) => helper.extractLegacyPath(def && def.relId))
-      .filter((pathName) => pathName && !pathName.startsWith('v1.') && !pathName.startsWith('meta.'))
+      .filter((pathName) => pathName && !pathName.startsWith('v1.') && !pathName.startsWith('v2.') && !pathName.startsWith('meta.'))
       .sort();
     const v1Paths = definitions
       .map((def) => helper.extractLegacyPath(def && def.relId))
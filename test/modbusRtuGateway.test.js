@@ -0,0 +1,148 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const dgram = require('node:dgram');
+const crc16 = require('modbus-serial/utils/crc16');
+const { ModbusDriver } = require('../lib/drivers/modbus');
+
+const TCP_PORT = 19265;
+const UDP_PORT = 19266;
+const adapter = { log: { debug() {}, info() {}, warn() {}, error() {} } };
+
+// Two RS485 slaves behind the gateway; unit 3 has no register 9 (Illegal Data Address).
+function createSlaves() {
+  return {
+    2: new Map([[0, 200], [1, 201], [9, 209]]),
+    3: new Map([[0, 300], [1, 301]]),
+  };
+}
+
+function withCrc(bytes) {
+  const buf = Buffer.from(bytes);
+  const crc = crc16(buf);
+  return Buffer.concat([buf, Buffer.from([crc & 0xff, crc >> 8])]);
+}
+
+// Answers one raw RTU request (FC3/FC6, always 8 bytes). Unknown units stay silent like on a real bus.
+function answer(slaves, frame, log) {
+  if (frame.length !== 8 || crc16(frame.subarray(0, 6)) !== frame.readUInt16LE(6)) return null;
+  const unit = frame[0];
+  const fc = frame[1];
+  const addr = frame.readUInt16BE(2);
+  const arg = frame.readUInt16BE(4);
+  const regs = slaves[unit];
+  log.push([unit, fc, addr]);
+  if (!regs) return null;
+  if (fc === 3) {
+    const out = [unit, fc, arg * 2];
+    for (let i = 0; i < arg; i++) {
+      if (!regs.has(addr + i)) return withCrc([unit, fc | 0x80, 2]);
+      out.push(regs.get(addr + i) >> 8, regs.get(addr + i) & 0xff);
+    }
+    return withCrc(out);
+  }
+  if (fc === 6) {
+    regs.set(addr, arg);
+    return Buffer.from(frame);
+  }
+  return withCrc([unit, fc | 0x80, 1]);
+}
+
+function startTcpGateway(slaves) {
+  const gw = { log: [], connections: 0 };
+  gw.server = net.createServer((socket) => {
+    gw.connections++;
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length >= 8) {
+        const res = answer(slaves, pending.subarray(0, 8), gw.log);
+        pending = pending.subarray(8);
+        if (res) socket.write(res);
+      }
+    });
+  });
+  return new Promise((resolve) => gw.server.listen(TCP_PORT, '127.0.0.1', () => resolve(gw)));
+}
+
+function startUdpGateway(slaves) {
+  const gw = { log: [], server: dgram.createSocket('udp4') };
+  gw.server.on('message', (msg, rinfo) => {
+    const res = answer(slaves, msg, gw.log);
+    if (res) gw.server.send(res, rinfo.port, rinfo.address);
+  });
+  return new Promise((resolve) => gw.server.bind(UDP_PORT, '127.0.0.1', () => resolve(gw)));
+}
+
+function createDriver(id, protocol, port, unitId) {
+  return new ModbusDriver(adapter, {
+    id,
+    protocol,
+    templateId: 'generic.modbus',
+    connection: { host: '127.0.0.1', port, unitId, timeoutMs: 500 },
+  }, { id: 'generic.modbus', datapoints: [] }, {});
+}
+
+const datapoints = [
+  { id: 'r0', type: 'number', source: { kind: 'modbus', fc: 3, address: 0, length: 1, dataType: 'uint16' } },
+  { id: 'r1', type: 'number', source: { kind: 'modbus', fc: 3, address: 1, length: 1, dataType: 'uint16' } },
+];
+
+test('RTU over TCP: devices behind one gateway share a single connection', async () => {
+  const slaves = createSlaves();
+  const gw = await startTcpGateway(slaves);
+  const a = createDriver('gwA', 'modbusRtuOverTcp', TCP_PORT, 2);
+  const b = createDriver('gwB', 'modbusRtuOverTcp', TCP_PORT, 3);
+  try {
+    await a.connect();
+    await b.connect();
+    assert.equal(a.rtuBusKey, `tcp://127.0.0.1:${TCP_PORT}`);
+    assert.equal(a.rtuBus, b.rtuBus);
+
+    const [va, vb] = await Promise.all([a.readDatapoints(datapoints), b.readDatapoints(datapoints)]);
+    assert.deepEqual([va.r0, va.r1, vb.r0, vb.r1], [200, 201, 300, 301]);
+    assert.equal(gw.connections, 1);
+    // The grouped read fetches r0/r1 with one request per device.
+    assert.deepEqual(gw.log.map(([unit, fc, addr]) => [unit, fc, addr]).sort(), [[2, 3, 0], [3, 3, 0]]);
+
+    await b.writeDatapoint({ id: 'r1', rw: 'rw', source: { kind: 'modbus', fc: 6, address: 1, length: 1, dataType: 'uint16' } }, 42);
+    assert.equal(slaves[3].get(1), 42);
+
+    // A Modbus exception of one slave keeps the gateway connection for the others.
+    await assert.rejects(() => b._mbReadHoldingRegisters(9, 1), (err) => err.modbusCode === 2);
+    assert.equal((await a._mbReadHoldingRegisters(9, 1)).data[0], 209);
+    assert.equal(gw.connections, 1);
+  } finally {
+    await a.disconnect();
+    await b.disconnect();
+    await new Promise((resolve) => gw.server.close(resolve));
+  }
+});
+
+test('RTU over UDP: one datagram per frame, bus keyed by gateway address', async () => {
+  const slaves = createSlaves();
+  const gw = await startUdpGateway(slaves);
+  const a = createDriver('udpA', 'modbusUdp', UDP_PORT, 2);
+  const b = createDriver('udpB', 'modbusUdp', UDP_PORT, 3);
+  const silent = createDriver('udpC', 'modbusUdp', UDP_PORT, 4);
+  try {
+    await a.connect();
+    await b.connect();
+    await silent.connect();
+    assert.equal(a.rtuBusKey, `udp://127.0.0.1:${UDP_PORT}`);
+    assert.equal(a.rtuBus, b.rtuBus);
+
+    const [va, vb] = await Promise.all([a.readDatapoints(datapoints), b.readDatapoints(datapoints)]);
+    assert.deepEqual([va.r0, va.r1, vb.r0, vb.r1], [200, 201, 300, 301]);
+
+    await assert.rejects(() => silent._mbReadHoldingRegisters(0, 1), (err) => err.name === 'TransactionTimedOutError');
+    assert.equal((await a._mbReadHoldingRegisters(1, 1)).data[0], 201);
+  } finally {
+    await a.disconnect();
+    await b.disconnect();
+    await silent.disconnect();
+    await new Promise((resolve) => gw.server.close(resolve));
+  }
+});
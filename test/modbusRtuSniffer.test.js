@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const crc16 = require('modbus-serial/utils/crc16');
+const { ModbusRtuSniffer } = require('../lib/drivers/modbusRtuSniffer');
+const { ModbusDriver } = require('../lib/drivers/modbus');
+
+const root = path.resolve(__dirname, '..');
+const templatesDoc = JSON.parse(fs.readFileSync(path.join(root, 'lib/templates.json'), 'utf8'));
+const adapter = { log: { debug() {}, info() {}, warn() {}, error() {} } };
+
+function frame(bytes) {
+  const buf = Buffer.from(bytes);
+  const crc = crc16(buf);
+  return Buffer.concat([buf, Buffer.from([crc & 0xff, crc >> 8])]);
+}
+
+function readRequest(unit, fc, address, quantity) {
+  return frame([unit, fc, address >> 8, address & 0xff, quantity >> 8, quantity & 0xff]);
+}
+
+function registerResponse(unit, fc, words) {
+  const out = [unit, fc, words.length * 2];
+  for (const w of words) out.push(w >> 8, w & 0xff);
+  return frame(out);
+}
+
+function floatWords(value) {
+  const buf = Buffer.alloc(4);
+  buf.writeFloatBE(value);
+  return [buf.readUInt16BE(0), buf.readUInt16BE(2)];
+}
+
+test('parser pairs requests with responses across chunk borders and line noise', () => {
+  const sniffer = new ModbusRtuSniffer(adapter, { path: '/dev/null' });
+  const stream = Buffer.concat([
+    Buffer.from([0x00, 0x13]), // noise before the first frame
+    readRequest(1, 3, 100, 2),
+    registerResponse(1, 3, [0x1234, 0x5678]),
+    readRequest(2, 4, 0, 1),
+    frame([2, 0x84, 0x02]), // exception: nothing stored
+    frame([1, 16, 0, 200, 0, 2, 4, 0, 7, 0, 8]), // FC16 write by the master
+    frame([1, 16, 0, 200, 0, 2]),
+    readRequest(1, 1, 0, 10),
+    frame([1, 1, 2, 0b00000101, 0b00000010]),
+  ]);
+  let t = 1000;
+  for (let i = 0; i < stream.length; i += 3) sniffer.feed(stream.subarray(i, i + 3), t++);
+
+  assert.deepEqual(sniffer.read(1, 3, 100, 2, 0).data, [0x1234, 0x5678]);
+  assert.deepEqual(sniffer.read(1, 3, 200, 2, 0).data, [7, 8]);
+  assert.deepEqual(sniffer.read(1, 1, 0, 10, 0).data, [true, false, true, false, false, false, false, false, false, true]);
+  assert.throws(() => sniffer.read(2, 4, 0, 1, 0), (err) => err.code === 'E_MODBUS_NOT_OBSERVED');
+  assert.throws(() => sniffer.read(1, 3, 99, 2, 0), /UID1 FC3 99 not observed/);
+  assert.equal(sniffer.stats.pairs, 3);
+  assert.equal(sniffer.stats.exceptions, 1);
+  assert.equal(sniffer.stats.droppedBytes, 2);
+});
+
+test('a silence gap discards an incomplete frame', () => {
+  const sniffer = new ModbusRtuSniffer(adapter, { path: '/dev/null', gapMs: 20 });
+  const req = readRequest(5, 3, 0, 1);
+  sniffer.feed(req.subarray(0, 5), 0);
+  sniffer.feed(readRequest(5, 3, 10, 1), 100);
+  sniffer.feed(registerResponse(5, 3, [42]), 110);
+  assert.deepEqual(sniffer.read(5, 3, 10, 1, 0).data, [42]);
+  assert.equal(sniffer.stats.droppedBytes, 5);
+});
+
+test('listen-only driver maps observed SDM630 reads onto template datapoints', async () => {
+  const tpl = templatesDoc.templates.find((t) => t.id === 'meter.eastron.MeterEastronSdm630Impl');
+  const driver = new ModbusDriver(adapter, {
+    id: 'sdm630',
+    protocol: 'modbusRtu',
+    templateId: tpl.id,
+    connection: { path: '/dev/ttyUSB0', unitId: 2, listenOnly: true, sniffMaxAgeMs: 60000 },
+  }, tpl, {});
+  assert.equal(driver.listenOnly, true);
+  driver.sniffer = new ModbusRtuSniffer(adapter, { path: '/dev/ttyUSB0' });
+  driver.ensureConnected = async () => true;
+
+  // The inverter only polls voltage L1..L3 of its meter.
+  const now = Date.now();
+  driver.sniffer.feed(readRequest(2, 4, 0, 6), now);
+  driver.sniffer.feed(registerResponse(2, 4, [...floatWords(230.5), ...floatWords(231), ...floatWords(229.5)]), now);
+
+  const wanted = tpl.datapoints.filter((dp) => ['vOLTAGE_L1', 'vOLTAGE_L2', 'vOLTAGE_L3', 'cURRENT_L1'].includes(dp.id));
+  const values = await driver.readDatapoints(wanted);
+  assert.equal(values.vOLTAGE_L1, 230.5);
+  assert.equal(values.vOLTAGE_L2, 231);
+  assert.equal(values.vOLTAGE_L3, 229.5);
+  assert.equal(values.cURRENT_L1, undefined);
+
+  await assert.rejects(() => driver._mbWriteRegister(0, 1), (err) => err.code === 'E_MODBUS_LISTEN_ONLY');
+
+  // Nothing observed at all: the poll fails so the device goes offline.
+  const other = tpl.datapoints.filter((dp) => dp.id === 'cURRENT_L1');
+  await assert.rejects(() => driver.readDatapoints(other), (err) => err.code === 'E_MODBUS_NOT_OBSERVED');
+});
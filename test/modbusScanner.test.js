@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ModbusRTU = require('modbus-serial');
+const { ModbusDriver } = require('../lib/drivers/modbus');
+
+const PORT = 19264;
+const adapter = { log: { debug() {}, info() {}, warn() {}, error() {} } };
+
+// Registers 0..9 with a gap at 5 (Illegal Data Address) and a float32 -12.5 at 2/3.
+const registers = { 0: 0x1234, 1: 0xFFFE, 2: 0xC148, 3: 0x0000, 4: 0x4142, 6: 0x0001, 7: 0x0002, 8: 0x0003, 9: 0x0004 };
+function holding(addr) {
+  if (registers[addr] === undefined) throw { modbusErrorCode: 2, msg: 'Illegal data address' };
+  return registers[addr];
+}
+
+function startServer() {
+  const server = new ModbusRTU.ServerTCP({
+    getHoldingRegister: (addr) => holding(addr),
+    getMultipleHoldingRegisters: (addr, length) => Array.from({ length }, (_, i) => holding(addr + i)),
+    getCoil: (addr) => addr % 2 === 0,
+    getInputRegister: () => 0,
+    getDiscreteInput: () => false,
+  }, { host: '127.0.0.1', port: PORT, unitID: 255, debug: false });
+  return new Promise((resolve) => server.on('initialized', () => resolve(server)));
+}
+
+function createDriver(connection = {}) {
+  return new ModbusDriver(adapter, {
+    id: 'scan',
+    protocol: 'modbusTcp',
+    templateId: 'generic.modbus',
+    connection: { host: '127.0.0.1', port: PORT, unitId: 1, timeoutMs: 1000, ...connection },
+  }, { id: 'generic.modbus', datapoints: [] }, {});
+}
+
+test('scanner decodes every dataType and order and reports exceptions per address', async () => {
+  const server = await startServer();
+  const driver = createDriver();
+  try {
+    const res = await driver.scanRegisters({ fc: 3, address: 0, count: 10 });
+    assert.equal(res.rows.length, 10);
+    assert.equal(res.aborted, undefined);
+
+    const [r0, r1, r2, , r4, r5, r6] = res.rows;
+    assert.equal(r0.hex, '0x1234');
+    assert.equal(r0.decoded.uint16['be/be'], 0x1234);
+    assert.equal(r0.decoded.uint16['be/le'], 0x3412);
+    assert.equal(r1.decoded.int16['be/be'], -2);
+    assert.equal(r2.decoded.float32['be/be'], -12.5);
+    assert.equal(r2.decoded.float32['le/be'], bufferFloat([0x0000, 0xC148]));
+    assert.equal(r4.decoded.string['be/be'], 'AB');
+    assert.equal(r4.decoded.string['be/le'], 'BA');
+    // A 32-bit value cannot span the failed register 5.
+    assert.equal(r4.decoded.int32, undefined);
+
+    assert.equal(r5.exception, 2);
+    assert.equal(r5.decoded, undefined);
+    assert.equal(r6.decoded.uint64['be/be'], 0x0001000200030004);
+    assert.equal(r6.decoded.ipv4_u16['be/be'], '1.2.3.4');
+    assert.equal(r6.decoded.int32['le/be'], 0x00020001);
+
+    const coils = await driver.scanRegisters({ fc: 1, address: 10, count: 3 });
+    assert.deepEqual(coils.rows.map((r) => r.value), [true, false, true]);
+  } finally {
+    await driver.disconnect();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+test('scanner applies the configured address offset and validates its arguments', async () => {
+  const server = await startServer();
+  const driver = createDriver({ addressOffset: 6 });
+  try {
+    const res = await driver.scanRegisters({ fc: 3, address: 0, count: 2 });
+    assert.deepEqual(res.rows.map((r) => [r.address, r.protocolAddress, r.word]), [[0, 6, 1], [1, 7, 2]]);
+    await assert.rejects(() => driver.scanRegisters({ fc: 5, address: 0, count: 1 }), /function code/);
+    await assert.rejects(() => driver.scanRegisters({ fc: 3, address: 0, count: 501 }), /Count/);
+  } finally {
+    await driver.disconnect();
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+function bufferFloat(words) {
+  const buf = Buffer.alloc(4);
+  buf.writeUInt16BE(words[0], 0);
+  buf.writeUInt16BE(words[1], 2);
+  return buf.readFloatBE(0);
+}
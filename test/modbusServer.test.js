@@ -0,0 +1,206 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const ModbusRTU = require('modbus-serial');
+
+const root = path.resolve(__dirname, '..');
+const helper = require('./helpers/compatibilityHarness.cjs');
+const DeviceRuntime = helper.loadDeviceRuntime(path.join(root, 'lib/deviceRuntime.js'));
+const {
+  AliasModbusServer,
+  exportedAliasPaths,
+  vendorModelId,
+  encodeValue,
+  decodeValue,
+} = require('../lib/modbusServer');
+const templatesDoc = JSON.parse(fs.readFileSync(path.join(root, 'lib/templates.json'), 'utf8'));
+
+const PORT = 19262;
+
+function createAdapter() {
+  const runtimes = [];
+  const warnings = [];
+  return {
+    runtimes,
+    warnings,
+    namespace: 'nexowatt-devices.0',
+    log: { debug() {}, info() {}, warn(msg) { warnings.push(msg); }, error() {} },
+    async setStateAsync(id, state) {
+      // ioBroker delivers ack=false writes back through the subscription (main.js onStateChange).
+      if (state.ack) return;
+      const rt = runtimes.find((r) => String(id).startsWith(`${r.baseId}.`));
+      if (rt) await rt.handleStateChange(`${this.namespace}.${id}`, state);
+    },
+  };
+}
+
+function createChargerRuntime(adapter, writes) {
+  const template = templatesDoc.templates.find((entry) => entry && entry.id === 'evcs.abl.emh1.evcc2_3.modbusAscii');
+  const runtime = new DeviceRuntime(adapter, {
+    id: 'evcs1',
+    templateId: template.id,
+    category: template.category,
+    manufacturer: template.manufacturer,
+    connection: {},
+  }, template, {});
+  for (const dp of template.datapoints || []) {
+    runtime.dpById.set(dp.id, dp);
+    runtime.dpByStateRelId.set(runtime.relStateId(dp), dp);
+  }
+  for (const def of runtime._buildAliasDefinitions()) {
+    runtime.aliasByStateRelId.set(def.relId, def);
+    runtime.aliasDefs.push(def);
+  }
+  runtime.driver = {
+    async writeDatapoint(dp, value) {
+      writes.push({ id: dp.id, value });
+    },
+  };
+  return runtime;
+}
+
+function fakeMeter(values) {
+  return {
+    cfg: { id: 'meter1' },
+    baseId: 'devices.meter1',
+    aliasDeviceClass: 'meter',
+    getStandardAliasValue: (aliasPath) => values[aliasPath],
+    isStandardAliasWritable: () => false,
+  };
+}
+
+function float32(words) {
+  return decodeValue('float32', words);
+}
+
+test('register encoding uses big endian words, scale factors and SunSpec not-implemented values', () => {
+  assert.deepEqual(encodeValue('float32', 1.5), [0x3fc0, 0x0000]);
+  assert.deepEqual(encodeValue('int32', -2500, 0.1), [0xffff, 0x9e58]);
+  assert.deepEqual(encodeValue('uint16', true), [1]);
+  assert.deepEqual(encodeValue('int16', undefined), [0x8000]);
+  assert.deepEqual(encodeValue('float32', null), [0x7fc0, 0x0000]);
+  assert.equal(decodeValue('int32', [0xffff, 0x9e58], 0.1), -2500);
+  assert.equal(decodeValue('uint32', [0xffff, 0xffff]), undefined);
+  assert.equal(decodeValue('float32', [0x7fc0, 0x0000]), undefined);
+
+  const meterPaths = exportedAliasPaths('meter');
+  assert.deepEqual(meterPaths.slice(0, 4), ['comm.connected', 'alarm.offline', 'r.online', 'r.heartbeat']);
+  assert.ok(meterPaths.includes('r.power'));
+  assert.ok(!meterPaths.includes('r.lastSeenMs'), 'epoch timestamps are not exported');
+  assert.ok(!meterPaths.includes('comm.lastError'), 'strings are not exported');
+  assert.equal(vendorModelId('evCharger'), 64200);
+});
+
+test('default map publishes aliases.v1 and forwards ctrl.* writes to the device', async () => {
+  const adapter = createAdapter();
+  const writes = [];
+  const charger = createChargerRuntime(adapter, writes);
+  adapter.runtimes.push(charger);
+  await charger._setStateCached('devices.evcs1.aliases.v1.r.power', 4200);
+  await charger._setStateCached('devices.evcs1.aliases.v1.r.online', true);
+  const meter = fakeMeter({ 'r.power': -1234.5 });
+
+  const server = new AliasModbusServer(adapter, [charger, meter], { host: '127.0.0.1', port: PORT, unitId: 3, allowWrites: true });
+  await server.start();
+  const client = new ModbusRTU();
+  try {
+    const layout = server.describeMap();
+    const field = (device, aliasPath) => layout.find((entry) => entry.device === device && entry.path === aliasPath);
+    assert.equal(field('evcs1', 'ctrl.currentLimitA').writable, true);
+    assert.equal(field('evcs1', 'r.power').writable, false);
+    assert.equal(field('meter1', 'r.power').unit, 'W');
+
+    await client.connectTCP('127.0.0.1', { port: PORT });
+    client.setID(3);
+    client.setTimeout(2000);
+
+    const header = (await client.readHoldingRegisters(40000, 4 + 16)).data;
+    assert.deepEqual(header.slice(0, 3), [0x5375, 0x6e53, vendorModelId('evCharger')]);
+    assert.equal(header[3], 16 + exportedAliasPaths('evCharger').length * 2);
+    assert.equal(Buffer.from(header.slice(4).flatMap((w) => [w >> 8, w & 0xff])).toString('latin1').replace(/\0+$/, ''), 'evcs1');
+
+    const power = field('evcs1', 'r.power').address;
+    assert.equal(float32((await client.readHoldingRegisters(power, 2)).data), 4200);
+    assert.equal(float32((await client.readInputRegisters(field('evcs1', 'r.online').address, 2)).data), 1);
+    assert.deepEqual((await client.readHoldingRegisters(field('evcs1', 'r.energyTotal').address, 2)).data, [0x7fc0, 0]);
+    assert.equal(float32((await client.readHoldingRegisters(field('meter1', 'r.power').address, 2)).data), -1234.5);
+
+    // The meter block is followed by the SunSpec end model.
+    const meterLast = layout.filter((entry) => entry.device === 'meter1').pop();
+    assert.deepEqual((await client.readHoldingRegisters(meterLast.address + 2, 2)).data, [0xffff, 0]);
+
+    await client.writeRegisters(field('evcs1', 'ctrl.currentLimitA').address, encodeValue('float32', 16));
+    assert.equal(writes.length, 1);
+    assert.equal(writes[0].id, 'sET_ICMAX_DUTY_CYCLE_PCT');
+    assert.equal(charger.getStandardAliasValue('ctrl.currentLimitA'), 16);
+
+    await assert.rejects(() => client.writeRegisters(power, encodeValue('float32', 1)), (err) => err.modbusCode === 2);
+    await assert.rejects(() => client.readHoldingRegisters(100, 2), (err) => err.modbusCode === 2);
+    assert.equal(writes.length, 1);
+  } finally {
+    await new Promise((resolve) => client.close(resolve));
+    await server.stop();
+  }
+});
+
+test('custom map places aliases at fixed addresses with integer types and scale', async () => {
+  const adapter = createAdapter();
+  const values = { 'r.power': -2500, 'r.energyImportWh': 123456789 };
+  const server = new AliasModbusServer(adapter, [fakeMeter(values)], {
+    host: '127.0.0.1',
+    port: PORT + 1,
+    map: [
+      { address: 0, device: 'meter1', path: 'r.power', type: 'int32', scale: 0.1 },
+      { address: 2, device: 'meter1', path: 'r.energyImportWh', type: 'uint32', scale: 1 },
+      { address: 3, device: 'meter1', path: 'r.online', type: 'int16' },
+      { address: 10, device: 'unknown', path: 'r.power' },
+    ],
+  });
+  await server.start();
+  const client = new ModbusRTU();
+  try {
+    assert.deepEqual(server.describeMap().map((entry) => entry.address), [0, 2]);
+    await client.connectTCP('127.0.0.1', { port: PORT + 1 });
+    client.setID(1);
+    client.setTimeout(2000);
+    const data = (await client.readHoldingRegisters(0, 4)).data;
+    assert.equal(decodeValue('int32', data.slice(0, 2), 0.1), -2500);
+    assert.equal(decodeValue('uint32', data.slice(2, 4)), 123456789);
+  } finally {
+    await new Promise((resolve) => client.close(resolve));
+    await server.stop();
+  }
+});
+
+test('writes are refused unless allowed and bind errors are reported', async () => {
+  const adapter = createAdapter();
+  const writes = [];
+  const charger = createChargerRuntime(adapter, writes);
+  adapter.runtimes.push(charger);
+  const server = new AliasModbusServer(adapter, [charger], { host: '127.0.0.1', port: PORT + 2 });
+  assert.equal(server.allowWrites, false);
+  await server.start();
+  assert.equal(server.listening, true);
+  const blocked = new AliasModbusServer(adapter, [charger], { host: '127.0.0.1', port: PORT + 2 });
+  await blocked.start();
+  assert.equal(blocked.listening, false);
+  assert.equal(blocked.server, null);
+  assert.ok(adapter.warnings.some((msg) => msg.includes(`could not start on 127.0.0.1:${PORT + 2}`)));
+
+  const client = new ModbusRTU();
+  try {
+    await client.connectTCP('127.0.0.1', { port: PORT + 2 });
+    client.setID(1);
+    client.setTimeout(2000);
+    const address = server.describeMap().find((entry) => entry.path === 'ctrl.currentLimitA').address;
+    await assert.rejects(() => client.writeRegisters(address, encodeValue('float32', 16)), (err) => err.modbusCode === 1);
+    assert.equal(writes.length, 0);
+  } finally {
+    await new Promise((resolve) => client.close(resolve));
+    await server.stop();
+  }
+  assert.equal(new AliasModbusServer(adapter, []).port, 1502);
+});
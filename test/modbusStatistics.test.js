@@ -0,0 +1,102 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { ModbusDriver } = require('../lib/drivers/modbus');
+
+const root = path.resolve(__dirname, '..');
+const helper = require('./helpers/compatibilityHarness.cjs');
+const DeviceRuntime = helper.loadDeviceRuntime(path.join(root, 'lib/deviceRuntime.js'));
+
+const adapter = { log: { debug() {}, info() {}, warn() {}, error() {} } };
+
+function modbusException(code) {
+  const err = new Error(`Modbus exception ${code}: Illegal data address (register not supported by device)`);
+  err.modbusCode = code;
+  return err;
+}
+
+// Registers 0..9 exist, 5 is missing; register 100 times out.
+function createDriver(connection = {}) {
+  const driver = new ModbusDriver(adapter, {
+    id: 'stats',
+    protocol: 'modbusTcp',
+    templateId: 'generic.modbus',
+    connection: { host: '127.0.0.1', unitId: 1, continueOnReadError: true, ...connection },
+  }, { id: 'generic.modbus', datapoints: [] }, {});
+  driver.ensureConnected = async () => true;
+  driver.client = {
+    async readHoldingRegisters(start, len) {
+      if (start === 100) {
+        const err = new Error('Timed out');
+        err.name = 'TransactionTimedOutError';
+        throw err;
+      }
+      if (start <= 5 && start + len > 5) throw modbusException(2);
+      return { data: Array.from({ length: len }, (_, i) => start + i) };
+    },
+    async writeRegister() {
+      throw modbusException(4);
+    },
+  };
+  return driver;
+}
+
+const dp = (id, address) => ({ id, type: 'number', source: { kind: 'modbus', fc: 3, address, length: 1, dataType: 'uint16' } });
+
+test('request, exception and round-trip counters', async () => {
+  const driver = createDriver();
+  await driver._mbReadHoldingRegisters(0, 2);
+  await assert.rejects(() => driver._mbReadHoldingRegisters(5, 1));
+  await assert.rejects(() => driver._mbWriteRegister(7, 1));
+  await assert.rejects(() => driver._mbReadHoldingRegisters(100, 1));
+
+  const d = driver.getDiagnostics();
+  assert.equal(d.requests, 4);
+  assert.equal(d.timeouts, 1);
+  assert.equal(d.transportErrors, 0);
+  assert.deepEqual(d.exceptions, { 2: 1, 4: 1 });
+  assert.equal(d.exceptionCount, 2);
+  assert.ok(d.rttMinMs >= 0 && d.rttMinMs <= d.rttAvgMs && d.rttAvgMs <= d.rttMaxMs);
+});
+
+test('split and skipped read groups are listed with their datapoints', async () => {
+  const driver = createDriver();
+  const values = await driver.readDatapoints([dp('a', 4), dp('b', 5), dp('c', 6)]);
+  assert.deepEqual(values, { a: 4, c: 6 });
+
+  const d = driver.getDiagnostics();
+  assert.equal(d.splitGroups.length, 1);
+  assert.equal(d.splitGroups[0].group, '1:3:4:6');
+  assert.deepEqual(d.splitGroups[0].dpIds, ['a', 'b', 'c']);
+  assert.equal(d.skippedGroups.length, 1);
+  assert.equal(d.skippedGroups[0].group, '1:3:5:5');
+  assert.deepEqual(d.skippedGroups[0].dpIds, ['b']);
+  assert.match(d.skippedGroups[0].lastError, /exception 2/);
+  assert.ok(d.skippedGroups[0].remainingMs > 0);
+});
+
+test('the runtime publishes the statistics below info.modbus', async () => {
+  const states = new Map();
+  const objects = new Map();
+  const runtime = new DeviceRuntime({
+    namespace: 'nexowatt-devices.0',
+    log: adapter.log,
+    async setStateAsync(id, state) { states.set(id, state.val); },
+    async setObjectNotExistsAsync(id, obj) { if (!objects.has(id)) objects.set(id, obj); },
+  }, { id: 'm1', templateId: 'generic.modbus', protocol: 'modbusTcp', connection: {} }, { id: 'generic.modbus', datapoints: [] }, {});
+  runtime.driver = createDriver();
+  await assert.rejects(() => runtime.driver._mbReadHoldingRegisters(5, 1));
+
+  await runtime._updateModbusDiagnostics(true);
+  assert.equal(states.get('devices.m1.info.modbus.requests'), 1);
+  assert.equal(states.get('devices.m1.info.modbus.exceptions'), '{"2":1}');
+  assert.equal(states.get('devices.m1.info.modbus.skippedGroups'), '[]');
+  assert.equal(objects.get('devices.m1.info.modbus.rttAvgMs').common.unit, 'ms');
+
+  // Throttled: a second update right away does not touch the states.
+  await runtime.driver._mbReadHoldingRegisters(0, 1);
+  await runtime._updateModbusDiagnostics();
+  assert.equal(states.get('devices.m1.info.modbus.requests'), 1);
+});
@@ -0,0 +1,141 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('node:net');
+const { ModbusDriver } = require('../lib/drivers/modbus');
+
+const PORT = 19267;
+const adapter = { log: { debug() {}, info() {}, warn() {}, error() {} } };
+
+// Gateway with units 1 and 2; unit 9 never answers, unit 10 reports "target failed to respond".
+function startGateway() {
+  const gw = { sockets: [], connections: 0, requests: [] };
+  gw.server = net.createServer((socket) => {
+    gw.connections++;
+    gw.sockets.push(socket);
+    let pending = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      pending = Buffer.concat([pending, chunk]);
+      while (pending.length >= 12) {
+        const len = pending.readUInt16BE(4);
+        const frame = pending.subarray(0, 6 + len);
+        pending = pending.subarray(6 + len);
+        const unit = frame[6];
+        const fc = frame[7];
+        const addr = frame.readUInt16BE(8);
+        const qty = frame.readUInt16BE(10);
+        gw.requests.push([unit, addr]);
+        if (unit === 9) continue;
+        const pdu = unit === 10
+          ? Buffer.from([fc | 0x80, 0x0B])
+          : Buffer.concat([Buffer.from([fc, qty * 2]), ...Array.from({ length: qty }, (_, i) => {
+            const b = Buffer.alloc(2);
+            b.writeUInt16BE(unit * 100 + addr + i);
+            return b;
+          })]);
+        const head = Buffer.alloc(7);
+        frame.copy(head, 0, 0, 4);
+        head.writeUInt16BE(pdu.length + 1, 4);
+        head[6] = unit;
+        socket.write(Buffer.concat([head, pdu]));
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return new Promise((resolve) => gw.server.listen(PORT, '127.0.0.1', () => resolve(gw)));
+}
+
+function stopGateway(gw) {
+  for (const s of gw.sockets) s.destroy();
+  return new Promise((resolve) => gw.server.close(resolve));
+}
+
+function createDriver(id, unitId, connection = {}) {
+  return new ModbusDriver(adapter, {
+    id,
+    protocol: 'modbusTcp',
+    templateId: 'generic.modbus',
+    connection: { host: '127.0.0.1', port: PORT, unitId, timeoutMs: 300, sharedConnection: true, unitBackoffMs: 200, ...connection },
+  }, { id: 'generic.modbus', datapoints: [] }, {});
+}
+
+const datapoints = [
+  { id: 'a', type: 'number', source: { kind: 'modbus', fc: 3, address: 10, length: 1, dataType: 'uint16' } },
+  { id: 'b', type: 'number', source: { kind: 'modbus', fc: 3, address: 11, length: 1, dataType: 'uint16' } },
+];
+
+test('devices with sharedConnection on one host:port use a single socket', async () => {
+  const gw = await startGateway();
+  const drivers = [createDriver('gx1', 1), createDriver('gx2', 2), createDriver('gx3', 2)];
+  try {
+    for (const d of drivers) await d.connect();
+    assert.equal(drivers[0].tcpBusKey, `127.0.0.1:${PORT}`);
+    assert.equal(drivers[0].tcpBus, drivers[1].tcpBus);
+    assert.equal(drivers[0].client, null);
+
+    const values = await Promise.all(drivers.map((d) => d.readDatapoints(datapoints)));
+    assert.deepEqual(values.map((v) => [v.a, v.b]), [[110, 111], [210, 211], [210, 211]]);
+    assert.equal(gw.connections, 1);
+
+    // The gateway drops the socket: the next request of any device reconnects once.
+    for (const s of gw.sockets) s.destroy();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    const again = await Promise.all(drivers.map((d) => d._mbReadHoldingRegisters(10, 1)));
+    assert.deepEqual(again.map((r) => r.data[0]), [110, 210, 210]);
+    assert.equal(gw.connections, 2);
+  } finally {
+    for (const d of drivers) await d.disconnect();
+    await stopGateway(gw);
+  }
+});
+
+test('a silent or unreachable unit is backed off without blocking the others', async () => {
+  const gw = await startGateway();
+  const good = createDriver('good', 1);
+  const silent = createDriver('silent', 9);
+  const unreachable = createDriver('unreachable', 10);
+  try {
+    await good.connect();
+    await silent.connect();
+    await unreachable.connect();
+
+    await assert.rejects(() => silent._mbReadHoldingRegisters(0, 1), (err) => err.name === 'TransactionTimedOutError');
+    await assert.rejects(() => silent._mbReadHoldingRegisters(0, 1), (err) => err.code === 'E_MODBUS_UNIT_BACKOFF');
+    await assert.rejects(() => unreachable._mbReadHoldingRegisters(0, 1), (err) => err.modbusCode === 0x0B);
+    await assert.rejects(() => unreachable._mbReadHoldingRegisters(0, 1), (err) => err.code === 'E_MODBUS_UNIT_BACKOFF');
+    assert.deepEqual(gw.requests.filter(([unit]) => unit !== 1), [[9, 0], [10, 0]]);
+
+    assert.equal((await good._mbReadHoldingRegisters(5, 1)).data[0], 105);
+    assert.equal(gw.connections, 1);
+    assert.ok(good.tcpBus.unitBackoffRemainingMs(9) > 0);
+    assert.equal(good.tcpBus.unitBackoffRemainingMs(1), 0);
+
+    // After the backoff the unit is polled again; the second timeout doubles the delay.
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    await assert.rejects(() => silent._mbReadHoldingRegisters(0, 1), (err) => err.name === 'TransactionTimedOutError');
+    assert.ok(good.tcpBus.unitBackoffRemainingMs(9) > 250);
+  } finally {
+    await good.disconnect();
+    await silent.disconnect();
+    await unreachable.disconnect();
+    await stopGateway(gw);
+  }
+});
+
+test('without sharedConnection every device keeps its own socket', async () => {
+  const gw = await startGateway();
+  const a = createDriver('own1', 1, { sharedConnection: false });
+  const b = createDriver('own2', 2, { sharedConnection: false });
+  try {
+    await a.connect();
+    await b.connect();
+    assert.equal(a.tcpBus, null);
+    assert.equal((await b._mbReadHoldingRegisters(1, 1)).data[0], 201);
+    assert.equal(gw.connections, 2);
+  } finally {
+    await a.disconnect();
+    await b.disconnect();
+    await stopGateway(gw);
+  }
+});
@@ -0,0 +1,219 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RPCClient } = require('ocpp-rpc');
+
+const { OcppDriver } = require('../lib/drivers/ocpp');
+const {
+  normalizeAuthorizationList,
+  mergeAuthorizationLists,
+  localListVersion,
+  authorizeIdTag,
+  authorizationInfo,
+  buildSendLocalListRequest,
+} = require('../lib/drivers/ocppAuthorization');
+const { TEMPLATE, createAdapter, dp, freePort, waitFor } = require('./helpers/ocppTestHarness.cjs');
+
+const LIST_TEXT = [
+  '# Flotte',
+  '04A1B2C3;2099-12-31;FLEET',
+  'BLOCKED-1;;;1',
+  'OLD-CARD;2020-01-01',
+].join('\n');
+
+async function startSession(identity, protocol, connection, handlers) {
+  const port = await freePort();
+  const adapter = createAdapter();
+  const device = {
+    id: `wb-${identity}`,
+    protocol: 'ocpp',
+    connection: { identity, host: '127.0.0.1', port, evseId: 1, connectorId: 1, ...connection },
+  };
+  const driver = new OcppDriver(adapter, device, TEMPLATE, {}, (d) => `devices.${device.id}.${d.id}`, () => null);
+  await driver.connect(TEMPLATE.datapoints);
+  const received = [];
+  const client = new RPCClient({
+    endpoint: `ws://127.0.0.1:${port}`,
+    identity,
+    protocols: [protocol],
+    strictMode: true,
+    reconnect: false,
+  });
+  for (const [method, handler] of Object.entries(handlers || {})) {
+    client.handle(method, ({ params }) => {
+      received.push({ method, params });
+      return handler(params);
+    });
+  }
+  await client.connect();
+  await waitFor(() => driver.connected);
+  return {
+    adapter,
+    driver,
+    client,
+    received,
+    state: (id) => adapter.states.get(`devices.${device.id}.${id}`),
+    async close() {
+      await client.close({ force: true });
+      await driver.disconnect();
+    },
+  };
+}
+
+test('authorization lists are parsed, merged and versioned by content', () => {
+  const list = normalizeAuthorizationList(LIST_TEXT);
+  assert.deepEqual(list.map((e) => e.idTag), ['04A1B2C3', 'BLOCKED-1', 'OLD-CARD']);
+  assert.equal(list[0].expiryDate, '2099-12-31T00:00:00.000Z');
+  assert.equal(list[0].groupId, 'FLEET');
+  assert.equal(list[1].blocked, true);
+
+  const merged = mergeAuthorizationLists([list, normalizeAuthorizationList([{ idTag: '04a1b2c3', blocked: true }, 'EXTRA'])]);
+  assert.equal(merged.length, 4);
+  assert.equal(merged.find((e) => e.idTag === '04A1B2C3').blocked, false);
+
+  assert.equal(localListVersion('CP-1', []), 0);
+  assert.equal(localListVersion('CP-1', list), localListVersion('CP-1', normalizeAuthorizationList(LIST_TEXT)));
+  assert.notEqual(localListVersion('CP-1', list), localListVersion('CP-1', merged));
+});
+
+test('idTags are accepted, blocked, expired or rejected per protocol', () => {
+  const list = normalizeAuthorizationList(LIST_TEXT);
+  const now = Date.parse('2026-10-01T00:00:00Z');
+  const decide = (tag, protocol, mode = 'list') => authorizeIdTag(list, tag, protocol, { mode, alwaysAccept: ['EMS'], now }).status;
+
+  assert.equal(decide('04a1b2c3', 'ocpp1.6'), 'Accepted');
+  assert.equal(decide('BLOCKED-1', 'ocpp1.6'), 'Blocked');
+  assert.equal(decide('OLD-CARD', 'ocpp2.0.1'), 'Expired');
+  assert.equal(decide('UNKNOWN', 'ocpp1.6'), 'Invalid');
+  assert.equal(decide('UNKNOWN', 'ocpp2.0.1'), 'Unknown');
+  assert.equal(decide('UNKNOWN', 'ocpp2.0.1', 'acceptAll'), 'Accepted');
+  assert.equal(decide('EMS', 'ocpp1.6'), 'Accepted');
+
+  const accepted = authorizeIdTag(list, '04A1B2C3', 'ocpp1.6', { mode: 'list', now });
+  assert.deepEqual(authorizationInfo('ocpp1.6', accepted), { status: 'Accepted', expiryDate: '2099-12-31T00:00:00.000Z', parentIdTag: 'FLEET' });
+  assert.deepEqual(authorizationInfo('ocpp2.0.1', accepted), {
+    status: 'Accepted',
+    cacheExpiryDateTime: '2099-12-31T00:00:00.000Z',
+    groupIdToken: { idToken: 'FLEET', type: 'Central' },
+  });
+
+  const v16 = buildSendLocalListRequest('ocpp1.6', 'CP-1', list);
+  assert.equal(v16.updateType, 'Full');
+  assert.equal(v16.listVersion, localListVersion('CP-1', list));
+  assert.deepEqual(v16.localAuthorizationList[1], { idTag: 'BLOCKED-1', idTagInfo: { status: 'Blocked' } });
+  const v201 = buildSendLocalListRequest('ocpp2.0.1', 'CP-1', list);
+  assert.equal(v201.versionNumber, v16.listVersion);
+  assert.deepEqual(v201.localAuthorizationList[0].idToken, { idToken: '04A1B2C3', type: 'ISO14443' });
+});
+
+test('OCPP 1.6 Authorize and StartTransaction answer from the list and drift triggers SendLocalList', async () => {
+  let stationVersion = 7;
+  const session = await startSession('AU-16', 'ocpp1.6', { authList: LIST_TEXT, remoteIdTag: 'EMS' }, {
+    GetLocalListVersion: () => ({ listVersion: stationVersion }),
+    SendLocalList: (params) => {
+      stationVersion = params.listVersion;
+      return { status: 'Accepted' };
+    },
+  });
+  try {
+    const { driver, client, received } = session;
+    assert.deepEqual(await client.call('Authorize', { idTag: 'UNKNOWN' }), { idTagInfo: { status: 'Invalid' } });
+    assert.equal((await client.call('Authorize', { idTag: 'EMS' })).idTagInfo.status, 'Accepted');
+    assert.equal((await client.call('Authorize', { idTag: '04A1B2C3' })).idTagInfo.parentIdTag, 'FLEET');
+    const started = await client.call('StartTransaction', { connectorId: 1, idTag: 'BLOCKED-1', meterStart: 0, timestamp: new Date().toISOString() });
+    assert.equal(started.idTagInfo.status, 'Blocked');
+    await driver.central.drain('AU-16');
+    assert.equal(session.state('aUTH_LAST_STATUS'), 'Blocked');
+
+    const expected = localListVersion('AU-16', normalizeAuthorizationList(LIST_TEXT));
+    const first = await driver.central.syncLocalList('AU-16');
+    assert.deepEqual([first.status, first.expectedVersion, first.stationVersion], ['Accepted', expected, expected]);
+    assert.deepEqual(received.map((r) => r.method), ['GetLocalListVersion', 'SendLocalList']);
+    assert.equal(received[1].params.localAuthorizationList.length, 3);
+    assert.equal(session.state('lOCAL_LIST_VERSION'), expected);
+    assert.equal(session.state('lOCAL_LIST_DRIFT'), false);
+
+    assert.equal((await driver.central.syncLocalList('AU-16')).status, 'InSync');
+    assert.equal(received.length, 3);
+
+    // The writable datapoint forces a full list even without drift.
+    assert.deepEqual(await driver.writeDatapoint(dp('sYNC_LOCAL_LIST'), true), { effectiveValue: false });
+    assert.equal(received[received.length - 1].method, 'SendLocalList');
+    assert.equal(session.state('lOCAL_LIST_SYNC_RESULT'), 'Accepted');
+  } finally {
+    await session.close();
+  }
+});
+
+test('OCPP 2.0.1 rejects unknown tokens and 1.6 stations without local list support are reported', async () => {
+  const session = await startSession('AU-201', 'ocpp2.0.1', { authMode: 'list', authList: '04A1B2C3' }, {
+    GetLocalListVersion: () => ({ versionNumber: 0 }),
+    SendLocalList: () => ({ status: 'Failed' }),
+  });
+  try {
+    const { driver, client, received } = session;
+    const unknown = await client.call('Authorize', { idToken: { idToken: 'NOPE', type: 'ISO14443' } });
+    assert.deepEqual(unknown, { idTokenInfo: { status: 'Unknown' } });
+    const known = await client.call('Authorize', { idToken: { idToken: '04A1B2C3', type: 'ISO14443' } });
+    assert.equal(known.idTokenInfo.status, 'Accepted');
+
+    const result = await driver.central.syncLocalList('AU-201');
+    assert.equal(result.status, 'Failed');
+    assert.equal(received[1].params.localAuthorizationList[0].idToken.idToken, '04A1B2C3');
+    await waitFor(() => session.state('lOCAL_LIST_DRIFT') === true);
+  } finally {
+    await session.close();
+  }
+
+  const legacy = await startSession('AU-LEGACY', 'ocpp1.6', { authList: 'A1' }, {
+    GetLocalListVersion: () => ({ listVersion: -1 }),
+  });
+  try {
+    assert.equal((await legacy.driver.central.syncLocalList('AU-LEGACY')).status, 'NotSupported');
+    assert.equal(legacy.received.length, 1);
+  } finally {
+    await legacy.close();
+  }
+});
+
+test('without a list every card stays accepted and no sync is scheduled', async () => {
+  const session = await startSession('AU-OPEN', 'ocpp1.6', {}, {});
+  try {
+    assert.deepEqual(await session.client.call('Authorize', { idTag: 'ANY' }), { idTagInfo: { status: 'Accepted' } });
+    assert.equal(session.driver.central._hasStationTask('AU-OPEN', 'Local list sync'), false);
+  } finally {
+    await session.close();
+  }
+});
+
+test('a failing list lookup rejects the card while a list is active', async () => {
+  const failing = () => { throw new Error('list storage unavailable'); };
+  const v16 = await startSession('AU-FAIL16', 'ocpp1.6', { authList: LIST_TEXT }, {});
+  try {
+    v16.driver.central.auth.idTagInfo = failing;
+    assert.deepEqual(await v16.client.call('Authorize', { idTag: '04A1B2C3' }), { idTagInfo: { status: 'Invalid' } });
+    const started = await v16.client.call('StartTransaction', { connectorId: 1, idTag: '04A1B2C3', meterStart: 0, timestamp: new Date().toISOString() });
+    assert.equal(started.idTagInfo.status, 'Invalid');
+  } finally {
+    await v16.close();
+  }
+
+  const v201 = await startSession('AU-FAIL201', 'ocpp2.0.1', { authMode: 'list', authList: '04A1B2C3' }, {});
+  try {
+    v201.driver.central.auth.idTagInfo = () => null;
+    const res = await v201.client.call('Authorize', { idToken: { idToken: '04A1B2C3', type: 'ISO14443' } });
+    assert.deepEqual(res, { idTokenInfo: { status: 'Unknown' } });
+  } finally {
+    await v201.close();
+  }
+
+  // Without a configured list the lookup error keeps the previous behaviour.
+  const open = await startSession('AU-FAILOPEN', 'ocpp1.6', {}, {});
+  try {
+    open.driver.central.auth.idTagInfo = failing;
+    assert.deepEqual(await open.client.call('Authorize', { idTag: 'ANY' }), { idTagInfo: { status: 'Accepted' } });
+  } finally {
+    await open.close();
+  }
+});
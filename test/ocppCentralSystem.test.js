@@ -0,0 +1,285 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const root = path.resolve(__dirname, '..');
+const compatibility = require('./helpers/compatibilityHarness.cjs');
+const DeviceRuntime = compatibility.loadDeviceRuntime(path.join(root, 'lib/deviceRuntime.js'));
+const { OcppCentralSystem, acquireCentral, releaseCentral, connectorStatusCode } = require('../lib/drivers/ocppCentral');
+const { OcppDriver } = require('../lib/drivers/ocpp');
+const { registerHandlers: register16 } = require('../ocpp/v16');
+const { registerHandlers: register201 } = require('../ocpp/v201');
+const { createAdapter } = require('./helpers/ocppTestHarness.cjs');
+const templatesDoc = JSON.parse(fs.readFileSync(path.join(root, 'lib/templates.json'), 'utf8'));
+
+const TEMPLATE_ID = 'evcs.ocpp.chargePoint';
+
+function templateById(id) {
+  const template = templatesDoc.templates.find((entry) => entry && entry.id === id);
+  assert.ok(template, `missing template ${id}`);
+  return template;
+}
+
+class FakeClient {
+  constructor(protocol, identity) {
+    this.protocol = protocol;
+    this.identity = identity;
+    this.stateIdentity = identity;
+    this.handlers = new Map();
+    this.wildcard = undefined;
+  }
+  handle(method, handler) {
+    if (typeof method === 'function') this.wildcard = method;
+    else this.handlers.set(method, handler);
+  }
+  call(method, params) {
+    return this.handlers.get(method)({ params });
+  }
+}
+
+function createDriver(adapter, central, connection = {}) {
+  const snapshots = [];
+  const connections = [];
+  let alive = 0;
+  const device = {
+    id: 'wallbox',
+    protocol: 'ocpp',
+    connection: { identity: 'CP-1', evseId: 1, connectorId: 1, ...connection },
+  };
+  const driver = new OcppDriver(
+    adapter,
+    device,
+    templateById(TEMPLATE_ID),
+    {},
+    (dp) => `devices.wallbox.${dp.id}`,
+    () => null,
+    () => { alive++; },
+    (values) => { snapshots.push(values); },
+    (connected, message) => { connections.push({ connected, message }); },
+  );
+  driver._indexDatapoints();
+  central.bind(driver.rawIdentity, driver);
+  return {
+    driver,
+    snapshots,
+    connections,
+    get alive() { return alive; },
+    last() { return snapshots[snapshots.length - 1] || {}; },
+  };
+}
+
+test('connector status codes follow the numeric OCPP status convention', () => {
+  assert.equal(connectorStatusCode('Available'), 1);
+  assert.equal(connectorStatusCode('Charging'), 3);
+  assert.equal(connectorStatusCode('SuspendedEV'), 5);
+  assert.equal(connectorStatusCode('Faulted'), 9);
+  assert.equal(connectorStatusCode('Occupied', 'Charging'), 3);
+  assert.equal(connectorStatusCode('Occupied', 'SuspendedEVSE'), 4);
+  assert.equal(connectorStatusCode('Occupied', 'EVConnected'), 2);
+  assert.equal(connectorStatusCode('Whatever'), 0);
+});
+
+test('requestIds within the same second are still unique and increasing', () => {
+  const central = new OcppCentralSystem(createAdapter(), { port: 9000 });
+  const ids = [central._nextRequestId(), central._nextRequestId(), central._nextRequestId()];
+  assert.ok(ids[0] >= Math.floor(Date.now() / 1000) - 1);
+  assert.deepEqual(ids, [ids[0], ids[0] + 1, ids[0] + 2]);
+});
+
+test('OCPP 1.6 session is mapped onto the template datapoints of the bound device', async () => {
+  const adapter = createAdapter();
+  const central = new OcppCentralSystem(adapter, { port: 9000 });
+  const probe = createDriver(adapter, central);
+  const client = new FakeClient('ocpp1.6', 'CP-1');
+  central.runtime.indexClient('CP-1', 'ocpp1.6', client, 'CP-1');
+  await central.states.setConnection('CP-1', true, { protocol: 'ocpp1.6', rawIdentity: 'CP-1' });
+  register16(client, central);
+
+  const boot = await client.call('BootNotification', { chargePointVendor: 'NexoWatt', chargePointModel: 'Test', firmwareVersion: '1.2.3' });
+  assert.equal(boot.status, 'Accepted');
+  await client.call('StatusNotification', { connectorId: 1, status: 'Preparing', errorCode: 'NoError' });
+  await client.call('StartTransaction', { connectorId: 1, idTag: 'RFID-1', meterStart: 10000, timestamp: '2026-10-01T08:00:00.000Z' });
+  await client.call('StatusNotification', { connectorId: 1, status: 'Charging', errorCode: 'NoError' });
+  await client.call('MeterValues', {
+    connectorId: 1,
+    meterValue: [{
+      timestamp: '2026-10-01T08:10:00.000Z',
+      sampledValue: [
+        { measurand: 'Power.Active.Import', unit: 'W', value: '7200' },
+        { measurand: 'Current.Import', phase: 'L1', unit: 'A', value: '10.5' },
+        { measurand: 'Voltage', phase: 'L1-N', unit: 'V', value: '231' },
+        { measurand: 'Energy.Active.Import.Register', unit: 'kWh', value: '11.25' },
+      ],
+    }],
+  });
+  await central.drain('CP-1');
+
+  assert.deepEqual(probe.connections.at(-1), { connected: true, message: '' });
+  assert.ok(probe.alive >= 5, 'every station message ticks the device heartbeat');
+  const values = probe.last();
+  assert.equal(values.cHARGE_POINT_STATE, 3);
+  assert.equal(values.cONNECTOR_STATUS, 'Charging');
+  assert.equal(values.aCTIVE_POWER, 7200);
+  assert.equal(values.cURRENT_L1, 10.5);
+  assert.equal(values.vOLTAGE_L1, 231);
+  assert.equal(values.tOTAL_ENERGY, 11250);
+  assert.equal(values.eNERGY_SESSION, 1250);
+  assert.equal(values.iD_TAG, 'RFID-1');
+  assert.equal(values.fIRMWARE_VERSION, '1.2.3');
+  assert.equal(adapter.states.get('devices.wallbox.aCTIVE_POWER'), 7200);
+  assert.equal(adapter.states.get('devices.wallbox.ocpp.info.model'), 'Test');
+  assert.equal(adapter.states.get('devices.wallbox.ocpp.connectors.1_1.powerW'), 7200);
+  assert.equal(adapter.objects.get('devices.wallbox.ocpp.measurements.powerW').common.unit, 'W');
+
+  await client.call('StatusNotification', { connectorId: 1, status: 'Finishing', errorCode: 'NoError' });
+  await central.drain('CP-1');
+  assert.equal(probe.last().cHARGE_POINT_STATE, 6);
+  assert.equal(probe.last().aCTIVE_POWER, 0, 'a non-charging status must not keep the last charging power');
+  assert.equal(probe.last().cURRENT_L1, 0);
+
+  const removed = central.runtime.unindexClient('CP-1', client);
+  assert.equal(removed, true);
+  await central.states.setConnection('CP-1', false, { socketConnected: false });
+  assert.equal(probe.connections.at(-1).connected, false);
+  assert.match(probe.connections.at(-1).message, /CP-1/);
+});
+
+test('OCPP 2.0.1 Occupied status is refined by the transaction charging state', async () => {
+  const adapter = createAdapter();
+  const central = new OcppCentralSystem(adapter, { port: 9000 });
+  const probe = createDriver(adapter, central, { identity: 'CP-2' });
+  const client = new FakeClient('ocpp2.0.1', 'CP-2');
+  central.runtime.indexClient('CP-2', 'ocpp2.0.1', client, 'CP-2');
+  register201(client, central);
+
+  await client.call('StatusNotification', { evseId: 1, connectorId: 1, connectorStatus: 'Occupied', timestamp: '2026-10-01T08:00:00.000Z' });
+  await central.drain('CP-2');
+  assert.equal(probe.last().cHARGE_POINT_STATE, 2);
+
+  await client.call('TransactionEvent', {
+    eventType: 'Started',
+    timestamp: '2026-10-01T08:00:05.000Z',
+    triggerReason: 'CablePluggedIn',
+    seqNo: 0,
+    transactionInfo: { transactionId: 'TX-1', chargingState: 'Charging' },
+    evse: { id: 1, connectorId: 1 },
+    meterValue: [{
+      timestamp: '2026-10-01T08:00:05.000Z',
+      sampledValue: [{ measurand: 'Energy.Active.Import.Register', unitOfMeasure: { unit: 'Wh' }, value: 5000 }],
+    }],
+  });
+  await client.call('TransactionEvent', {
+    eventType: 'Updated',
+    timestamp: '2026-10-01T08:30:00.000Z',
+    triggerReason: 'MeterValuePeriodic',
+    seqNo: 1,
+    transactionInfo: { transactionId: 'TX-1', chargingState: 'SuspendedEV' },
+    evse: { id: 1, connectorId: 1 },
+    meterValue: [{
+      timestamp: '2026-10-01T08:30:00.000Z',
+      sampledValue: [{ measurand: 'Energy.Active.Import.Register', unitOfMeasure: { unit: 'Wh' }, value: 8500 }],
+    }],
+  });
+  await central.drain('CP-2');
+
+  assert.equal(probe.last().cHARGE_POINT_STATE, 5);
+  assert.equal(probe.last().tRANSACTION_ID, 'TX-1');
+  assert.equal(probe.last().eNERGY_SESSION, 3500);
+});
+
+test('devices bound to another connector of the same station ignore foreign connector values', async () => {
+  const adapter = createAdapter();
+  const central = new OcppCentralSystem(adapter, { port: 9000 });
+  const first = createDriver(adapter, central, { connectorId: 1 });
+  const second = createDriver(adapter, central, { connectorId: 2 });
+  const client = new FakeClient('ocpp1.6', 'CP-1');
+  central.runtime.indexClient('CP-1', 'ocpp1.6', client, 'CP-1');
+  register16(client, central);
+
+  await client.call('StatusNotification', { connectorId: 2, status: 'Charging', errorCode: 'NoError' });
+  await central.drain('CP-1');
+  assert.equal(first.last().cHARGE_POINT_STATE, undefined);
+  assert.equal(second.last().cHARGE_POINT_STATE, 3);
+});
+
+test('a burst of station values is written in arrival order', async () => {
+  const adapter = createAdapter();
+  const createObject = adapter.setObjectNotExistsAsync;
+  let calls = 0;
+  // The first object creation is slow, so an unserialized second update would overtake it.
+  adapter.setObjectNotExistsAsync = async (id, obj) => {
+    if (calls++ === 0) await new Promise(resolve => setTimeout(resolve, 30));
+    return createObject(id, obj);
+  };
+  const central = new OcppCentralSystem(adapter, { port: 9000 });
+  const wallbox = createDriver(adapter, central);
+
+  await Promise.all([
+    wallbox.driver.onStationState('connectors.1_1.powerW', 1000),
+    wallbox.driver.onStationState('connectors.1_1.powerW', 2000),
+  ]);
+  assert.equal(adapter.states.get('devices.wallbox.ocpp.connectors.1_1.powerW'), 2000);
+  assert.equal(adapter.states.get('devices.wallbox.aCTIVE_POWER'), 2000);
+  assert.deepEqual(wallbox.snapshots.map(v => v.aCTIVE_POWER), [1000, 2000]);
+});
+
+test('the central system is shared per host:port and only allows bound identities', () => {
+  const adapter = createAdapter();
+  const a = acquireCentral(adapter, { port: 19876 });
+  const b = acquireCentral(adapter, { host: '0.0.0.0', port: 19876 });
+  assert.equal(a.central, b.central);
+  assert.equal(a.key, '0.0.0.0|19876');
+
+  const listener = {};
+  a.central.bind('CP 7', listener);
+  assert.deepEqual(a.central.config.identityAllowlist, ['CP 7']);
+  a.central.unbind('CP 7', listener);
+  assert.deepEqual(a.central.config.identityAllowlist, []);
+
+  releaseCentral(a.key);
+  releaseCentral(b.key);
+  const c = acquireCentral(adapter, { port: 19876 });
+  assert.notEqual(c.central, a.central, 'the last release closes the shared central system');
+  releaseCentral(c.key);
+
+  assert.throws(() => acquireCentral(adapter, { port: 70000 }), /Invalid OCPP port/);
+});
+
+test('the OCPP template exposes the evCharger alias contract', () => {
+  const template = templateById(TEMPLATE_ID);
+  assert.deepEqual(template.protocols, ['ocpp']);
+  const runtime = compatibility.buildRuntime(DeviceRuntime, template, 'ocpp-test');
+  runtime.cfg.protocol = 'ocpp';
+  const definitions = runtime._buildAliasDefinitions();
+  const byPath = new Map(definitions.map((def) => [String(def.relId).replace('devices.ocpp-test.aliases.', ''), def]));
+
+  assert.deepEqual(runtime.aliasContractInfo.missingRequired, []);
+  assert.equal(byPath.get('r.power').dpId, 'aCTIVE_POWER');
+  assert.equal(byPath.get('v1.r.power').unit, 'W');
+  assert.equal(byPath.get('r.energySession').dpId, 'eNERGY_SESSION');
+  assert.equal(byPath.get('v1.r.energySession').unit, 'Wh');
+  assert.equal(byPath.get('ctrl.currentLimitA').writeDpId, 'sET_CHARGING_CURRENT');
+  assert.equal(byPath.get('v1.ctrl.currentLimitA').unit, 'A');
+  assert.equal(byPath.get('ctrl.powerLimitW').writeDpId, 'eV_SET_CHARGE_POWER_LIMIT');
+  assert.equal(byPath.get('r.controlAccepted').dpId, 'cONTROL_ACCEPTED');
+
+  const values = { cHARGE_POINT_STATE: 3 };
+  assert.equal(byPath.get('r.statusText').get(values), 'Charging');
+  assert.equal(byPath.get('r.charging').get(values), true);
+  assert.equal(byPath.get('r.vehicleConnected').get(values), true);
+  assert.equal(byPath.get('alarm.fault').get({ cHARGE_POINT_STATE: 9 }), true);
+  assert.equal(byPath.get('r.available').get({ cHARGE_POINT_STATE: 8 }), false);
+});
+
+test('OCPP devices derive their heartbeat timeout from the OCPP heartbeat interval', () => {
+  const template = templateById(TEMPLATE_ID);
+  const runtime = compatibility.buildRuntime(DeviceRuntime, template, 'ocpp-hb');
+  runtime.cfg.protocol = 'ocpp';
+  runtime.cfg.connection = { heartbeatIntervalSec: 60 };
+  assert.equal(runtime._computeHeartbeatTimeoutMs({ isEventDriven: true }), 150000);
+  runtime.cfg.connection = {};
+  assert.equal(runtime._computeHeartbeatTimeoutMs({ isEventDriven: true }), 750000);
+});
@@ -0,0 +1,193 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RPCClient } = require('ocpp-rpc');
+
+const { OcppDriver } = require('../lib/drivers/ocpp');
+const { registerHandlers: register21 } = require('../ocpp/v21');
+const {
+  normalizeChargingNeeds,
+  computeChargingSchedule,
+  buildTxProfileRequest,
+  noScheduleStatus,
+} = require('../lib/drivers/ocppChargingNeeds');
+const { TEMPLATE, createAdapter, freePort, waitFor } = require('./helpers/ocppTestHarness.cjs');
+
+async function startSession(identity, protocol, connection, handlers) {
+  const port = await freePort();
+  const adapter = createAdapter();
+  const device = {
+    id: `wb-${identity}`,
+    protocol: 'ocpp',
+    connection: { identity, host: '127.0.0.1', port, evseId: 1, connectorId: 1, chargingNeedsSchedule: true, ...connection },
+  };
+  const driver = new OcppDriver(adapter, device, TEMPLATE, {}, (d) => `devices.${device.id}.${d.id}`, () => null);
+  await driver.connect(TEMPLATE.datapoints);
+  const received = [];
+  const client = new RPCClient({
+    endpoint: `ws://127.0.0.1:${port}`,
+    identity,
+    protocols: [protocol],
+    strictMode: true,
+    reconnect: false,
+  });
+  for (const [method, handler] of Object.entries(handlers || {})) {
+    client.handle(method, ({ params }) => {
+      received.push({ method, params });
+      return handler(params);
+    });
+  }
+  await client.connect();
+  await waitFor(() => driver.connected);
+  return {
+    adapter,
+    driver,
+    client,
+    received,
+    state: (id) => adapter.states.get(`devices.${device.id}.${id}`),
+    async close() {
+      await client.close({ force: true });
+      await driver.disconnect();
+    },
+  };
+}
+
+test('charging needs are spread until departure and capped by EV, site and device limits', () => {
+  const now = Date.parse('2026-10-19T18:00:00Z');
+  const needs = normalizeChargingNeeds({
+    evseId: 1,
+    chargingNeeds: {
+      requestedEnergyTransfer: 'AC_three_phase',
+      departureTime: '2026-10-19T22:00:00Z',
+      acChargingParameters: { energyAmount: 20000, evMinCurrent: 6, evMaxCurrent: 32, evMaxVoltage: 400 },
+    },
+  });
+  assert.deepEqual([needs.departureAt - now, needs.energyRequestWh, needs.maxCurrentA], [4 * 3600 * 1000, 20000, 32]);
+
+  // 20 kWh in 4 h = 5 kW = 7.3 A on three phases; the site limit allows 15.9 A after departure.
+  const schedule = computeChargingSchedule(needs, { now, siteLimitW: 11000 });
+  assert.deepEqual([schedule.status, schedule.reason, schedule.rateUnit, schedule.limit, schedule.maxLimit], ['Accepted', 'departure', 'A', 7.3, 15.9]);
+  assert.deepEqual(schedule.periods, [
+    { startPeriod: 0, limit: 7.3, numberPhases: 3 },
+    { startPeriod: 14400, limit: 15.9, numberPhases: 3 },
+  ]);
+  // The EMS limit of the device wins when it is lower; one tuple only keeps the first period.
+  assert.equal(computeChargingSchedule(needs, { now, siteLimitW: 11000, deviceLimit: { value: 10, unit: 'A' } }).maxLimit, 10);
+  assert.equal(computeChargingSchedule({ ...needs, maxScheduleTuples: 1 }, { now, siteLimitW: 11000 }).periods.length, 1);
+  // Without departure time the permitted maximum applies right away.
+  assert.deepEqual(computeChargingSchedule({ ...needs, departureAt: undefined }, { now }).periods, [{ startPeriod: 0, limit: 32, numberPhases: 3 }]);
+  assert.equal(computeChargingSchedule(needs, { now, siteLimitW: 3000 }).reason, 'limit-below-minimum');
+  assert.equal(computeChargingSchedule({}, { now }).reason, 'no-ev-limit');
+
+  const dc = computeChargingSchedule(normalizeChargingNeeds({
+    evseId: 2,
+    chargingNeeds: { requestedEnergyTransfer: 'DC', dcChargingParameters: { evMaxCurrent: 200, evMaxVoltage: 800, evMaxPower: 150000 } },
+  }), { now, siteLimitW: 50000 });
+  assert.deepEqual([dc.rateUnit, dc.limit, dc.periods], ['W', 50000, [{ startPeriod: 0, limit: 50000 }]]);
+
+  const request = buildTxProfileRequest({ identity: 'CP-1', evseId: 1, transactionId: 'TX-1', stackLevel: 2 }, schedule, now + 123);
+  assert.equal(request.evseId, 1);
+  assert.deepEqual(
+    [request.chargingProfile.chargingProfilePurpose, request.chargingProfile.chargingProfileKind, request.chargingProfile.stackLevel, request.chargingProfile.transactionId],
+    ['TxProfile', 'Absolute', 2, 'TX-1'],
+  );
+  assert.equal(request.chargingProfile.chargingSchedule[0].startSchedule, '2026-10-19T18:00:00Z');
+  assert.equal(buildTxProfileRequest({ identity: 'CP-1', evseId: 1, transactionId: 'TX-2' }, schedule, now).chargingProfile.id, request.chargingProfile.id);
+  assert.deepEqual([noScheduleStatus('ocpp2.1'), noScheduleStatus('ocpp2.0.1')], ['NoChargingProfile', 'Rejected']);
+});
+
+test('OCPP 2.0.1 charging needs are answered with a TxProfile once the transaction runs', async () => {
+  const session = await startSession('NEEDS-201', 'ocpp2.0.1', { siteLimitW: 11000 }, {
+    SetChargingProfile: () => ({ status: 'Accepted' }),
+  });
+  try {
+    const { driver, client, received } = session;
+    const departure = new Date(Date.now() + 4 * 3600 * 1000).toISOString();
+    const answer = await client.call('NotifyEVChargingNeeds', {
+      evseId: 1,
+      chargingNeeds: {
+        requestedEnergyTransfer: 'AC_three_phase',
+        departureTime: departure,
+        acChargingParameters: { energyAmount: 20000, evMinCurrent: 6, evMaxCurrent: 32, evMaxVoltage: 400 },
+      },
+    });
+    assert.equal(answer.status, 'Accepted');
+    await waitFor(() => session.state('cHARGING_SCHEDULE_STATUS') === 'WaitingForTransaction');
+    assert.equal(received.length, 0);
+    assert.deepEqual(
+      [session.state('eV_DEPARTURE_TIME'), session.state('eV_ENERGY_REQUEST'), session.state('eV_MAX_CURRENT'), session.state('eV_BIDIRECTIONAL')],
+      [departure, 20000, 32, false],
+    );
+
+    await client.call('TransactionEvent', {
+      eventType: 'Started',
+      timestamp: new Date().toISOString(),
+      triggerReason: 'CablePluggedIn',
+      seqNo: 0,
+      transactionInfo: { transactionId: 'TX-NEEDS' },
+      evse: { id: 1, connectorId: 1 },
+    });
+    await waitFor(() => session.state('cHARGING_SCHEDULE_STATUS') === 'Accepted');
+    const profile = received.find((entry) => entry.method === 'SetChargingProfile').params;
+    assert.equal(profile.evseId, 1);
+    assert.deepEqual([profile.chargingProfile.chargingProfilePurpose, profile.chargingProfile.transactionId], ['TxProfile', 'TX-NEEDS']);
+    const [first, second] = profile.chargingProfile.chargingSchedule[0].chargingSchedulePeriod;
+    assert.deepEqual([first.limit, second.limit], [7.3, 15.9]);
+    assert.ok(Math.abs(second.startPeriod - 14400) <= 2);
+    assert.equal(session.state('cHARGING_SCHEDULE_LIMIT'), 7.3);
+    assert.equal(session.state('ocpp.connectors.1_1.chargingScheduleUnit'), 'A');
+    assert.equal(JSON.parse(session.state('ocpp.connectors.1_1.chargingSchedule')).length, 2);
+    await driver.central.drain('NEEDS-201');
+  } finally {
+    await session.close();
+  }
+});
+
+test('OCPP 2.1 needs below the site minimum get NoChargingProfile and V2X values are surfaced', async () => {
+  const adapter = createAdapter();
+  const device = {
+    id: 'wb-NEEDS-21',
+    protocol: 'ocpp',
+    connection: { identity: 'NEEDS-21', host: '127.0.0.1', port: await freePort(), evseId: 1, connectorId: 1, chargingNeedsSchedule: true, siteLimitW: 2000 },
+  };
+  const driver = new OcppDriver(adapter, device, TEMPLATE, {}, (d) => `devices.${device.id}.${d.id}`, () => null);
+  await driver.connect(TEMPLATE.datapoints);
+  // The installed ocpp-rpc cannot validate 2.1 messages, so the handler runs on a stub client with the real central system.
+  const handlers = new Map();
+  register21({
+    protocol: 'ocpp2.1',
+    identity: 'NEEDS-21',
+    stateIdentity: 'NEEDS-21',
+    handle(method, handler) {
+      if (typeof method === 'string') handlers.set(method, handler);
+    },
+  }, driver.central);
+  const state = (id) => adapter.states.get(`devices.${device.id}.${id}`);
+  try {
+    const answer = await handlers.get('NotifyEVChargingNeeds')({ params: {
+      evseId: 1,
+      chargingNeeds: {
+        requestedEnergyTransfer: 'AC_BPT',
+        availableEnergyTransfer: ['AC_three_phase', 'AC_BPT'],
+        controlMode: 'DynamicControl',
+        v2xChargingParameters: {
+          maxChargeCurrent: 16,
+          maxChargePower: 11000,
+          maxDischargePower: 7000,
+          evTargetEnergyRequest: 15000,
+        },
+      },
+    } });
+    assert.deepEqual(answer, { status: 'NoChargingProfile' });
+    await driver.central.drain('NEEDS-21');
+    await waitFor(() => state('cHARGING_SCHEDULE_STATUS') === 'limit-below-minimum');
+    assert.deepEqual(
+      [state('eV_BIDIRECTIONAL'), state('eV_MAX_DISCHARGE_POWER'), state('eV_ENERGY_REQUEST'), state('eV_MAX_POWER')],
+      [true, 7000, 15000, 11000],
+    );
+    assert.equal(state('ocpp.vehicle.v2x.maxDischargePowerW'), 7000);
+  } finally {
+    await driver.disconnect();
+  }
+});
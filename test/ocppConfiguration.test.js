@@ -0,0 +1,220 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RPCClient } = require('ocpp-rpc');
+
+const { OcppDriver } = require('../lib/drivers/ocpp');
+const {
+  configKey16,
+  deviceModelKey,
+  entriesFromGetConfiguration,
+  entriesFromReportData,
+  coerceConfigValue,
+  buildConfigurationWrite,
+  configurationWriteStatus,
+} = require('../lib/drivers/ocppConfiguration');
+const { TEMPLATE, createAdapter, dp, freePort, waitFor } = require('./helpers/ocppTestHarness.cjs');
+
+const REPORT_DATA = [
+  {
+    component: { name: 'SampledDataCtrlr' },
+    variable: { name: 'TxUpdatedInterval' },
+    variableAttribute: [{ type: 'Actual', value: '60', mutability: 'ReadWrite' }],
+    variableCharacteristics: { dataType: 'integer', unit: 's', minLimit: 0, maxLimit: 3600, supportsMonitoring: false },
+  },
+  {
+    component: { name: 'EVSE', evse: { id: 1 } },
+    variable: { name: 'AvailabilityState' },
+    variableAttribute: [{ type: 'Actual', value: 'Available', mutability: 'ReadOnly' }],
+    variableCharacteristics: { dataType: 'OptionList', valuesList: 'Available,Occupied,Faulted', supportsMonitoring: false },
+  },
+  {
+    component: { name: 'SecurityCtrlr' },
+    variable: { name: 'BasicAuthPassword' },
+    variableAttribute: [{ type: 'Actual', mutability: 'WriteOnly' }],
+    variableCharacteristics: { dataType: 'string', supportsMonitoring: false },
+  },
+];
+
+async function startSession(identity, protocol, handlers) {
+  const port = await freePort();
+  const adapter = createAdapter();
+  const device = {
+    id: `wb-${identity}`,
+    protocol: 'ocpp',
+    connection: { identity, host: '127.0.0.1', port, evseId: 1, connectorId: 1 },
+  };
+  const driver = new OcppDriver(adapter, device, TEMPLATE, {}, (d) => `devices.${device.id}.${d.id}`, () => null);
+  await driver.connect(TEMPLATE.datapoints);
+  const received = [];
+  const client = new RPCClient({
+    endpoint: `ws://127.0.0.1:${port}`,
+    identity,
+    protocols: [protocol],
+    strictMode: true,
+    reconnect: false,
+  });
+  for (const [method, handler] of Object.entries(handlers || {})) {
+    client.handle(method, ({ params }) => {
+      received.push({ method, params });
+      return handler(params);
+    });
+  }
+  await client.connect();
+  await waitFor(() => driver.connected);
+  return {
+    adapter,
+    driver,
+    client,
+    received,
+    state: (id) => adapter.states.get(`devices.${device.id}.${id}`),
+    async close() {
+      await client.close({ force: true });
+      await driver.disconnect();
+    },
+  };
+}
+
+test('configuration entries are keyed, typed and written back per protocol', () => {
+  assert.equal(configKey16('Meter Value/Interval'), 'config.Meter_Value_Interval');
+  assert.equal(deviceModelKey({ name: 'EVSE', evse: { id: 1, connectorId: 2 } }, { name: 'Power', instance: 'Max' }), 'config.EVSE.1.2.Power.Max');
+
+  const v16 = entriesFromGetConfiguration({
+    configurationKey: [
+      { key: 'MeterValueSampleInterval', readonly: false, value: '60' },
+      { key: 'NumberOfConnectors', readonly: true, value: '2' },
+      { key: 'AuthorizeRemoteTxRequests', readonly: false, value: 'TRUE' },
+      { key: 'MeterValuesSampledData', readonly: false, value: 'Energy.Active.Import.Register' },
+    ],
+  });
+  assert.deepEqual(v16.map((e) => [e.key, e.val, e.common.type, e.common.write]), [
+    ['config.MeterValueSampleInterval', 60, 'number', true],
+    ['config.NumberOfConnectors', 2, 'number', false],
+    ['config.AuthorizeRemoteTxRequests', true, 'boolean', true],
+    ['config.MeterValuesSampledData', 'Energy.Active.Import.Register', 'string', true],
+  ]);
+
+  const v201 = entriesFromReportData(REPORT_DATA);
+  assert.deepEqual(v201.map((e) => e.key), ['config.SampledDataCtrlr.TxUpdatedInterval', 'config.EVSE.1.AvailabilityState']);
+  assert.deepEqual([v201[0].val, v201[0].common.unit, v201[0].common.max, v201[0].common.write], [60, 's', 3600, true]);
+  assert.equal(v201[1].common.write, false);
+  assert.deepEqual(Object.keys(v201[1].common.states), ['Available', 'Occupied', 'Faulted']);
+
+  assert.equal(coerceConfigValue({ type: 'number' }, '30'), 30);
+  assert.equal(coerceConfigValue({ type: 'boolean' }, 'false'), false);
+  assert.deepEqual(buildConfigurationWrite('ocpp1.6', { key: 'AuthorizeRemoteTxRequests' }, false), {
+    method: 'ChangeConfiguration',
+    params: { key: 'AuthorizeRemoteTxRequests', value: 'false' },
+  });
+  const set = buildConfigurationWrite('ocpp2.0.1', v201[0].ref, 30);
+  assert.equal(set.method, 'SetVariables');
+  assert.deepEqual(set.params.setVariableData[0], {
+    attributeType: 'Actual',
+    attributeValue: '30',
+    component: { name: 'SampledDataCtrlr' },
+    variable: { name: 'TxUpdatedInterval' },
+  });
+  assert.equal(configurationWriteStatus('ocpp2.0.1', { setVariableResult: [{ attributeStatus: 'Rejected' }] }), 'Rejected');
+});
+
+test('OCPP 1.6 GetConfiguration fills ocpp.config.* and writes go through ChangeConfiguration', async () => {
+  const config = { MeterValueSampleInterval: '60', NumberOfConnectors: '1', ClockAlignedDataInterval: '900' };
+  const session = await startSession('CFG-16', 'ocpp1.6', {
+    GetConfiguration: (params) => {
+      const keys = params.key || Object.keys(config);
+      return {
+        configurationKey: keys.filter((k) => k in config).map((k) => ({ key: k, readonly: k === 'NumberOfConnectors', value: config[k] })),
+        unknownKey: keys.filter((k) => !(k in config)),
+      };
+    },
+    ChangeConfiguration: (params) => {
+      if (params.key === 'ClockAlignedDataInterval') return { status: 'Rejected' };
+      config[params.key] = params.value;
+      return { status: 'Accepted' };
+    },
+  });
+  try {
+    const { driver, adapter, received } = session;
+    assert.deepEqual(await driver.writeDatapoint(dp('rEAD_CONFIGURATION'), true), { effectiveValue: false });
+    assert.deepEqual(received[0].params, {});
+    assert.equal(session.state('cONFIGURATION_STATUS'), 'Completed');
+    assert.equal(session.state('cONFIGURATION_KEYS'), 3);
+    assert.equal(session.state('ocpp.config.MeterValueSampleInterval'), 60);
+    assert.equal(adapter.objects.get('devices.wb-CFG-16.ocpp.config.MeterValueSampleInterval').common.write, true);
+    assert.equal(adapter.objects.get('devices.wb-CFG-16.ocpp.config.NumberOfConnectors').common.write, false);
+
+    // A state write below ocpp.config.* (as forwarded by the device runtime).
+    assert.equal(await driver.handleStateWrite('devices.wb-CFG-16.ocpp.config.MeterValueSampleInterval', '30'), true);
+    assert.deepEqual(received[1].params, { key: 'MeterValueSampleInterval', value: '30' });
+    assert.equal(session.state('ocpp.config.MeterValueSampleInterval'), 30);
+    assert.equal(session.state('cONFIG_WRITE_STATUS'), 'Accepted');
+
+    assert.deepEqual(await driver.writeConfiguration('ClockAlignedDataInterval', 60), { status: 'Rejected' });
+    assert.equal(session.state('ocpp.config.ClockAlignedDataInterval'), 900);
+    assert.equal(session.state('cONFIG_WRITE_STATUS'), 'Rejected');
+
+    await assert.rejects(() => driver.writeConfiguration('NumberOfConnectors', 2), /read-only/);
+    await assert.rejects(() => driver.writeConfiguration('NoSuchKey', 1), /Unknown OCPP configuration entry/);
+    assert.equal(await driver.handleStateWrite('devices.wb-CFG-16.ocpp.status', 'x'), false);
+
+    const partial = await driver.readConfiguration({ keys: ['MeterValueSampleInterval', 'Missing'] });
+    assert.deepEqual(partial, { status: 'Completed', keyCount: 3 });
+    assert.equal(session.state('ocpp.configuration.unknownKeys'), 'Missing');
+    assert.deepEqual(driver.listConfiguration().map((e) => [e.key, e.value, e.writable]), [
+      ['config.ClockAlignedDataInterval', 900, true],
+      ['config.MeterValueSampleInterval', 30, true],
+      ['config.NumberOfConnectors', 1, false],
+    ]);
+  } finally {
+    await session.close();
+  }
+});
+
+test('OCPP 2.0.1 GetBaseReport is completed by NotifyReport and written via SetVariables', async () => {
+  const session = await startSession('CFG-201', 'ocpp2.0.1', {
+    GetBaseReport: () => ({ status: 'Accepted' }),
+    SetVariables: (params) => ({
+      setVariableResult: params.setVariableData.map((item) => ({
+        attributeStatus: 'RebootRequired',
+        component: item.component,
+        variable: item.variable,
+      })),
+    }),
+    GetVariables: (params) => ({
+      getVariableResult: params.getVariableData.map((item) => ({
+        attributeStatus: 'Accepted',
+        attributeValue: '45',
+        component: item.component,
+        variable: item.variable,
+      })),
+    }),
+  });
+  try {
+    const { driver, client, received } = session;
+    assert.deepEqual(await driver.readConfiguration(), { status: 'Requested', keyCount: 0 });
+    const requestId = received[0].params.requestId;
+    assert.equal(received[0].params.reportBase, 'FullInventory');
+    assert.equal(session.state('cONFIGURATION_STATUS'), 'Requested');
+
+    const generatedAt = new Date().toISOString();
+    await client.call('NotifyReport', { requestId, generatedAt, seqNo: 0, tbc: true, reportData: REPORT_DATA.slice(0, 1) });
+    await client.call('NotifyReport', { requestId, generatedAt, seqNo: 1, reportData: REPORT_DATA.slice(1) });
+    await driver.central.drain('CFG-201');
+    assert.equal(session.state('cONFIGURATION_STATUS'), 'Completed');
+    assert.equal(session.state('cONFIGURATION_KEYS'), 2);
+    assert.equal(session.state('ocpp.config.EVSE.1.AvailabilityState'), 'Available');
+
+    assert.deepEqual(await driver.writeConfiguration('SampledDataCtrlr.TxUpdatedInterval', '30'), { status: 'RebootRequired' });
+    assert.deepEqual(received[1].params.setVariableData[0].variable, { name: 'TxUpdatedInterval' });
+    assert.equal(session.state('ocpp.config.SampledDataCtrlr.TxUpdatedInterval'), 30);
+
+    const refreshed = await driver.readConfiguration({ keys: ['SampledDataCtrlr.TxUpdatedInterval'] });
+    assert.equal(refreshed.status, 'Completed');
+    assert.equal(received[2].method, 'GetVariables');
+    assert.equal(session.state('ocpp.config.SampledDataCtrlr.TxUpdatedInterval'), 45);
+    assert.equal((await driver.readConfiguration({ keys: ['Nope.Nothing'] })).status, 'UnknownKeys');
+  } finally {
+    await session.close();
+  }
+});
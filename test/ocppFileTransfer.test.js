@@ -0,0 +1,239 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { RPCClient } = require('ocpp-rpc');
+
+const { OcppDriver } = require('../lib/drivers/ocpp');
+const {
+  OcppFileServer,
+  transferProgress,
+  buildUpdateFirmwareRequest,
+  buildLogRequest,
+  logRequestResult,
+  extractMultipartFile,
+  urlHost,
+} = require('../lib/drivers/ocppFileTransfer');
+const { TEMPLATE, createAdapter, dp, freePort, waitFor } = require('./helpers/ocppTestHarness.cjs');
+
+function request(url, method, body, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url, { method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+async function startSession(identity, protocol, dir, handlers) {
+  const port = await freePort();
+  const fileServerPort = await freePort();
+  const adapter = createAdapter(dir);
+  const device = {
+    id: `wb-${identity}`,
+    protocol: 'ocpp',
+    connection: { identity, host: '127.0.0.1', port, fileServerPort, evseId: 1, connectorId: 1 },
+  };
+  const driver = new OcppDriver(adapter, device, TEMPLATE, {}, (d) => `devices.${device.id}.${d.id}`, () => null);
+  await driver.connect(TEMPLATE.datapoints);
+  const received = [];
+  const client = new RPCClient({
+    endpoint: `ws://127.0.0.1:${port}`,
+    identity,
+    protocols: [protocol],
+    strictMode: true,
+    reconnect: false,
+  });
+  for (const [method, handler] of Object.entries(handlers || {})) {
+    client.handle(method, ({ params }) => {
+      received.push({ method, params });
+      return handler(params);
+    });
+  }
+  await client.connect();
+  await waitFor(() => driver.connected);
+  return {
+    fileServerPort,
+    adapter,
+    driver,
+    client,
+    received,
+    state: (id) => adapter.states.get(`devices.${device.id}.${id}`),
+    async close() {
+      await client.close({ force: true });
+      await driver.disconnect();
+    },
+  };
+}
+
+test('transfer payloads, progress and multipart parsing', () => {
+  assert.deepEqual(transferProgress('firmware', 'Downloading'), { progress: 20, active: true, failed: false });
+  assert.deepEqual(transferProgress('firmware', 'Installed'), { progress: 100, active: false, failed: false });
+  assert.deepEqual(transferProgress('firmware', 'InstallationFailed'), { progress: undefined, active: false, failed: true });
+  assert.equal(transferProgress('log', 'Uploading').progress, 50);
+  assert.equal(transferProgress('log', 'UploadFailure').failed, true);
+  assert.equal(transferProgress('log', 'Idle').active, false);
+
+  const v16 = buildUpdateFirmwareRequest('ocpp1.6', 'http://h/fw.bin', { retrieveAt: Date.parse('2026-10-01T00:00:00Z') });
+  assert.deepEqual(v16, { location: 'http://h/fw.bin', retrieveDate: '2026-10-01T00:00:00.000Z' });
+  const v201 = buildUpdateFirmwareRequest('ocpp2.0.1', 'http://h/fw.bin', { requestId: 5, retrieveAt: Date.parse('2026-10-01T00:00:00Z') });
+  assert.deepEqual(v201, { requestId: 5, firmware: { location: 'http://h/fw.bin', retrieveDateTime: '2026-10-01T00:00:00.000Z' } });
+  assert.deepEqual(buildLogRequest('ocpp1.6', 'http://h/u/'), { method: 'GetDiagnostics', params: { location: 'http://h/u/' } });
+  assert.equal(buildLogRequest('ocpp2.0.1', 'http://h/u/', { requestId: 1 }).params.logType, 'DiagnosticsLog');
+  assert.deepEqual(logRequestResult('ocpp1.6', {}), { status: 'NoLog', fileName: '' });
+  assert.deepEqual(logRequestResult('ocpp2.0.1', { status: 'Accepted', filename: 'log.zip' }), { status: 'Accepted', fileName: 'log.zip' });
+
+  const body = Buffer.from('--XyZ\r\nContent-Disposition: form-data; name="note"\r\n\r\nhi\r\n'
+    + '--XyZ\r\nContent-Disposition: form-data; name="file"; filename="diag.tar"\r\nContent-Type: application/octet-stream\r\n\r\nDATA\r\n--XyZ--\r\n');
+  const file = extractMultipartFile(body, 'multipart/form-data; boundary=XyZ');
+  assert.deepEqual([file.filename, file.data.toString()], ['diag.tar', 'DATA']);
+  assert.equal(urlHost('::ffff:10.0.0.2'), '10.0.0.2');
+  assert.equal(urlHost('fe80::1'), '[fe80::1]');
+});
+
+test('OCPP 1.6 firmware is served by the built-in endpoint and the progress is tracked', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexowatt-ocpp-fw-'));
+  const firmware = 'wallbox v2.bin';
+  fs.mkdirSync(path.join(dir, 'ocpp-firmware'));
+  fs.writeFileSync(path.join(dir, 'ocpp-firmware', firmware), Buffer.from('FIRMWARE-IMAGE'));
+  const session = await startSession('FW-16', 'ocpp1.6', dir, {
+    UpdateFirmware: () => ({}),
+    GetDiagnostics: () => ({ fileName: 'diag.tar.gz' }),
+  });
+  try {
+    const { driver, client, received } = session;
+    assert.deepEqual(await driver.writeDatapoint(dp('fIRMWARE_UPDATE'), firmware), { effectiveValue: firmware });
+    const location = received[0].params.location;
+    assert.match(location, new RegExp(`^http://127\\.0\\.0\\.1:${session.fileServerPort}/firmware/[0-9a-f]{32}/wallbox_v2\\.bin$`));
+    assert.equal(session.state('fIRMWARE_STATUS'), 'Requested');
+    assert.equal(session.state('fIRMWARE_PROGRESS'), 0);
+
+    const download = await request(location, 'GET');
+    assert.deepEqual([download.status, download.body.toString()], [200, 'FIRMWARE-IMAGE']);
+    assert.equal((await request(location.replace(/[0-9a-f]{32}/, '0'.repeat(32)), 'GET')).status, 404);
+
+    await client.call('FirmwareStatusNotification', { status: 'Downloading' });
+    await driver.central.drain('FW-16');
+    assert.equal(session.state('fIRMWARE_PROGRESS'), 20);
+    await client.call('FirmwareStatusNotification', { status: 'Installed' });
+    await driver.central.drain('FW-16');
+    assert.deepEqual([session.state('fIRMWARE_STATUS'), session.state('fIRMWARE_PROGRESS')], ['Installed', 100]);
+    assert.equal(session.state('ocpp.maintenance.firmwareActive'), false);
+
+    // Remote URLs are passed through, missing files and paths are reported without a call.
+    await driver.writeDatapoint(dp('fIRMWARE_UPDATE'), 'https://vendor.example/fw.bin');
+    assert.equal(received[1].params.location, 'https://vendor.example/fw.bin');
+    assert.deepEqual(await driver.writeDatapoint(dp('fIRMWARE_UPDATE'), 'missing.bin'), { effectiveValue: '' });
+    assert.equal(session.state('ocpp.maintenance.firmwareRequestResult'), 'FileNotFound');
+    for (const outside of [path.join(dir, 'ocpp-firmware', firmware), `../ocpp-firmware/${firmware}`, '..']) {
+      assert.deepEqual(await driver.writeDatapoint(dp('fIRMWARE_UPDATE'), outside), { effectiveValue: '' });
+      assert.equal(session.state('ocpp.maintenance.firmwareRequestResult'), 'InvalidFileName');
+    }
+    assert.equal(received.length, 2);
+
+    // Diagnostics: the station uploads to the announced location (directory + file name).
+    assert.deepEqual(await driver.writeDatapoint(dp('uPLOAD_DIAGNOSTICS'), true), { effectiveValue: false });
+    assert.equal(received[2].method, 'GetDiagnostics');
+    assert.equal(session.state('lOG_UPLOAD_STATUS'), 'Requested');
+    const upload = await request(`${received[2].params.location}diag.tar.gz`, 'PUT', Buffer.from('LOGDATA'));
+    assert.equal(upload.status, 200);
+    await waitFor(() => !!session.state('lOG_UPLOAD_FILE'));
+    const stored = session.state('lOG_UPLOAD_FILE');
+    assert.ok(stored.startsWith(path.join(dir, 'ocpp-uploads', 'FW-16')));
+    assert.ok(stored.endsWith('_diag.tar.gz'));
+    assert.equal(fs.readFileSync(stored, 'utf8'), 'LOGDATA');
+    await client.call('DiagnosticsStatusNotification', { status: 'Uploaded' });
+    await driver.central.drain('FW-16');
+    assert.deepEqual([session.state('lOG_UPLOAD_STATUS'), session.state('ocpp.maintenance.logProgress')], ['Uploaded', 100]);
+  } finally {
+    await session.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('OCPP 2.0.1 GetLog uploads via multipart POST and rejected updates are reported', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexowatt-ocpp-log-'));
+  const session = await startSession('FW-201', 'ocpp2.0.1', dir, {
+    UpdateFirmware: () => ({ status: 'Rejected' }),
+    GetLog: () => ({ status: 'Accepted', filename: 'station.log' }),
+  });
+  try {
+    const { driver, client, received } = session;
+    assert.deepEqual(await driver.writeDatapoint(dp('fIRMWARE_UPDATE'), 'ftp://10.0.0.1/fw.bin'), { effectiveValue: '' });
+    assert.equal(received[0].params.firmware.location, 'ftp://10.0.0.1/fw.bin');
+    assert.equal(session.state('ocpp.maintenance.firmwareRequestResult'), 'Rejected');
+
+    const result = await driver.central.requestLogUpload('FW-201', { logType: 'SecurityLog' });
+    assert.deepEqual([result.status, result.fileName], ['Accepted', 'station.log']);
+    assert.equal(received[1].params.logType, 'SecurityLog');
+    const boundary = 'b0undary';
+    const body = Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="station.log"\r\n\r\nLINE1\nLINE2\r\n--${boundary}--\r\n`);
+    const upload = await request(received[1].params.log.remoteLocation, 'POST', body, { 'Content-Type': `multipart/form-data; boundary=${boundary}` });
+    assert.equal(upload.status, 200);
+    await waitFor(() => !!session.state('lOG_UPLOAD_FILE'));
+    assert.equal(fs.readFileSync(session.state('lOG_UPLOAD_FILE'), 'utf8'), 'LINE1\nLINE2');
+    assert.equal(session.state('ocpp.maintenance.uploadBytes'), 11);
+
+    await client.call('LogStatusNotification', { status: 'UploadFailure', requestId: 1 });
+    await driver.central.drain('FW-201');
+    assert.deepEqual([session.state('lOG_UPLOAD_STATUS'), session.state('ocpp.maintenance.logActive')], ['UploadFailure', false]);
+  } finally {
+    await session.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('uploads are streamed to disk, limited in size and accept each token for one stored upload', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexowatt-ocpp-upload-'));
+  const server = new OcppFileServer({ host: '127.0.0.1', port: 0, uploadDir: dir, log: createAdapter().log, maxUploadBytes: 1000 });
+  await server.start();
+  const send = (urlPath, chunks, headers) => new Promise((resolve) => {
+    const req = http.request(server.url(urlPath, '127.0.0.1'), { method: 'POST', headers }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', e => resolve(e.code));
+    (async () => {
+      for (const chunk of chunks) {
+        req.write(chunk);
+        await new Promise(r => setTimeout(r, 2));
+      }
+      req.end();
+    })();
+  });
+  const stored = () => fs.readdirSync(path.join(dir, 'CP-UP'));
+  try {
+    // Multipart delimiter split across chunks; only the file part is stored.
+    const boundary = 'zz';
+    const body = `--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="log.txt"\r\n\r\nHELLO\r\n--${boundary}--\r\n`;
+    const chunks = body.match(/.{1,7}/gs).map(c => Buffer.from(c));
+    const upload = server.expectUpload('CP-UP');
+    assert.equal(await send(upload, chunks, { 'Content-Type': `multipart/form-data; boundary=${boundary}` }), 200);
+    assert.equal(stored().length, 1);
+    assert.ok(stored()[0].endsWith('_log.txt'));
+    assert.equal(fs.readFileSync(path.join(dir, 'CP-UP', stored()[0]), 'utf8'), 'HELLO');
+
+    // The token is consumed by the first upload.
+    assert.equal(await send(upload, [Buffer.from('again')]), 404);
+
+    // Oversized uploads are aborted without a partial file; the token stays valid for a retry.
+    const retried = server.expectUpload('CP-UP');
+    assert.equal(await send(retried, Array(20).fill(Buffer.alloc(100))), 413);
+    assert.equal(await send(retried, [Buffer.from('x')], { 'Content-Length': '5000' }), 413);
+    assert.equal(stored().length, 1);
+    assert.equal(await send(`${retried}diag%E0%A4%A.txt`, [Buffer.from('x')]), 400);
+    assert.equal(await send(`${retried}diag.txt`, [Buffer.from('RETRY')]), 200);
+    assert.equal(stored().length, 2);
+    assert.equal(await send(`${retried}diag.txt`, [Buffer.from('RETRY')]), 404);
+  } finally {
+    await server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
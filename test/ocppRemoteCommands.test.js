@@ -0,0 +1,191 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { RPCClient } = require('ocpp-rpc');
+
+const root = path.resolve(__dirname, '..');
+const compatibility = require('./helpers/compatibilityHarness.cjs');
+const DeviceRuntime = compatibility.loadDeviceRuntime(path.join(root, 'lib/deviceRuntime.js'));
+const { OcppDriver } = require('../lib/drivers/ocpp');
+const { buildRemoteCommand, executeRemoteCommand } = require('../lib/drivers/ocppCommands');
+const { TEMPLATE, createAdapter, dp, freePort, waitFor } = require('./helpers/ocppTestHarness.cjs');
+
+async function startSession(identity, protocol, handlers) {
+  const port = await freePort();
+  const adapter = createAdapter();
+  const device = {
+    id: `wb-${identity}`,
+    protocol: 'ocpp',
+    connection: { identity, host: '127.0.0.1', port, evseId: 1, connectorId: 1, remoteIdTag: 'EMS' },
+  };
+  const driver = new OcppDriver(adapter, device, TEMPLATE, {}, (d) => `devices.${device.id}.${d.id}`, () => null);
+  await driver.connect(TEMPLATE.datapoints);
+  const received = [];
+  const client = new RPCClient({
+    endpoint: `ws://127.0.0.1:${port}`,
+    identity,
+    protocols: [protocol],
+    strictMode: true,
+    reconnect: false,
+  });
+  for (const [method, handler] of Object.entries(handlers)) {
+    client.handle(method, ({ params }) => {
+      received.push({ method, params });
+      return handler(params);
+    });
+  }
+  await client.connect();
+  await waitFor(() => driver.connected);
+  return {
+    adapter,
+    driver,
+    client,
+    received,
+    state: (id) => adapter.states.get(`devices.${device.id}.${id}`),
+    async close() {
+      await client.close({ force: true });
+      await driver.disconnect();
+    },
+  };
+}
+
+test('remote commands are built per protocol', () => {
+  const target = { evseId: 2, connectorId: 1, idTag: 'EMS', transactionId: '42' };
+  assert.deepEqual(buildRemoteCommand('ocpp1.6', 'run', true, target), {
+    method: 'RemoteStartTransaction',
+    params: { connectorId: 1, idTag: 'EMS' },
+  });
+  assert.deepEqual(buildRemoteCommand('ocpp1.6', 'run', false, target), {
+    method: 'RemoteStopTransaction',
+    params: { transactionId: 42 },
+  });
+  const start201 = buildRemoteCommand('ocpp2.0.1', 'run', true, target, Date.parse('2026-10-01T00:00:00Z'));
+  assert.equal(start201.method, 'RequestStartTransaction');
+  assert.deepEqual(start201.params.idToken, { idToken: 'EMS', type: 'Central' });
+  assert.equal(start201.params.evseId, 2);
+  assert.ok(Number.isInteger(start201.params.remoteStartId) && start201.params.remoteStartId > 0);
+  assert.deepEqual(buildRemoteCommand('ocpp2.0.1', 'run', false, target).params, { transactionId: '42' });
+  assert.deepEqual(buildRemoteCommand('ocpp1.6', 'run', false, { connectorId: 1 }), { skip: 'NoTransaction' });
+
+  assert.deepEqual(buildRemoteCommand('ocpp2.0.1', 'unlock', true, target).params, { evseId: 2, connectorId: 1 });
+  assert.deepEqual(buildRemoteCommand('ocpp2.0.1', 'unlock', false, target), { skip: 'Ignored' });
+  assert.deepEqual(buildRemoteCommand('ocpp1.6', 'reset', 'Hard', target).params, { type: 'Hard' });
+  assert.deepEqual(buildRemoteCommand('ocpp2.0.1', 'reset', 'Soft', target).params, { type: 'OnIdle' });
+  assert.deepEqual(buildRemoteCommand('ocpp2.0.1', 'reset', 'Hard', target).params, { type: 'Immediate' });
+  assert.deepEqual(buildRemoteCommand('ocpp1.6', 'availability', false, target).params, { connectorId: 1, type: 'Inoperative' });
+  assert.deepEqual(buildRemoteCommand('ocpp2.0.1', 'availability', true, target).params, {
+    operationalStatus: 'Operative',
+    evse: { id: 2, connectorId: 1 },
+  });
+});
+
+test('call failures are reported as Timeout / NotImplemented instead of throwing', async () => {
+  const timeout = new Error('Call timed out');
+  timeout.name = 'TimeoutError';
+  const published = [];
+  const result = await executeRemoteCommand({
+    protocol: 'ocpp1.6',
+    command: 'reset',
+    value: 'Soft',
+    call: async () => { throw timeout; },
+    publish: async (r) => { published.push(r); },
+  });
+  assert.deepEqual([result.method, result.status, result.accepted], ['Reset', 'Timeout', false]);
+  assert.equal(published.length, 1);
+
+  const notImplemented = Object.assign(new Error('not implemented'), { rpcErrorCode: 'NotImplemented' });
+  const other = await executeRemoteCommand({
+    protocol: 'ocpp2.0.1',
+    command: 'unlock',
+    value: true,
+    target: { evseId: 1, connectorId: 1 },
+    call: async () => { throw notImplemented; },
+  });
+  assert.equal(other.status, 'NotImplemented');
+});
+
+test('OCPP 1.6 remote start, stop, unlock, reset and availability reach a real charge point', async () => {
+  const session = await startSession('RC-16', 'ocpp1.6', {
+    RemoteStartTransaction: () => ({ status: 'Accepted' }),
+    RemoteStopTransaction: () => ({ status: 'Accepted' }),
+    UnlockConnector: () => ({ status: 'UnlockFailed' }),
+    Reset: () => ({ status: 'Accepted' }),
+    ChangeAvailability: () => ({ status: 'Scheduled' }),
+  });
+  try {
+    const { driver, client, received } = session;
+    assert.deepEqual(await driver.writeDatapoint(dp('rEMOTE_START_STOP'), true), { effectiveValue: true });
+    assert.deepEqual(received[0], { method: 'RemoteStartTransaction', params: { connectorId: 1, idTag: 'EMS' } });
+    await waitFor(() => session.state('cOMMAND_RESULT') === 'Accepted');
+    assert.equal(session.state('lAST_COMMAND'), 'RemoteStartTransaction');
+
+    const started = await client.call('StartTransaction', { connectorId: 1, idTag: 'EMS', meterStart: 0, timestamp: new Date().toISOString() });
+    await driver.central.drain('RC-16');
+    await waitFor(() => session.state('tRANSACTION_ACTIVE') === true);
+    assert.deepEqual(await driver.writeDatapoint(dp('rEMOTE_START_STOP'), false), { effectiveValue: false });
+    assert.deepEqual(received[1].params, { transactionId: started.transactionId });
+
+    assert.deepEqual(await driver.writeDatapoint(dp('sET_UNLOCK_PLUG'), true), { effectiveValue: false });
+    await waitFor(() => session.state('cOMMAND_RESULT') === 'UnlockFailed');
+    assert.ok(session.adapter.warnings.some((msg) => msg.includes('UnlockConnector') && msg.includes('UnlockFailed')));
+
+    assert.deepEqual(await driver.writeDatapoint(dp('rESET'), 'Hard'), { effectiveValue: 'Hard' });
+    assert.deepEqual(received[3].params, { type: 'Hard' });
+    assert.deepEqual(await driver.writeDatapoint(dp('cHANGE_AVAILABILITY'), false), { effectiveValue: false });
+    assert.deepEqual(received[4].params, { connectorId: 1, type: 'Inoperative' });
+  } finally {
+    await session.close();
+  }
+});
+
+test('OCPP 2.0.1 RequestStart/StopTransaction and rejections are reported per connector', async () => {
+  const session = await startSession('RC-201', 'ocpp2.0.1', {
+    RequestStartTransaction: () => ({ status: 'Rejected', statusInfo: { reasonCode: 'Occupied' } }),
+    RequestStopTransaction: () => ({ status: 'Accepted' }),
+    ChangeAvailability: () => ({ status: 'Accepted' }),
+  });
+  try {
+    const { driver, client, received } = session;
+    assert.deepEqual(await driver.writeDatapoint(dp('rEMOTE_START_STOP'), true), { effectiveValue: false });
+    await waitFor(() => session.state('cOMMAND_RESULT') === 'Rejected');
+    assert.equal(session.adapter.states.get('devices.wb-RC-201.ocpp.connectors.1_1.lastCommandReason'), 'Occupied');
+
+    await client.call('TransactionEvent', {
+      eventType: 'Started',
+      timestamp: new Date().toISOString(),
+      triggerReason: 'RemoteStart',
+      seqNo: 0,
+      transactionInfo: { transactionId: 'TX-9', chargingState: 'Charging' },
+      evse: { id: 1, connectorId: 1 },
+    });
+    await driver.central.drain('RC-201');
+    await driver.writeDatapoint(dp('rEMOTE_START_STOP'), false);
+    assert.deepEqual(received[1], { method: 'RequestStopTransaction', params: { transactionId: 'TX-9' } });
+
+    await driver.writeDatapoint(dp('cHANGE_AVAILABILITY'), true);
+    assert.deepEqual(received[2].params, { operationalStatus: 'Operative', evse: { id: 1, connectorId: 1 } });
+  } finally {
+    await session.close();
+  }
+  await assert.rejects(() => session.driver.writeDatapoint(dp('rESET'), 'Soft'), /not connected/);
+});
+
+test('ctrl.run and ctrl.unlockPlug map onto the OCPP remote commands', () => {
+  const runtime = compatibility.buildRuntime(DeviceRuntime, TEMPLATE, 'ocpp-rc');
+  runtime.cfg.protocol = 'ocpp';
+  const definitions = runtime._buildAliasDefinitions();
+  const byPath = new Map(definitions.map((def) => [String(def.relId).replace('devices.ocpp-rc.aliases.', ''), def]));
+
+  const run = byPath.get('ctrl.run');
+  assert.equal(run.dpId, 'tRANSACTION_ACTIVE');
+  assert.equal(run.writeDpId, 'rEMOTE_START_STOP');
+  assert.equal(run.toDevice(true), true);
+  assert.equal(run.toDevice(false), false);
+
+  const unlock = byPath.get('ctrl.unlockPlug');
+  assert.equal(unlock.writeDpId, 'sET_UNLOCK_PLUG');
+  assert.equal(unlock.toDevice(true), true);
+  assert.equal(unlock.toDevice(false), null);
+});
@@ -0,0 +1,220 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { spawnSync } = require('node:child_process');
+const { RPCClient } = require('ocpp-rpc');
+
+const { OcppDriver } = require('../lib/drivers/ocpp');
+const {
+  verifyHandshake,
+  mergeSecurityConfigs,
+  buildAuthorizationKeyRequest,
+  authorizationKeyStatus,
+  normalizeCertificateChain,
+  buildCertificateSignedRequest,
+} = require('../lib/drivers/ocppSecurity');
+const { TEMPLATE, createAdapter, dp, freePort, waitFor } = require('./helpers/ocppTestHarness.cjs');
+
+const KEY = 'S3cure-Station-Key-01';
+const CSR = '-----BEGIN CERTIFICATE REQUEST-----\nMIIBfake\n-----END CERTIFICATE REQUEST-----';
+const CHAIN = '-----BEGIN CERTIFICATE-----\nMIIBleaf\n-----END CERTIFICATE-----\r\n-----BEGIN CERTIFICATE-----\nMIIBsubca\n-----END CERTIFICATE-----\n';
+
+async function startCentral(identity, connection) {
+  const port = await freePort();
+  const adapter = createAdapter();
+  const device = {
+    id: `wb-${identity}`,
+    protocol: 'ocpp',
+    connection: { identity, host: '127.0.0.1', port, evseId: 1, connectorId: 1, ...connection },
+  };
+  const driver = new OcppDriver(adapter, device, TEMPLATE, {}, (d) => `devices.${device.id}.${d.id}`, () => null);
+  await driver.connect(TEMPLATE.datapoints);
+  return {
+    port,
+    adapter,
+    driver,
+    state: (id) => adapter.states.get(`devices.${device.id}.${id}`),
+  };
+}
+
+function createStation(port, identity, protocol, options = {}) {
+  const received = [];
+  const client = new RPCClient({
+    endpoint: `${options.scheme || 'ws'}://127.0.0.1:${port}`,
+    identity,
+    protocols: [protocol],
+    strictMode: true,
+    reconnect: false,
+    password: options.password,
+    wsOpts: options.wsOpts,
+  });
+  for (const [method, handler] of Object.entries(options.handlers || {})) {
+    client.handle(method, ({ params }) => {
+      received.push({ method, params });
+      return handler(params);
+    });
+  }
+  return { client, received };
+}
+
+function createSelfSignedCertificate() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexowatt-ocpp-tls-'));
+  const certPath = path.join(dir, 'server.crt');
+  const keyPath = path.join(dir, 'server.key');
+  const result = spawnSync('openssl', [
+    'req', '-x509', '-newkey', 'rsa:2048', '-nodes', '-days', '1',
+    '-subj', '/CN=127.0.0.1', '-keyout', keyPath, '-out', certPath,
+  ], { stdio: 'ignore', timeout: 30000 });
+  if (result.error || result.status !== 0) return null;
+  return { dir, certPath, keyPath };
+}
+
+test('handshakes are verified per security profile', () => {
+  const key = Buffer.from(KEY);
+  assert.deepEqual(verifyHandshake({ securityProfile: 0 }, undefined, false), { ok: true, basicAuth: false });
+  assert.deepEqual(verifyHandshake({ securityProfile: 0, authorizationKey: KEY }, undefined, false), { ok: true, basicAuth: false });
+  assert.deepEqual(verifyHandshake({ securityProfile: 1, authorizationKey: KEY }, key, false), { ok: true, basicAuth: true });
+  assert.equal(verifyHandshake({ securityProfile: 1, authorizationKey: KEY }, Buffer.from('wrong-password-123'), false).code, 401);
+  assert.equal(verifyHandshake({ securityProfile: 1, authorizationKey: KEY }, undefined, false).code, 401);
+  assert.equal(verifyHandshake({ securityProfile: 1 }, key, false).message, 'No password configured');
+  assert.equal(verifyHandshake({ securityProfile: 2, authorizationKey: KEY }, key, false).code, 403);
+  assert.equal(verifyHandshake({ securityProfile: 2, authorizationKey: KEY }, key, true).ok, true);
+
+  const merged = mergeSecurityConfigs([{ securityProfile: 1 }, { securityProfile: 2, authorizationKey: KEY }, null]);
+  assert.deepEqual(merged, { securityProfile: 2, authorizationKey: KEY, authorizationKeyEncoding: 'hex', provisionAuthorizationKey: true });
+});
+
+test('authorization key and certificate payloads per protocol', () => {
+  assert.deepEqual(buildAuthorizationKeyRequest('ocpp1.6', 'abc'), {
+    method: 'ChangeConfiguration',
+    params: { key: 'AuthorizationKey', value: '616263' },
+  });
+  assert.equal(buildAuthorizationKeyRequest('ocpp1.6', 'abc', 'plain').params.value, 'abc');
+  const v201 = buildAuthorizationKeyRequest('ocpp2.0.1', KEY);
+  assert.equal(v201.method, 'SetVariables');
+  assert.deepEqual(v201.params.setVariableData[0].variable, { name: 'BasicAuthPassword' });
+  assert.equal(authorizationKeyStatus('ocpp2.0.1', { setVariableResult: [{ attributeStatus: 'RebootRequired' }] }), 'RebootRequired');
+
+  assert.equal(normalizeCertificateChain(CHAIN).split('-----BEGIN CERTIFICATE-----').length, 3);
+  assert.equal(normalizeCertificateChain('no pem'), '');
+  assert.deepEqual(Object.keys(buildCertificateSignedRequest('ocpp1.6', CHAIN, 'V2GCertificate')), ['certificateChain']);
+  assert.equal(buildCertificateSignedRequest('ocpp2.0.1', CHAIN, 'V2GCertificate').certificateType, 'V2GCertificate');
+});
+
+test('security profile 1 rejects stations without the configured Basic Auth password', async () => {
+  const central = await startCentral('SEC-1', { securityProfile: 1, authorizationKey: KEY });
+  const stations = [];
+  try {
+    const anonymous = createStation(central.port, 'SEC-1', 'ocpp1.6');
+    stations.push(anonymous.client);
+    await assert.rejects(() => anonymous.client.connect());
+    const wrong = createStation(central.port, 'SEC-1', 'ocpp1.6', { password: 'not-the-right-key' });
+    stations.push(wrong.client);
+    await assert.rejects(() => wrong.client.connect());
+    assert.ok(central.adapter.warnings.some((msg) => msg.includes('Invalid credentials')));
+
+    const authorized = createStation(central.port, 'SEC-1', 'ocpp1.6', { password: KEY });
+    stations.push(authorized.client);
+    await authorized.client.connect();
+    await waitFor(() => central.state('bASIC_AUTH') === true);
+    assert.equal(central.state('tLS_CONNECTION'), false);
+  } finally {
+    for (const client of stations) await client.close({ force: true });
+    await central.driver.disconnect();
+  }
+});
+
+for (const [index, protocol] of ['ocpp1.6', 'ocpp2.0.1'].entries()) {
+  test(`profile 0 stations get the authorization key provisioned (${protocol})`, async () => {
+    const identity = `SEC-PROV-${index}`;
+    const central = await startCentral(identity, { authorizationKey: KEY });
+    const station = createStation(central.port, identity, protocol, {
+      handlers: {
+        ChangeConfiguration: () => ({ status: 'Accepted' }),
+        SetVariables: (params) => ({
+          setVariableResult: params.setVariableData.map((item) => ({
+            attributeStatus: 'Accepted',
+            component: item.component,
+            variable: item.variable,
+          })),
+        }),
+      },
+    });
+    try {
+      await station.client.connect();
+      await waitFor(() => central.driver.connected);
+      assert.equal(central.state('bASIC_AUTH'), false);
+      assert.deepEqual(await central.driver.writeDatapoint(dp('pROVISION_AUTH_KEY'), true), { effectiveValue: false });
+      const call = station.received[0];
+      if (protocol === 'ocpp1.6') {
+        assert.deepEqual(call.params, { key: 'AuthorizationKey', value: Buffer.from(KEY).toString('hex') });
+      } else {
+        assert.equal(call.params.setVariableData[0].attributeValue, KEY);
+      }
+      await waitFor(() => central.state('aUTH_KEY_STATUS') === 'Accepted');
+    } finally {
+      await station.client.close({ force: true });
+      await central.driver.disconnect();
+    }
+  });
+}
+
+test('SignCertificate stores the CSR and CertificateSigned sends the signed chain', async () => {
+  const central = await startCentral('SEC-PKI', {});
+  const station = createStation(central.port, 'SEC-PKI', 'ocpp2.0.1', {
+    handlers: { CertificateSigned: () => ({ status: 'Accepted' }) },
+  });
+  try {
+    await station.client.connect();
+    await waitFor(() => central.driver.connected);
+    assert.deepEqual(await station.client.call('SignCertificate', { csr: 'garbage' }), { status: 'Rejected' });
+    assert.deepEqual(await station.client.call('SignCertificate', { csr: CSR, certificateType: 'V2GCertificate' }), { status: 'Accepted' });
+    await central.driver.central.drain('SEC-PKI');
+    assert.equal(central.state('cSR_PENDING'), true);
+    assert.equal(central.adapter.states.get('devices.wb-SEC-PKI.ocpp.security.csr'), CSR);
+
+    const result = await central.driver.writeDatapoint(dp('cERTIFICATE_CHAIN'), CHAIN);
+    assert.deepEqual(result, { effectiveValue: CHAIN });
+    assert.equal(station.received[0].params.certificateType, 'V2GCertificate');
+    await waitFor(() => central.state('cSR_PENDING') === false);
+    assert.equal(central.state('cERTIFICATE_STATUS'), 'Accepted');
+
+    assert.deepEqual(await central.driver.writeDatapoint(dp('cERTIFICATE_CHAIN'), 'not a certificate'), { effectiveValue: '' });
+    assert.equal(station.received.length, 1);
+  } finally {
+    await station.client.close({ force: true });
+    await central.driver.disconnect();
+  }
+});
+
+const certificate = createSelfSignedCertificate();
+
+test('security profile 2 accepts Basic Auth over wss only', { skip: certificate ? false : 'openssl not available' }, async () => {
+  const central = await startCentral('SEC-TLS', {
+    securityProfile: 2,
+    authorizationKey: KEY,
+    tlsCertPath: certificate.certPath,
+    tlsKeyPath: certificate.keyPath,
+  });
+  const station = createStation(central.port, 'SEC-TLS', 'ocpp2.0.1', {
+    scheme: 'wss',
+    password: KEY,
+    wsOpts: { rejectUnauthorized: false },
+  });
+  const plain = createStation(central.port, 'SEC-TLS', 'ocpp2.0.1', { password: KEY });
+  try {
+    await assert.rejects(() => plain.client.connect());
+    await station.client.connect();
+    await waitFor(() => central.state('tLS_CONNECTION') === true);
+    assert.equal(central.state('bASIC_AUTH'), true);
+  } finally {
+    await plain.client.close({ force: true });
+    await station.client.close({ force: true });
+    await central.driver.disconnect();
+    fs.rmSync(certificate.dir, { recursive: true, force: true });
+  }
+});
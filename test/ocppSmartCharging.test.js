@@ -0,0 +1,216 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RPCClient } = require('ocpp-rpc');
+
+const { OcppDriver } = require('../lib/drivers/ocpp');
+const {
+  OcppChargingLimiter,
+  buildSetChargingProfileRequest,
+  buildClearChargingProfileRequest,
+} = require('../lib/drivers/ocppSmartCharging');
+const { deterministicChargingProfileIds } = require('../ocpp/compact');
+const { TEMPLATE, createAdapter, dp, freePort, waitFor } = require('./helpers/ocppTestHarness.cjs');
+
+function createDriver(adapter, identity, port, connection = {}) {
+  const device = {
+    id: `wb-${identity}`,
+    protocol: 'ocpp',
+    connection: { identity, host: '127.0.0.1', port, evseId: 1, connectorId: 1, ...connection },
+  };
+  return new OcppDriver(adapter, device, TEMPLATE, {}, (dp) => `devices.${device.id}.${dp.id}`, () => null);
+}
+
+async function connectStation(port, identity, protocol, handlers) {
+  const client = new RPCClient({
+    endpoint: `ws://127.0.0.1:${port}`,
+    identity,
+    protocols: [protocol],
+    strictMode: true,
+    reconnect: false,
+  });
+  for (const [method, handler] of Object.entries(handlers)) client.handle(method, handler);
+  await client.connect();
+  return client;
+}
+
+function fakeLimiter(config, responses) {
+  const calls = [];
+  const reports = [];
+  let connected = true;
+  const limiter = new OcppChargingLimiter({
+    identity: 'CP-X',
+    evseId: 1,
+    connectorId: 1,
+    config,
+    getProtocol: () => 'ocpp1.6',
+    isConnected: () => connected,
+    call: async (method, params) => {
+      calls.push({ method, params });
+      const next = responses.length > 1 ? responses.shift() : responses[0];
+      if (next instanceof Error) throw next;
+      return next;
+    },
+    publish: async (fields) => { reports.push(fields); },
+  });
+  return {
+    limiter,
+    calls,
+    reports,
+    setConnected(value) { connected = value; },
+  };
+}
+
+test('profile payloads use the deterministic eos-charge-limit ids per protocol and purpose', () => {
+  const limit = { effectiveLimit: 16, rateUnit: 'A', phases: 3 };
+  const now = Date.parse('2026-10-01T12:00:00.000Z');
+
+  const v16 = buildSetChargingProfileRequest('ocpp1.6', { identity: 'CP-1', evseId: 1, connectorId: 2 }, limit, now);
+  assert.equal(v16.connectorId, 2);
+  assert.equal(v16.csChargingProfiles.chargingProfilePurpose, 'TxDefaultProfile');
+  assert.equal(v16.csChargingProfiles.chargingProfileId, deterministicChargingProfileIds('CP-1', 'eos-charge-limit', 'connector-2').chargingProfileId);
+  assert.equal(v16.csChargingProfiles.chargingSchedule.startSchedule, '2026-10-01T11:59:00Z');
+  assert.deepEqual(v16.csChargingProfiles.chargingSchedule.chargingSchedulePeriod, [{ startPeriod: 0, limit: 16, numberPhases: 3 }]);
+
+  const max16 = buildSetChargingProfileRequest('ocpp1.6', { identity: 'CP-1', connectorId: 2, purpose: 'ChargingStationMaxProfile' }, limit, now);
+  assert.equal(max16.connectorId, 0);
+  assert.equal(max16.csChargingProfiles.chargingProfilePurpose, 'ChargePointMaxProfile');
+
+  const v201 = buildSetChargingProfileRequest('ocpp2.0.1', { identity: 'CP-1', evseId: 2, connectorId: 1, purpose: 'ChargingStationMaxProfile' }, limit, now);
+  assert.equal(v201.evseId, 0);
+  assert.equal(v201.chargingProfile.chargingProfilePurpose, 'ChargingStationMaxProfile');
+  assert.equal(v201.chargingProfile.chargingSchedule[0].id, deterministicChargingProfileIds('CP-1', 'eos-charge-limit', 'station').scheduleId);
+
+  assert.deepEqual(Object.keys(buildClearChargingProfileRequest('ocpp1.6', { identity: 'CP-1', connectorId: 1 })), ['id']);
+  assert.deepEqual(Object.keys(buildClearChargingProfileRequest('ocpp2.0.1', { identity: 'CP-1', evseId: 1 })), ['chargingProfileId']);
+});
+
+test('limit changes are deadbanded and rate-limited with the newest request winning', async () => {
+  const probe = fakeLimiter({ chargingLimitMinIntervalSec: 0.2 }, [{ status: 'Accepted' }]);
+  const { limiter, calls, reports } = probe;
+
+  assert.deepEqual(await limiter.request(16, 'A'), { effectiveValue: 16 });
+  assert.equal(calls.length, 1);
+  assert.equal(reports[reports.length - 1].accepted, true);
+
+  // Within the deadband: nothing is sent.
+  await limiter.request(16.1, 'A');
+  assert.equal(calls.length, 1);
+
+  // Inside the minimum interval: only the newest value is sent once the interval expired.
+  await limiter.request(10, 'A');
+  await limiter.request(12, 'A');
+  assert.equal(calls.length, 1);
+  assert.equal(reports[reports.length - 1].status, 'Scheduled');
+  await waitFor(() => calls.length === 2);
+  assert.equal(calls[1].params.csChargingProfiles.chargingSchedule.chargingSchedulePeriod[0].limit, 12);
+
+  // Below the minimum current the limit is clamped and the effective value reported back.
+  limiter.lastSentAt = 0;
+  assert.deepEqual(await limiter.request(3, 'A'), { effectiveValue: 6 });
+  limiter.stop();
+});
+
+test('concurrent flushes send the newest limit once and keep the minimum interval', async () => {
+  const probe = fakeLimiter({ chargingLimitMinIntervalSec: 0.2 }, [{ status: 'Accepted' }]);
+  const { limiter, calls, reports } = probe;
+  let answer = null;
+  const station = limiter.callStation;
+  limiter.callStation = (method, params) => new Promise((resolve) => { answer = () => resolve(station(method, params)); });
+
+  const first = limiter.request(16, 'A');
+  await waitFor(() => answer !== null);
+  // Both callers queue behind the running send: the limit is not sent twice.
+  const second = limiter.flush();
+  const third = limiter.flush();
+  answer();
+  await Promise.all([first, second, third]);
+  assert.equal(calls.length, 1);
+
+  // A newer limit queued behind a send waits for the interval instead of going out at once.
+  answer = null;
+  limiter.desired = { ...limiter.desired, effectiveLimit: 10 };
+  await limiter.flush();
+  assert.equal(calls.length, 1);
+  assert.equal(reports[reports.length - 1].status, 'Scheduled');
+  await waitFor(() => answer !== null);
+  answer();
+  await waitFor(() => calls.length === 2);
+  limiter.stop();
+});
+
+test('zero limits send a zero profile or clear it depending on the configuration', async () => {
+  const zero = fakeLimiter({}, [{ status: 'Accepted' }]);
+  await zero.limiter.request(0, 'W');
+  assert.equal(zero.calls[0].method, 'SetChargingProfile');
+  assert.equal(zero.calls[0].params.csChargingProfiles.chargingSchedule.chargingSchedulePeriod[0].limit, 0);
+
+  const clear = fakeLimiter({ eosSafeZeroProfile: false, zeroLimitBehavior: 'clearProfile' }, [{ status: 'Unknown' }]);
+  await clear.limiter.request(0, 'A');
+  assert.equal(clear.calls[0].method, 'ClearChargingProfile');
+  assert.equal(clear.reports[0].accepted, true);
+
+  const hold = fakeLimiter({ eosSafeZeroProfile: false }, [{ status: 'Accepted' }]);
+  await hold.limiter.request(11, 'A');
+  hold.limiter.lastSentAt = 0;
+  assert.deepEqual(await hold.limiter.request(0, 'A'), { effectiveValue: 11 });
+  assert.equal(hold.calls.length, 1);
+});
+
+test('rejections, timeouts and offline stations are reported and re-applied after reconnect', async () => {
+  const timeout = new Error('Call timed out');
+  timeout.name = 'TimeoutError';
+  const probe = fakeLimiter({ chargingLimitMinIntervalSec: 0 }, [{ status: 'Rejected' }, timeout, { status: 'Accepted' }]);
+  const { limiter, calls, reports } = probe;
+  limiter.reapplyDelayMs = 0;
+
+  await limiter.request(16, 'A');
+  assert.deepEqual([reports[0].status, reports[0].accepted], ['Rejected', false]);
+  await limiter.request(20, 'A');
+  assert.deepEqual([reports[1].status, reports[1].accepted], ['Timeout', false]);
+
+  probe.setConnected(false);
+  await limiter.request(24, 'A');
+  assert.equal(calls.length, 2);
+  assert.equal(reports[2].status, 'Pending');
+
+  probe.setConnected(true);
+  limiter.onReconnect();
+  await waitFor(() => calls.length === 3);
+  assert.equal(calls[2].params.csChargingProfiles.chargingSchedule.chargingSchedulePeriod[0].limit, 24);
+  await waitFor(() => reports.length === 4);
+  assert.equal(reports[3].accepted, true);
+});
+
+for (const protocol of ['ocpp1.6', 'ocpp2.0.1']) {
+  test(`ctrl limit writes reach a real ${protocol} charge point as schema-valid SetChargingProfile`, async () => {
+    const identity = `SC-${protocol.replace(/\W/g, '')}`;
+    const adapter = createAdapter();
+    const port = await freePort();
+    const driver = createDriver(adapter, identity, port);
+    await driver.connect(TEMPLATE.datapoints);
+    const received = [];
+    const client = await connectStation(port, identity, protocol, {
+      SetChargingProfile: ({ params }) => {
+        received.push(params);
+        return { status: 'Accepted' };
+      },
+    });
+    try {
+      await waitFor(() => driver.connected);
+      const result = await driver.writeDatapoint(dp('sET_CHARGING_CURRENT'), 13);
+      assert.deepEqual(result, { effectiveValue: 13 });
+      assert.equal(received.length, 1);
+      const profile = protocol === 'ocpp1.6' ? received[0].csChargingProfiles : received[0].chargingProfile;
+      assert.equal(profile.chargingProfilePurpose, 'TxDefaultProfile');
+      await waitFor(() => adapter.states.get(`devices.wb-${identity}.cONTROL_ACCEPTED`) === true);
+      assert.equal(adapter.states.get(`devices.wb-${identity}.cHARGING_LIMIT_STATUS`), 'Accepted');
+
+      await assert.rejects(() => driver.writeDatapoint(dp('aCTIVE_POWER'), 1), /read-only/);
+    } finally {
+      await client.close({ force: true });
+      await driver.disconnect();
+    }
+  });
+}
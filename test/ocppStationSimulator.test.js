@@ -0,0 +1,75 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { OcppDriver } = require('../lib/drivers/ocpp');
+const { deriveConnectionHealth } = require('../ocpp/freshness');
+const { OcppStationSimulator, loadScenario, resolveTemplate } = require('./helpers/ocppStationSimulator.cjs');
+const { TEMPLATE, createAdapter, freePort, waitFor } = require('./helpers/ocppTestHarness.cjs');
+
+/** Driver with its central system on localhost and a simulator playing the fixture. */
+async function playScenario(name) {
+  const port = await freePort();
+  const scenario = loadScenario(name);
+  const adapter = createAdapter();
+  const device = {
+    id: `wb-${scenario.identity}`,
+    protocol: 'ocpp',
+    connection: { identity: scenario.identity, host: '127.0.0.1', port, evseId: 1, connectorId: 1 },
+  };
+  const driver = new OcppDriver(adapter, device, TEMPLATE, {}, (d) => `devices.${device.id}.${d.id}`, () => null);
+  await driver.connect(TEMPLATE.datapoints);
+  const simulator = new OcppStationSimulator({
+    endpoint: `ws://127.0.0.1:${port}`,
+    identity: scenario.identity,
+    protocol: scenario.protocol,
+    responses: scenario.responses,
+  });
+  const central = driver.central;
+  const station = () => central.stations.get(scenario.identity);
+  try {
+    await simulator.connect();
+    await waitFor(() => driver.connected);
+    await simulator.play(scenario, {
+      settle: () => central.drain(scenario.identity),
+      state: (key) => station().values.get(key),
+      health: (now) => deriveConnectionHealth({
+        now,
+        socketConnected: station().connected,
+        connectedAt: station().connectedAt,
+        lastMessageAt: station().lastMessageAt,
+        lastHeartbeatAt: station().lastHeartbeatAt,
+        heartbeatIntervalSec: station().heartbeatIntervalSec,
+      }),
+    });
+    return { driver, simulator, state: (id) => adapter.states.get(`devices.${device.id}.${id}`) };
+  } finally {
+    await simulator.close();
+    await driver.disconnect();
+  }
+}
+
+test('scenario placeholders resolve timestamps and saved response values', () => {
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  assert.deepEqual(
+    resolveTemplate({ ts: '${now-60}', tx: '${tx}', list: ['${now+1}', 'id-${tx}'] }, { tx: 42 }, now),
+    { ts: '2026-10-19T11:59:00.000Z', tx: 42, list: ['2026-10-19T12:00:01.000Z', 'id-42'] },
+  );
+});
+
+test('OCPP 1.6J session fixture is mapped onto measurements, counters and safe zero', async () => {
+  const { state } = await playScenario('session-ocpp16');
+  assert.equal(state('cHARGE_POINT_STATE'), 6); // Finishing
+  assert.equal(state('aCTIVE_POWER'), 0);
+  assert.equal(state('tOTAL_ENERGY'), 121500);
+  assert.equal(state('iD_TAG'), 'SIM-CARD-1');
+});
+
+test('OCPP 2.0.1 session fixture covers TransactionEvent meter values, SoC and EV-suspended zero', async () => {
+  const { state, simulator } = await playScenario('session-ocpp201');
+  assert.equal(state('sOC'), 57);
+  assert.equal(state('aCTIVE_POWER'), 0);
+  assert.equal(state('tOTAL_ENERGY'), 41800);
+  assert.deepEqual(simulator.received, [], 'the central system sends no commands on its own');
+});
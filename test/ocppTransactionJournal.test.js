@@ -0,0 +1,182 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { RPCClient } = require('ocpp-rpc');
+
+const { OcppDriver } = require('../lib/drivers/ocpp');
+const { OcppTransactionJournal, sessionsToCsv, filterSessions } = require('../lib/drivers/ocppTransactionJournal');
+const { TEMPLATE, createAdapter, freePort, waitFor } = require('./helpers/ocppTestHarness.cjs');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'nexowatt-ocpp-journal-'));
+}
+
+async function startSession(identity, protocol, dir) {
+  const port = await freePort();
+  const adapter = createAdapter(dir);
+  const device = {
+    id: `wb-${identity}`,
+    protocol: 'ocpp',
+    connection: { identity, host: '127.0.0.1', port, evseId: 1, connectorId: 1 },
+  };
+  const driver = new OcppDriver(adapter, device, TEMPLATE, {}, (d) => `devices.${device.id}.${d.id}`, () => null);
+  await driver.connect(TEMPLATE.datapoints);
+  const client = new RPCClient({
+    endpoint: `ws://127.0.0.1:${port}`,
+    identity,
+    protocols: [protocol],
+    strictMode: true,
+    reconnect: false,
+  });
+  await client.connect();
+  await waitFor(() => driver.connected);
+  return {
+    adapter,
+    driver,
+    client,
+    state: (id) => adapter.states.get(`devices.${device.id}.${id}`),
+    async close() {
+      await client.close({ force: true });
+      await driver.disconnect();
+    },
+  };
+}
+
+test('open sessions survive a restart and are closed by the later stop', async () => {
+  const dir = tempDir();
+  try {
+    const first = new OcppTransactionJournal({ dir });
+    assert.equal(await first.record('CP-1', { type: 'Start', txId: 42, connectorId: 2, idTag: 'CARD-A', meterStart: 1000, ts: '2026-10-01T08:00:00Z' }), null);
+    await first.flush();
+
+    const second = new OcppTransactionJournal({ dir });
+    const closed = await second.record('CP-1', { type: 'Stop', txId: 42, connectorId: 2, meterStop: 8500, reason: 'EVDisconnected', ts: '2026-10-01T10:30:00Z' });
+    assert.deepEqual(
+      [closed.idTag, closed.meterStart, closed.meterStop, closed.energyWh, closed.durationSec, closed.stopReason, closed.status],
+      ['CARD-A', 1000, 8500, 7500, 9000, 'EVDisconnected', 'closed'],
+    );
+    await second.flush();
+    const stored = JSON.parse(fs.readFileSync(path.join(dir, 'CP-1.json'), 'utf8'));
+    assert.equal(stored.sessions.length, 1);
+    assert.equal(stored.sessions[0].status, 'closed');
+
+    // A stop without any recorded start is kept, but without energy.
+    const orphan = await second.record('CP-1', { type: 'Stop', txId: 7, meterStop: 10, ts: '2026-10-02T00:00:00Z' });
+    assert.deepEqual([orphan.startedAt, orphan.energyWh], [null, null]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('evseId 0 is kept and only missing ids default to 1', async () => {
+  const dir = tempDir();
+  try {
+    const journal = new OcppTransactionJournal({ dir });
+    await journal.record('CP-0', { type: 'Start', txId: 'a', evseId: 0, connectorId: 1, ts: '2026-10-01T08:00:00Z' });
+    await journal.record('CP-0', { type: 'Start', txId: 'b', connectorId: 1, ts: '2026-10-01T08:05:00Z' });
+    // A stop without transaction id closes the open session of its own EVSE only.
+    const closed = await journal.record('CP-0', { type: 'Stop', evseId: 1, connectorId: 1, ts: '2026-10-01T09:00:00Z' });
+    assert.deepEqual([closed.transactionId, closed.evseId], ['b', 1]);
+    await journal.flush();
+    const stored = JSON.parse(fs.readFileSync(path.join(dir, 'CP-0.json'), 'utf8'));
+    assert.deepEqual(stored.sessions.map((s) => [s.transactionId, s.evseId, s.status]), [['a', 0, 'open'], ['b', 1, 'closed']]);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('sessions are filtered, pruned and exported as CSV', async () => {
+  const journal = new OcppTransactionJournal({ maxSessions: 2 });
+  for (const [index, idTag] of ['A', 'B;1', 'A'].entries()) {
+    const day = `2026-10-0${index + 1}`;
+    await journal.record('CP-2', { type: 'Start', txId: index, idTag, meterStart: 0, ts: `${day}T08:00:00Z` });
+    await journal.record('CP-2', { type: 'Stop', txId: index, meterStop: 1500 * (index + 1), ts: `${day}T09:00:00Z` });
+  }
+  await journal.record('CP-2', { type: 'Start', txId: 99, idTag: 'A', ts: '2026-10-04T08:00:00Z' });
+
+  const all = await journal.sessions('CP-2', { includeOpen: true });
+  assert.deepEqual(all.map((s) => s.transactionId), ['1', '2', '99']);
+  assert.equal((await journal.sessions('CP-2')).length, 2);
+  assert.deepEqual(filterSessions(all, { idTag: 'a', from: '2026-10-03' }).map((s) => s.transactionId), ['2']);
+  assert.deepEqual(filterSessions(all, { to: '2026-10-03T00:00:00Z' }).map((s) => s.transactionId), ['1']);
+
+  const csv = sessionsToCsv(await journal.sessions('CP-2')).split('\r\n');
+  assert.equal(csv[0], 'identity;transactionId;evseId;connectorId;idTag;startedAt;stoppedAt;durationSec;meterStartWh;meterStopWh;energyWh;energyKWh;stopReason;status');
+  assert.equal(csv[1], 'CP-2;1;1;1;"B;1";2026-10-02T08:00:00.000Z;2026-10-02T09:00:00.000Z;3600;0;3000;3000;3.000;;closed');
+  assert.equal(csv.length, 4);
+  assert.equal(sessionsToCsv([], { delimiter: ',' }).split('\r\n')[0].split(',').length, 14);
+
+  // Cells that a spreadsheet would evaluate as formula are escaped; numbers stay numbers.
+  const injected = sessionsToCsv([{ identity: 'CP-2', idTag: '=HYPERLINK("x")', stopReason: '@SUM(A1)', meterStart: -5, status: 'closed' }]).split('\r\n')[1].split(';');
+  assert.equal(injected[4], '"\'=HYPERLINK(""x"")"');
+  assert.equal(injected[8], '-5');
+  assert.equal(injected[12], "'@SUM(A1)");
+});
+
+test('OCPP 1.6 sessions are journaled and exported through the driver', async () => {
+  const dir = tempDir();
+  const session = await startSession('TX-16', 'ocpp1.6', dir);
+  try {
+    const { driver, client } = session;
+    const started = await client.call('StartTransaction', { connectorId: 1, idTag: 'COMPANY-CAR', meterStart: 12000, timestamp: '2026-10-05T17:00:00Z' });
+    await client.call('StopTransaction', {
+      transactionId: started.transactionId,
+      meterStop: 23500,
+      timestamp: '2026-10-05T19:00:00Z',
+      reason: 'Local',
+    });
+    await driver.central.drain('TX-16');
+    assert.equal(session.state('lAST_SESSION_ENERGY'), 11500);
+    assert.equal(JSON.parse(session.state('ocpp.transactions.lastSession')).idTag, 'COMPANY-CAR');
+
+    const json = await driver.exportTransactions({ format: 'json' });
+    assert.equal(json.count, 1);
+    assert.deepEqual([json.data[0].transactionId, json.data[0].energyWh, json.data[0].stopReason], [String(started.transactionId), 11500, 'Local']);
+    const csv = await driver.exportTransactions({ format: 'csv', idTag: 'company-car' });
+    assert.equal(csv.count, 1);
+    assert.match(csv.data, /;COMPANY-CAR;2026-10-05T17:00:00\.000Z;2026-10-05T19:00:00\.000Z;7200;12000;23500;11500;11\.500;Local;closed\r\n$/);
+    assert.equal((await driver.exportTransactions({ format: 'csv', from: '2026-10-06' })).count, 0);
+    assert.ok(fs.existsSync(path.join(dir, 'ocpp-transactions', 'TX-16.json')));
+  } finally {
+    await session.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('OCPP 2.0.1 sessions take the register from MeterValues when Ended carries none', async () => {
+  const session = await startSession('TX-201', 'ocpp2.0.1', null);
+  const meter = (wh) => [{
+    timestamp: new Date().toISOString(),
+    sampledValue: [{ value: wh, measurand: 'Energy.Active.Import.Register', unitOfMeasure: { unit: 'Wh' } }],
+  }];
+  const event = (eventType, seqNo, extra) => ({
+    eventType,
+    timestamp: new Date().toISOString(),
+    triggerReason: eventType === 'Ended' ? 'EVCommunicationLost' : 'CablePluggedIn',
+    seqNo,
+    transactionInfo: { transactionId: 'TX-A', ...(eventType === 'Ended' ? { stoppedReason: 'EVDisconnected' } : {}) },
+    evse: { id: 1, connectorId: 1 },
+    ...extra,
+  });
+  try {
+    const { driver, client } = session;
+    await client.call('TransactionEvent', event('Started', 0, { idToken: { idToken: 'FLEET-7', type: 'ISO14443' } }));
+    await client.call('TransactionEvent', event('Updated', 1, { meterValue: meter(5000) }));
+    await client.call('MeterValues', { evseId: 1, meterValue: meter(9200) });
+    await client.call('TransactionEvent', event('Ended', 2));
+    await driver.central.drain('TX-201');
+
+    const [record] = (await driver.exportTransactions({})).data;
+    assert.deepEqual(
+      [record.transactionId, record.idTag, record.meterStart, record.meterStop, record.energyWh, record.stopReason],
+      ['TX-A', 'FLEET-7', 5000, 9200, 4200, 'EVDisconnected'],
+    );
+    assert.equal(session.state('lAST_SESSION_ENERGY'), 4200);
+  } finally {
+    await session.close();
+  }
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolvePollClasses, PollClassScheduler, normalizePollClass } = require('../lib/pollClasses');
+const { ModbusDriver } = require('../lib/drivers/modbus');
+
+const adapter = { log: { debug() {}, info() {}, warn() {}, error() {} } };
+
+function dp(id, address, pollClass) {
+  const out = { id, type: 'number', source: { kind: 'modbus', fc: 3, address, length: 1, dataType: 'uint16' } };
+  if (pollClass) out.pollClass = pollClass;
+  return out;
+}
+
+const datapoints = [
+  dp('power', 0, 'fast'),
+  dp('current', 1, 'fast'),
+  dp('status', 10),
+  dp('energy', 100, 'slow'),
+  dp('serial', 200, 'once'),
+];
+
+test('without poll classes the regular polling stays untouched', () => {
+  assert.equal(resolvePollClasses({ datapoints: [dp('a', 0), dp('b', 1, 'normal')], normalIntervalMs: 5000 }), null);
+  assert.equal(normalizePollClass(' Slow '), 'slow');
+  assert.equal(normalizePollClass('hourly'), '');
+});
+
+test('device config overrides datapoint and template classes', () => {
+  const template = { driverHints: { polling: { classes: { slowIntervalMs: 600000, datapoints: { status: 'slow', power: 'slow' } } } } };
+  const cfg = { pollClasses: { fastIntervalMs: 2000, datapoints: { energy: 'normal', serial: 'bogus' } } };
+  const resolved = resolvePollClasses({ datapoints, template, cfg, normalIntervalMs: 5000 });
+  assert.deepEqual(Object.fromEntries(resolved.classById), {
+    power: 'fast', // dp.pollClass beats the template list
+    current: 'fast',
+    status: 'slow',
+    energy: 'normal',
+    serial: 'once',
+  });
+  assert.deepEqual(resolved.intervalsMs, { fast: 2000, normal: 5000, slow: 600000 });
+
+  const defaults = resolvePollClasses({ datapoints, normalIntervalMs: 5000 });
+  assert.deepEqual(defaults.intervalsMs, { fast: 1000, normal: 5000, slow: 3600000 });
+});
+
+test('the scheduler only returns due classes and re-reads "once" after a reconnect', () => {
+  const scheduler = new PollClassScheduler(datapoints, resolvePollClasses({ datapoints, normalIntervalMs: 5000 }));
+  assert.equal(scheduler.minIntervalMs, 1000);
+
+  const first = scheduler.due(0);
+  assert.deepEqual(first.classes, ['fast', 'normal', 'slow', 'once']);
+  scheduler.markPolled(first.classes, 0);
+
+  assert.deepEqual(scheduler.due(999).classes, []);
+  assert.equal(scheduler.nextDueTime(0), 1000);
+  assert.deepEqual(scheduler.due(1000).datapoints.map((d) => d.id), ['power', 'current']);
+  scheduler.markPolled(['fast'], 1000);
+  assert.deepEqual(scheduler.due(1999).classes, []);
+  assert.deepEqual(scheduler.due(5000).classes, ['fast', 'normal']);
+
+  // A failed slow poll is retried after the normal interval instead of one hour.
+  scheduler.markPolled(['slow'], 5000, false);
+  assert.deepEqual(scheduler.due(10000).classes, ['fast', 'normal', 'slow']);
+
+  scheduler.markDue('once');
+  assert.ok(scheduler.due(10000).classes.includes('once'));
+  assert.deepEqual(scheduler.due(0, ['fast']).classes, ['fast']);
+});
+
+test('the Modbus driver builds read groups for the due datapoints only', async () => {
+  const driver = new ModbusDriver(adapter, {
+    id: 'classes',
+    protocol: 'modbusTcp',
+    templateId: 'generic.modbus',
+    connection: { host: '127.0.0.1', unitId: 1 },
+  }, { id: 'generic.modbus', datapoints }, {});
+  const reads = [];
+  driver.ensureConnected = async () => true;
+  driver._mbReadHoldingRegisters = async (start, len) => {
+    reads.push([start, len]);
+    return { data: Array.from({ length: len }, (_, i) => start + i) };
+  };
+
+  const scheduler = new PollClassScheduler(datapoints, resolvePollClasses({ datapoints, normalIntervalMs: 5000 }));
+  scheduler.markPolled(['fast', 'normal', 'slow', 'once'], 0);
+  const values = await driver.readDatapoints(scheduler.due(1000).datapoints);
+
+  assert.deepEqual(values, { power: 0, current: 1 });
+  assert.deepEqual(reads, [[0, 2]]);
+});
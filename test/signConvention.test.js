@@ -0,0 +1,123 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { parseSignConvention, SignPlausibilityCheck } = require('../lib/signConvention');
+const { deviceConformance } = require('../lib/aliasConformance');
+
+const root = path.resolve(__dirname, '..');
+const helper = require('./helpers/compatibilityHarness.cjs');
+const DeviceRuntime = helper.loadDeviceRuntime(path.join(root, 'lib/deviceRuntime.js'));
+
+const log = { debug() {}, info() {}, warn() {}, error() {} };
+
+const essTemplate = {
+  id: 'test.ess.signed',
+  category: 'ESS',
+  datapoints: [
+    { id: 'aCTIVE_POWER', type: 'number', unit: 'W', rw: 'ro', source: { kind: 'modbus' } },
+    { id: 'sOC', type: 'number', unit: '%', rw: 'ro', source: { kind: 'modbus' } },
+    { id: 'sET_ACTIVE_POWER', type: 'number', unit: 'W', rw: 'rw', source: { kind: 'modbus' } },
+  ],
+};
+
+const meterTemplate = {
+  id: 'test.meter.signed',
+  category: 'METER',
+  datapoints: [{ id: 'aCTIVE_POWER', type: 'number', unit: 'W', rw: 'ro', source: { kind: 'modbus' } }],
+};
+
+function buildRuntime(template, cfg = {}) {
+  const states = new Map();
+  const runtime = new DeviceRuntime({
+    namespace: 'nexowatt-devices.0',
+    log,
+    async setStateAsync(id, state) { states.set(id, state.val); },
+    async setObjectNotExistsAsync() {},
+  }, { id: 'dev', templateId: template.id, category: template.category, connection: {}, ...cfg }, template, {});
+  for (const dp of template.datapoints) runtime.dpById.set(dp.id, dp);
+  runtime.aliasDefs = runtime._buildAliasDefinitions();
+  for (const def of runtime.aliasDefs) runtime.aliasByStateRelId.set(def.relId, def);
+  return { runtime, states };
+}
+
+const v1 = (runtime, p) => runtime.getStandardAliasValue(p);
+
+test('declarations are parsed per device class', () => {
+  assert.deepEqual(parseSignConvention('storage positive=charge', 'storageSystem'), { family: 'storage', declared: 'positive=charge', inverted: true });
+  assert.deepEqual(parseSignConvention('positive=discharge', 'battery'), { family: 'storage', declared: 'positive=discharge', inverted: false });
+  assert.equal(parseSignConvention('POSITIVE=EXPORT', 'meter').inverted, true);
+  assert.equal(parseSignConvention('', 'meter'), null);
+  assert.equal(parseSignConvention('auto', 'meter'), null);
+  assert.throws(() => parseSignConvention('storage positive=charge', 'meter'), /does not match/);
+  assert.throws(() => parseSignConvention('positive=charge', 'heat'), /not supported/);
+  assert.throws(() => parseSignConvention('positive=sideways', 'meter'), /Unknown sign convention/);
+});
+
+test('a storage with native positive=charge publishes contract signs', async () => {
+  const { runtime } = buildRuntime(essTemplate, { signConvention: 'storage positive=charge' });
+  assert.deepEqual(runtime.signConvention.negated, ['r.power']);
+  assert.deepEqual(runtime.signConvention.swapped, ['r.powerCharge<->r.powerDischarge']);
+  assert.deepEqual(runtime.signConvention.setpointDpIds, ['sET_ACTIVE_POWER']);
+
+  // Device reports +2000 W = charging in its native convention.
+  await runtime._updateAliases({ aCTIVE_POWER: 2000, sOC: 50, sET_ACTIVE_POWER: 1500 });
+  assert.equal(v1(runtime, 'r.power'), -2000);
+  assert.equal(v1(runtime, 'r.powerCharge'), 2000);
+  assert.equal(v1(runtime, 'r.powerDischarge'), 0);
+  assert.equal(v1(runtime, 'ctrl.powerSetpointW'), -1500);
+  assert.equal(runtime._stateCache.get('devices.dev.aliases.r.power').val, -2000);
+
+  // Setpoints are written in the native sign of the device.
+  const byPath = p => runtime.aliasByStateRelId.get(`devices.dev.aliases.v1.${p}`);
+  assert.equal(byPath('ctrl.powerSetpointW').toDevice(1000), -1000);
+  assert.equal(byPath('ctrl.dischargePowerW').toDevice(800), -800);
+  assert.equal(byPath('ctrl.chargePowerW').toDevice(800), 800);
+  assert.equal(byPath('ctrl.chargePowerW').fromDevice(1500), 1500);
+
+  assert.equal(deviceConformance(runtime).nativeSignConvention, 'positive=charge');
+});
+
+test('without a declaration nothing changes', async () => {
+  const { runtime } = buildRuntime(essTemplate);
+  assert.equal(runtime.signConvention, null);
+  await runtime._updateAliases({ aCTIVE_POWER: 2000, sOC: 50, sET_ACTIVE_POWER: 1500 });
+  assert.equal(v1(runtime, 'r.power'), 2000);
+  assert.equal(v1(runtime, 'r.powerDischarge'), 2000);
+
+  const { runtime: contract } = buildRuntime(essTemplate, { signConvention: 'positive=discharge' });
+  assert.deepEqual(contract.signConvention.negated, []);
+});
+
+test('a meter with native positive=export is normalized', async () => {
+  const { runtime } = buildRuntime(meterTemplate, { signConvention: 'meter positive=export' });
+  await runtime._updateAliases({ aCTIVE_POWER: 1200 });
+  assert.equal(v1(runtime, 'r.power'), -1200);
+});
+
+test('plausibility flags inverted PV and storage signs', async () => {
+  const pv = new SignPlausibilityCheck('pvInverter');
+  for (let i = 0; i < 4; i++) assert.equal(pv.update({ power: -3000 }), false);
+  assert.equal(pv.update({ power: -3000 }), true);
+  assert.match(pv.reason, /PV power negative/);
+  assert.equal(pv.update({ power: -5 }), true);
+  assert.equal(pv.suspect, false);
+
+  const ess = new SignPlausibilityCheck('storage');
+  ess.update({ power: 2000, soc: 40 });
+  ess.update({ power: 2000, soc: 41 });
+  ess.update({ power: 2000, soc: 41 });
+  ess.update({ power: 2000, soc: 42 });
+  assert.equal(ess.update({ power: 2000, soc: 43 }), true);
+  assert.match(ess.reason, /SoC rising/);
+
+  const { runtime, states } = buildRuntime({
+    id: 'test.pv', category: 'PV_INVERTER',
+    datapoints: [{ id: 'W', type: 'number', unit: 'W', rw: 'ro', source: { kind: 'modbus' } }],
+  });
+  for (let i = 0; i < 5; i++) await runtime._updateAliases({ W: -2500 });
+  assert.match(states.get('devices.dev.info.signPlausibility'), /sign probably inverted/);
+  await runtime._updateAliases({ W: 2500 });
+  assert.equal(states.get('devices.dev.info.signPlausibility'), '');
+});
@@ -0,0 +1,205 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const Module = require('node:module');
+
+const root = path.resolve(__dirname, '..');
+const templatesDoc = JSON.parse(fs.readFileSync(path.join(root, 'lib/templates.json'), 'utf8'));
+const { modelPoints, decodeCommonModel, buildSunSpecTemplate, templateCategory } = require('../lib/sunspecModels');
+
+function template(id) {
+  const item = templatesDoc.templates.find((entry) => entry && entry.id === id);
+  assert.ok(item, `missing template ${id}`);
+  return item;
+}
+
+function loadModbusDriver() {
+  const originalLoad = Module._load;
+  Module._load = function patchedLoad(request, parent, isMain) {
+    if (request === 'modbus-serial') return class ModbusRTU {};
+    if (request === 'serialport') return { SerialPort: class SerialPort {} };
+    return originalLoad.call(this, request, parent, isMain);
+  };
+  try {
+    const modulePath = require.resolve('../lib/drivers/modbus');
+    delete require.cache[modulePath];
+    return require('../lib/drivers/modbus').ModbusDriver;
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+const ModbusDriver = loadModbusDriver();
+const adapter = { log: { debug() {}, info() {}, warn() {}, error() {} } };
+
+function ascii(text, words) {
+  const out = [];
+  for (let i = 0; i < words; i++) out.push(((text.charCodeAt(2 * i) || 0) << 8) | (text.charCodeAt(2 * i + 1) || 0));
+  return out;
+}
+
+// SunSpec map at 40000: common model, inverter 103, MPPT 160 with two modules, end model.
+function sunSpecRegisters() {
+  const regs = new Map();
+  const put = (addr, words) => words.forEach((w, i) => regs.set(addr + i, w & 0xffff));
+  let a = 40000;
+  put(a, [0x5375, 0x6e53]); a += 2;
+  put(a, [1, 66, ...ascii('Fronius', 16), ...ascii('Symo 8.2-3-M', 16), ...ascii('', 8), ...ascii('1.2', 8), ...ascii('SN4711', 16), 1, 0]); a += 68;
+  const inverter = new Array(50).fill(0);
+  inverter[12] = 8200; // W
+  inverter[13] = 0xffff; // W_SF = -1
+  inverter[22] = 0x0001; inverter[23] = 0x86a0; // WH = 100000
+  inverter[24] = 0; // WH_SF
+  put(a, [103, 50, ...inverter]); a += 52;
+  const mppt = new Array(48).fill(0);
+  mppt[0] = 0; mppt[1] = 0; mppt[2] = 0; // DCA_SF, DCV_SF, DCW_SF
+  mppt[6] = 2; // N
+  mppt[8 + 20 + 11] = 3100; // module 2 DCW
+  put(a, [160, 48, ...mppt]); a += 50;
+  put(a, [0xffff, 0]);
+  return regs;
+}
+
+function createDriver(t, regs) {
+  const driver = new ModbusDriver(adapter, {
+    id: `sunspec-${t.id}`,
+    protocol: 'modbusTcp',
+    templateId: t.id,
+    connection: { host: '127.0.0.1', port: 502, unitId: 1, wordOrder: 'BE', byteOrder: 'BE', addressOffset: 0 },
+  }, t, {});
+  driver.ensureConnected = async () => true;
+  driver._mbReadHoldingRegisters = async (address, length) => {
+    if (!regs.has(address)) throw new Error('Illegal data address');
+    return { data: Array.from({ length }, (_, i) => regs.get(address + i) ?? 0) };
+  };
+  driver._mbReadInputRegisters = async () => { throw new Error('Illegal function'); };
+  return driver;
+}
+
+test('model tables match the offsets and sizes of the hand-written SunSpec templates', () => {
+  const pairs = [
+    ['meter.sunspec.generic.model201.v1', 201],
+    ['meter.sunspec.generic.model203.v1', 203],
+    ['pv_inverter.sunspec.generic.model101.v1', 101],
+    ['pv_inverter.sunspec.generic.model103.v1', 103],
+    ['ess.sunspec.generic.basic124.v1', 1],
+    ['ess.sunspec.generic.basic124.v1', 120],
+    ['ess.sunspec.generic.basic124.v1', 123],
+    ['ess.sunspec.generic.basic124.v1', 124],
+  ];
+  for (const [templateId, modelId] of pairs) {
+    const points = modelPoints(modelId, 200);
+    for (const dp of template(templateId).datapoints.filter((entry) => entry.source.sunspecModel === modelId)) {
+      const point = points.find((p) => 2 + p.offset === dp.source.sunspecOffset);
+      assert.ok(point, `${templateId}: no point at offset ${dp.source.sunspecOffset}`);
+      assert.equal(point.size, dp.source.length, `${templateId}: ${dp.id}`);
+      // The 203 template names the line-to-line voltages PhVph*, SunSpec calls them PPVph*.
+      if (modelId === 203 && /^PhVph(AB|BC|CA)$/.test(dp.id)) continue;
+      assert.equal(point.name, dp.id, `${templateId}: offset ${dp.source.sunspecOffset}`);
+    }
+  }
+  assert.equal(modelPoints(160, 48).filter((p) => p.group).length, 2 * modelPoints(160, 28).filter((p) => p.group).length);
+  assert.equal(modelPoints(64999, 10), null);
+  assert.equal(templateCategory([1, 103, 160]), 'PV_INVERTER');
+  assert.equal(templateCategory([1, 103, 124]), 'ESS');
+});
+
+test('common model decoding handles byte-swapped strings', () => {
+  const regs = [...ascii('SMA', 16), ...ascii('STP', 16), ...ascii('', 8), ...ascii('', 8), ...ascii('123', 16), 126];
+  assert.equal(decodeCommonModel(regs, 'be').manufacturer, 'SMA');
+  const swapped = regs.map((w) => ((w & 0xff) << 8) | (w >> 8));
+  const common = decodeCommonModel(swapped, 'le');
+  assert.deepEqual([common.manufacturer, common.model, common.serialNumber, common.deviceAddress], ['SMA', 'STP', '123', 126]);
+});
+
+test('repeated models get prefixed ids and per-instance scale factor references', () => {
+  const tpl = buildSunSpecTemplate({
+    baseAddress: 40000,
+    unitId: 1,
+    fc: 3,
+    common: { manufacturer: 'ACME', model: 'Meter X' },
+    models: [{ id: 1, offset: 2, length: 66 }, { id: 201, offset: 70, length: 105 }, { id: 201, offset: 177, length: 105 }],
+  });
+  assert.equal(tpl.id, 'user.sunspec.acme.meter_x');
+  assert.equal(tpl.category, 'METER');
+  assert.equal(tpl.aliasContract.deviceClass, 'meter');
+  const w = tpl.datapoints.find((dp) => dp.id === 'W');
+  const w2 = tpl.datapoints.find((dp) => dp.id === 'm201_2_W');
+  assert.equal(w.source.scaleFactorRef, 'W_SF');
+  assert.equal(w2.source.scaleFactorRef, 'm201_2_W_SF');
+  assert.equal(w2.source.sunspecIndex, 1);
+  assert.equal(w2.source.sunspecOffset, w.source.sunspecOffset);
+  assert.equal(new Set(tpl.datapoints.map((dp) => dp.id)).size, tpl.datapoints.length);
+  assert.deepEqual(tpl.sunspec.models.map((m) => m.decoded), [true, true, true]);
+});
+
+test('discovery walks the model chain of a non-SunSpec template and restores its addressing', async () => {
+  const regs = sunSpecRegisters();
+  const plain = template('ess.sunspec.generic.basic124.v1');
+  const host = { ...plain, driverHints: { modbus: {} } };
+  const driver = createDriver(host, regs);
+  const before = { autoAddressOffset: driver.autoAddressOffset, wordOrder: driver.wordOrder, unitId: driver.unitId };
+
+  const discovery = await driver.discoverSunSpecModelChain();
+  assert.equal(discovery.found, true);
+  assert.equal(discovery.baseAddress, 40000);
+  assert.equal(discovery.fc, 3);
+  assert.deepEqual(discovery.models.map((m) => [m.id, m.offset, m.length]), [[1, 2, 66], [103, 70, 50], [160, 122, 48]]);
+  assert.equal(discovery.common.manufacturer, 'Fronius');
+  assert.equal(discovery.common.model, 'Symo 8.2-3-M');
+  assert.equal(discovery.common.serialNumber, 'SN4711');
+
+  assert.equal(driver._autoSunSpec, false);
+  assert.deepEqual({ autoAddressOffset: driver.autoAddressOffset, wordOrder: driver.wordOrder, unitId: driver.unitId }, before);
+
+  // The generated template reads through the regular SunSpec addressing of the driver.
+  const tpl = buildSunSpecTemplate(discovery, {});
+  assert.equal(tpl.id, 'user.sunspec.fronius.symo_8_2_3_m');
+  assert.equal(tpl.category, 'PV_INVERTER');
+  const reader = createDriver(tpl, regs);
+  // Model 103 already owns DCW_SF, so all model 160 points carry the m160_ prefix.
+  const wanted = new Set(['Mn', 'W', 'W_SF', 'WH', 'WH_SF', 'm160_MPPT2_DCW', 'm160_DCW_SF']);
+  const values = await reader.readDatapoints(tpl.datapoints.filter((dp) => wanted.has(dp.id)));
+  assert.equal(values.Mn, 'Fronius');
+  assert.equal(values.W, 820);
+  assert.equal(values.WH, 100000);
+  assert.equal(values.m160_MPPT2_DCW, 3100);
+});
+
+test('discovery reports a missing SunSpec signature', async () => {
+  const driver = createDriver({ ...template('ess.sunspec.generic.basic124.v1'), driverHints: { modbus: {} } }, new Map());
+  assert.deepEqual(await driver.discoverSunSpecModelChain(), { found: false });
+});
+
+test('discovery on the polling driver holds off polls and writes until it is done', async () => {
+  const regs = sunSpecRegisters();
+  const host = { ...template('ess.sunspec.generic.basic124.v1'), driverHints: { modbus: {} } };
+  const driver = createDriver(host, regs);
+  const readHolding = driver._mbReadHoldingRegisters;
+  let releaseScan = null;
+  const scanGate = new Promise((resolve) => { releaseScan = resolve; });
+  driver._mbReadHoldingRegisters = async (address, length) => {
+    await scanGate;
+    return readHolding(address, length);
+  };
+  const writes = [];
+  driver._mbWriteRegister = async (address, value) => { writes.push({ address, value, unitId: driver.unitId }); };
+
+  const running = driver.runExclusive(() => driver.discoverSunSpecModelChain());
+  assert.deepEqual(await driver.readDatapoints(host.datapoints.slice(0, 1)), {});
+  const setpoint = { id: 'limit', type: 'number', rw: 'rw', source: { kind: 'modbus', fc: 3, address: 40300, dataType: 'uint16', write: { fc: 6 } } };
+  const write = driver.writeDatapoint(setpoint, 7);
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.deepEqual(writes, []);
+
+  releaseScan();
+  assert.equal((await running).found, true);
+  await write;
+  assert.deepEqual(writes, [{ address: 40300, value: 7, unitId: 1 }]);
+  assert.equal(driver._busy, false);
+  const marker = { id: 'marker', type: 'number', rw: 'ro', source: { kind: 'modbus', fc: 3, address: 40000, dataType: 'uint16' } };
+  assert.deepEqual(await driver.readDatapoints([marker]), { marker: 0x5375 });
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { ValueHistory, RingBuffer } = require('../lib/valueHistory');
+
+const root = path.resolve(__dirname, '..');
+const helper = require('./helpers/compatibilityHarness.cjs');
+const DeviceRuntime = helper.loadDeviceRuntime(path.join(root, 'lib/deviceRuntime.js'));
+
+const log = { debug() {}, info() {}, warn() {}, error() {} };
+const MIN = 60000;
+const T0 = Date.UTC(2026, 0, 1, 12, 0, 0);
+
+test('the ring buffer keeps the newest entries in order', () => {
+  const ring = new RingBuffer(3);
+  for (let i = 1; i <= 5; i++) ring.push(i);
+  assert.deepEqual(ring.toArray(), [3, 4, 5]);
+  ring.shiftWhile(v => v < 5);
+  assert.deepEqual(ring.toArray(), [5]);
+});
+
+test('samples are downsampled and 1m/15m/1h windows complete in order', () => {
+  const history = new ValueHistory({ deviceId: 'dev', log });
+  let completed = [];
+  for (let i = 0; i < 61; i++) {
+    completed = completed.concat(history.add('power', 1000 + i, { ts: T0 + i * MIN }));
+    completed = completed.concat(history.add('power', 3000 + i, { ts: T0 + i * MIN + 30000 }));
+  }
+
+  const m1 = completed.filter(a => a.key === 'm1');
+  assert.equal(m1.length, 60);
+  assert.deepEqual(m1[0], { dpId: 'power', key: 'm1', from: T0, to: T0 + MIN, n: 2, avg: 2000, min: 1000, max: 3000, last: 3000, delta: null });
+  const m15 = completed.filter(a => a.key === 'm15');
+  assert.equal(m15.length, 4);
+  assert.equal(m15[0].avg, 2007);
+  assert.equal(m15[0].min, 1000);
+  assert.equal(m15[0].max, 3014);
+  const h1 = completed.filter(a => a.key === 'h1');
+  assert.equal(h1.length, 1);
+  assert.equal(h1[0].to, T0 + 60 * MIN);
+  assert.equal(h1[0].n, 120);
+
+  // Query: raw buckets incl. the open one, or re-aggregated.
+  assert.equal(history.query('power').length, 61);
+  const quarter = history.query('power', { from: T0, to: T0 + 30 * MIN, intervalMs: 15 * MIN });
+  assert.deepEqual(quarter.map(s => s.ts), [T0, T0 + 15 * MIN]);
+  assert.equal(quarter[1].avg, 2022);
+  assert.equal(history.query('unknown'), null);
+  assert.deepEqual(history.datapoints(), [{ dpId: 'power', counter: false, buckets: 61, from: T0, to: T0 + 61 * MIN }]);
+});
+
+test('counters report the energy delta and tolerate resets', () => {
+  const history = new ValueHistory({ deviceId: 'dev', log, resolutionSec: 60 });
+  const opts = ts => ({ ts, counter: true });
+  history.add('energy', 1000, opts(T0));
+  history.add('energy', 1010, opts(T0 + 20000));
+  history.add('energy', 1025, opts(T0 + 40000));
+  const completed = history.add('energy', 5, opts(T0 + MIN)); // counter reset
+  assert.equal(completed[0].delta, 25);
+  history.add('energy', 15, opts(T0 + MIN + 30000));
+  assert.deepEqual(history.query('energy').map(s => s.delta), [25, 10]);
+});
+
+test('the retention limits the ring and the history survives a restart', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nw-history-'));
+  try {
+    const history = new ValueHistory({ deviceId: 'dev', dir, log, retentionHours: 1 });
+    assert.equal(history.capacity, 60);
+    for (let i = 0; i < 90; i++) history.add('power', i, { ts: T0 + i * MIN });
+    assert.equal(history.query('power').length, 61);
+    assert.equal(history.query('power')[0].ts, T0 + 29 * MIN);
+    await history.save();
+
+    const restored = new ValueHistory({ deviceId: 'dev', dir, log, retentionHours: 1 });
+    assert.equal(await restored.load(T0 + 90 * MIN), 60); // the 12:29 bucket has expired
+    restored.add('power', 100, { ts: T0 + 89 * MIN + 30000 });
+    const samples = restored.query('power');
+    assert.equal(samples.length, 60);
+    assert.deepEqual(samples[59], { ts: T0 + 89 * MIN, n: 2, avg: 94.5, min: 89, max: 100, last: 100, delta: null });
+
+    // A different resolution starts empty instead of mixing buckets.
+    const other = new ValueHistory({ deviceId: 'dev', dir, log, resolutionSec: 10 });
+    assert.equal(await other.load(T0 + 90 * MIN), 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('devices with historyEnabled publish aggregates below history', async (t) => {
+  const template = {
+    id: 'test.meter.history',
+    category: 'METER',
+    datapoints: [
+      { id: 'aCTIVE_POWER', type: 'number', unit: 'W', rw: 'ro', source: { kind: 'modbus' } },
+      { id: 'aCTIVE_CONSUMPTION_ENERGY', type: 'number', unit: 'kWh', rw: 'ro', source: { kind: 'modbus' } },
+      { id: 'sERIAL', type: 'string', rw: 'ro', source: { kind: 'modbus' } },
+    ],
+  };
+  const objects = new Map();
+  const states = new Map();
+  const runtime = new DeviceRuntime({
+    namespace: 'nexowatt-devices.0',
+    log,
+    async setStateAsync(id, state) { states.set(id, state.val); },
+    async setObjectNotExistsAsync(id, object) { if (!objects.has(id)) objects.set(id, object); },
+  }, { id: 'grid', templateId: template.id, category: template.category, connection: {}, historyEnabled: true }, template, {});
+  for (const dp of template.datapoints) runtime.dpById.set(dp.id, dp);
+  runtime.aliasDefs = runtime._buildAliasDefinitions();
+  for (const def of runtime.aliasDefs) runtime.aliasByStateRelId.set(def.relId, def);
+
+  let now = T0;
+  t.mock.method(Date, 'now', () => now);
+  await runtime._updateAliases({ aCTIVE_POWER: 1000, aCTIVE_CONSUMPTION_ENERGY: 10, sERIAL: 'A1' });
+  now = T0 + 30000;
+  await runtime._updateAliases({ aCTIVE_POWER: 2000, aCTIVE_CONSUMPTION_ENERGY: 10.5 });
+  now = T0 + MIN;
+  await runtime._updateAliases({ aCTIVE_POWER: 500, aCTIVE_CONSUMPTION_ENERGY: 11 });
+
+  assert.deepEqual(runtime._valueHistory.datapoints().map(d => [d.dpId, d.counter]).sort(), [['aCTIVE_CONSUMPTION_ENERGY', true], ['aCTIVE_POWER', false]]);
+  assert.equal(states.get('devices.grid.history.aCTIVE_POWER.m1.avg'), 1500);
+  assert.equal(states.get('devices.grid.history.aCTIVE_POWER.m1.max'), 2000);
+  assert.equal(states.has('devices.grid.history.aCTIVE_POWER.m1.delta'), false);
+  assert.equal(states.get('devices.grid.history.aCTIVE_CONSUMPTION_ENERGY.m1.delta'), 0.5);
+  assert.equal(objects.get('devices.grid.history.aCTIVE_CONSUMPTION_ENERGY.m1.delta').common.unit, 'kWh');
+  assert.equal(states.has('devices.grid.history.aCTIVE_POWER.m15.avg'), false);
+
+  // Disabled by default.
+  const plain = new DeviceRuntime({ log }, { id: 'off', templateId: template.id, category: template.category, connection: {} }, template, {});
+  await plain._recordValueHistory({ aCTIVE_POWER: 1 });
+  assert.equal(plain._valueHistory, null);
+});
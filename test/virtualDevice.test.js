@@ -0,0 +1,107 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+const { VirtualDriver, parseFormula, evaluate } = require('../lib/drivers/virtual');
+
+const root = path.resolve(__dirname, '..');
+const helper = require('./helpers/compatibilityHarness.cjs');
+const DeviceRuntime = helper.loadDeviceRuntime(path.join(root, 'lib/deviceRuntime.js'));
+const { templates } = require('../lib/templates.json');
+
+const log = { debug() {}, info() {}, warn() {}, error() {} };
+
+function fakeRuntime(id, aliases) {
+  return { cfg: { id }, getStandardAliasValue: (p) => aliases[p] };
+}
+
+function createDriver(runtimes, connection) {
+  const adapter = { log, deviceById: new Map(runtimes.map((rt) => [rt.cfg.id, rt])) };
+  return new VirtualDriver(adapter, { id: 'site', protocol: 'virtual', connection }, { datapoints: [] }, {});
+}
+
+const dp = (id) => ({ id, type: 'number', rw: 'ro', source: { kind: 'virtual' } });
+
+test('formulas are parsed from strings and objects', () => {
+  assert.deepEqual(parseFormula('SUM(pv1:r.power, pv2:r.power)'), {
+    op: 'sum',
+    inputs: [{ deviceId: 'pv1', path: 'r.power' }, { deviceId: 'pv2', path: 'r.power' }],
+  });
+  assert.deepEqual(parseFormula({ op: 'phaseSum', inputs: ['m1:r.currentL*'] }).inputs.map((r) => r.path), ['r.currentL1', 'r.currentL2', 'r.currentL3']);
+  assert.throws(() => parseFormula('median(a:b)'), /Unsupported virtual operator/);
+  assert.throws(() => parseFormula('sum(r.power)'), /Invalid virtual input/);
+});
+
+test('operators', () => {
+  assert.equal(evaluate('sum', [1, 2, undefined]), 3);
+  assert.equal(evaluate('diff', [10, 3, 2]), 5);
+  assert.equal(evaluate('diff', [undefined, 3]), undefined);
+  assert.equal(evaluate('diff', [10, undefined]), undefined);
+  assert.equal(evaluate('diff', [10, NaN, 2]), undefined);
+  assert.equal(evaluate('min', [4, -2]), -2);
+  assert.equal(evaluate('max', [4, -2]), 4);
+  assert.equal(evaluate('avg', [50, 70]), 60);
+  assert.equal(evaluate('any', [false, true]), 1);
+  assert.equal(evaluate('all', [false, true]), 0);
+  assert.equal(evaluate('sum', []), undefined);
+});
+
+test('values are computed from fresh inputs and lastSeen follows the newest input', async () => {
+  const driver = createDriver([
+    fakeRuntime('pv1', { 'r.online': true, 'r.lastSeenMs': 1000, 'r.power': 1500, 'r.energyTotal': 10 }),
+    fakeRuntime('pv2', { 'r.online': true, 'r.lastSeenMs': 2000, 'r.power': 500, 'r.energyTotal': 5 }),
+    fakeRuntime('grid', { 'r.online': true, 'r.lastSeenMs': 1500, 'r.currentL1': 10, 'r.currentL2': 12.5, 'r.currentL3': 7.5 }),
+  ], {
+    formulas: {
+      W: 'sum(pv1:r.power, pv2:r.power)',
+      WH: { op: 'sum', inputs: ['pv1:r.energyTotal', 'pv2:r.energyTotal'] },
+      cURRENT_SUM: 'phaseSum(grid:r.currentL*)',
+    },
+  });
+  const values = await driver.readDatapoints([dp('W'), dp('WH'), dp('cURRENT_SUM'), dp('PVConn')]);
+  assert.deepEqual(values, { W: 2000, WH: 15, cURRENT_SUM: 30 });
+  assert.equal(driver.lastSeen, 2000);
+});
+
+test('stale inputs fail the poll unless partial results are allowed', async () => {
+  const runtimes = [
+    fakeRuntime('pv1', { 'r.online': true, 'r.lastSeenMs': 1000, 'r.power': 1500 }),
+    fakeRuntime('pv2', { 'r.online': false, 'r.lastSeenMs': 900, 'r.power': 500 }),
+  ];
+  const formulas = { W: 'sum(pv1:r.power, pv2:r.power)' };
+
+  const strict = createDriver(runtimes, { formulas });
+  await assert.rejects(() => strict.readDatapoints([dp('W')]), (e) => e.code === 'E_VIRTUAL_INPUT_STALE' && /pv2/.test(e.message));
+
+  const partial = createDriver(runtimes, { formulas, requireAllInputs: false });
+  assert.deepEqual(await partial.readDatapoints([dp('W')]), { W: 1500 });
+  assert.equal(partial.lastSeen, 1000);
+  // diff never falls back to the fresh inputs: a missing subtrahend leaves the datapoint unset.
+  const partialDiff = createDriver(runtimes, { formulas: { W: 'diff(pv1:r.power, pv2:r.power)' }, requireAllInputs: false });
+  assert.deepEqual(await partialDiff.readDatapoints([dp('W')]), {});
+
+  const aged = createDriver(runtimes, { formulas: { W: 'sum(pv1:r.power)' }, maxInputAgeMs: 60000 });
+  await assert.rejects(() => aged.readDatapoints([dp('W')]), /offline or stale: pv1/);
+
+  const self = createDriver(runtimes, { formulas: { W: 'sum(site:r.power)' }, requireAllInputs: false });
+  await assert.rejects(() => self.readDatapoints([dp('W')]), /stale: site/);
+
+  await assert.rejects(() => createDriver(runtimes, {}).readDatapoints([dp('W')]), /no formulas/);
+  await assert.rejects(() => strict.writeDatapoint(dp('W'), 1), /read-only/);
+});
+
+test('virtual templates are read-only and the runtime creates the driver', () => {
+  const ids = ['meter.virtual.site', 'pv_inverter.virtual.site', 'ess.virtual.site'];
+  for (const id of ids) {
+    const tpl = templates.find((t) => t.id === id);
+    assert.ok(tpl, id);
+    assert.deepEqual(tpl.protocols, ['virtual']);
+    assert.ok(tpl.datapoints.every((d) => d.source.kind === 'virtual' && d.rw === 'ro'), id);
+  }
+
+  const runtime = new DeviceRuntime({ namespace: 'nexowatt-devices.0', log, deviceById: new Map() },
+    { id: 'site', templateId: ids[0], protocol: 'virtual', connection: { formulas: { aCTIVE_POWER: 'sum(a:r.power)' } } },
+    templates.find((t) => t.id === ids[0]), {});
+  assert.ok(runtime._createDriver() instanceof VirtualDriver);
+});
@@ -0,0 +1,179 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('node:path');
+
+const root = path.resolve(__dirname, '..');
+const helper = require('./helpers/compatibilityHarness.cjs');
+const DeviceRuntime = helper.loadDeviceRuntime(path.join(root, 'lib/deviceRuntime.js'));
+
+const template = {
+  id: 'test.writeVerify',
+  category: 'EVCS',
+  manufacturer: 'Test',
+  protocols: ['modbusTcp'],
+  driverHints: { modbus: { writeVerify: { delayMs: 100, retries: 1, targets: ['sET_CURRENT', { dpId: 'sET_POWER', tolerance: 50 }, 'eNABLE'] } } },
+  datapoints: [
+    { id: 'sET_CURRENT', type: 'number', rw: 'rw', source: { kind: 'modbus', fc: 6, address: 10, dataType: 'uint16', scaleFactor: -1 } },
+    { id: 'sET_POWER', type: 'number', rw: 'rw', source: { kind: 'modbus', fc: 16, address: 20, length: 2, dataType: 'uint32' } },
+    { id: 'eNABLE', type: 'boolean', rw: 'rw', source: { kind: 'modbus', fc: 5, address: 1, dataType: 'bool' } },
+    { id: 'mODE', type: 'number', rw: 'rw', source: { kind: 'modbus', fc: 6, address: 30, dataType: 'uint16' } },
+  ],
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createRuntime(device, tpl = template) {
+  const states = new Map();
+  const objects = new Map();
+  const adapter = {
+    namespace: 'nexowatt-devices.0',
+    log: { debug() {}, info() {}, warn() {}, error() {} },
+    async setStateAsync(id, state) {
+      states.set(id, { ...state });
+    },
+    async setObjectNotExistsAsync(id, obj) {
+      if (!objects.has(id)) objects.set(id, obj);
+    },
+  };
+  const runtime = new DeviceRuntime(adapter, {
+    id: 'wv1',
+    templateId: tpl.id,
+    protocol: 'modbusTcp',
+    connection: {},
+  }, tpl, {});
+  for (const dp of tpl.datapoints) {
+    runtime.dpById.set(dp.id, dp);
+    runtime.dpByStateRelId.set(runtime.relStateId(dp), dp);
+  }
+  runtime.driver = device;
+  const status = (dpId) => (states.get(`devices.wv1.info.writeStatus.${dpId}`) || {}).val;
+  return { runtime, states, objects, status };
+}
+
+// Fake device: registers hold engineering values; `clamp` limits what the device accepts.
+function fakeDevice({ clamp = {}, reject = [] } = {}) {
+  const values = {};
+  const device = {
+    writes: [],
+    reads: [],
+    _getScaleFactor: (src) => Number(src.scaleFactor || 0),
+    async writeDatapoint(dp, value) {
+      device.writes.push([dp.id, value]);
+      if (reject.includes(dp.id)) throw new Error('Modbus exception 3: Illegal data value');
+      values[dp.id] = clamp[dp.id] !== undefined ? Math.min(Number(value), clamp[dp.id]) : value;
+      if (dp.type === 'number' && dp.source.scaleFactor === -1) values[dp.id] = Math.round(values[dp.id] * 10) / 10;
+    },
+    async readDatapoints(dps) {
+      const out = {};
+      for (const dp of dps) {
+        device.reads.push([dp.id, dp.source.fc]);
+        if (values[dp.id] !== undefined) out[dp.id] = values[dp.id];
+      }
+      return out;
+    },
+  };
+  return device;
+}
+
+test('an accepted setpoint is read back and confirmed', async () => {
+  const device = fakeDevice();
+  const { runtime, status, objects } = createRuntime(device);
+  try {
+    await runtime.handleStateChange('nexowatt-devices.0.devices.wv1.sET_CURRENT', { val: 16.04, ack: false });
+    assert.equal(status('sET_CURRENT'), 'pending');
+    await runtime.handleStateChange('nexowatt-devices.0.devices.wv1.eNABLE', { val: true, ack: false });
+    await sleep(200);
+    assert.equal(status('sET_CURRENT'), 'confirmed'); // 16.0 is within half a 0.1 step
+    assert.equal(status('eNABLE'), 'confirmed');
+    assert.deepEqual(device.reads, [['sET_CURRENT', 3], ['eNABLE', 1]]);
+    assert.equal(objects.get('devices.wv1.info.writeStatus.sET_CURRENT').common.states.mismatch, 'mismatch');
+
+    // Datapoints outside the target list keep the plain write path.
+    await runtime.handleStateChange('nexowatt-devices.0.devices.wv1.mODE', { val: 2, ack: false });
+    await sleep(150);
+    assert.equal(status('mODE'), undefined);
+    assert.equal(device.reads.length, 2);
+  } finally {
+    await runtime.stop().catch(() => {});
+  }
+});
+
+test('a clamped setpoint is retried and then reported as mismatch', async () => {
+  const device = fakeDevice({ clamp: { sET_POWER: 11000 } });
+  const { runtime, status } = createRuntime(device);
+  try {
+    await runtime.handleStateChange('nexowatt-devices.0.devices.wv1.sET_POWER', { val: 11040, ack: false });
+    await sleep(150);
+    assert.equal(status('sET_POWER'), 'confirmed'); // within the explicit tolerance of 50
+
+    await runtime.handleStateChange('nexowatt-devices.0.devices.wv1.sET_POWER', { val: 22000, ack: false });
+    await sleep(350);
+    assert.equal(status('sET_POWER'), 'mismatch');
+    assert.deepEqual(device.writes.filter(([id]) => id === 'sET_POWER').map(([, v]) => v), [11040, 22000, 22000]);
+  } finally {
+    await runtime.stop().catch(() => {});
+  }
+});
+
+test('a rejected write is reported without read-back', async () => {
+  const device = fakeDevice({ reject: ['sET_CURRENT'] });
+  const { runtime, status } = createRuntime(device);
+  await runtime.handleStateChange('nexowatt-devices.0.devices.wv1.sET_CURRENT', { val: 6, ack: false });
+  await sleep(150);
+  assert.equal(status('sET_CURRENT'), 'rejected');
+  assert.equal(device.reads.length, 0);
+});
+
+const exclusiveTemplate = {
+  id: 'test.writeVerify.exclusive',
+  category: 'ESS',
+  manufacturer: 'Test',
+  protocols: ['modbusTcp'],
+  driverHints: { modbus: {
+    exclusiveSetpointGroups: [['cHARGE', 'dISCHARGE']],
+    writeVerify: { delayMs: 100, retries: 1, targets: ['cHARGE', 'dISCHARGE'] },
+  } },
+  datapoints: [
+    { id: 'cHARGE', type: 'number', rw: 'rw', source: { kind: 'modbus', fc: 16, address: 40, length: 2, dataType: 'uint32' } },
+    { id: 'dISCHARGE', type: 'number', rw: 'rw', source: { kind: 'modbus', fc: 16, address: 42, length: 2, dataType: 'uint32' } },
+  ],
+};
+
+test('a new exclusive peer command stops the pending verification of the other setpoint', async () => {
+  const device = fakeDevice({ clamp: { cHARGE: 3000 } });
+  const { runtime, status } = createRuntime(device, exclusiveTemplate);
+  try {
+    await runtime.handleStateChange('nexowatt-devices.0.devices.wv1.cHARGE', { val: 5000, ack: false });
+    await runtime.handleStateChange('nexowatt-devices.0.devices.wv1.dISCHARGE', { val: 2000, ack: false });
+    await sleep(350);
+    // The clamped charge command must not be written again over the newer discharge command.
+    assert.deepEqual(device.writes, [['cHARGE', 5000], ['dISCHARGE', 2000]]);
+    assert.equal(status('cHARGE'), 'pending');
+    assert.equal(status('dISCHARGE'), 'confirmed');
+  } finally {
+    await runtime.stop().catch(() => {});
+  }
+});
+
+test('a queued verification retry neither drops nor replaces user commands', async () => {
+  const device = fakeDevice();
+  const { runtime } = createRuntime(device, exclusiveTemplate);
+  runtime._writeQueueEnabled = true;
+  runtime._writeThrottleMs = 1000;
+  runtime._useCommandCadenceScheduler = true; // flushed manually below
+  const charge = runtime.dpById.get('cHARGE');
+  const discharge = runtime.dpById.get('dISCHARGE');
+  try {
+    await runtime.handleStateChange('nexowatt-devices.0.devices.wv1.dISCHARGE', { val: 2000, ack: false });
+    runtime._enqueueWrite(null, charge, 5000, 5000, { skipPostWriteRepeat: true, isWriteVerifyRetry: true, writeVerifyAttempt: 1 });
+    assert.deepEqual([...runtime._writeQueue.keys()], ['dISCHARGE', 'cHARGE']);
+
+    runtime._enqueueWrite(null, discharge, 1000, 1000, { skipPostWriteRepeat: true, isWriteVerifyRetry: true, writeVerifyAttempt: 1 });
+    assert.equal(runtime._writeQueue.get('dISCHARGE').deviceValue, 2000);
+    assert.equal(runtime._writeQueue.get('dISCHARGE').meta.isWriteVerifyRetry, undefined);
+  } finally {
+    await runtime.stop().catch(() => {});
+  }
+});